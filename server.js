@@ -1,9 +1,14 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import zlib from "node:zlib";
 import express from "express";
 import pkg from "@flow-js/garmin-connect";
 const { GarminConnect } = pkg;
 
 const app = express();
-app.use(express.json());
+// Raised from the 100kb default: a 12-week plan push carries 84 workouts
+app.use(express.json({ limit: "1mb" }));
 
 // --------------------
 // Timeout protection
@@ -15,6 +20,16 @@ class GarminTimeoutError extends Error {
   }
 }
 
+// Thrown from route actions to answer with a specific status and message
+// instead of the generic 500 "Garmin request failed".
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+  }
+}
+
 function withTimeout(promise, ms) {
   let timeoutId;
   const timeout = new Promise((_, reject) => {
@@ -46,19 +61,72 @@ function getUsernameFromReq(req) {
   return req.body?.username || req.body?.email || ""; // accept email for backwards compat
 }
 
-// In-memory cooldown (resets on restart)
-const lastPasswordLoginAttemptByUsername = new Map();
+// Garmin usernames are email addresses, so case and surrounding spaces don't
+// identify a different account
+function normalizeGarminUsername(username) {
+  return String(username ?? "").trim().toLowerCase();
+}
+
+// Password login cooldown + failed-attempt lockout. Garmin locks accounts that
+// log in too often, so every successful login (or MFA challenge) starts a
+// cooldown, and each rejected login doubles a lockout until one succeeds.
+// State lives in a pluggable store (see createMemoryStore) so it can survive
+// restarts (LOGIN_COOLDOWN_FILE) or be shared between replicas.
 const PASSWORD_LOGIN_COOLDOWN_MS = 10 * 60 * 1000; // 10 min
+const FAILED_LOGIN_BASE_LOCKOUT_MS = 30 * 1000; // 30s, doubled per failure
+const FAILED_LOGIN_MAX_LOCKOUT_MS = 60 * 60 * 1000; // 1 hour
+
+let loginCooldownStore = null;
+
+function getLoginCooldownStore() {
+  if (!loginCooldownStore) {
+    const file = process.env.LOGIN_COOLDOWN_FILE;
+    loginCooldownStore = file ? createJsonFileStore(file) : createMemoryStore();
+  }
+  return loginCooldownStore;
+}
+
+function setLoginCooldownStore(store) {
+  loginCooldownStore = store;
+}
+
+function failedLoginLockoutMs(failures) {
+  if (failures <= 0) return 0;
+  return Math.min(FAILED_LOGIN_BASE_LOCKOUT_MS * 2 ** (failures - 1), FAILED_LOGIN_MAX_LOCKOUT_MS);
+}
 
-function canAttemptPasswordLogin(username) {
+async function canAttemptPasswordLogin(username) {
   const now = Date.now();
-  const last = lastPasswordLoginAttemptByUsername.get(username) || 0;
-  const waitMs = PASSWORD_LOGIN_COOLDOWN_MS - (now - last);
-  return { ok: waitMs <= 0, waitMs: Math.max(0, waitMs) };
+  const state = (await getLoginCooldownStore().get(normalizeGarminUsername(username))) || {};
+  const cooldownMs = PASSWORD_LOGIN_COOLDOWN_MS - (now - (state.lastSuccessAt || 0));
+  const lockoutMs = (state.lockedUntil || 0) - now;
+  const waitMs = Math.max(cooldownMs, lockoutMs);
+  return { ok: waitMs <= 0, waitMs: Math.max(0, waitMs), failures: state.failures || 0 };
+}
+
+async function markPasswordLoginAttempt(username) {
+  await getLoginCooldownStore().set(normalizeGarminUsername(username), { lastSuccessAt: Date.now(), failures: 0, lockedUntil: 0 });
+}
+
+// update() so parallel failures (even across replicas) each count
+async function markPasswordLoginFailure(username) {
+  await getLoginCooldownStore().update(normalizeGarminUsername(username), (current) => {
+    const state = current || {};
+    const failures = (state.failures || 0) + 1;
+    return {
+      lastSuccessAt: state.lastSuccessAt || 0,
+      failures,
+      lockedUntil: Date.now() + failedLoginLockoutMs(failures),
+    };
+  });
 }
 
-function markPasswordLoginAttempt(username) {
-  lastPasswordLoginAttemptByUsername.set(username, Date.now());
+// Only rejections of the credentials themselves count towards the lockout;
+// timeouts and Garmin outages must not lock the user out. A 403 is not one:
+// Garmin also sends it for rate limits, bot checks and account interstitials.
+function isCredentialLoginError(err) {
+  const msg = err?.message || String(err);
+  return /login failed|ticket not found|account ?locked|invalid (username|password|credentials)|\b401\b/i.test(msg);
 }
 
 // IMPORTANT: In your environment this library requires username+password in constructor.
@@ -85,11 +153,370 @@ async function loadTokenIntoClient(client, tokenJson) {
   await client.loadToken(tokenJson);
 }
 
+// --------------------
+// Garmin MFA (two-step login)
+// --------------------
+// The library's HttpClient leaves handleMFA as a no-op, so an MFA-enabled login
+// just fails with "Ticket not found". We hook it to throw GarminMfaRequiredError
+// instead, park the half-logged-in client, and finish the SSO flow once the
+// caller posts the one-time code to /garmin/connect/mfa.
+class GarminMfaRequiredError extends Error {
+  constructor(csrf) {
+    super("Garmin requires an MFA code to complete login");
+    this.name = "GarminMfaRequiredError";
+    this.csrf = csrf;
+  }
+}
+
+class GarminMfaCodeError extends Error {
+  constructor() {
+    super("Invalid MFA code");
+    this.name = "GarminMfaCodeError";
+  }
+}
+
+const MFA_SESSION_TTL_MS = 5 * 60 * 1000; // 5 min
+const MFA_MAX_CODE_ATTEMPTS = 3;
+const pendingMfaSessions = new Map();
+
+const SSO_MFA_TITLE_RE = /<title>[^<]*MFA[^<]*<\/title>/i;
+const SSO_CSRF_RE = /name="_csrf"\s+value="(.+?)"/;
+const SSO_TICKET_RE = /ticket=([^"]+)"/;
+
+function isSsoUrl(url) {
+  return /^https:\/\/sso\./.test(url || "");
+}
+
+// The SSO pages are cookie-bound and the library's axios instance has no jar,
+// so keep the SSO cookies ourselves for the second half of the flow.
+function prepareClientForMfa(client) {
+  const http = client?.client;
+  if (!http?.client?.interceptors) return;
+
+  const cookies = new Map();
+  http.client.interceptors.response.use((response) => {
+    if (isSsoUrl(response?.config?.url)) {
+      for (const header of [].concat(response.headers?.["set-cookie"] || [])) {
+        const [pair] = header.split(";");
+        const eq = pair.indexOf("=");
+        if (eq > 0) cookies.set(pair.slice(0, eq).trim(), pair.slice(eq + 1).trim());
+      }
+    }
+    return response;
+  });
+  http.client.interceptors.request.use((config) => {
+    if (cookies.size && isSsoUrl(config.url)) {
+      config.headers.Cookie = [...cookies].map(([k, v]) => `${k}=${v}`).join("; ");
+    }
+    return config;
+  });
+
+  http.handleMFA = (html) => {
+    if (SSO_MFA_TITLE_RE.test(html || "")) {
+      throw new GarminMfaRequiredError(SSO_CSRF_RE.exec(html)?.[1] || null);
+    }
+  };
+}
+
+function pruneExpiredMfaSessions(now = Date.now()) {
+  for (const [id, session] of pendingMfaSessions) {
+    if (session.expiresAt <= now) pendingMfaSessions.delete(id);
+  }
+}
+
+function createMfaSession(client, username, csrf, connectionId) {
+  pruneExpiredMfaSessions();
+  const mfaSessionId = crypto.randomUUID();
+  pendingMfaSessions.set(mfaSessionId, {
+    client,
+    username,
+    csrf,
+    connectionId: connectionId || null,
+    attempts: 0,
+    expiresAt: Date.now() + MFA_SESSION_TTL_MS,
+  });
+  return mfaSessionId;
+}
+
+function getMfaSession(mfaSessionId) {
+  pruneExpiredMfaSessions();
+  return pendingMfaSessions.get(mfaSessionId) || null;
+}
+
+// Mirrors the library's getLoginTicket() signin params, posting the code to
+// Garmin's MFA verification page instead of the password form.
+async function completeMfaLogin(client, csrf, code) {
+  const http = client.client;
+  const url = client.url;
+  const params = new URLSearchParams({
+    id: "gauth-widget",
+    embedWidget: "true",
+    clientId: "GarminConnect",
+    locale: "en",
+    gauthHost: url.GARMIN_SSO_EMBED,
+    service: url.GARMIN_SSO_EMBED,
+    source: url.GARMIN_SSO_EMBED,
+    redirectAfterAccountLoginUrl: url.GARMIN_SSO_EMBED,
+    redirectAfterAccountCreationUrl: url.GARMIN_SSO_EMBED,
+  });
+  const form = new URLSearchParams({
+    "mfa-verification-code": code,
+    embed: "true",
+    _csrf: csrf || "",
+    fromPage: "setupEnterMfaCode",
+  });
+
+  const html = await http.post(
+    `${url.GARMIN_SSO}/verifyMFA/loginEnterMfaCode?${params}`,
+    form.toString(),
+    {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Origin: url.GARMIN_SSO_ORIGIN,
+        Referer: url.SIGNIN_URL,
+      },
+    }
+  );
+
+  const ticket = SSO_TICKET_RE.exec(html || "")?.[1];
+  if (!ticket) throw new GarminMfaCodeError();
+
+  const oauth1 = await http.getOauth1Token(ticket);
+  await http.exchange(oauth1);
+}
+
+// --------------------
+// Persistence: key/value stores
+// --------------------
+// Stores share one async interface: get(key) → value|null, set(key, value),
+// delete(key), and update(key, fn) → value, which stores fn(current|null)
+// atomically (read-modify-write that can't interleave with other writers).
+// Anything implementing it (e.g. a Redis wrapper) can be plugged in where a
+// store is accepted.
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    async get(key) {
+      return map.has(key) ? map.get(key) : null;
+    },
+    async set(key, value) {
+      map.set(key, value);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async update(key, fn) {
+      const value = fn(map.has(key) ? map.get(key) : null);
+      map.set(key, value);
+      return value;
+    },
+  };
+}
+
+// Backed by one JSON file, so the service can persist state locally without an
+// external database. Writes are serialized in-process, take a lock file so
+// several processes can share the file, and go through temp file + rename so a
+// crash never truncates it.
+const JSON_FILE_LOCK_TIMEOUT_MS = 5_000;
+const JSON_FILE_LOCK_STALE_MS = 30_000;
+const jsonFileStoresByPath = new Map();
+
+async function withFileLock(lockPath, fn) {
+  const deadline = Date.now() + JSON_FILE_LOCK_TIMEOUT_MS;
+  let handle;
+  while (!handle) {
+    try {
+      handle = await fs.open(lockPath, "wx");
+    } catch (e) {
+      if (e?.code !== "EEXIST") throw e;
+      // A crashed writer can leave its lock behind; reclaim it once stale
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > JSON_FILE_LOCK_STALE_MS) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${lockPath}`);
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await handle.close();
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+function createJsonFileStore(filePath) {
+  const resolved = path.resolve(filePath);
+  if (jsonFileStoresByPath.has(resolved)) return jsonFileStoresByPath.get(resolved);
+
+  let queue = Promise.resolve();
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(resolved, "utf8"));
+    } catch (e) {
+      if (e?.code === "ENOENT") return {};
+      throw e;
+    }
+  }
+
+  async function writeAll(data) {
+    const tmp = `${resolved}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data), { mode: 0o600 });
+    await fs.rename(tmp, resolved);
+  }
+
+  function mutateAll(mutate) {
+    const run = queue.then(async () => {
+      await fs.mkdir(path.dirname(resolved), { recursive: true });
+      return withFileLock(`${resolved}.lock`, async () => {
+        const data = await readAll();
+        const result = mutate(data);
+        await writeAll(data);
+        return result;
+      });
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const store = {
+    async get(key) {
+      await queue;
+      const data = await readAll();
+      return Object.hasOwn(data, key) ? data[key] : null;
+    },
+    set(key, value) {
+      return mutateAll((data) => { data[key] = value; });
+    },
+    delete(key) {
+      return mutateAll((data) => { delete data[key]; });
+    },
+    update(key, fn) {
+      return mutateAll((data) => (data[key] = fn(Object.hasOwn(data, key) ? data[key] : null)));
+    },
+  };
+  jsonFileStoresByPath.set(resolved, store);
+  return store;
+}
+
+// --------------------
+// Token vault (optional)
+// --------------------
+// When TOKEN_VAULT_KEY is set, /garmin/connect stores the exported token
+// encrypted (AES-256-GCM) under an opaque connectionId, and every /garmin/*
+// route accepts { connectionId } instead of { username, tokenJson }.
+// TOKEN_VAULT_FILE overrides where the encrypted records are written.
+const TOKEN_VAULT_DEFAULT_FILE = "data/token-vault.json";
+
+function getTokenVaultKey() {
+  const secret = process.env.TOKEN_VAULT_KEY;
+  if (!secret) return null;
+  // Any secret string works; hash it down to the 32 bytes AES-256 needs
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+function isTokenVaultEnabled() {
+  return Boolean(getTokenVaultKey());
+}
+
+function getTokenVaultStore() {
+  return createJsonFileStore(process.env.TOKEN_VAULT_FILE || TOKEN_VAULT_DEFAULT_FILE);
+}
+
+// connectionId is bound as AAD so a record can't be copied under another id
+function encryptConnection(connectionId, payload, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(connectionId, "utf8"));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), "utf8"), cipher.final()]);
+  return {
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decryptConnection(connectionId, sealed, key) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(sealed.iv, "base64"));
+  decipher.setAAD(Buffer.from(connectionId, "utf8"));
+  decipher.setAuthTag(Buffer.from(sealed.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(sealed.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+function isValidConnectionId(connectionId) {
+  return typeof connectionId === "string" && /^[A-Za-z0-9_-]{1,128}$/.test(connectionId);
+}
+
+async function saveConnection(connectionId, username, tokenJson) {
+  const key = getTokenVaultKey();
+  if (!key) throw new Error("Token vault is not configured");
+  const id = connectionId || crypto.randomUUID();
+  const sealed = encryptConnection(id, { username, tokenJson }, key);
+  await getTokenVaultStore().set(id, { ...sealed, updatedAt: new Date().toISOString() });
+  return id;
+}
+
+// Returns { username, tokenJson }, or null if the id is unknown or the record
+// can no longer be decrypted (e.g. TOKEN_VAULT_KEY was rotated).
+async function loadConnection(connectionId) {
+  const key = getTokenVaultKey();
+  if (!key) throw new Error("Token vault is not configured");
+  const record = await getTokenVaultStore().get(connectionId);
+  if (!record) return null;
+  try {
+    return decryptConnection(connectionId, record, key);
+  } catch (e) {
+    console.error("Token vault decrypt failed:", e?.message || e);
+    return null;
+  }
+}
+
+function isSameGarminUsername(a, b) {
+  return normalizeGarminUsername(a) === normalizeGarminUsername(b);
+}
+
+// /garmin/connect stores every successful login when the vault is enabled
+async function persistConnectResult(connectionId, username, tokenJson) {
+  if (!isTokenVaultEnabled()) return {};
+  return { connectionId: await saveConnection(connectionId, username, tokenJson) };
+}
+
 // Shared handler for token-only endpoints: validates inputs, creates client,
-// loads token, runs the action, and returns refreshed tokens.
+// loads token, runs the action, and returns refreshed tokens. With a
+// connectionId the token comes from (and is written back to) the vault.
+// The action gets (client, req, username), username being the resolved one.
 async function withGarminToken(req, res, actionFn) {
-  const tokenJson = req.body?.tokenJson;
-  const username = getUsernameFromReq(req);
+  const connectionId = req.body?.connectionId;
+  let tokenJson = req.body?.tokenJson;
+  let username = getUsernameFromReq(req);
+
+  if (connectionId !== undefined && connectionId !== null) {
+    if (!isTokenVaultEnabled()) {
+      return res.status(400).json({ ok: false, error: "Token vault is not configured" });
+    }
+    if (!isValidConnectionId(connectionId)) {
+      return res.status(400).json({ ok: false, error: "Invalid connectionId" });
+    }
+    let stored;
+    try {
+      stored = await loadConnection(connectionId);
+    } catch (e) {
+      console.error("Token vault read failed:", e?.message || e);
+      return res.status(500).json({ ok: false, error: "Token vault read failed" });
+    }
+    if (!stored) {
+      return res.status(404).json({
+        ok: false,
+        error: "Unknown connectionId. Re-authenticate via /garmin/connect.",
+      });
+    }
+    tokenJson = stored.tokenJson;
+    username = stored.username;
+  }
 
   if (!username) {
     return res.status(400).json({ ok: false, error: "Missing username (or email)" });
@@ -101,26 +528,85 @@ async function withGarminToken(req, res, actionFn) {
   try {
     const client = createGarminClientForTokenOnly(username);
     await loadTokenIntoClient(client, tokenJson);
-    const result = await actionFn(client, req);
+    const result = await actionFn(client, req, username);
     const refreshed = await client.exportToken();
-    return res.json({ ok: true, ...result, tokenJson: refreshed });
-  } catch (e) {
-    if (e instanceof GarminTimeoutError) {
-      return res.status(504).json({
-        ok: false,
-        error: "Garmin API timed out. Please try again.",
-      });
+    if (connectionId) {
+      await saveConnection(connectionId, username, refreshed);
     }
-    const msg = e?.message || String(e);
-    const isTokenError = /token|unauthorized|auth|expired|session|403|401/i.test(msg);
-    if (isTokenError) {
-      return res.status(401).json({
-        ok: false,
-        error: "Token expired or invalid. Re-authenticate via /garmin/connect.",
-      });
+    const tokenFields = connectionId ? { connectionId } : { tokenJson: refreshed };
+    if (result instanceof FileResult) {
+      return sendFileResult(res, result, tokenFields);
+    }
+    return res.json({ ok: true, ...result, ...tokenFields });
+  } catch (e) {
+    const { status, error } = classifyGarminError(e);
+    return res.status(status).json({ ok: false, error });
+  }
+}
+
+// Route actions return a FileResult to answer with a file instead of JSON.
+// The refreshed token can't go in the body, so it travels in the
+// X-Garmin-Token header (base64url-encoded tokenJson) for callers to persist.
+class FileResult {
+  constructor({ body, contentType, filename }) {
+    this.body = body;
+    this.contentType = contentType;
+    this.filename = filename;
+  }
+}
+
+function sendFileResult(res, file, { tokenJson, connectionId }) {
+  if (tokenJson) {
+    res.set("X-Garmin-Token", Buffer.from(JSON.stringify(tokenJson)).toString("base64url"));
+  }
+  if (connectionId) {
+    res.set("X-Garmin-Connection-Id", connectionId);
+  }
+  res.set("Content-Type", file.contentType);
+  res.set("Content-Disposition", `attachment; filename="${file.filename}"`);
+  return res.send(file.body);
+}
+
+// Maps an error from a Garmin call to the status + client-safe message that
+// token-only routes respond with.
+function classifyGarminError(e) {
+  if (e instanceof RequestError) {
+    return { status: e.status, error: e.message };
+  }
+  if (e instanceof GarminTimeoutError) {
+    return { status: 504, error: "Garmin API timed out. Please try again." };
+  }
+  const msg = e?.message || String(e);
+  const isTokenError = /token|unauthorized|auth|expired|session|403|401/i.test(msg);
+  if (isTokenError) {
+    return { status: 401, error: "Token expired or invalid. Re-authenticate via /garmin/connect." };
+  }
+  return { status: 500, error: "Garmin request failed" };
+}
+
+// Timeouts, rate limits, 5xx and network errors may succeed on a retry; any
+// other 4xx (e.g. a deleted or corrupt activity) fails the same way every time.
+function isTransientGarminError(e) {
+  if (e instanceof GarminTimeoutError) return true;
+  if (e instanceof RequestError) return e.status === 429 || e.status >= 500;
+  const status = Number(/ERROR: \((\d{3})\)/.exec(e?.message || "")?.[1]);
+  return !status || status === 429 || status >= 500;
+}
+
+// Runs fn over items with at most `limit` in flight; results keep input order.
+// Once `deadline` (epoch ms) passes no new item starts, and its result stays
+// undefined; items already in flight still finish.
+async function mapWithConcurrency(items, limit, fn, { deadline = Infinity } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length && Date.now() < deadline) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
     }
-    return res.status(500).json({ ok: false, error: "Garmin request failed" });
   }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
 function parseActivityIdFromBody(body) {
@@ -138,6 +624,204 @@ function parseActivityIdFromBody(body) {
   };
 }
 
+// For routes where activityId is optional: a value that was given but is
+// invalid (e.g. "abc") is still an error, returned as the 400 response body
+function parseOptionalActivityId(body) {
+  const parsed = parseActivityIdFromBody(body);
+  const rawProvided = parsed.activityIdRaw !== null && parsed.activityIdRaw !== undefined;
+  if (rawProvided && !parsed.ok) {
+    return {
+      ok: false,
+      response: {
+        ok: false,
+        error: "Invalid activityId",
+        receivedActivityIdRaw: parsed.activityIdRaw,
+        receivedType: parsed.activityIdRawType,
+      },
+    };
+  }
+  return { ok: true, activityId: parsed.activityId };
+}
+
+// The requested activity, or the most recent one when none was given
+async function resolveActivityId(client, activityId) {
+  if (activityId) return activityId;
+  const recent = await withTimeout(client.getActivities(0, 1), GARMIN_API_TIMEOUT_MS);
+  if (!recent || recent.length === 0) {
+    throw new Error("No activities found");
+  }
+  return recent[0].activityId;
+}
+
+// --------------------
+// Activity list filtering
+// --------------------
+const ACTIVITY_PAGE_SIZE = 50; // Garmin's max page size for getActivities
+const ACTIVITY_SCAN_MAX_PAGES = 10; // per request, to stay within SERVER_TIMEOUT_MS
+
+// Parent typeIds so a broad type ("running") also matches its sub-types
+// (trail_running, treadmill_running, ...) via activityType.parentTypeId.
+const ACTIVITY_PARENT_TYPE_IDS = {
+  running: 1,
+  cycling: 2,
+  hiking: 3,
+  other: 4,
+  walking: 9,
+  swimming: 26,
+  fitness_equipment: 29,
+};
+
+function isValidDateString(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+// The athlete's calendar date for the activity, from startTimeLocal
+function activityLocalDate(activity) {
+  const local = activity?.startTimeLocal;
+  return typeof local === "string" && /^\d{4}-\d{2}-\d{2}/.test(local) ? local.slice(0, 10) : null;
+}
+
+// YYYY-MM-DD `days` after (or before, if negative) `date`
+function shiftDate(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Days from startDate to endDate inclusive
+function listDates(startDate, endDate) {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = shiftDate(date, 1)) dates.push(date);
+  return dates;
+}
+
+// Body { date } for one day, or { startDate, endDate? } for a range of at most
+// maxDays (endDate defaults to startDate).
+function parseDateRange(body, maxDays) {
+  const { date, startDate } = body || {};
+  const endDate = body?.endDate ?? startDate;
+  if (date !== undefined && date !== null) {
+    if (!isValidDateString(date)) return { ok: false, error: "date must be YYYY-MM-DD format" };
+    return { ok: true, startDate: date, endDate: date };
+  }
+  if (startDate === undefined || startDate === null) {
+    return { ok: false, error: "date or startDate is required (YYYY-MM-DD)" };
+  }
+  for (const [key, value] of [["startDate", startDate], ["endDate", endDate]]) {
+    if (!isValidDateString(value)) return { ok: false, error: `${key} must be YYYY-MM-DD format` };
+  }
+  if (startDate > endDate) return { ok: false, error: "startDate must be on or before endDate" };
+  if (shiftDate(startDate, maxDays - 1) < endDate) {
+    return { ok: false, error: `Date range too long (max ${maxDays} days)` };
+  }
+  return { ok: true, startDate, endDate };
+}
+
+function parseActivityFilters(body) {
+  const filters = {};
+
+  for (const key of ["startDate", "endDate"]) {
+    const value = body?.[key];
+    if (value === undefined || value === null) continue;
+    if (!isValidDateString(value)) return { ok: false, error: `${key} must be YYYY-MM-DD format` };
+    filters[key] = value;
+  }
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    return { ok: false, error: "startDate must be on or before endDate" };
+  }
+
+  const rawType = body?.activityType;
+  if (rawType !== undefined && rawType !== null) {
+    const types = Array.isArray(rawType) ? rawType : [rawType];
+    if (types.length === 0 || !types.every((t) => typeof t === "string" && t.trim())) {
+      return { ok: false, error: "activityType must be a string or array of strings" };
+    }
+    filters.activityTypes = types.map((t) => t.trim().toLowerCase());
+  }
+
+  for (const key of ["minDistance", "minDuration"]) {
+    const value = body?.[key];
+    if (value === undefined || value === null) continue;
+    if (!Number.isFinite(value) || value < 0) return { ok: false, error: `${key} must be a non-negative number` };
+    filters[key] = value;
+  }
+
+  return { ok: true, filters, active: Object.keys(filters).length > 0 };
+}
+
+function matchesActivityType(activity, activityTypes) {
+  const type = activity?.activityType || {};
+  return activityTypes.some((key) => {
+    if (type.typeKey === key) return true;
+    const parentId = ACTIVITY_PARENT_TYPE_IDS[key];
+    return parentId !== undefined && type.parentTypeId === parentId;
+  });
+}
+
+function matchesActivityFilters(activity, filters) {
+  const date = activityLocalDate(activity);
+  if (filters.startDate && (!date || date < filters.startDate)) return false;
+  if (filters.endDate && (!date || date > filters.endDate)) return false;
+  if (filters.activityTypes && !matchesActivityType(activity, filters.activityTypes)) return false;
+  if (filters.minDistance !== undefined && !(activity?.distance >= filters.minDistance)) return false;
+  if (filters.minDuration !== undefined && !(activity?.duration >= filters.minDuration)) return false;
+  return true;
+}
+
+// Walks getActivities (newest first) from `offset`, collecting matches until
+// `limit` are found, the list runs past startDate, or maxPages is scanned.
+// nextOffset is where to resume, or null once the range is exhausted.
+// stopAt(activity) can end the scan early, e.g. at a sync watermark.
+async function scanActivities(client, { offset = 0, limit = ACTIVITY_PAGE_SIZE, filters = {}, maxPages = ACTIVITY_SCAN_MAX_PAGES, stopAt = null } = {}) {
+  const activities = [];
+  let pos = offset;
+
+  for (let page = 0; page < maxPages; page++) {
+    const batch = await withTimeout(client.getActivities(pos, ACTIVITY_PAGE_SIZE), GARMIN_API_TIMEOUT_MS);
+    const rows = Array.isArray(batch) ? batch : [];
+    const lastPage = rows.length < ACTIVITY_PAGE_SIZE;
+
+    for (let i = 0; i < rows.length; i++) {
+      const date = activityLocalDate(rows[i]);
+      if (filters.startDate && date && date < filters.startDate) {
+        return { activities, nextOffset: null };
+      }
+      if (stopAt && stopAt(rows[i])) {
+        return { activities, nextOffset: null };
+      }
+      if (!matchesActivityFilters(rows[i], filters)) continue;
+      activities.push(rows[i]);
+      if (activities.length >= limit) {
+        const exhausted = lastPage && i === rows.length - 1;
+        return { activities, nextOffset: exhausted ? null : pos + i + 1 };
+      }
+    }
+
+    if (lastPage) return { activities, nextOffset: null };
+    pos += rows.length;
+  }
+
+  return { activities, nextOffset: pos };
+}
+
+// Cursors are opaque to callers; today they only carry the Garmin list offset
+function encodeActivityCursor(offset) {
+  if (offset === null || offset === undefined) return null;
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeActivityCursor(cursor) {
+  if (typeof cursor !== "string" || !cursor) return null;
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
 // --------------------
 // Activity field profiles
 // --------------------
@@ -337,6 +1021,99 @@ const ATHLETE_PROFILE_FIELDS = {
   coaching: ATHLETE_COACHING_FIELDS,
 };
 
+// --------------------
+// Daily wellness field profiles
+// --------------------
+const DAILY_SUMMARY_FIELDS = [
+  "date",
+  "steps",
+  "floorsAscended",
+  "restingHR",
+  "avgStress",
+  "bodyBatteryHigh",
+  "bodyBatteryLow",
+  "moderateIntensityMinutes",
+  "vigorousIntensityMinutes",
+  "totalCalories",
+];
+
+const DAILY_COACHING_FIELDS = [
+  "date",
+  // Movement
+  "steps",
+  "stepGoal",
+  "distance",
+  "floorsAscended",
+  // Heart rate
+  "restingHR",
+  "restingHR7DayAvg",
+  // Stress & body battery
+  "avgStress",
+  "maxStress",
+  "bodyBatteryHigh",
+  "bodyBatteryLow",
+  "bodyBatteryCharged",
+  "bodyBatteryDrained",
+  // Intensity minutes
+  "moderateIntensityMinutes",
+  "vigorousIntensityMinutes",
+  "intensityMinutesGoal",
+  // Calories
+  "totalCalories",
+  "activeCalories",
+];
+
+const DAILY_PROFILE_FIELDS = {
+  summary: DAILY_SUMMARY_FIELDS,
+  coaching: DAILY_COACHING_FIELDS,
+};
+
+const DAILY_MAX_DAYS = 31;
+const SLEEP_MAX_DAYS = 31;
+
+// --------------------
+// HRV status field profiles
+// --------------------
+const HRV_SUMMARY_FIELDS = ["date", "lastNightAvg", "weeklyAvg", "status"];
+
+const HRV_COACHING_FIELDS = [
+  "date",
+  "lastNightAvg",
+  "weeklyAvg",
+  "status",
+  // Balanced baseline range
+  "baselineBalancedLow",
+  "baselineBalancedHigh",
+];
+
+const HRV_PROFILE_FIELDS = {
+  summary: HRV_SUMMARY_FIELDS,
+  coaching: HRV_COACHING_FIELDS,
+};
+
+const HRV_MAX_DAYS = 180;
+// Garmin serves at most 28 nights per hrv-service range request
+const HRV_PAGE_DAYS = 28;
+const HRV_TREND_MIN_NIGHTS = 3;
+// Weekly change (% of the range mean) below which the trend is "stable"
+const HRV_TREND_STABLE_PCT = 2;
+
+const BODY_COMPOSITION_MAX_DAYS = 366;
+const KG_PER_LB = 0.45359237;
+const WEIGH_IN_UNITS = new Set(["kg", "lbs"]);
+// Sanity bounds for pushed weigh-ins, in kg
+const WEIGH_IN_MIN_KG = 20;
+const WEIGH_IN_MAX_KG = 350;
+
+const PERFORMANCE_DEFAULT_DAYS = 90;
+const PERFORMANCE_MAX_DAYS = 365;
+const RACE_PREDICTION_DISTANCES = [
+  { key: "5k", meters: 5000, field: "time5K" },
+  { key: "10k", meters: 10000, field: "time10K" },
+  { key: "half", meters: 21097.5, field: "timeHalfMarathon" },
+  { key: "marathon", meters: 42195, field: "timeMarathon" },
+];
+
 // --------------------
 // Workout semantic group field lists
 // --------------------
@@ -533,14 +1310,288 @@ function buildAthleteProfile(userSettings, socialProfile) {
   };
 }
 
-// getActivity() returns IActivityDetails with nested DTOs (summaryDTO, metadataDTO,
-// activityTypeDTO, etc.). Flatten them into a single-level object so profile field
-// lists can find metrics like distance, averageHR, calories, etc.
-function flattenActivityDetail(raw) {
-  if (!raw || typeof raw !== "object") return raw;
+// Normalizes Garmin's daily user summary (usersummary-service) into stable
+// field names; anything Garmin didn't report for the day is null.
+function buildDailySummary(date, raw) {
+  const d = raw || {};
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  return {
+    date,
+    steps: num(d.totalSteps),
+    stepGoal: num(d.dailyStepGoal),
+    distance: num(d.totalDistanceMeters),
+    floorsAscended: num(d.floorsAscended),
+    floorsDescended: num(d.floorsDescended),
+    restingHR: num(d.restingHeartRate),
+    restingHR7DayAvg: num(d.lastSevenDaysAvgRestingHeartRate),
+    minHR: num(d.minHeartRate),
+    maxHR: num(d.maxHeartRate),
+    avgStress: num(d.averageStressLevel),
+    maxStress: num(d.maxStressLevel),
+    stressSeconds: num(d.stressDuration),
+    restStressSeconds: num(d.restStressDuration),
+    bodyBatteryHigh: num(d.bodyBatteryHighestValue),
+    bodyBatteryLow: num(d.bodyBatteryLowestValue),
+    bodyBatteryCharged: num(d.bodyBatteryChargedValue),
+    bodyBatteryDrained: num(d.bodyBatteryDrainedValue),
+    bodyBatteryMostRecent: num(d.bodyBatteryMostRecentValue),
+    moderateIntensityMinutes: num(d.moderateIntensityMinutes),
+    vigorousIntensityMinutes: num(d.vigorousIntensityMinutes),
+    intensityMinutesGoal: num(d.intensityMinutesGoal),
+    totalCalories: num(d.totalKilocalories),
+    activeCalories: num(d.activeKilocalories),
+    bmrCalories: num(d.bmrKilocalories),
+    avgSpo2: num(d.averageSpo2),
+    lowestSpo2: num(d.lowestSpo2),
+    avgWakingRespiration: num(d.avgWakingRespirationValue),
+  };
+}
 
-  const {
-    summaryDTO,
+// Garmin sleep *Local timestamps are epoch ms shifted to local wall time
+function localTimestampString(ms) {
+  return Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 19) : null;
+}
+
+const SLEEP_SUB_SCORES = [
+  "totalDuration",
+  "stress",
+  "awakeCount",
+  "remPercentage",
+  "restlessness",
+  "lightPercentage",
+  "deepPercentage",
+];
+
+// Normalizes Garmin's dailySleepData for one night (the night ending on
+// `date`). Measured sleep/wake times complement the athlete profile's
+// configured sleepTime/wakeTime. All fields are null when no sleep was recorded.
+function buildSleepSummary(date, raw) {
+  const d = raw?.dailySleepDTO || {};
+  const scores = d.sleepScores || {};
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  const gmt = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+  const subScores = {};
+  for (const key of SLEEP_SUB_SCORES) {
+    subScores[key] = {
+      value: num(scores[key]?.value),
+      qualifier: scores[key]?.qualifierKey ?? null,
+    };
+  }
+
+  return {
+    date,
+    totalSleepSeconds: num(d.sleepTimeSeconds),
+    deepSleepSeconds: num(d.deepSleepSeconds),
+    lightSleepSeconds: num(d.lightSleepSeconds),
+    remSleepSeconds: num(d.remSleepSeconds),
+    awakeSeconds: num(d.awakeSleepSeconds),
+    napSeconds: num(d.napTimeSeconds),
+    sleepStart: gmt(d.sleepStartTimestampGMT),
+    sleepEnd: gmt(d.sleepEndTimestampGMT),
+    sleepStartLocal: localTimestampString(d.sleepStartTimestampLocal),
+    sleepEndLocal: localTimestampString(d.sleepEndTimestampLocal),
+    sleepScore: num(scores.overall?.value),
+    sleepScoreQualifier: scores.overall?.qualifierKey ?? null,
+    subScores,
+    avgOvernightHrv: num(raw?.avgOvernightHrv),
+    avgRespiration: num(d.averageRespirationValue),
+    avgSpo2: num(d.averageSpO2Value),
+    lowestSpo2: num(d.lowestSpO2Value),
+    avgSleepStress: num(d.avgSleepStress),
+    awakeCount: num(d.awakeCount),
+    restingHR: num(raw?.restingHeartRate),
+  };
+}
+
+// Normalizes one entry of Garmin's hrvSummaries. Status is Garmin's label
+// (BALANCED, UNBALANCED, LOW, POOR) or null before a baseline is established.
+function buildHrvNight(date, raw) {
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  const status = raw?.status && raw.status !== "NONE" ? raw.status : null;
+  return {
+    date,
+    lastNightAvg: num(raw?.lastNightAvg),
+    weeklyAvg: num(raw?.weeklyAvg),
+    status,
+    baselineBalancedLow: num(raw?.baseline?.balancedLow),
+    baselineBalancedHigh: num(raw?.baseline?.balancedUpper),
+    baselineLowUpper: num(raw?.baseline?.lowUpper),
+    lastNight5MinHigh: num(raw?.lastNight5MinHigh),
+    feedbackPhrase: raw?.feedbackPhrase ?? null,
+  };
+}
+
+// Least-squares slope of nightly averages over the range, expressed per week
+// and as % of the mean. Needs HRV_TREND_MIN_NIGHTS nights with a reading.
+function computeHrvTrend(nights) {
+  const points = nights
+    .map((n, i) => [i, n.lastNightAvg])
+    .filter(([, v]) => v !== null);
+  if (points.length < HRV_TREND_MIN_NIGHTS) {
+    return { direction: null, slopePerWeek: null, changePctPerWeek: null, nights: points.length };
+  }
+
+  const meanX = points.reduce((s, [x]) => s + x, 0) / points.length;
+  const meanY = points.reduce((s, [, y]) => s + y, 0) / points.length;
+  let num = 0;
+  let den = 0;
+  for (const [x, y] of points) {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  }
+  const slopePerWeek = (num / den) * 7;
+  const changePctPerWeek = meanY > 0 ? (slopePerWeek / meanY) * 100 : 0;
+
+  let direction = "stable";
+  if (changePctPerWeek >= HRV_TREND_STABLE_PCT) direction = "rising";
+  else if (changePctPerWeek <= -HRV_TREND_STABLE_PCT) direction = "falling";
+
+  return {
+    direction,
+    slopePerWeek: roundTo(slopePerWeek, 1),
+    changePctPerWeek: roundTo(changePctPerWeek, 1),
+    nights: points.length,
+  };
+}
+
+// Normalizes one dateWeightList entry. Garmin stores masses in grams and
+// fat/water as percentages; metrics the scale doesn't measure are null.
+function buildBodyCompositionEntry(raw) {
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  const kg = (g) => (Number.isFinite(g) ? Math.round(g / 100) / 10 : null);
+  const ms = raw?.timestampGMT ?? raw?.date;
+  return {
+    date: raw?.calendarDate ?? null,
+    timestamp: Number.isFinite(ms) ? new Date(ms).toISOString() : null,
+    weightKg: kg(raw?.weight),
+    bmi: num(raw?.bmi),
+    bodyFatPct: num(raw?.bodyFat),
+    bodyWaterPct: num(raw?.bodyWater),
+    muscleMassKg: kg(raw?.muscleMass),
+    boneMassKg: kg(raw?.boneMass),
+    visceralFat: num(raw?.visceralFat),
+    metabolicAge: num(raw?.metabolicAge),
+    physiqueRating: num(raw?.physiqueRating),
+    source: raw?.sourceType ?? null,
+  };
+}
+
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validates a weigh-in body: { weight, unit?, timestamp?, timezone? }.
+// Returns the weight in both units plus the resolved time and zone.
+function parseWeighIn(body) {
+  const { weight, unit = "kg", timestamp, timezone = "UTC" } = body || {};
+
+  if (typeof weight !== "number" || !Number.isFinite(weight) || weight <= 0) {
+    return { ok: false, error: "weight must be a positive number" };
+  }
+  if (!WEIGH_IN_UNITS.has(unit)) {
+    return { ok: false, error: `Invalid unit "${unit}". Must be one of: kg, lbs` };
+  }
+  const weightKg = unit === "kg" ? weight : weight * KG_PER_LB;
+  if (weightKg < WEIGH_IN_MIN_KG || weightKg > WEIGH_IN_MAX_KG) {
+    return { ok: false, error: `weight must be between ${WEIGH_IN_MIN_KG} and ${WEIGH_IN_MAX_KG} kg` };
+  }
+
+  let at = new Date();
+  if (timestamp !== undefined && timestamp !== null) {
+    at = typeof timestamp === "string" ? new Date(timestamp) : new Date(NaN);
+    if (Number.isNaN(at.getTime())) {
+      return { ok: false, error: "timestamp must be an ISO 8601 date-time" };
+    }
+  }
+  if (typeof timezone !== "string" || !isValidTimeZone(timezone)) {
+    return { ok: false, error: `Invalid timezone "${timezone}"` };
+  }
+
+  return {
+    ok: true,
+    weightKg: Math.round(weightKg * 100) / 100,
+    weightLbs: Math.round((weightKg / KG_PER_LB) * 100) / 100,
+    timestamp: at,
+    timezone,
+  };
+}
+
+// Garmin keys training status and load balance by device; prefer the
+// athlete's primary training device, else the first one reported.
+function primaryDeviceEntry(byDevice) {
+  const entries = Object.values(byDevice || {}).filter(Boolean);
+  return entries.find((e) => e.primaryTrainingDevice) || entries[0] || null;
+}
+
+// Label from the feedback phrase ("PRODUCTIVE_1" -> "PRODUCTIVE")
+function feedbackLabel(phrase) {
+  return typeof phrase === "string" && phrase ? phrase.replace(/_\d+$/, "") : null;
+}
+
+function buildTrainingStatus(raw) {
+  const num = (v) => (Number.isFinite(v) ? v : null);
+  const status = primaryDeviceEntry(raw?.mostRecentTrainingStatus?.latestTrainingStatusData);
+  const balance = primaryDeviceEntry(raw?.mostRecentTrainingLoadBalance?.metricsTrainingLoadBalanceDTOMap);
+  const focus = (prefix) => ({
+    load: num(balance?.[prefix]),
+    targetMin: num(balance?.[`${prefix}TargetMin`]),
+    targetMax: num(balance?.[`${prefix}TargetMax`]),
+  });
+
+  return {
+    trainingStatus: {
+      date: status?.calendarDate ?? null,
+      label: feedbackLabel(status?.trainingStatusFeedbackPhrase),
+      code: num(status?.trainingStatus),
+      feedbackPhrase: status?.trainingStatusFeedbackPhrase ?? null,
+    },
+    loadFocus: balance
+      ? {
+          lowAerobic: focus("monthlyLoadAerobicLow"),
+          highAerobic: focus("monthlyLoadAerobicHigh"),
+          anaerobic: focus("monthlyLoadAnaerobic"),
+          feedbackPhrase: balance.trainingBalanceFeedbackPhrase ?? null,
+        }
+      : null,
+  };
+}
+
+// One entry per day with a running (generic) or cycling VO2max, oldest first
+function buildVo2MaxHistory(raw) {
+  const value = (m) => m?.vo2MaxPreciseValue ?? m?.vo2MaxValue ?? null;
+  return (Array.isArray(raw) ? raw : [])
+    .map((day) => ({
+      date: day?.generic?.calendarDate ?? day?.cycling?.calendarDate ?? null,
+      running: value(day?.generic),
+      cycling: value(day?.cycling),
+      fitnessAge: day?.generic?.fitnessAge ?? null,
+    }))
+    .filter((day) => day.date && (day.running !== null || day.cycling !== null))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function buildRacePredictions(raw) {
+  if (!raw) return null;
+  const races = RACE_PREDICTION_DISTANCES
+    .filter(({ field }) => Number.isFinite(raw[field]))
+    .map(({ key, meters, field }) => ({ key, meters, seconds: raw[field] }));
+  return races.length ? { date: raw.calendarDate ?? null, races } : null;
+}
+
+// getActivity() returns IActivityDetails with nested DTOs (summaryDTO, metadataDTO,
+// activityTypeDTO, etc.). Flatten them into a single-level object so profile field
+// lists can find metrics like distance, averageHR, calories, etc.
+function flattenActivityDetail(raw) {
+  if (!raw || typeof raw !== "object") return raw;
+
+  const {
+    summaryDTO,
     metadataDTO,
     activityTypeDTO,
     eventTypeDTO,
@@ -583,16 +1634,19 @@ function transformSplitSummaries(splitSummaries) {
   }));
 }
 
-function buildWorkoutResponse(flat, laps) {
+// hrZones and bestEfforts are derived from other Garmin calls (see fetchWorkout)
+function buildWorkoutResponse(flat, laps, { hrZones = null, bestEfforts = null } = {}) {
   return {
     identity: pickFields(flat, WORKOUT_IDENTITY_FIELDS),
     timing: pickFields(flat, WORKOUT_TIMING_FIELDS),
     distance: pickFields(flat, WORKOUT_DISTANCE_FIELDS),
     pace: pickFields(flat, WORKOUT_PACE_FIELDS),
     heartRate: pickFields(flat, WORKOUT_HR_FIELDS),
+    hrZones,
     elevation: pickFields(flat, WORKOUT_ELEVATION_FIELDS),
     runningDynamics: pickFields(flat, WORKOUT_DYNAMICS_FIELDS),
     power: pickFields(flat, WORKOUT_POWER_FIELDS),
+    bestEfforts,
     training: pickFields(flat, WORKOUT_TRAINING_FIELDS),
     body: pickFields(flat, WORKOUT_BODY_FIELDS),
     workoutStructure: transformSplitSummaries(flat.splitSummaries),
@@ -601,440 +1655,2228 @@ function buildWorkoutResponse(flat, laps) {
   };
 }
 
+// Groups that cost extra Garmin calls per activity, so callers opt in via
+// { include: [...] }; without it they are null in the response.
+const WORKOUT_INCLUDE_OPTIONS = ["hrZones", "bestEfforts"];
+
+function parseWorkoutInclude(value) {
+  if (value === undefined || value === null) return { ok: true, include: new Set() };
+  if (!Array.isArray(value) || !value.every((v) => WORKOUT_INCLUDE_OPTIONS.includes(v))) {
+    return { ok: false, error: `include must be an array of: ${WORKOUT_INCLUDE_OPTIONS.join(", ")}` };
+  }
+  return { ok: true, include: new Set(value) };
+}
+
+// Activity detail and splits, plus whatever the included groups need
+// (Garmin's HR time-in-zone, the streams), fetched in parallel and grouped by
+// buildWorkoutResponse. Streams are optional: without them bestEfforts is null
+// and hrZones relies on Garmin's breakdown. Without bestEfforts the streams
+// are only fetched if hrZones has to fall back to them.
+async function fetchWorkout(client, activityId, include = new Set()) {
+  const splitsUrl = `https://connectapi.garmin.com/activity-service/activity/${activityId}/splits`;
+  const [rawActivity, rawSplits, rawHrZones, decoded] = await Promise.all([
+    withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS),
+    withTimeout(client.get(splitsUrl), GARMIN_API_TIMEOUT_MS),
+    include.has("hrZones") ? fetchGarminHrTimeInZones(client, activityId) : null,
+    include.has("bestEfforts") ? fetchActivityStreams(client, activityId).catch(() => null) : undefined,
+  ]);
+
+  const flat = flattenActivityDetail(rawActivity);
+  const laps = rawSplits?.lapDTOs || [];
+  const hrZones = include.has("hrZones")
+    ? await resolveHrZones(client, activityId, flat, rawHrZones, decoded)
+    : null;
+  const bestEfforts = include.has("bestEfforts") ? buildBestEfforts(decoded) : null;
+  return buildWorkoutResponse(flat, laps, { hrZones, bestEfforts });
+}
+
 // --------------------
-// Workout creation: translation helpers
+// Activity streams (time series)
 // --------------------
-const SPORT_TYPE_MAP = {
-  running:  { sportTypeId: 1, sportTypeKey: "running" },
-  cycling:  { sportTypeId: 2, sportTypeKey: "cycling" },
-  swimming: { sportTypeId: 4, sportTypeKey: "swimming" },
-  strength: { sportTypeId: 5, sportTypeKey: "strength_training" },
-  cardio:   { sportTypeId: 6, sportTypeKey: "cardio_training" },
+// Garmin's /details endpoint returns samples as positional arrays
+// (activityDetailMetrics[].metrics) described by metricDescriptors[].key.
+// Each channel lists the Garmin keys to look for, in order of preference.
+const STREAM_CHANNEL_KEYS = {
+  timestamp: ["directTimestamp"],
+  elapsed: ["sumElapsedDuration", "sumDuration"],
+  distance: ["sumDistance"],
+  heartRate: ["directHeartRate"],
+  speed: ["directSpeed", "directEnhancedSpeed"],
+  cadence: ["directDoubleCadence", "directRunCadence", "directBikeCadence", "directSwimCadence"],
+  power: ["directPower"],
+  elevation: ["directElevation", "directEnhancedAltitude"],
+  lat: ["directLatitude"],
+  lon: ["directLongitude"],
 };
 
-const STEP_TYPE_MAP = {
-  warmup:   { stepTypeId: 1, stepTypeKey: "warmup", displayOrder: 1 },
-  interval: { stepTypeId: 3, stepTypeKey: "interval", displayOrder: 3 },
-  recovery: { stepTypeId: 4, stepTypeKey: "recovery", displayOrder: 4 },
-  rest:     { stepTypeId: 5, stepTypeKey: "rest", displayOrder: 5 },
-  cooldown: { stepTypeId: 2, stepTypeKey: "cooldown", displayOrder: 2 },
-  other:    { stepTypeId: 7, stepTypeKey: "other", displayOrder: 7 },
-};
+const STREAM_CHANNELS = Object.keys(STREAM_CHANNEL_KEYS);
+// Channels that describe the sample position rather than a measurement: when
+// downsampling they keep the bucket's first value instead of the mean
+const STREAM_AXIS_CHANNELS = new Set(["timestamp", "elapsed", "distance"]);
+const STREAMS_MAX_CHART_SIZE = 20_000;
+const STREAMS_MAX_RESOLUTION = 3600;
 
-function parsePaceToMps(paceStr) {
-  // "5:30" → 5 min 30 sec per km → 330 sec/km → 1000/330 m/s
-  const parts = paceStr.split(":");
-  if (parts.length !== 2) return null;
-  const mins = Number(parts[0]);
-  const secs = Number(parts[1]);
-  if (!Number.isFinite(mins) || !Number.isFinite(secs) || mins < 0 || secs < 0) return null;
-  const totalSec = mins * 60 + secs;
-  if (totalSec <= 0) return null;
-  return 1000 / totalSec;
-}
+function decodeActivityDetails(raw) {
+  const descriptors = Array.isArray(raw?.metricDescriptors) ? raw.metricDescriptors : [];
+  const rows = Array.isArray(raw?.activityDetailMetrics) ? raw.activityDetailMetrics : [];
+  const indexByKey = new Map(descriptors.map((d) => [d?.key, d?.metricsIndex]));
 
-function buildGarminSportType(sport) {
-  return SPORT_TYPE_MAP[sport] || null;
+  const streams = {};
+  // Garmin key each channel was read from, since units can differ by key
+  // (directDoubleCadence is steps/min, directRunCadence strides/min)
+  const sourceKeys = {};
+  for (const [channel, keys] of Object.entries(STREAM_CHANNEL_KEYS)) {
+    const key = keys.find((k) => Number.isInteger(indexByKey.get(k)));
+    if (!key) continue;
+    const index = indexByKey.get(key);
+    const values = rows.map((row) => {
+      const v = row?.metrics?.[index];
+      return Number.isFinite(v) ? v : null;
+    });
+    if (values.some((v) => v !== null)) {
+      streams[channel] = values;
+      sourceKeys[channel] = key;
+    }
+  }
+
+  return { sampleCount: rows.length, streams, sourceKeys };
 }
 
-function buildGarminDuration(duration) {
-  if (!duration || !duration.type) return null;
-  switch (duration.type) {
-    case "time":
-      return {
-        endCondition: { conditionTypeId: 2, conditionTypeKey: "time", displayable: true, displayOrder: 1 },
-        endConditionValue: duration.seconds,
-        endConditionCompare: null,
-        endConditionZone: null,
-        preferredEndConditionUnit: null,
-      };
-    case "distance":
-      return {
-        endCondition: { conditionTypeId: 3, conditionTypeKey: "distance", displayable: true, displayOrder: 3 },
-        endConditionValue: duration.meters,
-        endConditionCompare: null,
-        preferredEndConditionUnit: { unitKey: "kilometer" },
-      };
-    case "calories":
-      return {
-        endCondition: { conditionTypeId: 4, conditionTypeKey: "calories", displayable: true, displayOrder: 4 },
-        endConditionValue: duration.calories,
-        endConditionCompare: null,
-        preferredEndConditionUnit: null,
-      };
-    case "lapButton":
-      return {
-        endCondition: { conditionTypeId: 1, conditionTypeKey: "lap.button", displayable: true, displayOrder: 1 },
-        endConditionValue: null,
-        endConditionCompare: null,
-        preferredEndConditionUnit: null,
-      };
-    case "heartRate":
-      return {
-        endCondition: { conditionTypeId: 6, conditionTypeKey: "heart.rate", displayable: true, displayOrder: 6 },
-        endConditionValue: duration.bpm,
-        endConditionCompare: duration.comparison || "gt",
-        preferredEndConditionUnit: null,
-      };
-    default:
-      return null;
+// Seconds since the first sample, from elapsed time or timestamps; falls back
+// to the sample index when the activity has neither.
+function streamElapsedSeconds(streams, length) {
+  if (streams.elapsed) return streams.elapsed;
+  if (streams.timestamp) {
+    const start = streams.timestamp.find((t) => t !== null);
+    return streams.timestamp.map((t) => (t === null ? null : (t - start) / 1000));
   }
+  return Array.from({ length }, (_, i) => i);
 }
 
-function buildGarminTarget(target) {
-  if (!target || !target.type) return { targetType: { workoutTargetTypeId: 1, workoutTargetTypeKey: "no.target", displayOrder: 1 } };
-  switch (target.type) {
-    case "none":
-      return {
-        targetType: { workoutTargetTypeId: 1, workoutTargetTypeKey: "no.target", displayOrder: 1 },
-      };
-    case "pace": {
-      const minMps = parsePaceToMps(target.minPerKm);
-      const maxMps = parsePaceToMps(target.maxPerKm);
-      if (!minMps || !maxMps) return null;
-      return {
-        targetType: { workoutTargetTypeId: 6, workoutTargetTypeKey: "pace.zone", displayOrder: 6 },
-        targetValueOne: minMps,
-        targetValueTwo: maxMps,
-        targetValueUnit: null,
-      };
+function roundTo(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// Buckets samples into `resolution`-second windows: axis channels keep the
+// bucket's first value, measurements are averaged over their non-null values.
+function downsampleStreams(streams, sampleCount, resolution) {
+  if (!(resolution > 1) || sampleCount === 0) return { sampleCount, streams };
+
+  const seconds = streamElapsedSeconds(streams, sampleCount);
+  const bucketStarts = [];
+  let lastBucket = null;
+  for (let i = 0; i < sampleCount; i++) {
+    if (seconds[i] === null) continue;
+    const bucket = Math.floor(seconds[i] / resolution);
+    if (bucket !== lastBucket) {
+      bucketStarts.push(i);
+      lastBucket = bucket;
     }
-    case "heartRateZone":
-      return {
-        targetType: { workoutTargetTypeId: 4, workoutTargetTypeKey: "heart.rate.zone", displayOrder: 4 },
-        zoneNumber: target.zone,
-      };
-    case "heartRate":
-      return {
-        targetType: { workoutTargetTypeId: 4, workoutTargetTypeKey: "heart.rate.zone", displayOrder: 4 },
-        targetValueOne: target.min,
-        targetValueTwo: target.max,
-        targetValueUnit: null,
-      };
-    case "powerZone":
-      return {
-        targetType: { workoutTargetTypeId: 2, workoutTargetTypeKey: "power.zone", displayOrder: 2 },
-        zoneNumber: target.zone,
-      };
-    case "power":
-      return {
-        targetType: { workoutTargetTypeId: 2, workoutTargetTypeKey: "power.zone", displayOrder: 2 },
-        targetValueOne: target.min,
-        targetValueTwo: target.max,
-      };
-    case "cadence":
-      return {
-        targetType: { workoutTargetTypeId: 3, workoutTargetTypeKey: "cadence", displayOrder: 3 },
-        targetValueOne: target.min,
-        targetValueTwo: target.max,
-        targetValueUnit: null,
-      };
-    default:
-      return null;
   }
+
+  const out = {};
+  for (const [channel, values] of Object.entries(streams)) {
+    out[channel] = bucketStarts.map((start, b) => {
+      const end = b + 1 < bucketStarts.length ? bucketStarts[b + 1] : sampleCount;
+      if (STREAM_AXIS_CHANNELS.has(channel)) return values[start];
+      let sum = 0;
+      let count = 0;
+      for (let i = start; i < end; i++) {
+        if (values[i] !== null) {
+          sum += values[i];
+          count++;
+        }
+      }
+      if (count === 0) return null;
+      return roundTo(sum / count, channel === "lat" || channel === "lon" ? 6 : 2);
+    });
+  }
+
+  return { sampleCount: bucketStarts.length, streams: out };
 }
 
-function buildGarminStep(step, stepId) {
-  const stepType = STEP_TYPE_MAP[step.type];
-  if (!stepType) return null;
-  const duration = buildGarminDuration(step.duration);
-  if (!duration) return null;
-  const target = buildGarminTarget(step.target);
-  if (!target) return null;
+async function fetchActivityStreams(client, activityId) {
+  const url = `https://connectapi.garmin.com/activity-service/activity/${activityId}/details?maxChartSize=${STREAMS_MAX_CHART_SIZE}&maxPolylineSize=0`;
+  const raw = await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+  return decodeActivityDetails(raw);
+}
+
+// --------------------
+// Heart-rate time in zone
+// --------------------
+// Friel's lactate-threshold zones as fractions of LTHR, used when the athlete
+// has no zones configured in Garmin. Time below the zone 1 floor is not counted.
+const LTHR_ZONE_FLOORS = [0.65, 0.85, 0.9, 0.95, 1.0];
+// A sample counts for at most this long: longer gaps to the next sample are a
+// pause or dropout (used for time in zone and the 1 Hz power series)
+const STREAM_MAX_SAMPLE_GAP_S = 30;
 
+// Garmin's per-activity breakdown; optional, so failures resolve to null
+async function fetchGarminHrTimeInZones(client, activityId) {
+  const url = `https://connectapi.garmin.com/activity-service/activity/${activityId}/hrTimeInZones`;
+  return withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS).catch(() => null);
+}
+
+function buildHrZoneGroup(source, floors, seconds) {
+  const total = seconds.reduce((sum, s) => sum + s, 0);
   return {
-    type: "ExecutableStepDTO",
-    stepId,
-    stepOrder: stepId,
-    childStepId: null,
-    description: step.notes || null,
-    stepType,
-    ...duration,
-    ...target,
-    targetValueOne: target.targetValueOne ?? null,
-    targetValueTwo: target.targetValueTwo ?? null,
-    targetValueUnit: target.targetValueUnit ?? null,
-    zoneNumber: target.zoneNumber ?? null,
-    secondaryTargetType: null,
-    secondaryTargetValueOne: null,
-    secondaryTargetValueTwo: null,
-    secondaryTargetValueUnit: null,
-    secondaryZoneNumber: null,
-    strokeType: {},
-    equipmentType: { displayOrder: null, equipmentTypeId: null, equipmentTypeKey: null },
-    exerciseName: null,
-    category: null,
-    workoutProvider: null,
-    providerExerciseSourceId: null,
-    weightValue: null,
-    weightUnit: null,
-    stepAudioNote: null,
+    source,
+    totalSeconds: roundTo(total, 1),
+    zones: floors.map((lowBpm, i) => ({
+      zone: i + 1,
+      lowBpm,
+      highBpm: i + 1 < floors.length ? floors[i + 1] - 1 : null,
+      seconds: roundTo(seconds[i], 1),
+      percent: total > 0 ? roundTo((seconds[i] / total) * 100, 1) : 0,
+    })),
   };
 }
 
-function buildGarminRepeatGroup(step, stepId) {
-  const childSteps = [];
-  let childId = stepId + 1;
-  for (const childStep of step.steps) {
-    const built = buildGarminStep(childStep, childId);
-    if (!built) return null;
-    childSteps.push(built);
-    childId++;
-  }
+// Garmin's hrTimeInZones: [{ zoneNumber, secsInZone, zoneLowBoundary }]
+function hrZonesFromGarmin(raw) {
+  if (!Array.isArray(raw)) return null;
+  const zones = raw
+    .filter((z) => Number.isInteger(z?.zoneNumber) && Number.isFinite(z?.zoneLowBoundary))
+    .sort((a, b) => a.zoneNumber - b.zoneNumber);
+  if (zones.length === 0 || !zones.some((z) => Number.isFinite(z.secsInZone))) return null;
+  return buildHrZoneGroup(
+    "garmin",
+    zones.map((z) => z.zoneLowBoundary),
+    zones.map((z) => (Number.isFinite(z.secsInZone) ? z.secsInZone : 0)),
+  );
+}
 
-  return {
-    type: "RepeatGroupDTO",
-    stepId,
-    stepOrder: stepId,
-    childStepId: null,
-    stepType: { stepTypeId: 6, stepTypeKey: "repeat", displayOrder: 6 },
-    numberOfIterations: step.iterations,
-    workoutSteps: childSteps,
-    // Total IDs consumed: 1 (group) + childSteps.length
-    _nextId: childId,
-  };
+// Picks zone floors from Garmin's heart-rate zone settings: the config for the
+// activity's sport if there is one, else the DEFAULT config.
+function athleteHrZoneFloors(configs, typeKey) {
+  if (!Array.isArray(configs)) return null;
+  const key = String(typeKey || "");
+  const sport = ["running", "cycling", "swimming"].find((s) => key.includes(s))?.toUpperCase();
+  const config = configs.find((c) => sport && c?.sport === sport) || configs.find((c) => c?.sport === "DEFAULT");
+  const floors = [1, 2, 3, 4, 5].map((n) => config?.[`zone${n}Floor`]);
+  const valid = floors.every((f, i) => Number.isFinite(f) && (i === 0 || f > floors[i - 1]));
+  return valid ? floors : null;
 }
 
-function buildGarminWorkout(workout) {
-  const sportType = buildGarminSportType(workout.sport);
-  const steps = [];
-  let stepId = 1;
+function lactateThresholdZoneFloors(lthr) {
+  if (!Number.isFinite(lthr) || lthr <= 0) return null;
+  return LTHR_ZONE_FLOORS.map((f) => Math.round(lthr * f));
+}
 
-  for (const step of workout.steps) {
-    if (step.type === "repeat") {
-      const group = buildGarminRepeatGroup(step, stepId);
-      if (!group) return null;
-      stepId = group._nextId;
-      const { _nextId, ...cleanGroup } = group;
-      steps.push(cleanGroup);
-    } else {
-      const built = buildGarminStep(step, stepId);
-      if (!built) return null;
-      steps.push(built);
-      stepId++;
-    }
+// Seconds per zone from the HR stream: each sample counts until the next one.
+function computeHrTimeInZones(streams, sampleCount, floors) {
+  const hr = streams.heartRate;
+  if (!hr) return null;
+  const seconds = streamElapsedSeconds(streams, sampleCount);
+  const totals = floors.map(() => 0);
+  for (let i = 0; i + 1 < sampleCount; i++) {
+    if (hr[i] === null || seconds[i] === null || seconds[i + 1] === null) continue;
+    const dt = Math.min(seconds[i + 1] - seconds[i], STREAM_MAX_SAMPLE_GAP_S);
+    if (!(dt > 0)) continue;
+    const zone = floors.findLastIndex((floor) => hr[i] >= floor);
+    if (zone >= 0) totals[zone] += dt;
   }
-
-  return {
-    sportType,
-    subSportType: null,
-    workoutName: workout.name,
-    description: workout.description || null,
-    workoutSegments: [{
-      segmentOrder: 1,
-      sportType,
-      workoutSteps: steps,
-    }],
-    estimatedDurationInSecs: 0,
-    estimatedDistanceInMeters: 0,
-    estimateType: null,
-    avgTrainingSpeed: null,
-    estimatedDistanceUnit: { unitKey: null },
-    isWheelchair: false,
-  };
+  return totals;
 }
 
-const VALID_SPORTS = new Set(Object.keys(SPORT_TYPE_MAP));
-const VALID_STEP_TYPES = new Set([...Object.keys(STEP_TYPE_MAP), "repeat"]);
-const VALID_DURATION_TYPES = new Set(["time", "distance", "calories", "lapButton", "heartRate"]);
-const VALID_TARGET_TYPES = new Set(["none", "pace", "heartRateZone", "heartRate", "powerZone", "power", "cadence"]);
+// Garmin's breakdown when present; otherwise computed from the HR stream with
+// the athlete's Garmin zones, falling back to LTHR-based zones. Null when the
+// activity has no heart rate or no zones can be determined. Pass `streams`
+// when already fetched (null = unavailable) to skip fetching them again.
+async function resolveHrZones(client, activityId, flat, rawGarminZones, streams) {
+  const fromGarmin = hrZonesFromGarmin(rawGarminZones);
+  if (fromGarmin) return fromGarmin;
+  if (!Number.isFinite(flat?.averageHR)) return null;
 
-function validateWorkoutStep(step, allowRepeat) {
-  if (!step || typeof step !== "object") return "Each step must be an object";
-  if (!VALID_STEP_TYPES.has(step.type)) {
-    return `Invalid step type "${step.type}". Must be one of: ${[...VALID_STEP_TYPES].join(", ")}`;
+  const zonesUrl = "https://connectapi.garmin.com/biometric-service/heartRateZones";
+  const [decoded, zoneConfigs, settings] = await Promise.all([
+    streams !== undefined ? streams : fetchActivityStreams(client, activityId).catch(() => null),
+    withTimeout(client.get(zonesUrl), GARMIN_API_TIMEOUT_MS).catch(() => null),
+    withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS).catch(() => null),
+  ]);
+  if (!decoded?.streams.heartRate) return null;
+
+  let source = "athleteZones";
+  let floors = athleteHrZoneFloors(zoneConfigs, flat.activityType?.typeKey);
+  if (!floors) {
+    source = "lactateThreshold";
+    floors = lactateThresholdZoneFloors(buildAthleteProfile(settings, null).lactateThresholdHeartRate);
   }
+  if (!floors) return null;
 
-  if (step.type === "repeat") {
-    if (!allowRepeat) return "Nested repeats are not allowed";
-    if (!Number.isFinite(step.iterations) || step.iterations < 1) {
-      return "Repeat iterations must be a positive integer";
-    }
-    if (!Array.isArray(step.steps) || step.steps.length === 0) {
-      return "Repeat must contain at least one step";
-    }
-    for (const child of step.steps) {
-      const err = validateWorkoutStep(child, false);
-      if (err) return err;
-    }
-    return null;
+  return buildHrZoneGroup(source, floors, computeHrTimeInZones(decoded.streams, decoded.sampleCount, floors));
+}
+
+// --------------------
+// Best efforts: power curve + fastest standard distances
+// --------------------
+const BEST_POWER_DURATIONS = [
+  { key: "5s", seconds: 5 },
+  { key: "1m", seconds: 60 },
+  { key: "5m", seconds: 300 },
+  { key: "20m", seconds: 1200 },
+  { key: "60m", seconds: 3600 },
+];
+const BEST_PACE_DISTANCES = [
+  { key: "400m", meters: 400 },
+  { key: "1k", meters: 1000 },
+  { key: "1mi", meters: 1609.344 },
+  { key: "5k", meters: 5000 },
+  { key: "10k", meters: 10000 },
+  { key: "half", meters: 21097.5 },
+];
+// One full-resolution stream download each, WORKOUT_FETCH_CONCURRENCY at a
+// time: five rounds stay within SERVER_TIMEOUT_MS
+const BEST_EFFORTS_MAX_ACTIVITIES = 15;
+
+// 1 Hz power series over elapsed time. Each sample holds until the next one
+// (at most STREAM_MAX_SAMPLE_GAP_S); the rest of a longer gap is zero.
+function resamplePowerPerSecond(streams, sampleCount) {
+  if (!streams.power) return null;
+  const seconds = streamElapsedSeconds(streams, sampleCount);
+  const points = [];
+  for (let i = 0; i < sampleCount; i++) {
+    if (streams.power[i] !== null && seconds[i] !== null) points.push({ t: seconds[i], watts: streams.power[i] });
   }
+  if (points.length === 0) return null;
 
-  // Regular step
-  if (!step.duration || !VALID_DURATION_TYPES.has(step.duration.type)) {
-    return `Invalid duration type. Must be one of: ${[...VALID_DURATION_TYPES].join(", ")}`;
+  const start = points[0].t;
+  const series = new Float64Array(Math.floor(points[points.length - 1].t - start) + 1);
+  for (let k = 0; k < points.length; k++) {
+    const from = Math.round(points[k].t - start);
+    const next = k + 1 < points.length ? Math.round(points[k + 1].t - start) : from + 1;
+    const to = Math.min(next, from + STREAM_MAX_SAMPLE_GAP_S, series.length);
+    for (let sec = from; sec < to; sec++) series[sec] = points[k].watts;
   }
-  if (step.duration.type === "time" && (!Number.isFinite(step.duration.seconds) || step.duration.seconds <= 0)) {
-    return "Time duration requires a positive seconds value";
+  return { start, series };
+}
+
+// Mean-maximal power for each standard duration the activity is long enough for
+function bestPowerEfforts(streams, sampleCount) {
+  const resampled = resamplePowerPerSecond(streams, sampleCount);
+  if (!resampled) return [];
+  const { start, series } = resampled;
+  const prefix = new Float64Array(series.length + 1);
+  for (let i = 0; i < series.length; i++) prefix[i + 1] = prefix[i] + series[i];
+
+  const efforts = [];
+  for (const { key, seconds } of BEST_POWER_DURATIONS) {
+    if (seconds > series.length) break;
+    let best = -1;
+    let at = 0;
+    for (let i = 0; i + seconds <= series.length; i++) {
+      const avg = (prefix[i + seconds] - prefix[i]) / seconds;
+      if (avg > best) {
+        best = avg;
+        at = i;
+      }
+    }
+    efforts.push({ key, seconds, watts: Math.round(best), startElapsed: roundTo(start + at, 1) });
   }
-  if (step.duration.type === "distance" && (!Number.isFinite(step.duration.meters) || step.duration.meters <= 0)) {
-    return "Distance duration requires a positive meters value";
+  return efforts;
+}
+
+// Fastest time over each standard distance, from the cumulative distance
+// stream. The shortest window covering the distance is scaled to the exact
+// distance, since samples rarely land on it.
+function bestPaceEfforts(streams, sampleCount) {
+  if (!streams.distance) return [];
+  const seconds = streamElapsedSeconds(streams, sampleCount);
+  const t = [];
+  const d = [];
+  for (let i = 0; i < sampleCount; i++) {
+    const dist = streams.distance[i];
+    if (dist === null || seconds[i] === null) continue;
+    if (d.length > 0 && dist < d[d.length - 1]) continue;
+    t.push(seconds[i]);
+    d.push(dist);
   }
-  if (step.duration.type === "calories" && (!Number.isFinite(step.duration.calories) || step.duration.calories <= 0)) {
-    return "Calories duration requires a positive calories value";
+  const covered = d.length > 0 ? d[d.length - 1] - d[0] : 0;
+
+  const efforts = [];
+  for (const { key, meters } of BEST_PACE_DISTANCES) {
+    if (meters > covered) break;
+    let best = Infinity;
+    let at = 0;
+    let i = 0;
+    for (let j = 1; j < d.length; j++) {
+      while (i + 1 < j && d[j] - d[i + 1] >= meters) i++;
+      const span = d[j] - d[i];
+      if (span < meters) continue;
+      const time = (t[j] - t[i]) * (meters / span);
+      if (time > 0 && time < best) {
+        best = time;
+        at = t[i];
+      }
+    }
+    if (best === Infinity) continue;
+    efforts.push({ key, meters, seconds: roundTo(best, 1), speed: roundTo(meters / best, 3), startElapsed: roundTo(at, 1) });
   }
-  if (step.duration.type === "heartRate") {
-    if (!Number.isFinite(step.duration.bpm) || step.duration.bpm <= 0) {
-      return "Heart rate duration requires a positive bpm value";
+  return efforts;
+}
+
+// The workout's bestEfforts group; null when streams are unavailable
+function buildBestEfforts(decoded) {
+  if (!decoded || decoded.sampleCount === 0) return null;
+  return {
+    power: bestPowerEfforts(decoded.streams, decoded.sampleCount),
+    pace: bestPaceEfforts(decoded.streams, decoded.sampleCount),
+  };
+}
+
+// Keeps the best effort per key across activities (highest watts, lowest
+// seconds), tagged with the activity it came from, in standard order.
+function aggregateBestEfforts(perActivity) {
+  const power = new Map();
+  const pace = new Map();
+  for (const { activity, efforts } of perActivity) {
+    const source = {
+      activityId: activity.activityId,
+      activityName: activity.activityName ?? null,
+      date: activityLocalDate(activity),
+    };
+    for (const e of efforts.power) {
+      if (!power.has(e.key) || e.watts > power.get(e.key).watts) power.set(e.key, { ...e, ...source });
     }
-    if (step.duration.comparison && step.duration.comparison !== "gt" && step.duration.comparison !== "lt") {
-      return 'Heart rate duration comparison must be "gt" or "lt"';
+    for (const e of efforts.pace) {
+      if (!pace.has(e.key) || e.seconds < pace.get(e.key).seconds) pace.set(e.key, { ...e, ...source });
     }
   }
+  return {
+    power: BEST_POWER_DURATIONS.filter(({ key }) => power.has(key)).map(({ key }) => power.get(key)),
+    pace: BEST_PACE_DISTANCES.filter(({ key }) => pace.has(key)).map(({ key }) => pace.get(key)),
+  };
+}
 
-  if (!step.target || !VALID_TARGET_TYPES.has(step.target.type)) {
-    return `Invalid target type. Must be one of: ${[...VALID_TARGET_TYPES].join(", ")}`;
+// --------------------
+// Activity export (GPX / TCX)
+// --------------------
+const EXPORT_FORMATS = {
+  gpx: { contentType: "application/gpx+xml", build: buildGpx },
+  tcx: { contentType: "application/vnd.garmin.tcx+xml", build: buildTcx },
+};
+const EXPORT_RESPONSE_MODES = new Set(["file", "json"]);
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function isoTime(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+function exportSport(typeKey) {
+  const key = String(typeKey || "");
+  if (key.includes("running")) return "Running";
+  if (key.includes("cycling") || key.includes("biking")) return "Biking";
+  return "Other";
+}
+
+// Normalizes activity detail, splits laps and decoded streams into laps of
+// trackpoints. Samples are assigned to the lap whose start precedes them;
+// without lap data the whole activity becomes one lap.
+function buildExportTrack(flat, laps, decoded) {
+  const { sampleCount, streams, sourceKeys = {} } = decoded;
+  const startMs = activityStartMs(flat) ?? streams.timestamp?.find((t) => t !== null) ?? 0;
+  const value = (channel, i) => streams[channel]?.[i] ?? null;
+
+  const points = [];
+  for (let i = 0; i < sampleCount; i++) {
+    const elapsed = value("elapsed", i);
+    const time = value("timestamp", i) ?? (elapsed !== null ? startMs + elapsed * 1000 : null);
+    if (time === null) continue;
+    points.push({
+      time,
+      lat: value("lat", i),
+      lon: value("lon", i),
+      elevation: value("elevation", i),
+      distance: value("distance", i),
+      heartRate: value("heartRate", i),
+      cadence: value("cadence", i),
+      speed: value("speed", i),
+      power: value("power", i),
+    });
   }
-  if (step.target.type === "pace") {
-    if (!parsePaceToMps(step.target.minPerKm || "")) return "Pace target requires valid minPerKm (e.g. \"5:30\")";
-    if (!parsePaceToMps(step.target.maxPerKm || "")) return "Pace target requires valid maxPerKm (e.g. \"5:00\")";
+
+  const lapSource = laps.length > 0 ? laps : [flat];
+  const exportLaps = lapSource.map((lap, i) => ({
+    startMs: i === 0 && laps.length === 0 ? startMs : activityStartMs(lap) ?? startMs,
+    duration: lap.duration ?? null,
+    distance: lap.distance ?? null,
+    calories: lap.calories ?? null,
+    averageHR: lap.averageHR ?? null,
+    maxHR: lap.maxHR ?? null,
+    maxSpeed: lap.maxSpeed ?? null,
+    intensity: lap.intensityType === "REST" ? "Resting" : "Active",
+    points: [],
+  }));
+  let lapIndex = 0;
+  for (const point of points) {
+    while (lapIndex + 1 < exportLaps.length && point.time >= exportLaps[lapIndex + 1].startMs) lapIndex++;
+    exportLaps[lapIndex].points.push(point);
   }
-  if (step.target.type === "heartRateZone") {
-    if (!Number.isFinite(step.target.zone) || step.target.zone < 1 || step.target.zone > 5) {
-      return "Heart rate zone must be 1-5";
+
+  return {
+    name: flat.activityName || `Activity ${flat.activityId ?? ""}`.trim(),
+    typeKey: flat.activityType?.typeKey || null,
+    sport: exportSport(flat.activityType?.typeKey),
+    startMs,
+    laps: exportLaps,
+    hasGps: points.some((p) => p.lat !== null && p.lon !== null),
+    cadenceInSteps: sourceKeys.cadence === "directDoubleCadence",
+  };
+}
+
+// GPX requires coordinates on every trackpoint, so points without a fix are
+// skipped; indoor activities export as a track with no segments.
+function buildGpx(track) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="garmin-node-service" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">',
+    `  <metadata><name>${escapeXml(track.name)}</name><time>${isoTime(track.startMs)}</time></metadata>`,
+    "  <trk>",
+    `    <name>${escapeXml(track.name)}</name>`,
+  ];
+  if (track.typeKey) lines.push(`    <type>${escapeXml(track.typeKey)}</type>`);
+
+  for (const lap of track.laps) {
+    const located = lap.points.filter((p) => p.lat !== null && p.lon !== null);
+    if (located.length === 0) continue;
+    lines.push("    <trkseg>");
+    for (const p of located) {
+      lines.push(`      <trkpt lat="${p.lat}" lon="${p.lon}">`);
+      if (p.elevation !== null) lines.push(`        <ele>${roundTo(p.elevation, 1)}</ele>`);
+      lines.push(`        <time>${isoTime(p.time)}</time>`);
+      if (p.heartRate !== null || p.cadence !== null) {
+        lines.push("        <extensions><gpxtpx:TrackPointExtension>");
+        if (p.heartRate !== null) lines.push(`          <gpxtpx:hr>${Math.round(p.heartRate)}</gpxtpx:hr>`);
+        if (p.cadence !== null) lines.push(`          <gpxtpx:cad>${Math.round(p.cadence)}</gpxtpx:cad>`);
+        lines.push("        </gpxtpx:TrackPointExtension></extensions>");
+      }
+      lines.push("      </trkpt>");
     }
+    lines.push("    </trkseg>");
   }
-  if (step.target.type === "heartRate") {
-    if (!Number.isFinite(step.target.min) || !Number.isFinite(step.target.max)) {
-      return "Heart rate target requires min and max BPM values";
+
+  lines.push("  </trk>", "</gpx>", "");
+  return lines.join("\n");
+}
+
+// TCX trackpoints may omit Position, so indoor activities keep time, HR,
+// distance, cadence and power. Running cadence goes in the RunCadence
+// extension (strides/min) since <Cadence> is bike rpm; steps/min is halved.
+function buildTcx(track) {
+  const running = track.sport === "Running";
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">',
+    "  <Activities>",
+    `    <Activity Sport="${track.sport}">`,
+    `      <Id>${isoTime(track.startMs)}</Id>`,
+  ];
+
+  for (const lap of track.laps) {
+    lines.push(`      <Lap StartTime="${isoTime(lap.startMs)}">`);
+    lines.push(`        <TotalTimeSeconds>${roundTo(lap.duration ?? 0, 1)}</TotalTimeSeconds>`);
+    lines.push(`        <DistanceMeters>${roundTo(lap.distance ?? 0, 1)}</DistanceMeters>`);
+    if (lap.maxSpeed !== null) lines.push(`        <MaximumSpeed>${roundTo(lap.maxSpeed, 3)}</MaximumSpeed>`);
+    lines.push(`        <Calories>${Math.round(lap.calories ?? 0)}</Calories>`);
+    if (lap.averageHR !== null) {
+      lines.push(`        <AverageHeartRateBpm><Value>${Math.round(lap.averageHR)}</Value></AverageHeartRateBpm>`);
     }
-  }
-  if (step.target.type === "powerZone") {
-    if (!Number.isFinite(step.target.zone) || step.target.zone < 1) {
-      return "Power zone must be a positive integer";
+    if (lap.maxHR !== null) {
+      lines.push(`        <MaximumHeartRateBpm><Value>${Math.round(lap.maxHR)}</Value></MaximumHeartRateBpm>`);
     }
-  }
-  if (step.target.type === "power") {
-    if (!Number.isFinite(step.target.min) || !Number.isFinite(step.target.max)) {
-      return "Power target requires min and max watt values";
+    lines.push(`        <Intensity>${lap.intensity}</Intensity>`);
+    lines.push("        <TriggerMethod>Manual</TriggerMethod>");
+    lines.push("        <Track>");
+    for (const p of lap.points) {
+      lines.push("          <Trackpoint>");
+      lines.push(`            <Time>${isoTime(p.time)}</Time>`);
+      if (p.lat !== null && p.lon !== null) {
+        lines.push(`            <Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lon}</LongitudeDegrees></Position>`);
+      }
+      if (p.elevation !== null) lines.push(`            <AltitudeMeters>${roundTo(p.elevation, 1)}</AltitudeMeters>`);
+      if (p.distance !== null) lines.push(`            <DistanceMeters>${roundTo(p.distance, 1)}</DistanceMeters>`);
+      if (p.heartRate !== null) {
+        lines.push(`            <HeartRateBpm><Value>${Math.round(p.heartRate)}</Value></HeartRateBpm>`);
+      }
+      if (p.cadence !== null && !running) lines.push(`            <Cadence>${Math.round(p.cadence)}</Cadence>`);
+      const ext = [];
+      if (p.speed !== null) ext.push(`<ns3:Speed>${roundTo(p.speed, 3)}</ns3:Speed>`);
+      if (p.cadence !== null && running) {
+        const strides = track.cadenceInSteps ? p.cadence / 2 : p.cadence;
+        ext.push(`<ns3:RunCadence>${Math.round(strides)}</ns3:RunCadence>`);
+      }
+      if (p.power !== null) ext.push(`<ns3:Watts>${Math.round(p.power)}</ns3:Watts>`);
+      if (ext.length > 0) lines.push(`            <Extensions><ns3:TPX>${ext.join("")}</ns3:TPX></Extensions>`);
+      lines.push("          </Trackpoint>");
     }
+    lines.push("        </Track>");
+    lines.push("      </Lap>");
   }
-  if (step.target.type === "cadence") {
-    if (!Number.isFinite(step.target.min) || !Number.isFinite(step.target.max)) {
-      return "Cadence target requires min and max values";
+
+  lines.push("    </Activity>", "  </Activities>", "</TrainingCenterDatabase>", "");
+  return lines.join("\n");
+}
+
+// --------------------
+// Original FIT file: zip extraction + decoding
+// --------------------
+const FIT_CONTENT_TYPE = "application/vnd.ant.fit";
+const FIT_MESSAGE_TYPES = ["session", "lap", "record", "event", "hrv"];
+
+// Garmin serves the original upload as a zip; FIT files are passed through as-is.
+function isFitBuffer(buffer) {
+  return buffer.length >= 12 && buffer.toString("ascii", 8, 12) === ".FIT";
+}
+
+function listZipEntries(buffer) {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
     }
   }
+  if (eocd < 0) throw new Error("end of central directory not found");
 
-  return null;
+  const entries = [];
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("bad central directory entry");
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      name: buffer.toString("utf8", offset + 46, offset + 46 + nameLength),
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
 }
 
-function validateWorkoutPayload(workout) {
-  if (!workout || typeof workout !== "object") return { ok: false, error: "Missing workout object" };
-  if (!workout.name || typeof workout.name !== "string" || !workout.name.trim()) {
-    return { ok: false, error: "Workout name is required" };
+function readZipEntry(buffer, entry) {
+  const local = entry.localOffset;
+  if (buffer.readUInt32LE(local) !== 0x04034b50) throw new Error("bad local file header");
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`unsupported compression method ${entry.method}`);
+}
+
+// Returns { filename, data } for the FIT file inside Garmin's original-file
+// download. Activities uploaded as GPX/TCX have no FIT original → 422.
+function extractOriginalFit(raw, activityId) {
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(raw ?? []);
+  if (isFitBuffer(buffer)) return { filename: `${activityId}.fit`, data: buffer };
+
+  let entries;
+  try {
+    entries = listZipEntries(buffer);
+  } catch (e) {
+    throw new RequestError(502, `Garmin returned an unreadable archive: ${e.message}`);
   }
-  if (!VALID_SPORTS.has(workout.sport)) {
-    return { ok: false, error: `Invalid sport "${workout.sport}". Must be one of: ${[...VALID_SPORTS].join(", ")}` };
+  const entry = entries.find((e) => /\.fit$/i.test(e.name));
+  if (!entry) {
+    const names = entries.map((e) => e.name).join(", ") || "empty archive";
+    throw new RequestError(422, `Original file is not a FIT file (${names})`);
   }
-  if (!Array.isArray(workout.steps) || workout.steps.length === 0) {
-    return { ok: false, error: "Workout must contain at least one step" };
+  try {
+    return { filename: entry.name, data: readZipEntry(buffer, entry) };
+  } catch (e) {
+    throw new RequestError(502, `Garmin returned an unreadable archive: ${e.message}`);
   }
-  for (let i = 0; i < workout.steps.length; i++) {
-    const err = validateWorkoutStep(workout.steps[i], true);
-    if (err) return { ok: false, error: `Step ${i + 1}: ${err}` };
+}
+
+async function fetchOriginalFit(client, activityId) {
+  const url = `https://connectapi.garmin.com/download-service/files/activity/${activityId}`;
+  const raw = await withTimeout(client.get(url, { responseType: "arraybuffer" }), GARMIN_API_TIMEOUT_MS);
+  return extractOriginalFit(raw, activityId);
+}
+
+const FIT_EPOCH_MS = Date.UTC(1989, 11, 31);
+
+// Keyed by base type number (low 5 bits of the base type byte).
+const FIT_BASE_TYPES = {
+  0: { size: 1, read: "readUInt8", invalid: 0xff },
+  1: { size: 1, read: "readInt8", invalid: 0x7f },
+  2: { size: 1, read: "readUInt8", invalid: 0xff },
+  3: { size: 2, read: "readInt16", invalid: 0x7fff },
+  4: { size: 2, read: "readUInt16", invalid: 0xffff },
+  5: { size: 4, read: "readInt32", invalid: 0x7fffffff },
+  6: { size: 4, read: "readUInt32", invalid: 0xffffffff },
+  7: { size: 1, string: true },
+  8: { size: 4, read: "readFloat", invalid: null },
+  9: { size: 8, read: "readDouble", invalid: null },
+  10: { size: 1, read: "readUInt8", invalid: 0 },
+  11: { size: 2, read: "readUInt16", invalid: 0 },
+  12: { size: 4, read: "readUInt32", invalid: 0 },
+  13: { size: 1, read: "readUInt8", invalid: 0xff },
+  14: { size: 8, read: "readBigInt64", invalid: 0x7fffffffffffffffn },
+  15: { size: 8, read: "readBigUInt64", invalid: 0xffffffffffffffffn },
+  16: { size: 8, read: "readBigUInt64", invalid: 0n },
+};
+
+const FIT_SPORTS = {
+  0: "generic", 1: "running", 2: "cycling", 3: "transition", 4: "fitness_equipment", 5: "swimming",
+  10: "training", 11: "walking", 12: "cross_country_skiing", 15: "rowing", 17: "hiking", 18: "multisport",
+  19: "paddling",
+};
+const FIT_EVENTS = {
+  0: "timer", 3: "workout", 4: "workout_step", 5: "power_down", 6: "power_up", 7: "off_course",
+  8: "session", 9: "lap", 10: "course_point", 11: "battery", 21: "recovery_hr", 22: "battery_low",
+  26: "activity", 27: "fitness_equipment", 28: "length", 32: "user_marker", 33: "sport_point",
+};
+const FIT_EVENT_TYPES = {
+  0: "start", 1: "stop", 3: "marker", 4: "stop_all", 8: "stop_disable", 9: "stop_disable_all",
+};
+const FIT_INTENSITIES = { 0: "active", 1: "rest", 2: "warmup", 3: "cooldown", 4: "recovery", 5: "interval", 6: "other" };
+const FIT_LAP_TRIGGERS = {
+  0: "manual", 1: "time", 2: "distance", 3: "position_start", 4: "position_lap", 5: "position_waypoint",
+  6: "position_marked", 7: "session_end", 8: "fitness_equipment",
+};
+
+// Field specs: name, or [name, scale, offset], or [name, "time" | "position"],
+// or [name, enumMap]. Scaled values come out in SI units (m, m/s, s).
+const FIT_MESSAGES = {
+  0: {
+    name: "fileId",
+    fields: { 0: "type", 1: "manufacturer", 2: "product", 3: "serialNumber", 4: ["timeCreated", "time"] },
+  },
+  18: {
+    name: "session",
+    fields: {
+      253: ["timestamp", "time"], 254: "messageIndex", 0: ["event", FIT_EVENTS], 1: ["eventType", FIT_EVENT_TYPES],
+      2: ["startTime", "time"], 3: ["startPositionLat", "position"], 4: ["startPositionLong", "position"],
+      5: ["sport", FIT_SPORTS], 6: "subSport", 7: ["totalElapsedTime", 1000], 8: ["totalTimerTime", 1000],
+      9: ["totalDistance", 100], 11: "totalCalories", 14: ["avgSpeed", 1000], 15: ["maxSpeed", 1000],
+      16: "avgHeartRate", 17: "maxHeartRate", 18: "avgCadence", 19: "maxCadence", 20: "avgPower",
+      21: "maxPower", 22: "totalAscent", 23: "totalDescent", 24: ["totalTrainingEffect", 10],
+      25: "firstLapIndex", 26: "numLaps", 34: "normalizedPower", 35: ["trainingStressScore", 10],
+      36: ["intensityFactor", 1000], 124: ["enhancedAvgSpeed", 1000], 125: ["enhancedMaxSpeed", 1000],
+      137: ["totalAnaerobicTrainingEffect", 10],
+    },
+  },
+  19: {
+    name: "lap",
+    fields: {
+      253: ["timestamp", "time"], 254: "messageIndex", 0: ["event", FIT_EVENTS], 1: ["eventType", FIT_EVENT_TYPES],
+      2: ["startTime", "time"], 3: ["startPositionLat", "position"], 4: ["startPositionLong", "position"],
+      5: ["endPositionLat", "position"], 6: ["endPositionLong", "position"], 7: ["totalElapsedTime", 1000],
+      8: ["totalTimerTime", 1000], 9: ["totalDistance", 100], 11: "totalCalories", 13: ["avgSpeed", 1000],
+      14: ["maxSpeed", 1000], 15: "avgHeartRate", 16: "maxHeartRate", 17: "avgCadence", 18: "maxCadence",
+      19: "avgPower", 20: "maxPower", 21: "totalAscent", 22: "totalDescent", 23: ["intensity", FIT_INTENSITIES],
+      24: ["lapTrigger", FIT_LAP_TRIGGERS], 25: ["sport", FIT_SPORTS], 110: ["enhancedAvgSpeed", 1000],
+      111: ["enhancedMaxSpeed", 1000],
+    },
+  },
+  20: {
+    name: "record",
+    fields: {
+      253: ["timestamp", "time"], 0: ["positionLat", "position"], 1: ["positionLong", "position"],
+      2: ["altitude", 5, 500], 3: "heartRate", 4: "cadence", 5: ["distance", 100], 6: ["speed", 1000],
+      7: "power", 13: "temperature", 39: ["verticalOscillation", 10], 41: ["stanceTime", 10],
+      53: ["fractionalCadence", 128], 73: ["enhancedSpeed", 1000], 78: ["enhancedAltitude", 5, 500],
+      85: ["stepLength", 10],
+    },
+  },
+  21: {
+    name: "event",
+    fields: {
+      253: ["timestamp", "time"], 0: ["event", FIT_EVENTS], 1: ["eventType", FIT_EVENT_TYPES], 2: "data16",
+      3: "data", 4: "eventGroup",
+    },
+  },
+  78: { name: "hrv", fields: { 0: ["time", 1000] } },
+};
+
+function decodeFitValue(spec, raw) {
+  if (typeof spec === "string") return raw;
+  const [, kind, offset = 0] = spec;
+  if (kind === "time") return new Date(FIT_EPOCH_MS + raw * 1000).toISOString();
+  if (kind === "position") return roundTo(raw * (180 / 2 ** 31), 7);
+  if (typeof kind === "number") return roundTo(raw / kind - offset, 3);
+  return kind[raw] ?? raw;
+}
+
+function readFitField(buffer, pos, field, littleEndian) {
+  const base = FIT_BASE_TYPES[field.baseType & 0x1f];
+  if (!base) return null;
+  if (base.string) {
+    const bytes = buffer.subarray(pos, pos + field.size);
+    const nul = bytes.indexOf(0);
+    const text = bytes.toString("utf8", 0, nul < 0 ? bytes.length : nul);
+    return text === "" ? null : text;
   }
-  return { ok: true };
+  const method = base.size > 1 ? base.read + (littleEndian ? "LE" : "BE") : base.read;
+  const values = [];
+  for (let i = 0; i + base.size <= field.size; i += base.size) {
+    let value = buffer[method](pos + i);
+    const invalid = base.invalid === null ? Number.isNaN(value) : value === base.invalid;
+    if (typeof value === "bigint") value = Number(value);
+    values.push(invalid ? null : value);
+  }
+  if (values.length === 1) return values[0];
+  return values.every((v) => v === null) ? null : values;
 }
 
-// --------------------
-// Health + Debug routes
-// --------------------
-app.get("/health", (req, res) => res.json({ ok: true }));
+// Decodes the messages this service uses (file_id, session, lap, record,
+// event, hrv) into camelCase objects. Everything else is skipped; developer
+// fields are skipped by size. Throws on structural damage.
+function parseFitFile(buffer) {
+  if (!isFitBuffer(buffer)) throw new Error("missing .FIT signature");
+  const headerSize = buffer[0];
+  const end = headerSize + buffer.readUInt32LE(4);
+  if (end > buffer.length) throw new Error("file is truncated");
 
-app.get("/debug/auth", requireApiKey, (req, res) => {
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
-  res.json({
-    hasEnvApiKey: Boolean(process.env.API_KEY),
-    envApiKeyLength: process.env.API_KEY?.length ?? 0,
-    gotAuthHeader: Boolean(auth),
-    authPrefix: auth.slice(0, 7), // should be "Bearer "
-    gotTokenLength: token.length,
-    tokenFirst8: token.slice(0, 8),
-  });
-});
+  const result = { fileId: [] };
+  for (const type of FIT_MESSAGE_TYPES) result[type] = [];
+  const definitions = new Map();
+  let lastTimestamp = null;
+  let pos = headerSize;
 
-app.post("/debug/body", requireApiKey, (req, res) => {
-  res.json({
-    contentType: req.headers["content-type"] || null,
-    body: req.body,
-    keys: req.body ? Object.keys(req.body) : null,
-  });
-});
+  while (pos < end) {
+    const header = buffer[pos++];
+    let local;
+    let compressedTimestamp = null;
 
-// Useful to verify what route Express thinks you hit
-app.all("/debug/route", requireApiKey, (req, res) => {
-  res.json({
-    ok: true,
-    method: req.method,
-    path: req.path,
-    originalUrl: req.originalUrl,
-    contentType: req.headers["content-type"] || null,
-    hasBody: Boolean(req.body && Object.keys(req.body).length),
-    bodyKeys: req.body ? Object.keys(req.body) : [],
-  });
-});
+    if (header & 0x80) {
+      local = (header >> 5) & 0x03;
+      if (lastTimestamp === null) throw new Error("compressed timestamp before any timestamp");
+      const offset = header & 0x1f;
+      compressedTimestamp = lastTimestamp - (lastTimestamp % 32) + offset;
+      if (offset < lastTimestamp % 32) compressedTimestamp += 32;
+    } else if (header & 0x40) {
+      const littleEndian = buffer[pos + 1] === 0;
+      const globalNum = littleEndian ? buffer.readUInt16LE(pos + 2) : buffer.readUInt16BE(pos + 2);
+      const fieldCount = buffer[pos + 4];
+      pos += 5;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++, pos += 3) {
+        fields.push({ num: buffer[pos], size: buffer[pos + 1], baseType: buffer[pos + 2] });
+      }
+      let devSize = 0;
+      if (header & 0x20) {
+        const devCount = buffer[pos++];
+        for (let i = 0; i < devCount; i++, pos += 3) devSize += buffer[pos + 1];
+      }
+      definitions.set(header & 0x0f, { globalNum, littleEndian, fields, devSize });
+      continue;
+    } else {
+      local = header & 0x0f;
+    }
 
-// Do NOT instantiate GarminConnect here (constructor needs creds).
-app.get("/debug/garmin-methods", requireApiKey, (req, res) => {
-  try {
-    const proto = GarminConnect?.prototype;
-    const methods = proto
-      ? Object.getOwnPropertyNames(proto).filter(
-          (k) => k !== "constructor" && typeof proto[k] === "function"
-        )
-      : [];
+    const def = definitions.get(local);
+    if (!def) throw new Error(`data message for undefined local type ${local} at byte ${pos - 1}`);
+    const raw = {};
+    for (const field of def.fields) {
+      raw[field.num] = readFitField(buffer, pos, field, def.littleEndian);
+      pos += field.size;
+    }
+    pos += def.devSize;
+    if (pos > end) throw new Error("message runs past end of data");
 
-    res.json({
-      ok: true,
-      typeofGarminConnect: typeof GarminConnect,
-      hasPrototype: Boolean(proto),
-      methodsCount: methods.length,
-      methods,
-    });
-  } catch (err) {
-    res.status(500).json({ ok: false, error: err?.message || String(err) });
+    if (compressedTimestamp !== null) raw[253] = compressedTimestamp;
+    if (Number.isFinite(raw[253])) lastTimestamp = raw[253];
+
+    const profile = FIT_MESSAGES[def.globalNum];
+    if (!profile) continue;
+    const message = {};
+    for (const [num, spec] of Object.entries(profile.fields)) {
+      const value = raw[num];
+      if (value === undefined || value === null) continue;
+      const name = typeof spec === "string" ? spec : spec[0];
+      message[name] = Array.isArray(value)
+        ? value.map((v) => (v === null ? null : decodeFitValue(spec, v)))
+        : decodeFitValue(spec, value);
+    }
+    result[profile.name].push(message);
   }
-});
 
-// Optional: show what the module exports look like
-app.get("/debug/garmin-exports", requireApiKey, (req, res) => {
-  res.json({
-    ok: true,
-    typeofPkg: typeof pkg,
-    keys: pkg ? Object.keys(pkg) : [],
-    mention: "GarminConnect should be one of the keys above.",
-  });
-});
+  return result;
+}
 
 // --------------------
-// Debug: ECHO activityId (proves what server receives)
-// Body: { activityId } (plus anything else)
+// Training load analytics
 // --------------------
-app.post("/debug/activity-id", requireApiKey, (req, res) => {
-  const parsed = parseActivityIdFromBody(req.body);
-  return res.json({
-    ok: true,
-    receivedKeys: Object.keys(req.body || {}),
-    activityIdRaw: parsed.activityIdRaw,
-    activityIdRawType: parsed.activityIdRawType,
-    parsedActivityId: parsed.activityId,
-    parsedActivityIdType: parsed.activityId ? typeof parsed.activityId : null,
-  });
-});
+const LOAD_DEFAULT_DAYS = 90;
+const LOAD_MAX_DAYS = 365;
+const LOAD_ACUTE_DAYS = 7;
+const LOAD_CHRONIC_DAYS = 28;
+const CTL_TIME_CONSTANT = 42;
+const ATL_TIME_CONSTANT = 7;
+// Extra history fetched before the requested window so rolling averages and
+// CTL start from real data instead of zero
+const LOAD_WARMUP_DAYS = CTL_TIME_CONSTANT;
+// Used for TRIMP when Garmin has no HR settings for the athlete
+const TRIMP_DEFAULT_RESTING_HR = 60;
+const TRIMP_DEFAULT_MAX_HR = 190;
 
-// --------------------
-// Debug: Probe Garmin API for individual lap/split data
-// (temporary — remove after discovering the response structure)
-// --------------------
-app.post("/debug/garmin-splits", requireApiKey, (req, res) => {
-  const parsed = parseActivityIdFromBody(req.body);
-  if (!parsed.ok) {
-    return res.status(400).json({ ok: false, error: "Invalid activityId" });
+// Resting/max HR and sex for TRIMP: Garmin's DEFAULT heart-rate zone config,
+// then 220 - age, then defaults.
+function trimpParams(zoneConfigs, userSettings) {
+  const config = Array.isArray(zoneConfigs) ? zoneConfigs.find((c) => c?.sport === "DEFAULT") || zoneConfigs[0] : null;
+  const profile = buildAthleteProfile(userSettings, null);
+  const maxHR = Number.isFinite(config?.maxHeartRateUsed)
+    ? config.maxHeartRateUsed
+    : Number.isFinite(profile.age)
+      ? 220 - profile.age
+      : TRIMP_DEFAULT_MAX_HR;
+  const restingHR = Number.isFinite(config?.restingHeartRate) ? config.restingHeartRate : TRIMP_DEFAULT_RESTING_HR;
+  return { restingHR, maxHR, female: profile.gender === "FEMALE" };
+}
+
+// Banister TRIMP: minutes x HR reserve fraction x sex-specific weighting
+function computeTrimp(durationSec, averageHR, { restingHR, maxHR, female }) {
+  if (!Number.isFinite(durationSec) || !Number.isFinite(averageHR) || maxHR <= restingHR) return null;
+  const reserve = Math.min(Math.max((averageHR - restingHR) / (maxHR - restingHR), 0), 1);
+  const weight = female ? 0.86 * Math.exp(1.67 * reserve) : 0.64 * Math.exp(1.92 * reserve);
+  return roundTo((durationSec / 60) * reserve * weight, 1);
+}
+
+// Load for one activity: Garmin's activityTrainingLoad, else TRIMP (when
+// trimp params are given), else none.
+function activityLoad(activity, trimp) {
+  if (Number.isFinite(activity?.activityTrainingLoad)) {
+    return { load: activity.activityTrainingLoad, source: "garmin" };
   }
+  const value = trimp ? computeTrimp(activity?.duration, activity?.averageHR, trimp) : null;
+  return value === null ? { load: 0, source: "none" } : { load: value, source: "trimp" };
+}
 
-  return withGarminToken(req, res, async (client) => {
-    const id = parsed.activityId;
+// Daily load from firstDate to endDate with rolling acute (7-day) and chronic
+// (28-day) averages, ACWR, and the CTL/ATL/TSB model. TSB is the day's form
+// going in: yesterday's CTL minus yesterday's ATL.
+function buildLoadSeries(activities, firstDate, endDate, trimp) {
+  const daily = new Map();
+  const sources = { garmin: 0, trimp: 0, none: 0 };
+  for (const activity of activities) {
+    const date = activityLocalDate(activity);
+    if (!date || date < firstDate || date > endDate) continue;
+    const { load, source } = activityLoad(activity, trimp);
+    sources[source]++;
+    const day = daily.get(date) || { load: 0, activities: 0 };
+    day.load += load;
+    day.activities++;
+    daily.set(date, day);
+  }
+
+  const series = [];
+  const loads = [];
+  let ctl = 0;
+  let atl = 0;
+  for (let date = firstDate; date <= endDate; date = shiftDate(date, 1)) {
+    const day = daily.get(date) || { load: 0, activities: 0 };
+    loads.push(day.load);
+    const tsb = ctl - atl;
+    ctl += (day.load - ctl) / CTL_TIME_CONSTANT;
+    atl += (day.load - atl) / ATL_TIME_CONSTANT;
+    const mean = (n) => loads.slice(-n).reduce((sum, v) => sum + v, 0) / n;
+    const acute = mean(LOAD_ACUTE_DAYS);
+    const chronic = mean(LOAD_CHRONIC_DAYS);
+    series.push({
+      date,
+      load: roundTo(day.load, 1),
+      activities: day.activities,
+      acuteLoad: roundTo(acute, 1),
+      chronicLoad: roundTo(chronic, 1),
+      acwr: chronic > 0 ? roundTo(acute / chronic, 2) : null,
+      ctl: roundTo(ctl, 1),
+      atl: roundTo(atl, 1),
+      tsb: roundTo(tsb, 1),
+    });
+  }
+  return { series, sources };
+}
+
+// --------------------
+// Weekly / monthly summaries
+// --------------------
+const SUMMARY_PERIODS = {
+  week: { countKey: "weeks", defaultCount: 4, maxCount: 52 },
+  month: { countKey: "months", defaultCount: 3, maxCount: 24 },
+};
+const SUMMARY_WEEK_STARTS = { monday: 1, sunday: 0 };
+
+// Sport family for grouping: the list's parent type (trail_running → running),
+// else the activity's own typeKey
+function activitySportKey(activity) {
+  const type = activity?.activityType || {};
+  if (Object.hasOwn(ACTIVITY_PARENT_TYPE_IDS, type.typeKey)) return type.typeKey;
+  const parent = Object.keys(ACTIVITY_PARENT_TYPE_IDS).find((k) => ACTIVITY_PARENT_TYPE_IDS[k] === type.parentTypeId);
+  return parent || type.typeKey || "other";
+}
+
+// First day (YYYY-MM-DD) of the period containing `date`
+function summaryPeriodStart(date, period, weekStart) {
+  if (period === "month") return `${date.slice(0, 7)}-01`;
+  const dow = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return shiftDate(date, -((dow - weekStart + 7) % 7));
+}
+
+function nextSummaryPeriod(start, period) {
+  if (period === "week") return shiftDate(start, 7);
+  const d = new Date(`${start}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+function emptySummaryTotals() {
+  return {
+    sessions: 0,
+    distance: 0,
+    duration: 0,
+    elevationGain: 0,
+    load: 0,
+    intensityMinutes: { moderate: 0, vigorous: 0, total: 0 },
+  };
+}
+
+// Intensity minutes total counts vigorous double, as Garmin does
+function addToSummaryTotals(totals, activity) {
+  const num = (v) => (Number.isFinite(v) ? v : 0);
+  totals.sessions++;
+  totals.distance = roundTo(totals.distance + num(activity.distance), 1);
+  totals.duration = roundTo(totals.duration + num(activity.duration), 1);
+  totals.elevationGain = roundTo(totals.elevationGain + num(activity.elevationGain), 1);
+  totals.load = roundTo(totals.load + num(activity.activityTrainingLoad), 1);
+  const im = totals.intensityMinutes;
+  im.moderate += num(activity.moderateIntensityMinutes);
+  im.vigorous += num(activity.vigorousIntensityMinutes);
+  im.total = im.moderate + 2 * im.vigorous;
+}
+
+// Start of the oldest of `count` periods ending with the one containing endDate
+function firstSummaryPeriodStart(endDate, period, count, weekStart) {
+  let start = summaryPeriodStart(endDate, period, weekStart);
+  for (let i = 1; i < count; i++) {
+    start = summaryPeriodStart(shiftDate(start, -1), period, weekStart);
+  }
+  return start;
+}
+
+// Buckets activities into `count` consecutive periods ending with the one
+// that contains endDate, oldest first. Buckets use the athlete-local date.
+function buildActivitySummary(activities, { period, count, endDate, weekStart, groupBySport }) {
+  let start = firstSummaryPeriodStart(endDate, period, count, weekStart);
+  const periods = [];
+  const byStart = new Map();
+  for (let i = 0; i < count; i++, start = nextSummaryPeriod(start, period)) {
+    const entry = { periodStart: start, periodEnd: shiftDate(nextSummaryPeriod(start, period), -1), totals: emptySummaryTotals() };
+    if (groupBySport) entry.bySport = {};
+    periods.push(entry);
+    byStart.set(start, entry);
+  }
+
+  for (const activity of activities) {
+    const date = activityLocalDate(activity);
+    if (!date || date > endDate) continue;
+    const entry = byStart.get(summaryPeriodStart(date, period, weekStart));
+    if (!entry) continue;
+    addToSummaryTotals(entry.totals, activity);
+    if (groupBySport) {
+      const sport = activitySportKey(activity);
+      entry.bySport[sport] ??= emptySummaryTotals();
+      addToSummaryTotals(entry.bySport[sport], activity);
+    }
+  }
+
+  return periods;
+}
+
+// --------------------
+// Incremental sync: watermarks
+// --------------------
+// A watermark is { activityId, timestamp }: the id of the last synced activity
+// and the newest start (epoch ms) synced so far. Garmin activity ids only grow
+// with each upload, so "new" means a higher id; a timestamp-only watermark
+// falls back to a later start.
+const SYNC_DEFAULT_LIMIT = 10;
+const SYNC_MAX_LIMIT = 25;
+// Late uploads (a higher id but an older start) sit below the watermark in
+// Garmin's start-ordered list, so the scan keeps going this far back
+const SYNC_LATE_UPLOAD_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const WORKOUT_FETCH_CONCURRENCY = 3;
+const WORKOUT_FETCH_MAX_CONCURRENCY = 5;
+const WORKOUT_BATCH_MAX_IDS = 50;
+// Batch, sync, daily and sleep fetches stop starting after this long, leaving room within
+// SERVER_TIMEOUT_MS for the ones in flight (each call is capped at
+// GARMIN_API_TIMEOUT_MS); the rest are left for the next call.
+const WORKOUT_FETCH_BUDGET_MS = 12_000;
+
+function activityStartMs(activity) {
+  if (Number.isFinite(activity?.beginTimestamp)) return activity.beginTimestamp;
+  const gmt = activity?.startTimeGMT;
+  if (typeof gmt !== "string") return null;
+  const ms = Date.parse(`${gmt.trim().replace(" ", "T")}Z`);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function parseSyncWatermark(raw) {
+  if (raw === undefined || raw === null) return { ok: true, since: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, error: "since must be an object: { activityId?, timestamp? }" };
+  }
+
+  const since = {};
+  if (raw.activityId !== undefined && raw.activityId !== null) {
+    const id = Number(raw.activityId);
+    if (!Number.isFinite(id) || id <= 0) return { ok: false, error: "since.activityId must be a positive number" };
+    since.activityId = id;
+  }
+  if (raw.timestamp !== undefined && raw.timestamp !== null) {
+    const ms = typeof raw.timestamp === "number" ? raw.timestamp : Date.parse(raw.timestamp);
+    if (!Number.isFinite(ms) || ms < 0) {
+      return { ok: false, error: "since.timestamp must be epoch milliseconds or an ISO date string" };
+    }
+    since.timestamp = ms;
+  }
+  if (Object.keys(since).length === 0) {
+    return { ok: false, error: "since requires activityId or timestamp" };
+  }
+  return { ok: true, since };
+}
+
+function isAfterWatermark(activity, since) {
+  if (since.activityId !== undefined) return Number(activity?.activityId) > since.activityId;
+  const ms = activityStartMs(activity);
+  return ms !== null && ms > since.timestamp;
+}
+
+// stopAt for scanActivities: ends the scan once activities start more than
+// SYNC_LATE_UPLOAD_LOOKBACK_MS before the watermark (its timestamp, or else
+// the first already-synced activity seen)
+function syncScanStop(since) {
+  let reference = since.timestamp ?? null;
+  return (activity) => {
+    if (isAfterWatermark(activity, since)) return false;
+    const ms = activityStartMs(activity);
+    if (since.activityId === undefined || ms === null) return true;
+    reference ??= ms;
+    return ms < reference - SYNC_LATE_UPLOAD_LOOKBACK_MS;
+  };
+}
+
+function buildSyncWatermark(activity, previous) {
+  const starts = [activityStartMs(activity), previous?.timestamp].filter(Number.isFinite);
+  return { activityId: activity.activityId, timestamp: starts.length ? Math.max(...starts) : null };
+}
+
+// --------------------
+// Workout creation: translation helpers
+// --------------------
+const SPORT_TYPE_MAP = {
+  running:  { sportTypeId: 1, sportTypeKey: "running" },
+  cycling:  { sportTypeId: 2, sportTypeKey: "cycling" },
+  swimming: { sportTypeId: 4, sportTypeKey: "swimming" },
+  strength: { sportTypeId: 5, sportTypeKey: "strength_training" },
+  cardio:   { sportTypeId: 6, sportTypeKey: "cardio_training" },
+  multisport: { sportTypeId: 10, sportTypeKey: "multi_sport" },
+};
+
+const STEP_TYPE_MAP = {
+  warmup:   { stepTypeId: 1, stepTypeKey: "warmup", displayOrder: 1 },
+  interval: { stepTypeId: 3, stepTypeKey: "interval", displayOrder: 3 },
+  recovery: { stepTypeId: 4, stepTypeKey: "recovery", displayOrder: 4 },
+  rest:     { stepTypeId: 5, stepTypeKey: "rest", displayOrder: 5 },
+  cooldown: { stepTypeId: 2, stepTypeKey: "cooldown", displayOrder: 2 },
+  other:    { stepTypeId: 7, stepTypeKey: "other", displayOrder: 7 },
+};
+
+const SWIM_STROKE_MAP = {
+  any:    { strokeTypeId: 1, strokeTypeKey: "any_stroke", displayOrder: 1 },
+  back:   { strokeTypeId: 2, strokeTypeKey: "backstroke", displayOrder: 2 },
+  breast: { strokeTypeId: 3, strokeTypeKey: "breaststroke", displayOrder: 3 },
+  drill:  { strokeTypeId: 4, strokeTypeKey: "drill", displayOrder: 4 },
+  fly:    { strokeTypeId: 5, strokeTypeKey: "fly", displayOrder: 5 },
+  free:   { strokeTypeId: 6, strokeTypeKey: "free", displayOrder: 6 },
+  im:     { strokeTypeId: 7, strokeTypeKey: "individual_medley", displayOrder: 7 },
+};
+
+const SWIM_EQUIPMENT_MAP = {
+  fins:      { equipmentTypeId: 1, equipmentTypeKey: "fins", displayOrder: 1 },
+  kickboard: { equipmentTypeId: 2, equipmentTypeKey: "kickboard", displayOrder: 2 },
+  paddles:   { equipmentTypeId: 3, equipmentTypeKey: "paddles", displayOrder: 3 },
+  pullBuoy:  { equipmentTypeId: 4, equipmentTypeKey: "pull_buoy", displayOrder: 4 },
+};
+
+const POOL_LENGTH_UNIT_MAP = {
+  meters: { unitId: 1, unitKey: "meter", factor: 100 },
+  yards:  { unitId: 230, unitKey: "yard", factor: 91.44 },
+};
+
+const METERS_PER_YARD = 0.9144;
+
+// Curated subset of Garmin's strength exercise keys (FIT SDK names), by category.
+// A step may name just the category for a generic exercise.
+const STRENGTH_EXERCISE_CATALOG = {
+  BENCH_PRESS: ["BARBELL_BENCH_PRESS", "DUMBBELL_BENCH_PRESS", "INCLINE_BARBELL_BENCH_PRESS", "INCLINE_DUMBBELL_BENCH_PRESS", "CLOSE_GRIP_BARBELL_BENCH_PRESS"],
+  SQUAT: ["SQUAT", "BARBELL_BACK_SQUAT", "BARBELL_FRONT_SQUAT", "DUMBBELL_SQUAT", "GOBLET_SQUAT", "LEG_PRESS"],
+  DEADLIFT: ["BARBELL_DEADLIFT", "DUMBBELL_DEADLIFT", "ROMANIAN_DEADLIFT", "SUMO_DEADLIFT", "TRAP_BAR_DEADLIFT", "SINGLE_LEG_ROMANIAN_DEADLIFT_WITH_DUMBBELL"],
+  LUNGE: ["LUNGE", "DUMBBELL_LUNGE", "WALKING_DUMBBELL_LUNGE", "DUMBBELL_BULGARIAN_SPLIT_SQUAT"],
+  PULL_UP: ["PULL_UP", "CHIN_UP", "WIDE_GRIP_LAT_PULLDOWN", "CLOSE_GRIP_LAT_PULLDOWN"],
+  ROW: ["DUMBBELL_ROW", "SEATED_CABLE_ROW", "INVERTED_ROW", "FACE_PULL", "T_BAR_ROW"],
+  SHOULDER_PRESS: ["OVERHEAD_BARBELL_PRESS", "OVERHEAD_DUMBBELL_PRESS", "ARNOLD_PRESS"],
+  PUSH_UP: ["PUSH_UP", "INCLINE_PUSH_UP"],
+  CURL: ["BARBELL_BICEPS_CURL", "DUMBBELL_BICEPS_CURL", "DUMBBELL_HAMMER_CURL"],
+  TRICEPS_EXTENSION: ["TRICEPS_PRESSDOWN", "BENCH_DIP"],
+  CALF_RAISE: ["STANDING_CALF_RAISE", "SEATED_CALF_RAISE"],
+  HIP_RAISE: ["HIP_RAISE", "SINGLE_LEG_HIP_RAISE", "BARBELL_HIP_THRUST_ON_FLOOR"],
+  PLANK: ["PLANK", "SIDE_PLANK"],
+  CRUNCH: ["CRUNCH", "BICYCLE_CRUNCH"],
+  CARRY: ["FARMERS_WALK"],
+  OLYMPIC_LIFT: ["BARBELL_POWER_CLEAN", "BARBELL_HANG_POWER_CLEAN", "BARBELL_SNATCH"],
+};
+
+const STRENGTH_WEIGHT_UNIT_MAP = {
+  kg:  { unitId: 8, unitKey: "kilogram", factor: 1000 },
+  lbs: { unitId: 9, unitKey: "pound", factor: 453.59237 },
+};
+
+function parsePaceToMps(paceStr) {
+  // "5:30" → 5 min 30 sec per km → 330 sec/km → 1000/330 m/s
+  const parts = paceStr.split(":");
+  if (parts.length !== 2) return null;
+  const mins = Number(parts[0]);
+  const secs = Number(parts[1]);
+  if (!Number.isFinite(mins) || !Number.isFinite(secs) || mins < 0 || secs < 0) return null;
+  const totalSec = mins * 60 + secs;
+  if (totalSec <= 0) return null;
+  return 1000 / totalSec;
+}
+
+function buildGarminSportType(sport) {
+  return SPORT_TYPE_MAP[sport] || null;
+}
+
+// Distances go to Garmin in meters; the preferred unit only affects display
+// (yards when given in yards, meters for swims, kilometers otherwise).
+function buildGarminDuration(duration, sport) {
+  if (!duration || !duration.type) return null;
+  switch (duration.type) {
+    case "time":
+      return {
+        endCondition: { conditionTypeId: 2, conditionTypeKey: "time", displayable: true, displayOrder: 1 },
+        endConditionValue: duration.seconds,
+        endConditionCompare: null,
+        endConditionZone: null,
+        preferredEndConditionUnit: null,
+      };
+    case "distance": {
+      const inYards = Number.isFinite(duration.yards);
+      let unitKey = "kilometer";
+      if (inYards) unitKey = "yard";
+      else if (sport === "swimming") unitKey = "meter";
+      return {
+        endCondition: { conditionTypeId: 3, conditionTypeKey: "distance", displayable: true, displayOrder: 3 },
+        endConditionValue: inYards ? Math.round(duration.yards * METERS_PER_YARD * 10000) / 10000 : duration.meters,
+        endConditionCompare: null,
+        preferredEndConditionUnit: { unitKey },
+      };
+    }
+    case "calories":
+      return {
+        endCondition: { conditionTypeId: 4, conditionTypeKey: "calories", displayable: true, displayOrder: 4 },
+        endConditionValue: duration.calories,
+        endConditionCompare: null,
+        preferredEndConditionUnit: null,
+      };
+    case "lapButton":
+      return {
+        endCondition: { conditionTypeId: 1, conditionTypeKey: "lap.button", displayable: true, displayOrder: 1 },
+        endConditionValue: null,
+        endConditionCompare: null,
+        preferredEndConditionUnit: null,
+      };
+    case "heartRate":
+      return {
+        endCondition: { conditionTypeId: 6, conditionTypeKey: "heart.rate", displayable: true, displayOrder: 6 },
+        endConditionValue: duration.bpm,
+        endConditionCompare: duration.comparison || "gt",
+        preferredEndConditionUnit: null,
+      };
+    case "reps":
+      return {
+        endCondition: { conditionTypeId: 10, conditionTypeKey: "reps", displayable: true, displayOrder: 10 },
+        endConditionValue: duration.reps,
+        endConditionCompare: null,
+        preferredEndConditionUnit: null,
+      };
+    // Internal: the rest that closes each swim repeat (from a repeat's restSeconds)
+    case "fixedRest":
+      return {
+        endCondition: { conditionTypeId: 8, conditionTypeKey: "fixed.rest", displayable: true, displayOrder: 8 },
+        endConditionValue: duration.seconds,
+        endConditionCompare: null,
+        preferredEndConditionUnit: null,
+      };
+    default:
+      return null;
+  }
+}
+
+function buildGarminTarget(target) {
+  if (!target || !target.type) return { targetType: { workoutTargetTypeId: 1, workoutTargetTypeKey: "no.target", displayOrder: 1 } };
+  switch (target.type) {
+    case "none":
+      return {
+        targetType: { workoutTargetTypeId: 1, workoutTargetTypeKey: "no.target", displayOrder: 1 },
+      };
+    case "pace": {
+      const minMps = parsePaceToMps(target.minPerKm);
+      const maxMps = parsePaceToMps(target.maxPerKm);
+      if (!minMps || !maxMps) return null;
+      return {
+        targetType: { workoutTargetTypeId: 6, workoutTargetTypeKey: "pace.zone", displayOrder: 6 },
+        targetValueOne: minMps,
+        targetValueTwo: maxMps,
+        targetValueUnit: null,
+      };
+    }
+    case "heartRateZone":
+      return {
+        targetType: { workoutTargetTypeId: 4, workoutTargetTypeKey: "heart.rate.zone", displayOrder: 4 },
+        zoneNumber: target.zone,
+      };
+    case "heartRate":
+      return {
+        targetType: { workoutTargetTypeId: 4, workoutTargetTypeKey: "heart.rate.zone", displayOrder: 4 },
+        targetValueOne: target.min,
+        targetValueTwo: target.max,
+        targetValueUnit: null,
+      };
+    case "powerZone":
+      return {
+        targetType: { workoutTargetTypeId: 2, workoutTargetTypeKey: "power.zone", displayOrder: 2 },
+        zoneNumber: target.zone,
+      };
+    case "power":
+      return {
+        targetType: { workoutTargetTypeId: 2, workoutTargetTypeKey: "power.zone", displayOrder: 2 },
+        targetValueOne: target.min,
+        targetValueTwo: target.max,
+      };
+    case "cadence":
+      return {
+        targetType: { workoutTargetTypeId: 3, workoutTargetTypeKey: "cadence", displayOrder: 3 },
+        targetValueOne: target.min,
+        targetValueTwo: target.max,
+        targetValueUnit: null,
+      };
+    default:
+      return null;
+  }
+}
+
+function buildGarminStep(step, stepId, sport) {
+  const stepType = STEP_TYPE_MAP[step.type];
+  if (!stepType) return null;
+  const duration = buildGarminDuration(step.duration, sport);
+  if (!duration) return null;
+  const target = buildGarminTarget(step.target);
+  if (!target) return null;
+  // A "none" secondary target is the same as leaving it out
+  const secondary = step.secondaryTarget && step.secondaryTarget.type !== "none"
+    ? buildGarminTarget(step.secondaryTarget)
+    : {};
+  if (!secondary) return null;
+
+  return {
+    type: "ExecutableStepDTO",
+    stepId,
+    stepOrder: stepId,
+    childStepId: null,
+    description: step.notes || null,
+    stepType,
+    ...duration,
+    ...target,
+    targetValueOne: target.targetValueOne ?? null,
+    targetValueTwo: target.targetValueTwo ?? null,
+    targetValueUnit: target.targetValueUnit ?? null,
+    zoneNumber: target.zoneNumber ?? null,
+    secondaryTargetType: secondary.targetType ?? null,
+    secondaryTargetValueOne: secondary.targetValueOne ?? null,
+    secondaryTargetValueTwo: secondary.targetValueTwo ?? null,
+    secondaryTargetValueUnit: secondary.targetValueUnit ?? null,
+    secondaryZoneNumber: secondary.zoneNumber ?? null,
+    strokeType: SWIM_STROKE_MAP[step.stroke] ?? {},
+    equipmentType: SWIM_EQUIPMENT_MAP[step.equipment] ?? { displayOrder: null, equipmentTypeId: null, equipmentTypeKey: null },
+    exerciseName: step.exercise?.name ?? null,
+    category: step.exercise?.category ?? null,
+    workoutProvider: null,
+    providerExerciseSourceId: null,
+    weightValue: step.weight?.value ?? null,
+    weightUnit: STRENGTH_WEIGHT_UNIT_MAP[step.weight?.unit] ?? null,
+    stepAudioNote: null,
+  };
+}
+
+function buildGarminRepeatGroup(step, stepId, sport) {
+  const childSteps = [];
+  let childId = stepId + 1;
+  for (const childStep of step.steps) {
+    const built = buildGarminStep(childStep, childId, sport);
+    if (!built) return null;
+    childSteps.push(built);
+    childId++;
+  }
+  if (step.restSeconds) {
+    const rest = { type: "rest", duration: { type: "fixedRest", seconds: step.restSeconds } };
+    childSteps.push(buildGarminStep(rest, childId, sport));
+    childId++;
+  }
+
+  return {
+    type: "RepeatGroupDTO",
+    stepId,
+    stepOrder: stepId,
+    childStepId: null,
+    stepType: { stepTypeId: 6, stepTypeKey: "repeat", displayOrder: 6 },
+    numberOfIterations: step.iterations,
+    workoutSteps: childSteps,
+    // Total IDs consumed: 1 (group) + childSteps.length
+    _nextId: childId,
+  };
+}
+
+// Step IDs are unique across the whole workout, so numbering starts at firstId
+function buildGarminSteps(steps, firstId, sport) {
+  const built = [];
+  let stepId = firstId;
+
+  for (const step of steps) {
+    if (step.type === "repeat") {
+      const group = buildGarminRepeatGroup(step, stepId, sport);
+      if (!group) return null;
+      stepId = group._nextId;
+      const { _nextId, ...cleanGroup } = group;
+      built.push(cleanGroup);
+    } else {
+      const garminStep = buildGarminStep(step, stepId, sport);
+      if (!garminStep) return null;
+      built.push(garminStep);
+      stepId++;
+    }
+  }
+
+  return { steps: built, nextId: stepId };
+}
+
+function buildGarminWorkout(workout) {
+  const sportType = buildGarminSportType(workout.sport);
+  const multisport = workout.sport === "multisport";
+  // Single-sport workouts are one segment; multisport has one per leg
+  const segments = multisport ? workout.segments : [{ sport: workout.sport, steps: workout.steps }];
+
+  const workoutSegments = [];
+  let stepId = 1;
+  for (let i = 0; i < segments.length; i++) {
+    const built = buildGarminSteps(segments[i].steps, stepId, segments[i].sport);
+    if (!built) return null;
+    stepId = built.nextId;
+    workoutSegments.push({
+      segmentOrder: i + 1,
+      sportType: buildGarminSportType(segments[i].sport),
+      workoutSteps: built.steps,
+    });
+  }
+
+  return {
+    sportType,
+    subSportType: null,
+    workoutName: workout.name,
+    description: workout.description || null,
+    workoutSegments,
+    estimatedDurationInSecs: 0,
+    estimatedDistanceInMeters: 0,
+    estimateType: null,
+    avgTrainingSpeed: null,
+    estimatedDistanceUnit: { unitKey: null },
+    isWheelchair: false,
+    // Transitions are not steps or segments in Garmin's workout format: this
+    // flag only has the watch time T1/T2 between legs, with no duration or target
+    ...(multisport && { isSessionTransitionEnabled: workout.transitions !== false }),
+    ...(workout.poolLength && {
+      poolLength: workout.poolLength,
+      poolLengthUnit: POOL_LENGTH_UNIT_MAP[workout.poolLengthUnit || "meters"],
+    }),
+  };
+}
+
+const VALID_SPORTS = new Set(Object.keys(SPORT_TYPE_MAP));
+const VALID_SEGMENT_SPORTS = new Set([...VALID_SPORTS].filter((sport) => sport !== "multisport"));
+const VALID_STEP_TYPES = new Set([...Object.keys(STEP_TYPE_MAP), "repeat"]);
+const VALID_DURATION_TYPES = new Set(["time", "distance", "calories", "lapButton", "heartRate", "reps"]);
+const VALID_TARGET_TYPES = new Set(["none", "pace", "heartRateZone", "heartRate", "powerZone", "power", "cadence"]);
+
+function validateStrengthFields(step, context) {
+  const isStrength = context.sport === "strength";
+  if (step.duration?.type === "reps") {
+    if (!isStrength) return "Reps duration is only supported on strength workouts";
+    if (!Number.isInteger(step.duration.reps) || step.duration.reps <= 0) {
+      return "Reps duration requires a positive integer reps value";
+    }
+  }
+  if (step.exercise === undefined && step.weight === undefined) return null;
+  if (!isStrength) return "Exercise and weight are only supported on strength steps";
+
+  if (step.exercise !== undefined) {
+    const { category, name } = step.exercise || {};
+    if (!Object.hasOwn(STRENGTH_EXERCISE_CATALOG, category)) {
+      return `Unknown exercise category "${category}". Must be one of: ${Object.keys(STRENGTH_EXERCISE_CATALOG).join(", ")}`;
+    }
+    if (name !== undefined && name !== null && !STRENGTH_EXERCISE_CATALOG[category].includes(name)) {
+      return `Unknown exercise "${name}" in category ${category}. Must be one of: ${STRENGTH_EXERCISE_CATALOG[category].join(", ")}`;
+    }
+  }
+  if (step.weight !== undefined) {
+    const { value, unit } = step.weight || {};
+    if (!Number.isFinite(value) || value <= 0) return "Weight requires a positive value";
+    if (!Object.hasOwn(STRENGTH_WEIGHT_UNIT_MAP, unit)) return 'Weight unit must be "kg" or "lbs"';
+  }
+  return null;
+}
+
+// context: { sport, poolLengthMeters } of the workout or multisport segment
+function validateWorkoutStep(step, allowRepeat, context = {}) {
+  if (!step || typeof step !== "object") return "Each step must be an object";
+  if (!VALID_STEP_TYPES.has(step.type)) {
+    return `Invalid step type "${step.type}". Must be one of: ${[...VALID_STEP_TYPES].join(", ")}`;
+  }
+
+  if (step.type === "repeat") {
+    if (!allowRepeat) return "Nested repeats are not allowed";
+    if (!Number.isFinite(step.iterations) || step.iterations < 1) {
+      return "Repeat iterations must be a positive integer";
+    }
+    if (!Array.isArray(step.steps) || step.steps.length === 0) {
+      return "Repeat must contain at least one step";
+    }
+    if (step.restSeconds !== undefined) {
+      if (context.sport !== "swimming") return "Repeat rest is only supported on swimming workouts";
+      if (!Number.isFinite(step.restSeconds) || step.restSeconds <= 0) {
+        return "Repeat restSeconds must be a positive number";
+      }
+    }
+    for (const child of step.steps) {
+      const err = validateWorkoutStep(child, false, context);
+      if (err) return err;
+    }
+    return null;
+  }
+
+  if (step.stroke !== undefined || step.equipment !== undefined) {
+    if (context.sport !== "swimming") return "Stroke and equipment are only supported on swimming steps";
+    if (step.stroke !== undefined && !Object.hasOwn(SWIM_STROKE_MAP, step.stroke)) {
+      return `Invalid stroke "${step.stroke}". Must be one of: ${Object.keys(SWIM_STROKE_MAP).join(", ")}`;
+    }
+    if (step.equipment !== undefined && !Object.hasOwn(SWIM_EQUIPMENT_MAP, step.equipment)) {
+      return `Invalid equipment "${step.equipment}". Must be one of: ${Object.keys(SWIM_EQUIPMENT_MAP).join(", ")}`;
+    }
+  }
+
+  const strengthErr = validateStrengthFields(step, context);
+  if (strengthErr) return strengthErr;
+
+  // Regular step
+  if (!step.duration || !VALID_DURATION_TYPES.has(step.duration.type)) {
+    return `Invalid duration type. Must be one of: ${[...VALID_DURATION_TYPES].join(", ")}`;
+  }
+  if (step.duration.type === "time" && (!Number.isFinite(step.duration.seconds) || step.duration.seconds <= 0)) {
+    return "Time duration requires a positive seconds value";
+  }
+  if (step.duration.type === "distance") {
+    const { meters, yards } = step.duration;
+    if (yards !== undefined) {
+      if (meters !== undefined) return "Distance duration takes meters or yards, not both";
+      if (!Number.isFinite(yards) || yards <= 0) return "Distance duration requires a positive yards value";
+    } else if (!Number.isFinite(meters) || meters <= 0) {
+      return "Distance duration requires a positive meters value";
+    }
+    if (context.poolLengthMeters) {
+      const lengths = (yards !== undefined ? yards * METERS_PER_YARD : meters) / context.poolLengthMeters;
+      if (Math.abs(lengths - Math.round(lengths)) > 0.01) {
+        return "Swim distance must be a whole number of pool lengths";
+      }
+    }
+  }
+  if (step.duration.type === "calories" && (!Number.isFinite(step.duration.calories) || step.duration.calories <= 0)) {
+    return "Calories duration requires a positive calories value";
+  }
+  if (step.duration.type === "heartRate") {
+    if (!Number.isFinite(step.duration.bpm) || step.duration.bpm <= 0) {
+      return "Heart rate duration requires a positive bpm value";
+    }
+    if (step.duration.comparison && step.duration.comparison !== "gt" && step.duration.comparison !== "lt") {
+      return 'Heart rate duration comparison must be "gt" or "lt"';
+    }
+  }
+
+  const targetErr = validateWorkoutTarget(step.target);
+  if (targetErr) return targetErr;
+
+  if (step.secondaryTarget !== undefined && step.secondaryTarget !== null) {
+    const secondaryErr = validateWorkoutTarget(step.secondaryTarget);
+    if (secondaryErr) return `Secondary target: ${secondaryErr}`;
+    if (step.secondaryTarget.type !== "none") {
+      if (step.target.type === "none") return "Secondary target requires a primary target";
+      // heartRate/heartRateZone and power/powerZone share a Garmin target type
+      const typeKey = (target) => buildGarminTarget(target).targetType.workoutTargetTypeKey;
+      if (typeKey(step.target) === typeKey(step.secondaryTarget)) {
+        return "Secondary target must be a different type than the primary target";
+      }
+    }
+  }
+
+  return null;
+}
+
+// Shared by primary and secondary targets
+function validateWorkoutTarget(target) {
+  if (!target || !VALID_TARGET_TYPES.has(target.type)) {
+    return `Invalid target type. Must be one of: ${[...VALID_TARGET_TYPES].join(", ")}`;
+  }
+  if (target.type === "pace") {
+    if (!parsePaceToMps(target.minPerKm || "")) return "Pace target requires valid minPerKm (e.g. \"5:30\")";
+    if (!parsePaceToMps(target.maxPerKm || "")) return "Pace target requires valid maxPerKm (e.g. \"5:00\")";
+  }
+  if (target.type === "heartRateZone") {
+    if (!Number.isFinite(target.zone) || target.zone < 1 || target.zone > 5) {
+      return "Heart rate zone must be 1-5";
+    }
+  }
+  if (target.type === "heartRate") {
+    if (!Number.isFinite(target.min) || !Number.isFinite(target.max)) {
+      return "Heart rate target requires min and max BPM values";
+    }
+  }
+  if (target.type === "powerZone") {
+    if (!Number.isFinite(target.zone) || target.zone < 1) {
+      return "Power zone must be a positive integer";
+    }
+  }
+  if (target.type === "power") {
+    if (!Number.isFinite(target.min) || !Number.isFinite(target.max)) {
+      return "Power target requires min and max watt values";
+    }
+  }
+  if (target.type === "cadence") {
+    if (!Number.isFinite(target.min) || !Number.isFinite(target.max)) {
+      return "Cadence target requires min and max values";
+    }
+  }
+
+  return null;
+}
+
+function validateMultisportSegments(workout) {
+  if (workout.steps !== undefined) {
+    return { ok: false, error: "Multisport workouts use segments instead of steps" };
+  }
+  if (!Array.isArray(workout.segments) || workout.segments.length < 2) {
+    return { ok: false, error: "Multisport workout must contain at least two segments" };
+  }
+  if (workout.transitions !== undefined && typeof workout.transitions !== "boolean") {
+    return { ok: false, error: "transitions must be a boolean" };
+  }
+  for (let s = 0; s < workout.segments.length; s++) {
+    const segment = workout.segments[s];
+    if (!segment || typeof segment !== "object") {
+      return { ok: false, error: `Segment ${s + 1}: Each segment must be an object` };
+    }
+    if (!VALID_SEGMENT_SPORTS.has(segment.sport)) {
+      return {
+        ok: false,
+        error: `Segment ${s + 1}: Invalid sport "${segment.sport}". Must be one of: ${[...VALID_SEGMENT_SPORTS].join(", ")}`,
+      };
+    }
+    if (!Array.isArray(segment.steps) || segment.steps.length === 0) {
+      return { ok: false, error: `Segment ${s + 1}: Segment must contain at least one step` };
+    }
+    for (let i = 0; i < segment.steps.length; i++) {
+      const err = validateWorkoutStep(segment.steps[i], true, { sport: segment.sport });
+      if (err) return { ok: false, error: `Segment ${s + 1}, step ${i + 1}: ${err}` };
+    }
+  }
+  return { ok: true };
+}
+
+function validatePoolLength(workout) {
+  if (workout.poolLength === undefined && workout.poolLengthUnit === undefined) return { ok: true, meters: null };
+  if (workout.sport !== "swimming") {
+    return { ok: false, error: "poolLength is only supported on swimming workouts" };
+  }
+  if (!Number.isFinite(workout.poolLength) || workout.poolLength <= 0) {
+    return { ok: false, error: "poolLength must be a positive number" };
+  }
+  const unit = workout.poolLengthUnit ?? "meters";
+  if (!Object.hasOwn(POOL_LENGTH_UNIT_MAP, unit)) {
+    return { ok: false, error: 'poolLengthUnit must be "meters" or "yards"' };
+  }
+  return { ok: true, meters: unit === "yards" ? workout.poolLength * METERS_PER_YARD : workout.poolLength };
+}
+
+function validateWorkoutPayload(workout) {
+  if (!workout || typeof workout !== "object") return { ok: false, error: "Missing workout object" };
+  if (!workout.name || typeof workout.name !== "string" || !workout.name.trim()) {
+    return { ok: false, error: "Workout name is required" };
+  }
+  if (!VALID_SPORTS.has(workout.sport)) {
+    return { ok: false, error: `Invalid sport "${workout.sport}". Must be one of: ${[...VALID_SPORTS].join(", ")}` };
+  }
+  const pool = validatePoolLength(workout);
+  if (!pool.ok) return pool;
+  if (workout.sport === "multisport") return validateMultisportSegments(workout);
+  if (workout.segments !== undefined) {
+    return { ok: false, error: 'segments are only allowed for sport "multisport"' };
+  }
+  if (!Array.isArray(workout.steps) || workout.steps.length === 0) {
+    return { ok: false, error: "Workout must contain at least one step" };
+  }
+  for (let i = 0; i < workout.steps.length; i++) {
+    const err = validateWorkoutStep(workout.steps[i], true, { sport: workout.sport, poolLengthMeters: pool.meters });
+    if (err) return { ok: false, error: `Step ${i + 1}: ${err}` };
+  }
+  return { ok: true };
+}
+
+// --------------------
+// Saved workouts: Garmin JSON back to the create-request shape
+// --------------------
+const WORKOUT_LIST_DEFAULT_LIMIT = 50;
+const WORKOUT_LIST_MAX_LIMIT = 100;
+
+function parseGarminId(raw) {
+  const parsed = typeof raw === "number" ? raw : Number(String(raw ?? "").trim());
+  return Number.isSafeInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function reverseLookup(map, field, value) {
+  return Object.keys(map).find((key) => map[key][field] === value) ?? null;
+}
+
+// Unmapped Garmin sports keep their Garmin key
+function parseGarminSportType(sportType) {
+  return reverseLookup(SPORT_TYPE_MAP, "sportTypeKey", sportType?.sportTypeKey) ?? sportType?.sportTypeKey ?? null;
+}
+
+// Inverse of parsePaceToMps: m/s → "m:ss" per km
+function formatPaceFromMps(mps) {
+  if (!Number.isFinite(mps) || mps <= 0) return null;
+  const totalSec = Math.round(1000 / mps);
+  return `${Math.floor(totalSec / 60)}:${String(totalSec % 60).padStart(2, "0")}`;
+}
+
+// End conditions we can't express keep their Garmin key as the type, so an
+// update with the unchanged step fails validation instead of silently changing it.
+function parseGarminDuration(step) {
+  const value = step.endConditionValue;
+  const key = step.endCondition?.conditionTypeKey ?? null;
+  switch (key) {
+    case "time":
+      return { type: "time", seconds: value };
+    case "distance":
+      return step.preferredEndConditionUnit?.unitKey === "yard"
+        ? { type: "distance", yards: Math.round((value / METERS_PER_YARD) * 100) / 100 }
+        : { type: "distance", meters: value };
+    case "calories":
+      return { type: "calories", calories: value };
+    case "lap.button":
+      return { type: "lapButton" };
+    case "heart.rate":
+      return { type: "heartRate", bpm: value, comparison: step.endConditionCompare || "gt" };
+    case "reps":
+      return { type: "reps", reps: value };
+    default:
+      return { type: key };
+  }
+}
+
+// Zone targets carry zoneNumber; custom ranges reuse the same target type with values
+function parseGarminTarget(step) {
+  const key = step.targetType?.workoutTargetTypeKey ?? null;
+  const zone = Number.isFinite(step.zoneNumber) && step.zoneNumber > 0 ? step.zoneNumber : null;
+  const range = { min: step.targetValueOne, max: step.targetValueTwo };
+  switch (key) {
+    case null:
+    case "no.target":
+      return { type: "none" };
+    case "pace.zone":
+      return {
+        type: "pace",
+        minPerKm: formatPaceFromMps(step.targetValueOne),
+        maxPerKm: formatPaceFromMps(step.targetValueTwo),
+      };
+    case "heart.rate.zone":
+      return zone ? { type: "heartRateZone", zone } : { type: "heartRate", ...range };
+    case "power.zone":
+      return zone ? { type: "powerZone", zone } : { type: "power", ...range };
+    case "cadence":
+      return { type: "cadence", ...range };
+    default:
+      return { type: key };
+  }
+}
+
+function parseGarminStep(step) {
+  if (step?.type === "RepeatGroupDTO") {
+    const children = [...(step.workoutSteps || [])].sort((a, b) => a.stepOrder - b.stepOrder);
+    // A trailing fixed rest is the repeat's restSeconds
+    const last = children[children.length - 1];
+    const restSeconds = last?.endCondition?.conditionTypeKey === "fixed.rest" ? last.endConditionValue : null;
+    const repeat = {
+      type: "repeat",
+      iterations: step.numberOfIterations,
+      steps: (restSeconds !== null ? children.slice(0, -1) : children).map(parseGarminStep),
+    };
+    if (restSeconds !== null) repeat.restSeconds = restSeconds;
+    return repeat;
+  }
+
+  const parsed = {
+    type: reverseLookup(STEP_TYPE_MAP, "stepTypeKey", step?.stepType?.stepTypeKey) ?? "other",
+    duration: parseGarminDuration(step),
+    target: parseGarminTarget(step),
+  };
+  const secondaryKey = step.secondaryTargetType?.workoutTargetTypeKey;
+  if (secondaryKey && secondaryKey !== "no.target") {
+    parsed.secondaryTarget = parseGarminTarget({
+      targetType: step.secondaryTargetType,
+      targetValueOne: step.secondaryTargetValueOne,
+      targetValueTwo: step.secondaryTargetValueTwo,
+      zoneNumber: step.secondaryZoneNumber,
+    });
+  }
+  const stroke = reverseLookup(SWIM_STROKE_MAP, "strokeTypeKey", step.strokeType?.strokeTypeKey);
+  if (stroke) parsed.stroke = stroke;
+  const equipment = reverseLookup(SWIM_EQUIPMENT_MAP, "equipmentTypeKey", step.equipmentType?.equipmentTypeKey);
+  if (equipment) parsed.equipment = equipment;
+  if (step.category) {
+    parsed.exercise = { category: step.category };
+    if (step.exerciseName) parsed.exercise.name = step.exerciseName;
+  }
+  if (Number.isFinite(step.weightValue)) {
+    parsed.weight = {
+      value: step.weightValue,
+      unit: reverseLookup(STRENGTH_WEIGHT_UNIT_MAP, "unitKey", step.weightUnit?.unitKey) ?? "kg",
+    };
+  }
+  if (step.description) parsed.notes = step.description;
+  return parsed;
+}
+
+function parseGarminSegmentSteps(segment) {
+  return [...(segment?.workoutSteps || [])]
+    .sort((a, b) => a.stepOrder - b.stepOrder)
+    .map(parseGarminStep);
+}
+
+// Inverse of buildGarminWorkout: { name, sport, description?, steps[] }, or
+// segments[] + transitions for multisport
+function parseGarminWorkout(raw) {
+  const segments = [...(raw?.workoutSegments || [])].sort((a, b) => a.segmentOrder - b.segmentOrder);
+  const workout = {
+    name: raw?.workoutName ?? null,
+    sport: parseGarminSportType(raw?.sportType),
+  };
+  if (workout.sport === "multisport") {
+    workout.segments = segments.map((segment) => ({
+      sport: parseGarminSportType(segment.sportType),
+      steps: parseGarminSegmentSteps(segment),
+    }));
+    workout.transitions = raw.isSessionTransitionEnabled !== false;
+  } else {
+    workout.steps = segments.flatMap(parseGarminSegmentSteps);
+  }
+  if (raw?.poolLength) {
+    workout.poolLength = raw.poolLength;
+    workout.poolLengthUnit = reverseLookup(POOL_LENGTH_UNIT_MAP, "unitKey", raw.poolLengthUnit?.unitKey) ?? "meters";
+  }
+  if (raw?.description) workout.description = raw.description;
+  return workout;
+}
+
+function buildWorkoutListEntry(raw) {
+  return {
+    workoutId: raw?.workoutId ?? null,
+    name: raw?.workoutName ?? null,
+    sport: parseGarminSportType(raw?.sportType),
+    description: raw?.description ?? null,
+    createdDate: raw?.createdDate ?? null,
+    updatedDate: raw?.updatedDate ?? null,
+    estimatedDurationSecs: raw?.estimatedDurationInSecs || null,
+    estimatedDistanceMeters: raw?.estimatedDistanceInMeters || null,
+  };
+}
+
+// --------------------
+// Training calendar
+// --------------------
+const CALENDAR_VIEWS = new Set(["month", "week"]);
+
+// Garmin's calendar is served per month (0-11); a week may span two
+function calendarMonths(startDate, endDate) {
+  const months = [];
+  for (let d = `${startDate.slice(0, 7)}-01`; d <= endDate; d = nextSummaryPeriod(d, "month")) {
+    months.push({ year: Number(d.slice(0, 4)), month: Number(d.slice(5, 7)) - 1 });
+  }
+  return months;
+}
+
+// Splits calendar items in [startDate, endDate] into scheduled workouts and
+// completed activities, oldest first. Other item types (events, weigh-ins) are dropped.
+function buildCalendarItems(calendars, startDate, endDate) {
+  const seen = new Set();
+  const scheduled = [];
+  const completed = [];
+
+  const items = calendars
+    .flatMap((calendar) => calendar?.calendarItems || [])
+    .filter((item) => item?.date >= startDate && item.date <= endDate)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  for (const item of items) {
+    const key = `${item.itemType}:${item.id}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    if (item.itemType === "workout") {
+      scheduled.push({
+        scheduleId: item.id,
+        workoutId: item.workoutId ?? null,
+        date: item.date,
+        title: item.title ?? null,
+        sport: parseGarminSportType({ sportTypeKey: item.sportTypeKey }),
+        trainingPlanId: item.trainingPlanId ?? null,
+      });
+    } else if (item.itemType === "activity") {
+      completed.push({
+        activityId: item.id,
+        date: item.date,
+        title: item.title ?? null,
+        sport: item.sportTypeKey ?? null,
+        duration: item.duration ?? null,
+        distance: item.distance ?? null,
+        calories: item.calories ?? null,
+      });
+    }
+  }
+
+  return { scheduled, completed };
+}
+
+// --------------------
+// Training plan push
+// --------------------
+const PLAN_MAX_ITEMS = 84; // 12 weeks of daily sessions
+const PLAN_PUSH_CONCURRENCY = 3;
+// No Garmin call starts after this long, so one in flight (capped at
+// GARMIN_API_TIMEOUT_MS) still ends within SERVER_TIMEOUT_MS; the rest of the
+// plan waits for the next call
+const PLAN_PUSH_BUDGET_MS = 12_000;
+// How long a plan can be continued or rolled back by its planId
+const PLAN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A plan is pushed over several calls, so its progress lives in a store
+// (PLAN_STORE_FILE to survive restarts; see createMemoryStore)
+let planStore = null;
+
+function getPlanStore() {
+  if (!planStore) {
+    const file = process.env.PLAN_STORE_FILE;
+    planStore = file ? createJsonFileStore(file) : createMemoryStore();
+  }
+  return planStore;
+}
+
+function setPlanStore(store) {
+  planStore = store;
+}
+
+function validatePlanItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { ok: false, error: "items must be a non-empty array of { workout, scheduleDate }" };
+  }
+  if (items.length > PLAN_MAX_ITEMS) {
+    return { ok: false, error: `Too many items (max ${PLAN_MAX_ITEMS})` };
+  }
+  for (let i = 0; i < items.length; i++) {
+    const validation = validateWorkoutPayload(items[i]?.workout);
+    if (!validation.ok) return { ok: false, error: `Item ${i + 1}: ${validation.error}` };
+    if (!isValidDateString(items[i].scheduleDate)) {
+      return { ok: false, error: `Item ${i + 1}: scheduleDate must be YYYY-MM-DD format` };
+    }
+  }
+  return { ok: true };
+}
+
+// Plan record: { planId, username, partial, state, createdAt, lease, items }.
+// state is "pushing" until every item has been tried ("done"), or
+// "rollingBack" → "rolledBack" once the plan is abandoned. Items keep their
+// workout only until it is created. The lease stops a retried call from
+// pushing the same plan while the first one is still running.
+async function startPlan(username, items, partial) {
+  const now = Date.now();
+  const plan = {
+    planId: crypto.randomUUID(),
+    username: normalizeGarminUsername(username),
+    partial,
+    state: "pushing",
+    createdAt: now,
+    lease: { id: crypto.randomUUID(), until: now + SERVER_TIMEOUT_MS },
+    items: items.map(({ workout, scheduleDate }, index) => ({
+      index,
+      name: workout.name,
+      scheduleDate,
+      status: "pending",
+      workout,
+    })),
+  };
+  await getPlanStore().set(plan.planId, plan);
+  return plan;
+}
+
+async function claimPlan(planId, username) {
+  const leaseId = crypto.randomUUID();
+  const now = Date.now();
+  const isOwn = (plan) =>
+    plan && plan.username === normalizeGarminUsername(username) && now - plan.createdAt <= PLAN_TTL_MS;
+
+  // Checked before update() so an unknown id doesn't leave a null record behind
+  const plan = isOwn(await getPlanStore().get(planId))
+    ? await getPlanStore().update(planId, (current) => {
+        if (!isOwn(current) || current.lease?.until > now) return current;
+        return { ...current, lease: { id: leaseId, until: now + SERVER_TIMEOUT_MS } };
+      })
+    : null;
+  if (!isOwn(plan)) {
+    throw new RequestError(404, "Unknown or expired planId");
+  }
+  if (plan.lease?.id !== leaseId) {
+    throw new RequestError(409, "This plan is already being pushed. Retry in a few seconds.");
+  }
+  return plan;
+}
+
+function releasePlan(plan) {
+  return getPlanStore().set(plan.planId, { ...plan, lease: null });
+}
+
+function isPlanItemQueued(item) {
+  return item.status === "pending" || item.status === "created";
+}
+
+// A failed item's own workout is deleted once; while rolling back, so is
+// every workout the plan created
+function planItemNeedsDelete(plan, item) {
+  if (!item.workoutId) return false;
+  if (item.status === "failed") return !item.cleanupFailed;
+  return plan.state === "rollingBack" && (item.status === "created" || item.status === "scheduled");
+}
+
+// Stops pushing: unstarted items are skipped and created ones get deleted
+function abandonPlan(plan) {
+  if (plan.state !== "rolledBack") plan.state = "rollingBack";
+  for (const item of plan.items) {
+    if (item.status !== "pending") continue;
+    item.status = "skipped";
+    delete item.workout;
+  }
+}
+
+// Creates then schedules each queued item, one Garmin call at a time, so an
+// item can be created in one call and scheduled in the next. Unless partial,
+// the first failure stops new items and abandons the plan.
+async function pushPlanItems(client, plan, deadline) {
+  let aborted = false;
+  const queue = plan.items.filter(isPlanItemQueued);
+  await mapWithConcurrency(queue, PLAN_PUSH_CONCURRENCY, async (item) => {
+    if (aborted) return;
+    try {
+      if (item.status === "pending") {
+        const created = await withTimeout(client.createWorkout(buildGarminWorkout(item.workout)), GARMIN_API_TIMEOUT_MS);
+        item.workoutId = created?.workoutId ?? null;
+        item.status = "created";
+        delete item.workout;
+      }
+      if (aborted || Date.now() >= deadline) return;
+      const scheduled = await withTimeout(
+        client.scheduleWorkout({ workoutId: String(item.workoutId) }, item.scheduleDate),
+        GARMIN_API_TIMEOUT_MS
+      );
+      item.scheduleId = scheduled?.workoutScheduleId ?? null;
+      item.status = "scheduled";
+    } catch (e) {
+      item.status = "failed";
+      item.error = classifyGarminError(e).error;
+      delete item.workout;
+      if (!plan.partial) aborted = true;
+    }
+  }, { deadline });
+
+  if (aborted) abandonPlan(plan);
+  else if (!plan.items.some(isPlanItemQueued)) plan.state = "done";
+}
+
+// A failed item whose delete fails keeps workoutId and sets cleanupFailed;
+// a rolled-back one becomes rolledBack or rollbackFailed
+async function deletePlanWorkouts(client, plan, deadline) {
+  const queue = plan.items.filter((item) => planItemNeedsDelete(plan, item));
+  await mapWithConcurrency(queue, PLAN_PUSH_CONCURRENCY, async (item) => {
+    try {
+      await withTimeout(client.deleteWorkout({ workoutId: item.workoutId }), GARMIN_API_TIMEOUT_MS);
+      if (item.status === "failed") delete item.workoutId;
+      else item.status = "rolledBack";
+    } catch (e) {
+      if (item.status === "failed") {
+        item.cleanupFailed = true;
+      } else {
+        item.status = "rollbackFailed";
+        item.error = classifyGarminError(e).error;
+      }
+    }
+  }, { deadline });
+
+  if (plan.state === "rollingBack" && !plan.items.some((item) => planItemNeedsDelete(plan, item))) {
+    plan.state = "rolledBack";
+  }
+}
+
+// Advances a claimed plan as far as the deadline allows, saves it and
+// releases the lease. Returns the report sent to the caller.
+async function runPlan(client, plan, deadline) {
+  try {
+    if (plan.state === "pushing") await pushPlanItems(client, plan, deadline);
+    await deletePlanWorkouts(client, plan, deadline);
+  } finally {
+    await releasePlan(plan);
+  }
+
+  const items = plan.items.map(({ workout, ...entry }) => entry);
+  const count = (status) => items.filter((item) => item.status === status).length;
+  const scheduled = count("scheduled");
+  return {
+    planId: plan.planId,
+    status: plan.state,
+    hasMore: plan.state === "pushing" || plan.items.some((item) => planItemNeedsDelete(plan, item)),
+    complete: scheduled === items.length,
+    scheduled,
+    failed: count("failed"),
+    pending: items.filter(isPlanItemQueued).length,
+    rolledBack: plan.state === "rollingBack" || plan.state === "rolledBack",
+    items,
+  };
+}
+
+// --------------------
+// Health + Debug routes
+// --------------------
+app.get("/health", (req, res) => res.json({ ok: true }));
+
+app.get("/debug/auth", requireApiKey, (req, res) => {
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+  res.json({
+    hasEnvApiKey: Boolean(process.env.API_KEY),
+    envApiKeyLength: process.env.API_KEY?.length ?? 0,
+    gotAuthHeader: Boolean(auth),
+    authPrefix: auth.slice(0, 7), // should be "Bearer "
+    gotTokenLength: token.length,
+    tokenFirst8: token.slice(0, 8),
+  });
+});
+
+app.post("/debug/body", requireApiKey, (req, res) => {
+  res.json({
+    contentType: req.headers["content-type"] || null,
+    body: req.body,
+    keys: req.body ? Object.keys(req.body) : null,
+  });
+});
+
+// Useful to verify what route Express thinks you hit
+app.all("/debug/route", requireApiKey, (req, res) => {
+  res.json({
+    ok: true,
+    method: req.method,
+    path: req.path,
+    originalUrl: req.originalUrl,
+    contentType: req.headers["content-type"] || null,
+    hasBody: Boolean(req.body && Object.keys(req.body).length),
+    bodyKeys: req.body ? Object.keys(req.body) : [],
+  });
+});
+
+// Do NOT instantiate GarminConnect here (constructor needs creds).
+app.get("/debug/garmin-methods", requireApiKey, (req, res) => {
+  try {
+    const proto = GarminConnect?.prototype;
+    const methods = proto
+      ? Object.getOwnPropertyNames(proto).filter(
+          (k) => k !== "constructor" && typeof proto[k] === "function"
+        )
+      : [];
+
+    res.json({
+      ok: true,
+      typeofGarminConnect: typeof GarminConnect,
+      hasPrototype: Boolean(proto),
+      methodsCount: methods.length,
+      methods,
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
+
+// Optional: show what the module exports look like
+app.get("/debug/garmin-exports", requireApiKey, (req, res) => {
+  res.json({
+    ok: true,
+    typeofPkg: typeof pkg,
+    keys: pkg ? Object.keys(pkg) : [],
+    mention: "GarminConnect should be one of the keys above.",
+  });
+});
+
+// --------------------
+// Debug: ECHO activityId (proves what server receives)
+// Body: { activityId } (plus anything else)
+// --------------------
+app.post("/debug/activity-id", requireApiKey, (req, res) => {
+  const parsed = parseActivityIdFromBody(req.body);
+  return res.json({
+    ok: true,
+    receivedKeys: Object.keys(req.body || {}),
+    activityIdRaw: parsed.activityIdRaw,
+    activityIdRawType: parsed.activityIdRawType,
+    parsedActivityId: parsed.activityId,
+    parsedActivityIdType: parsed.activityId ? typeof parsed.activityId : null,
+  });
+});
+
+// --------------------
+// Debug: Probe Garmin API for individual lap/split data
+// (temporary — remove after discovering the response structure)
+// --------------------
+app.post("/debug/garmin-splits", requireApiKey, (req, res) => {
+  const parsed = parseActivityIdFromBody(req.body);
+  if (!parsed.ok) {
+    return res.status(400).json({ ok: false, error: "Invalid activityId" });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const id = parsed.activityId;
     const base = "https://connectapi.garmin.com/activity-service/activity";
     const urls = [
       `${base}/${id}/splits`,
@@ -1055,287 +3897,1064 @@ app.post("/debug/garmin-splits", requireApiKey, (req, res) => {
 });
 
 // --------------------
-// Garmin: CONNECT (login OR token-first)
+// Garmin: CONNECT (login OR token-first)
+// --------------------
+app.post("/garmin/connect", requireApiKey, async (req, res) => {
+  try {
+    const { tokenJson, dryRun, connectionId } = req.body || {};
+    const username = getUsernameFromReq(req);
+    const password = req.body?.password || "";
+
+    // Dry-run: no Garmin calls
+    if (dryRun === true) {
+      return res.json({
+        ok: true,
+        dryRun: true,
+        received: {
+          hasUsername: Boolean(username),
+          hasPassword: Boolean(password),
+          hasTokenJson: Boolean(tokenJson),
+          hasConnectionId: Boolean(connectionId),
+          contentType: req.headers["content-type"] || null,
+        },
+      });
+    }
+
+    // Create client with real creds (connect route is allowed to login)
+    if (!username || !password) {
+      return res.status(400).json({
+        ok: false,
+        error: "Missing credentials. Provide username (or email) and password.",
+      });
+    }
+    if (connectionId !== undefined && connectionId !== null) {
+      if (!isTokenVaultEnabled()) {
+        return res.status(400).json({ ok: false, error: "Token vault is not configured" });
+      }
+      if (!isValidConnectionId(connectionId)) {
+        return res.status(400).json({ ok: false, error: "Invalid connectionId" });
+      }
+    }
+    const client = createGarminClientForLogin(username, password);
+
+    // Reconnecting an existing connectionId: try its stored token first.
+    // An unknown id falls through to password login and is (re)created.
+    // A known id only ever reconnects the account it was created for.
+    const stored = connectionId ? await loadConnection(connectionId) : null;
+    if (stored && !isSameGarminUsername(stored.username, username)) {
+      return res.status(403).json({ ok: false, error: "connectionId belongs to a different Garmin account" });
+    }
+    let candidateToken = tokenJson;
+    if (!candidateToken && stored) {
+      candidateToken = stored.tokenJson;
+    }
+
+    // 1) TOKEN-FIRST
+    if (candidateToken) {
+      try {
+        await loadTokenIntoClient(client, candidateToken);
+
+        // Validate token with 1 cheap Garmin call
+        await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS);
+
+        // Always export latest token (may be refreshed/rotated)
+        const refreshed = await client.exportToken();
+        const vaulted = await persistConnectResult(connectionId, username, refreshed);
+        return res.json({ ok: true, tokenJson: refreshed, ...vaulted });
+      } catch (e) {
+        if (e instanceof GarminTimeoutError) throw e;
+        console.log("Token path failed; will try password login. Reason:", e?.message || e);
+      }
+    }
+
+    // 2) PASSWORD LOGIN (with cooldown)
+    const gate = await canAttemptPasswordLogin(username);
+    if (!gate.ok) {
+      return res.status(429).json({
+        ok: false,
+        error: `Cooldown active. Wait ${Math.ceil(gate.waitMs / 1000)}s before trying password login again.`,
+      });
+    }
+    prepareClientForMfa(client);
+    try {
+      await withTimeout(client.login(), GARMIN_LOGIN_TIMEOUT_MS);
+    } catch (e) {
+      if (!(e instanceof GarminMfaRequiredError)) {
+        if (isCredentialLoginError(e)) await markPasswordLoginFailure(username);
+        throw e;
+      }
+      // Garmin has sent a code: that counts as a login attempt
+      await markPasswordLoginAttempt(username);
+      const mfaSessionId = createMfaSession(client, username, e.csrf, connectionId);
+      return res.status(202).json({
+        ok: false,
+        mfaRequired: true,
+        mfaSessionId,
+        expiresInSec: MFA_SESSION_TTL_MS / 1000,
+      });
+    }
+    await markPasswordLoginAttempt(username); // only burn cooldown on successful login
+    const exported = await client.exportToken();
+    const vaulted = await persistConnectResult(connectionId, username, exported);
+    return res.json({ ok: true, tokenJson: exported, ...vaulted });
+  } catch (err) {
+    console.error("Garmin connect error:", err?.message || err);
+    if (err instanceof GarminTimeoutError) {
+      return res.status(504).json({
+        ok: false,
+        error: "Garmin API timed out. Please try again.",
+      });
+    }
+    return res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
+
+// --------------------
+// Garmin: CONNECT MFA (second step of an MFA login)
+// Body: { mfaSessionId, code }
+// --------------------
+app.post("/garmin/connect/mfa", requireApiKey, async (req, res) => {
+  const { mfaSessionId } = req.body || {};
+  const code = String(req.body?.code ?? "").trim();
+
+  if (typeof mfaSessionId !== "string" || !mfaSessionId) {
+    return res.status(400).json({ ok: false, error: "Missing mfaSessionId" });
+  }
+  if (!/^\d{4,8}$/.test(code)) {
+    return res.status(400).json({ ok: false, error: "MFA code must be 4-8 digits" });
+  }
+
+  const session = getMfaSession(mfaSessionId);
+  if (!session) {
+    return res.status(404).json({
+      ok: false,
+      error: "MFA session not found or expired. Start again via /garmin/connect.",
+    });
+  }
+
+  try {
+    await withTimeout(completeMfaLogin(session.client, session.csrf, code), GARMIN_LOGIN_TIMEOUT_MS);
+    pendingMfaSessions.delete(mfaSessionId);
+    const exported = await session.client.exportToken();
+    const vaulted = await persistConnectResult(session.connectionId, session.username, exported);
+    return res.json({ ok: true, tokenJson: exported, ...vaulted });
+  } catch (err) {
+    if (err instanceof GarminMfaCodeError) {
+      session.attempts++;
+      const attemptsLeft = MFA_MAX_CODE_ATTEMPTS - session.attempts;
+      if (attemptsLeft <= 0) pendingMfaSessions.delete(mfaSessionId);
+      return res.status(401).json({ ok: false, error: "Invalid MFA code", attemptsLeft });
+    }
+    pendingMfaSessions.delete(mfaSessionId);
+    console.error("Garmin MFA error:", err?.message || err);
+    if (err instanceof GarminTimeoutError) {
+      return res.status(504).json({
+        ok: false,
+        error: "Garmin API timed out. Please try again.",
+      });
+    }
+    return res.status(500).json({ ok: false, error: err?.message || String(err) });
+  }
+});
+
+// --------------------
+// Garmin: PROFILE (TOKEN-ONLY)
+// Body: { username/email, tokenJson }
+// --------------------
+app.post("/garmin/profile", requireApiKey, (req, res) =>
+  withGarminToken(req, res, async (client) => ({
+    profile: await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS),
+  }))
+);
+
+// --------------------
+// Garmin: USER SETTINGS (TOKEN-ONLY)
+// Body: { username/email, tokenJson }
+// Returns raw getUserSettings() response for inspecting available biometric data
+// --------------------
+app.post("/garmin/user-settings", requireApiKey, (req, res) =>
+  withGarminToken(req, res, async (client) => ({
+    userSettings: await withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS),
+  }))
+);
+
+// --------------------
+// Garmin: ATHLETE PROFILE (TOKEN-ONLY)
+// Body: { username/email, tokenJson, profile? }
+// profile: "summary" | "coaching" | "full" (default: "full")
+// --------------------
+app.post("/garmin/athlete-profile", requireApiKey, (req, res) => {
+  const profile = req.body?.profile || "full";
+  if (!VALID_PROFILES.has(profile)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+    });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const [settings, socialProfile] = await Promise.all([
+      withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS),
+      withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS),
+    ]);
+
+    const full = buildAthleteProfile(settings, socialProfile);
+    const fields = ATHLETE_PROFILE_FIELDS[profile];
+    const athleteProfile = fields ? pickFields(full, fields) : full;
+
+    return { athleteProfile, profile };
+  });
+});
+
+// --------------------
+// Garmin: DAILY WELLNESS (TOKEN-ONLY)
+// Body: { username/email, tokenJson, date | startDate + endDate?, profile? }
+// Up to DAILY_MAX_DAYS days, one normalized summary per day (oldest first).
+// profile: "summary" | "coaching" | "full" (default: "full")
+// Dates not reached within WORKOUT_FETCH_BUDGET_MS come back in pendingDates.
+// --------------------
+app.post("/garmin/daily", requireApiKey, (req, res) => {
+  const profile = req.body?.profile || "full";
+  if (!VALID_PROFILES.has(profile)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+    });
+  }
+
+  const range = parseDateRange(req.body, DAILY_MAX_DAYS);
+  if (!range.ok) {
+    return res.status(400).json({ ok: false, error: range.error });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    // Counted from before the profile lookup, which shares the request's time
+    const deadline = Date.now() + WORKOUT_FETCH_BUDGET_MS;
+    // The daily summary is addressed by display name
+    const socialProfile = await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS);
+    const displayName = encodeURIComponent(socialProfile?.displayName || "");
+
+    const fields = DAILY_PROFILE_FIELDS[profile];
+    const dates = listDates(range.startDate, range.endDate);
+    const fetched = await mapWithConcurrency(dates, WORKOUT_FETCH_CONCURRENCY, async (date) => {
+      const url = `https://connectapi.garmin.com/usersummary-service/usersummary/daily/${displayName}?calendarDate=${date}`;
+      const day = buildDailySummary(date, await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS));
+      return fields ? pickFields(day, fields) : day;
+    }, { deadline });
+
+    const days = fetched.filter(Boolean);
+    const pendingDates = dates.filter((_, i) => !fetched[i]);
+    return { startDate: range.startDate, endDate: range.endDate, days, pendingDates, profile };
+  });
+});
+
+// --------------------
+// Garmin: SLEEP (TOKEN-ONLY)
+// Body: { username/email, tokenJson, date | startDate + endDate? }
+// One night per date (the night ending that morning), oldest first, up to SLEEP_MAX_DAYS.
+// Dates not reached within WORKOUT_FETCH_BUDGET_MS come back in pendingDates.
 // --------------------
-app.post("/garmin/connect", requireApiKey, async (req, res) => {
-  try {
-    const { tokenJson, dryRun } = req.body || {};
-    const username = getUsernameFromReq(req);
-    const password = req.body?.password || "";
+app.post("/garmin/sleep", requireApiKey, (req, res) => {
+  const range = parseDateRange(req.body, SLEEP_MAX_DAYS);
+  if (!range.ok) {
+    return res.status(400).json({ ok: false, error: range.error });
+  }
 
-    // Dry-run: no Garmin calls
-    if (dryRun === true) {
-      return res.json({
-        ok: true,
-        dryRun: true,
-        received: {
-          hasUsername: Boolean(username),
-          hasPassword: Boolean(password),
-          hasTokenJson: Boolean(tokenJson),
-          contentType: req.headers["content-type"] || null,
-        },
-      });
+  return withGarminToken(req, res, async (client) => {
+    const deadline = Date.now() + WORKOUT_FETCH_BUDGET_MS;
+    const dates = listDates(range.startDate, range.endDate);
+    const fetched = await mapWithConcurrency(dates, WORKOUT_FETCH_CONCURRENCY, async (date) => {
+      const url = `https://connectapi.garmin.com/sleep-service/sleep/dailySleepData?date=${date}&nonSleepBufferMinutes=60`;
+      return buildSleepSummary(date, await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS));
+    }, { deadline });
+
+    const nights = fetched.filter(Boolean);
+    const pendingDates = dates.filter((_, i) => !fetched[i]);
+    return { startDate: range.startDate, endDate: range.endDate, nights, pendingDates };
+  });
+});
+
+// --------------------
+// Garmin: HRV STATUS (TOKEN-ONLY)
+// Body: { username/email, tokenJson, date | startDate + endDate?, profile? }
+// One entry per night (oldest first) plus a trend over the range, up to HRV_MAX_DAYS.
+// --------------------
+app.post("/garmin/hrv", requireApiKey, (req, res) => {
+  const profile = req.body?.profile || "full";
+  if (!VALID_PROFILES.has(profile)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+    });
+  }
+
+  const range = parseDateRange(req.body, HRV_MAX_DAYS);
+  if (!range.ok) {
+    return res.status(400).json({ ok: false, error: range.error });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const dates = listDates(range.startDate, range.endDate);
+    const pages = [];
+    for (let i = 0; i < dates.length; i += HRV_PAGE_DAYS) {
+      pages.push(dates.slice(i, i + HRV_PAGE_DAYS));
     }
 
-    // Create client with real creds (connect route is allowed to login)
-    if (!username || !password) {
-      return res.status(400).json({
-        ok: false,
-        error: "Missing credentials. Provide username (or email) and password.",
-      });
+    const results = await mapWithConcurrency(pages, WORKOUT_FETCH_CONCURRENCY, async (page) => {
+      const url = `https://connectapi.garmin.com/hrv-service/hrv/daily/${page[0]}/${page[page.length - 1]}`;
+      return withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+    });
+
+    const byDate = new Map();
+    for (const result of results) {
+      for (const summary of result?.hrvSummaries || []) {
+        if (summary?.calendarDate) byDate.set(summary.calendarDate, summary);
+      }
     }
-    const client = createGarminClientForLogin(username, password);
 
-    // 1) TOKEN-FIRST
-    if (tokenJson) {
-      try {
-        await loadTokenIntoClient(client, tokenJson);
+    const all = dates.map((date) => buildHrvNight(date, byDate.get(date)));
+    const fields = HRV_PROFILE_FIELDS[profile];
+    const nights = fields ? all.map((n) => pickFields(n, fields)) : all;
 
-        // Validate token with 1 cheap Garmin call
-        await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS);
+    return { startDate: range.startDate, endDate: range.endDate, profile, trend: computeHrvTrend(all), nights };
+  });
+});
 
-        // Always export latest token (may be refreshed/rotated)
-        const refreshed = await client.exportToken();
-        return res.json({ ok: true, tokenJson: refreshed });
-      } catch (e) {
-        if (e instanceof GarminTimeoutError) throw e;
-        console.log("Token path failed; will try password login. Reason:", e?.message || e);
-      }
+// --------------------
+// Garmin: BODY COMPOSITION (TOKEN-ONLY)
+// Body: { username/email, tokenJson, date | startDate + endDate? }
+// Every weigh-in in the range (oldest first), up to BODY_COMPOSITION_MAX_DAYS.
+// --------------------
+app.post("/garmin/body-composition", requireApiKey, (req, res) => {
+  const range = parseDateRange(req.body, BODY_COMPOSITION_MAX_DAYS);
+  if (!range.ok) {
+    return res.status(400).json({ ok: false, error: range.error });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const url = `https://connectapi.garmin.com/weight-service/weight/dateRange?startDate=${range.startDate}&endDate=${range.endDate}`;
+    const raw = await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+
+    // Entries without a timestamp sort first and are never `latest`
+    const measurements = (raw?.dateWeightList || [])
+      .map(buildBodyCompositionEntry)
+      .sort((a, b) => (a.timestamp ?? "").localeCompare(b.timestamp ?? ""));
+
+    return {
+      startDate: range.startDate,
+      endDate: range.endDate,
+      latest: measurements.findLast((m) => m.timestamp !== null) ?? null,
+      measurements,
+    };
+  });
+});
+
+// --------------------
+// Garmin: ADD WEIGH-IN (TOKEN-ONLY)
+// Body: { username/email, tokenJson, weight, unit?: "kg" | "lbs", timestamp?, timezone? }
+// Garmin's upload accepts weight only; other body composition metrics come from a scale.
+// --------------------
+app.post("/garmin/body-composition/add", requireApiKey, (req, res) => {
+  const weighIn = parseWeighIn(req.body);
+  if (!weighIn.ok) {
+    return res.status(400).json({ ok: false, error: weighIn.error });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    await withTimeout(
+      client.updateWeight(weighIn.timestamp, weighIn.weightLbs, weighIn.timezone),
+      GARMIN_API_TIMEOUT_MS
+    );
+
+    return {
+      weighIn: {
+        timestamp: weighIn.timestamp.toISOString(),
+        timezone: weighIn.timezone,
+        weightKg: weighIn.weightKg,
+        weightLbs: weighIn.weightLbs,
+      },
+    };
+  });
+});
+
+// --------------------
+// Garmin: PERFORMANCE (TOKEN-ONLY)
+// Body: { username/email, tokenJson, days?, endDate? }
+// Training status and load focus as of endDate (default today, UTC), VO2max over the
+// `days` before it (default 90, max 365). Race predictions and endurance/hill scores
+// are null when the athlete's devices don't provide them.
+// --------------------
+app.post("/garmin/performance", requireApiKey, (req, res) => {
+  const rawDays = req.body?.days ?? PERFORMANCE_DEFAULT_DAYS;
+  if (!Number.isInteger(rawDays) || rawDays < 1 || rawDays > PERFORMANCE_MAX_DAYS) {
+    return res.status(400).json({ ok: false, error: `days must be an integer between 1 and ${PERFORMANCE_MAX_DAYS}` });
+  }
+  const endDate = req.body?.endDate ?? new Date().toISOString().slice(0, 10);
+  if (!isValidDateString(endDate)) {
+    return res.status(400).json({ ok: false, error: "endDate must be YYYY-MM-DD format" });
+  }
+  const startDate = shiftDate(endDate, 1 - rawDays);
+
+  return withGarminToken(req, res, async (client) => {
+    const base = "https://connectapi.garmin.com/metrics-service/metrics";
+    const get = (url) => withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+    const optional = (url) => get(url).catch(() => null);
+
+    // Race predictions are addressed by display name
+    const socialProfile = await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS);
+    const displayName = encodeURIComponent(socialProfile?.displayName || "");
+
+    const [status, vo2Max, predictions, endurance, hill] = await Promise.all([
+      get(`${base}/trainingstatus/aggregated/${endDate}`),
+      get(`${base}/maxmet/daily/${startDate}/${endDate}`),
+      optional(`${base}/racepredictions/latest/${displayName}`),
+      optional(`${base}/endurancescore?calendarDate=${endDate}`),
+      optional(`${base}/hillscore?calendarDate=${endDate}`),
+    ]);
+
+    const { trainingStatus, loadFocus } = buildTrainingStatus(status);
+    return {
+      startDate,
+      endDate,
+      trainingStatus,
+      loadFocus,
+      vo2MaxHistory: buildVo2MaxHistory(vo2Max),
+      racePredictions: buildRacePredictions(predictions),
+      enduranceScore: Number.isFinite(endurance?.overallScore)
+        ? { score: endurance.overallScore, classification: endurance.classification ?? null }
+        : null,
+      hillScore: Number.isFinite(hill?.overallScore)
+        ? { score: hill.overallScore, strength: hill.strengthScore ?? null, endurance: hill.enduranceScore ?? null }
+        : null,
+    };
+  });
+});
+
+// --------------------
+// Garmin: ACTIVITIES (TOKEN-ONLY)
+// Body: { username/email, tokenJson, offset?, limit?,
+//         startDate?, endDate?, activityType?, minDistance?, minDuration?, cursor? }
+// With any filter (or cursor) the server pages through Garmin itself and
+// returns nextCursor (null when the range is exhausted). Dates are YYYY-MM-DD
+// against startTimeLocal; minDistance is meters, minDuration seconds.
+// --------------------
+app.post("/garmin/activities", requireApiKey, (req, res) => {
+  const filterResult = parseActivityFilters(req.body);
+  if (!filterResult.ok) {
+    return res.status(400).json({ ok: false, error: filterResult.error });
+  }
+
+  const cursor = req.body?.cursor;
+  const cursorProvided = cursor !== undefined && cursor !== null;
+  const cursorOffset = cursorProvided ? decodeActivityCursor(cursor) : null;
+  if (cursorProvided && cursorOffset === null) {
+    return res.status(400).json({ ok: false, error: "Invalid cursor" });
+  }
+
+  return withGarminToken(req, res, async (client, req) => {
+    const n0 = Number(req.body?.limit ?? 10);
+    const limit = Number.isFinite(n0) ? Math.max(1, Math.min(n0, 50)) : 10;
+    const o0 = Number(req.body?.offset ?? 0);
+    const offset = Number.isFinite(o0) ? Math.max(0, o0) : 0;
+
+    if (!filterResult.active && !cursorProvided) {
+      return { activities: await withTimeout(client.getActivities(offset, limit), GARMIN_API_TIMEOUT_MS) };
     }
 
-    // 2) PASSWORD LOGIN (with cooldown)
-    const gate = canAttemptPasswordLogin(username);
-    if (!gate.ok) {
-      return res.status(429).json({
-        ok: false,
-        error: `Cooldown active. Wait ${Math.ceil(gate.waitMs / 1000)}s before trying password login again.`,
-      });
+    const { activities, nextOffset } = await scanActivities(client, {
+      offset: cursorProvided ? cursorOffset : offset,
+      limit,
+      filters: filterResult.filters,
+    });
+    return { activities, nextCursor: encodeActivityCursor(nextOffset) };
+  });
+});
+
+// --------------------
+// Garmin: SINGLE ACTIVITY
+// Body: { username/email, tokenJson, activityId?, profile? }
+// activityId: optional — omit to fetch most recent activity
+// profile: "summary" | "coaching" | "full" (default: "full")
+// --------------------
+app.post("/garmin/activity", requireApiKey, (req, res) => {
+  const profile = req.body?.profile || "full";
+  if (!VALID_PROFILES.has(profile)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+    });
+  }
+
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const raw = await withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS);
+    const flat = flattenActivityDetail(raw);
+    const fields = PROFILE_FIELDS[profile];
+    const activity = fields ? pickFields(flat, fields) : flat;
+
+    return { activity, profile };
+  });
+});
+
+// --------------------
+// Garmin: SPLITS / LAPS
+// Body: { username/email, tokenJson, activityId?, profile? }
+// activityId: optional — omit to fetch most recent activity
+// profile: "summary" | "coaching" | "full" (default: "full")
+// --------------------
+app.post("/garmin/splits", requireApiKey, (req, res) => {
+  const profile = req.body?.profile || "full";
+  if (!VALID_PROFILES.has(profile)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+    });
+  }
+
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const url = `https://connectapi.garmin.com/activity-service/activity/${activityId}/splits`;
+    const raw = await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+
+    let laps = raw?.lapDTOs || [];
+
+    const fields = SPLIT_PROFILE_FIELDS[profile];
+    if (fields) {
+      laps = laps.map((lap) => pickFields(lap, fields));
     }
-    await withTimeout(client.login(), GARMIN_LOGIN_TIMEOUT_MS);
-    markPasswordLoginAttempt(username); // only burn cooldown on successful login
-    const exported = await client.exportToken();
-    return res.json({ ok: true, tokenJson: exported });
-  } catch (err) {
-    console.error("Garmin connect error:", err?.message || err);
-    if (err instanceof GarminTimeoutError) {
-      return res.status(504).json({
+
+    return {
+      activityId: raw?.activityId ?? activityId,
+      laps,
+      lapCount: laps.length,
+      profile,
+    };
+  });
+});
+
+// --------------------
+// Garmin: WORKOUT (combined activity + splits, semantically grouped)
+// Body: { username/email, tokenJson, activityId?, include? }
+// activityId: optional — omit to fetch most recent activity
+// include: optional groups from WORKOUT_INCLUDE_OPTIONS
+// --------------------
+app.post("/garmin/workout", requireApiKey, (req, res) => {
+  const includeResult = parseWorkoutInclude(req.body?.include);
+  if (!includeResult.ok) {
+    return res.status(400).json({ ok: false, error: includeResult.error });
+  }
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const workout = await fetchWorkout(client, activityId, includeResult.include);
+    return { activityId, workout };
+  });
+});
+
+// --------------------
+// Garmin: ACTIVITY STREAMS (second-by-second time series)
+// Body: { username/email, tokenJson, activityId?, channels?, resolution? }
+// activityId: optional — omit to fetch most recent activity
+// channels: subset of STREAM_CHANNELS (default: all available); timestamp is always included
+// resolution: seconds per sample, 1-3600 (default: 1 = as recorded)
+// --------------------
+app.post("/garmin/activity/streams", requireApiKey, (req, res) => {
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  const channels = req.body?.channels;
+  if (channels !== undefined && channels !== null) {
+    if (!Array.isArray(channels) || channels.length === 0 || !channels.every((c) => STREAM_CHANNELS.includes(c))) {
+      return res.status(400).json({
         ok: false,
-        error: "Garmin API timed out. Please try again.",
+        error: `channels must be a non-empty array of: ${STREAM_CHANNELS.join(", ")}`,
       });
     }
-    return res.status(500).json({ ok: false, error: err?.message || String(err) });
   }
+
+  const resolution = Number(req.body?.resolution ?? 1);
+  if (!Number.isInteger(resolution) || resolution < 1 || resolution > STREAMS_MAX_RESOLUTION) {
+    return res.status(400).json({
+      ok: false,
+      error: `resolution must be an integer number of seconds (1-${STREAMS_MAX_RESOLUTION})`,
+    });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const decoded = await fetchActivityStreams(client, activityId);
+    const available = Object.keys(decoded.streams);
+    // Downsample before selecting so buckets can use elapsed/timestamp even if not requested
+    const sampled = downsampleStreams(decoded.streams, decoded.sampleCount, resolution);
+    const wanted = channels ? ["timestamp", ...channels] : available;
+    const streams = pickFields(sampled.streams, wanted);
+
+    return {
+      activityId,
+      resolution,
+      sampleCount: sampled.sampleCount,
+      availableChannels: available,
+      channels: Object.keys(streams),
+      streams,
+    };
+  });
 });
 
 // --------------------
-// Garmin: PROFILE (TOKEN-ONLY)
-// Body: { username/email, tokenJson }
+// Garmin: HR TIME IN ZONE
+// Body: { username/email, tokenJson, activityId? }
+// activityId: optional — omit to use the most recent activity
 // --------------------
-app.post("/garmin/profile", requireApiKey, (req, res) =>
-  withGarminToken(req, res, async (client) => ({
-    profile: await withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS),
-  }))
-);
+app.post("/garmin/activity/hr-zones", requireApiKey, (req, res) => {
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const [rawActivity, rawHrZones] = await Promise.all([
+      withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS),
+      fetchGarminHrTimeInZones(client, activityId),
+    ]);
+    const hrZones = await resolveHrZones(client, activityId, flattenActivityDetail(rawActivity), rawHrZones);
+    if (!hrZones) {
+      throw new RequestError(422, "No heart-rate zone data for this activity");
+    }
+    return { activityId, hrZones };
+  });
+});
+
+// --------------------
+// Garmin: ACTIVITY EXPORT (GPX / TCX file built from streams + laps)
+// Body: { username/email, tokenJson, activityId?, format: "gpx" | "tcx", response? }
+// activityId: optional — omit to export the most recent activity
+// response: "file" (default) — the file itself; refreshed token in X-Garmin-Token
+//           "json" — { format, filename, contentType, hasGps, data (base64) }
+// --------------------
+app.post("/garmin/activity/export", requireApiKey, (req, res) => {
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  const format = req.body?.format;
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ ok: false, error: 'format must be "gpx" or "tcx"' });
+  }
+  const responseMode = req.body?.response || "file";
+  if (!EXPORT_RESPONSE_MODES.has(responseMode)) {
+    return res.status(400).json({ ok: false, error: 'response must be "file" or "json"' });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const splitsUrl = `https://connectapi.garmin.com/activity-service/activity/${activityId}/splits`;
+    const [rawActivity, rawSplits, decoded] = await Promise.all([
+      withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS),
+      withTimeout(client.get(splitsUrl), GARMIN_API_TIMEOUT_MS),
+      fetchActivityStreams(client, activityId),
+    ]);
+
+    const track = buildExportTrack(flattenActivityDetail(rawActivity), rawSplits?.lapDTOs || [], decoded);
+    const { contentType, build } = EXPORT_FORMATS[format];
+    const body = build(track);
+    const filename = `activity-${activityId}.${format}`;
+
+    if (responseMode === "file") {
+      return new FileResult({ body, contentType, filename });
+    }
+    return {
+      activityId,
+      format,
+      filename,
+      contentType,
+      hasGps: track.hasGps,
+      data: Buffer.from(body, "utf8").toString("base64"),
+    };
+  });
+});
 
 // --------------------
-// Garmin: USER SETTINGS (TOKEN-ONLY)
-// Body: { username/email, tokenJson }
-// Returns raw getUserSettings() response for inspecting available biometric data
+// Garmin: ORIGINAL FIT FILE (unzipped passthrough)
+// Body: { username/email, tokenJson, activityId?, response? }
+// activityId: optional — omit to download the most recent activity
+// response: "file" (default) — the .fit itself; refreshed token in X-Garmin-Token
+//           "json" — { filename, contentType, size, data (base64) }
 // --------------------
-app.post("/garmin/user-settings", requireApiKey, (req, res) =>
-  withGarminToken(req, res, async (client) => ({
-    userSettings: await withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS),
-  }))
-);
+app.post("/garmin/activity/fit", requireApiKey, (req, res) => {
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  const responseMode = req.body?.response || "file";
+  if (!EXPORT_RESPONSE_MODES.has(responseMode)) {
+    return res.status(400).json({ ok: false, error: 'response must be "file" or "json"' });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const activityId = await resolveActivityId(client, parsed.activityId);
+
+    const { filename, data } = await fetchOriginalFit(client, activityId);
+    if (responseMode === "file") {
+      return new FileResult({ body: data, contentType: FIT_CONTENT_TYPE, filename });
+    }
+    return {
+      activityId,
+      filename,
+      contentType: FIT_CONTENT_TYPE,
+      size: data.length,
+      data: data.toString("base64"),
+    };
+  });
+});
 
 // --------------------
-// Garmin: ATHLETE PROFILE (TOKEN-ONLY)
-// Body: { username/email, tokenJson, profile? }
-// profile: "summary" | "coaching" | "full" (default: "full")
+// Garmin: PARSED FIT FILE (decoded FIT messages as JSON)
+// Body: { username/email, tokenJson, activityId?, messages? }
+// messages: optional subset of ["session", "lap", "record", "event", "hrv"] (default all)
 // --------------------
-app.post("/garmin/athlete-profile", requireApiKey, (req, res) => {
-  const profile = req.body?.profile || "full";
-  if (!VALID_PROFILES.has(profile)) {
-    return res.status(400).json({
-      ok: false,
-      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
-    });
+app.post("/garmin/activity/fit/parse", requireApiKey, (req, res) => {
+  const parsed = parseOptionalActivityId(req.body);
+  if (!parsed.ok) return res.status(400).json(parsed.response);
+
+  let messageTypes = FIT_MESSAGE_TYPES;
+  if (req.body?.messages !== undefined) {
+    const requested = req.body.messages;
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({ ok: false, error: "messages must be a non-empty array" });
+    }
+    const unknown = requested.filter((m) => !FIT_MESSAGE_TYPES.includes(m));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        ok: false,
+        error: `Unknown messages: ${unknown.join(", ")}`,
+        supportedMessages: FIT_MESSAGE_TYPES,
+      });
+    }
+    messageTypes = FIT_MESSAGE_TYPES.filter((m) => requested.includes(m));
   }
 
   return withGarminToken(req, res, async (client) => {
-    const [settings, socialProfile] = await Promise.all([
-      withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS),
-      withTimeout(client.getUserProfile(), GARMIN_API_TIMEOUT_MS),
-    ]);
+    const activityId = await resolveActivityId(client, parsed.activityId);
 
-    const full = buildAthleteProfile(settings, socialProfile);
-    const fields = ATHLETE_PROFILE_FIELDS[profile];
-    const athleteProfile = fields ? pickFields(full, fields) : full;
+    const { filename, data } = await fetchOriginalFit(client, activityId);
+    let decoded;
+    try {
+      decoded = parseFitFile(data);
+    } catch (e) {
+      throw new RequestError(422, `Could not parse FIT file: ${e.message}`);
+    }
 
-    return { athleteProfile, profile };
+    const messages = {};
+    for (const type of messageTypes) messages[type] = decoded[type];
+    return { activityId, filename, fileId: decoded.fileId[0] || null, messages };
   });
 });
 
 // --------------------
-// Garmin: ACTIVITIES (TOKEN-ONLY)
-// Body: { username/email, tokenJson, offset?, limit? }
+// Garmin: WORKOUTS BATCH (grouped workouts for many activities in one call)
+// Body: { username/email, tokenJson, activityIds: [...], concurrency?, include? }
+// activityIds: up to WORKOUT_BATCH_MAX_IDS (duplicates are fetched once)
+// concurrency: parallel activity fetches, 1-5 (default 3)
+// include: optional groups from WORKOUT_INCLUDE_OPTIONS, for every activity
+// Each result is { activityId, ok: true, workout } or { activityId, ok: false, error }.
+// Ids not reached within WORKOUT_FETCH_BUDGET_MS come back in
+// pendingActivityIds; send them as the next batch.
 // --------------------
-app.post("/garmin/activities", requireApiKey, (req, res) =>
-  withGarminToken(req, res, async (client, req) => {
-    const n0 = Number(req.body?.limit ?? 10);
-    const limit = Number.isFinite(n0) ? Math.max(1, Math.min(n0, 50)) : 10;
-    const o0 = Number(req.body?.offset ?? 0);
-    const offset = Number.isFinite(o0) ? Math.max(0, o0) : 0;
-    return { activities: await withTimeout(client.getActivities(offset, limit), GARMIN_API_TIMEOUT_MS) };
-  })
-);
+app.post("/garmin/workouts/batch", requireApiKey, (req, res) => {
+  const rawIds = req.body?.activityIds;
+  if (!Array.isArray(rawIds) || rawIds.length === 0) {
+    return res.status(400).json({ ok: false, error: "activityIds must be a non-empty array" });
+  }
 
-// --------------------
-// Garmin: SINGLE ACTIVITY
-// Body: { username/email, tokenJson, activityId?, profile? }
-// activityId: optional — omit to fetch most recent activity
-// profile: "summary" | "coaching" | "full" (default: "full")
-// --------------------
-app.post("/garmin/activity", requireApiKey, (req, res) => {
-  const profile = req.body?.profile || "full";
-  if (!VALID_PROFILES.has(profile)) {
+  const activityIds = [];
+  for (let i = 0; i < rawIds.length; i++) {
+    const parsed = parseActivityIdFromBody({ activityId: rawIds[i] });
+    if (!parsed.ok) {
+      return res.status(400).json({
+        ok: false,
+        error: `Invalid activityId at index ${i}`,
+        receivedActivityIdRaw: parsed.activityIdRaw,
+      });
+    }
+    if (!activityIds.includes(parsed.activityId)) activityIds.push(parsed.activityId);
+  }
+  if (activityIds.length > WORKOUT_BATCH_MAX_IDS) {
     return res.status(400).json({
       ok: false,
-      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
+      error: `Too many activityIds (max ${WORKOUT_BATCH_MAX_IDS})`,
     });
   }
 
-  const parsed = parseActivityIdFromBody(req.body);
-  // If an activityId value was provided but is invalid (e.g. "abc"), that's still an error
-  const rawProvided = parsed.activityIdRaw !== null && parsed.activityIdRaw !== undefined;
-  if (rawProvided && !parsed.ok) {
-    return res.status(400).json({
-      ok: false,
-      error: "Invalid activityId",
-      receivedActivityIdRaw: parsed.activityIdRaw,
-      receivedType: parsed.activityIdRawType,
-    });
+  const includeResult = parseWorkoutInclude(req.body?.include);
+  if (!includeResult.ok) {
+    return res.status(400).json({ ok: false, error: includeResult.error });
   }
 
-  return withGarminToken(req, res, async (client) => {
-    let activityId = parsed.activityId;
+  const c0 = Number(req.body?.concurrency ?? WORKOUT_FETCH_CONCURRENCY);
+  const concurrency = Number.isFinite(c0)
+    ? Math.max(1, Math.min(Math.floor(c0), WORKOUT_FETCH_MAX_CONCURRENCY))
+    : WORKOUT_FETCH_CONCURRENCY;
 
-    // If no activityId provided, fetch the most recent activity
-    if (!activityId) {
-      const recent = await withTimeout(client.getActivities(0, 1), GARMIN_API_TIMEOUT_MS);
-      if (!recent || recent.length === 0) {
-        throw new Error("No activities found");
+  return withGarminToken(req, res, async (client) => {
+    const deadline = Date.now() + WORKOUT_FETCH_BUDGET_MS;
+    const settled = await mapWithConcurrency(activityIds, concurrency, async (activityId) => {
+      try {
+        return { activityId, ok: true, workout: await fetchWorkout(client, activityId, includeResult.include) };
+      } catch (e) {
+        const { status, error } = classifyGarminError(e);
+        if (status === 401) throw e; // every other fetch would fail too
+        return { activityId, ok: false, error };
       }
-      activityId = recent[0].activityId;
-    }
-
-    const raw = await withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS);
-    const flat = flattenActivityDetail(raw);
-    const fields = PROFILE_FIELDS[profile];
-    const activity = fields ? pickFields(flat, fields) : flat;
+    }, { deadline });
 
-    return { activity, profile };
+    const results = settled.filter(Boolean);
+    const pendingActivityIds = activityIds.filter((_, i) => !settled[i]);
+    const succeeded = results.filter((r) => r.ok).length;
+    return { results, succeeded, failed: results.length - succeeded, pendingActivityIds };
   });
 });
 
 // --------------------
-// Garmin: SPLITS / LAPS
-// Body: { username/email, tokenJson, activityId?, profile? }
-// activityId: optional — omit to fetch most recent activity
-// profile: "summary" | "coaching" | "full" (default: "full")
+// Garmin: BEST EFFORTS (power curve + fastest distances across a date range)
+// Body: { username/email, tokenJson, startDate, endDate?, activityType?, minDistance?, minDuration? }
+// Filters as for /garmin/activities; startDate is required. Scans up to
+// BEST_EFFORTS_MAX_ACTIVITIES (newest first) and sets truncated when the
+// range holds more.
 // --------------------
-app.post("/garmin/splits", requireApiKey, (req, res) => {
-  const profile = req.body?.profile || "full";
-  if (!VALID_PROFILES.has(profile)) {
-    return res.status(400).json({
-      ok: false,
-      error: `Invalid profile "${profile}". Must be one of: summary, coaching, full`,
-    });
+app.post("/garmin/best-efforts", requireApiKey, (req, res) => {
+  const parsedFilters = parseActivityFilters(req.body);
+  if (!parsedFilters.ok) {
+    return res.status(400).json({ ok: false, error: parsedFilters.error });
+  }
+  const { filters } = parsedFilters;
+  if (!filters.startDate) {
+    return res.status(400).json({ ok: false, error: "startDate is required (YYYY-MM-DD)" });
   }
 
-  const parsed = parseActivityIdFromBody(req.body);
-  const rawProvided = parsed.activityIdRaw !== null && parsed.activityIdRaw !== undefined;
-  if (rawProvided && !parsed.ok) {
-    return res.status(400).json({
-      ok: false,
-      error: "Invalid activityId",
-      receivedActivityIdRaw: parsed.activityIdRaw,
-      receivedType: parsed.activityIdRawType,
+  return withGarminToken(req, res, async (client) => {
+    const scan = await scanActivities(client, { limit: BEST_EFFORTS_MAX_ACTIVITIES, filters });
+
+    const errors = [];
+    const results = await mapWithConcurrency(scan.activities, WORKOUT_FETCH_CONCURRENCY, async (activity) => {
+      try {
+        const decoded = await fetchActivityStreams(client, activity.activityId);
+        return { activity, efforts: buildBestEfforts(decoded) };
+      } catch (e) {
+        const { status, error } = classifyGarminError(e);
+        if (status === 401) throw e; // every other fetch would fail too
+        errors.push({ activityId: activity.activityId, error });
+        return null;
+      }
     });
+
+    const best = aggregateBestEfforts(results.filter((r) => r?.efforts));
+    return {
+      activitiesScanned: scan.activities.length,
+      truncated: scan.nextOffset !== null,
+      ...best,
+      errors,
+    };
+  });
+});
+
+// --------------------
+// Garmin: TRAINING LOAD ANALYTICS
+// Body: { username/email, tokenJson, days?, endDate? }
+// days: window to return (default 90, max 365); endDate: YYYY-MM-DD, default today (UTC)
+// Activities without activityTrainingLoad fall back to TRIMP from duration + averageHR.
+// --------------------
+app.post("/garmin/analytics/load", requireApiKey, (req, res) => {
+  const rawDays = req.body?.days ?? LOAD_DEFAULT_DAYS;
+  if (!Number.isInteger(rawDays) || rawDays < 1 || rawDays > LOAD_MAX_DAYS) {
+    return res.status(400).json({ ok: false, error: `days must be an integer between 1 and ${LOAD_MAX_DAYS}` });
+  }
+  const endDate = req.body?.endDate ?? new Date().toISOString().slice(0, 10);
+  if (!isValidDateString(endDate)) {
+    return res.status(400).json({ ok: false, error: "endDate must be YYYY-MM-DD format" });
   }
+  const startDate = shiftDate(endDate, 1 - rawDays);
+  const firstDate = shiftDate(startDate, -LOAD_WARMUP_DAYS);
 
   return withGarminToken(req, res, async (client) => {
-    let activityId = parsed.activityId;
+    // Default maxPages (ACTIVITY_SCAN_MAX_PAGES) keeps the scan within SERVER_TIMEOUT_MS
+    const scan = await scanActivities(client, {
+      limit: Infinity,
+      filters: { startDate: firstDate, endDate },
+    });
+    if (scan.nextOffset !== null) {
+      throw new RequestError(422, "Too many activities in range. Request fewer days.");
+    }
 
-    // If no activityId provided, fetch the most recent activity
-    if (!activityId) {
-      const recent = await withTimeout(client.getActivities(0, 1), GARMIN_API_TIMEOUT_MS);
-      if (!recent || recent.length === 0) {
-        throw new Error("No activities found");
-      }
-      activityId = recent[0].activityId;
+    let trimp = null;
+    if (scan.activities.some((a) => !Number.isFinite(a?.activityTrainingLoad))) {
+      const zonesUrl = "https://connectapi.garmin.com/biometric-service/heartRateZones";
+      const [zoneConfigs, settings] = await Promise.all([
+        withTimeout(client.get(zonesUrl), GARMIN_API_TIMEOUT_MS).catch(() => null),
+        withTimeout(client.getUserSettings(), GARMIN_API_TIMEOUT_MS).catch(() => null),
+      ]);
+      trimp = trimpParams(zoneConfigs, settings);
     }
 
-    const url = `https://connectapi.garmin.com/activity-service/activity/${activityId}/splits`;
-    const raw = await withTimeout(client.get(url), GARMIN_API_TIMEOUT_MS);
+    const { series, sources } = buildLoadSeries(scan.activities, firstDate, endDate, trimp);
+    const window = series.filter((day) => day.date >= startDate);
+    return {
+      days: rawDays,
+      startDate,
+      endDate,
+      current: window[window.length - 1],
+      loadSources: sources,
+      trimp,
+      series: window,
+    };
+  });
+});
 
-    let laps = raw?.lapDTOs || [];
+// --------------------
+// Garmin: SUMMARY (weekly / monthly totals)
+// Body: { username/email, tokenJson, period?, weeks?, months?, groupBy?, endDate?, weekStart? }
+// period: "week" (default, `weeks` back, default 4) | "month" (`months` back, default 3)
+// groupBy: "sport" adds a per-sport breakdown; weekStart: "monday" (default) | "sunday"
+// endDate: YYYY-MM-DD, default today (UTC); its period is the last one returned
+// --------------------
+app.post("/garmin/summary", requireApiKey, (req, res) => {
+  const period = req.body?.period ?? "week";
+  if (!Object.hasOwn(SUMMARY_PERIODS, period)) {
+    return res.status(400).json({ ok: false, error: 'period must be "week" or "month"' });
+  }
+  const { countKey, defaultCount, maxCount } = SUMMARY_PERIODS[period];
+  const count = req.body?.[countKey] ?? defaultCount;
+  if (!Number.isInteger(count) || count < 1 || count > maxCount) {
+    return res.status(400).json({ ok: false, error: `${countKey} must be an integer between 1 and ${maxCount}` });
+  }
+  const groupBy = req.body?.groupBy;
+  if (groupBy !== undefined && groupBy !== null && groupBy !== "sport") {
+    return res.status(400).json({ ok: false, error: 'groupBy must be "sport"' });
+  }
+  const weekStartName = req.body?.weekStart ?? "monday";
+  if (!Object.hasOwn(SUMMARY_WEEK_STARTS, weekStartName)) {
+    return res.status(400).json({ ok: false, error: 'weekStart must be "monday" or "sunday"' });
+  }
+  const endDate = req.body?.endDate ?? new Date().toISOString().slice(0, 10);
+  if (!isValidDateString(endDate)) {
+    return res.status(400).json({ ok: false, error: "endDate must be YYYY-MM-DD format" });
+  }
 
-    const fields = SPLIT_PROFILE_FIELDS[profile];
-    if (fields) {
-      laps = laps.map((lap) => pickFields(lap, fields));
+  const weekStart = SUMMARY_WEEK_STARTS[weekStartName];
+  const startDate = firstSummaryPeriodStart(endDate, period, count, weekStart);
+
+  return withGarminToken(req, res, async (client) => {
+    // Default maxPages (ACTIVITY_SCAN_MAX_PAGES) keeps the scan within SERVER_TIMEOUT_MS
+    const scan = await scanActivities(client, {
+      limit: Infinity,
+      filters: { startDate, endDate },
+    });
+    if (scan.nextOffset !== null) {
+      throw new RequestError(422, `Too many activities in range. Request fewer ${countKey}.`);
     }
 
     return {
-      activityId: raw?.activityId ?? activityId,
-      laps,
-      lapCount: laps.length,
-      profile,
+      period,
+      startDate,
+      endDate,
+      periods: buildActivitySummary(scan.activities, {
+        period,
+        count,
+        endDate,
+        weekStart,
+        groupBySport: groupBy === "sport",
+      }),
     };
   });
 });
 
 // --------------------
-// Garmin: WORKOUT (combined activity + splits, semantically grouped)
-// Body: { username/email, tokenJson, activityId? }
-// activityId: optional — omit to fetch most recent activity
+// Garmin: SYNC (new activities since a watermark, as grouped workouts)
+// Body: { username/email, tokenJson, since?: { activityId?, timestamp? }, limit?, include? }
+// Returns up to `limit` new workouts in upload (activityId) order, per-activity
+// errors, and a watermark to send back as `since`. The watermark stops before the first
+// activity that failed transiently (timeout, 429, 5xx), so it is retried next
+// time; activities that fail permanently are reported once and skipped.
+// Activities not fetched within WORKOUT_FETCH_BUDGET_MS stay after the
+// watermark and set hasMore, so the next call resumes there.
+// Without `since`, returns the `limit` most recent activities.
 // --------------------
-app.post("/garmin/workout", requireApiKey, (req, res) => {
-  const parsed = parseActivityIdFromBody(req.body);
-  const rawProvided = parsed.activityIdRaw !== null && parsed.activityIdRaw !== undefined;
-  if (rawProvided && !parsed.ok) {
-    return res.status(400).json({
-      ok: false,
-      error: "Invalid activityId",
-      receivedActivityIdRaw: parsed.activityIdRaw,
-      receivedType: parsed.activityIdRawType,
-    });
+app.post("/garmin/sync", requireApiKey, (req, res) => {
+  const sinceResult = parseSyncWatermark(req.body?.since);
+  if (!sinceResult.ok) {
+    return res.status(400).json({ ok: false, error: sinceResult.error });
+  }
+  const since = sinceResult.since;
+  const includeResult = parseWorkoutInclude(req.body?.include);
+  if (!includeResult.ok) {
+    return res.status(400).json({ ok: false, error: includeResult.error });
   }
 
-  return withGarminToken(req, res, async (client) => {
-    let activityId = parsed.activityId;
+  return withGarminToken(req, res, async (client, req) => {
+    const deadline = Date.now() + WORKOUT_FETCH_BUDGET_MS;
+    const n0 = Number(req.body?.limit ?? SYNC_DEFAULT_LIMIT);
+    const limit = Number.isFinite(n0) ? Math.max(1, Math.min(n0, SYNC_MAX_LIMIT)) : SYNC_DEFAULT_LIMIT;
 
-    // If no activityId provided, fetch the most recent activity
-    if (!activityId) {
-      const recent = await withTimeout(client.getActivities(0, 1), GARMIN_API_TIMEOUT_MS);
-      if (!recent || recent.length === 0) {
-        throw new Error("No activities found");
-      }
-      activityId = recent[0].activityId;
+    const scan = await scanActivities(client, {
+      limit: since ? Infinity : limit,
+      stopAt: since ? syncScanStop(since) : null,
+    });
+    if (since && scan.nextOffset !== null) {
+      throw new RequestError(
+        422,
+        "Too many new activities since the watermark. Backfill with /garmin/activities (startDate/endDate) and sync from a recent activityId."
+      );
     }
 
-    // Parallel fetch: activity detail + splits
-    const splitsUrl = `https://connectapi.garmin.com/activity-service/activity/${activityId}/splits`;
-    const [rawActivity, rawSplits] = await Promise.all([
-      withTimeout(client.getActivity({ activityId }), GARMIN_API_TIMEOUT_MS),
-      withTimeout(client.get(splitsUrl), GARMIN_API_TIMEOUT_MS),
-    ]);
+    // Oldest upload first, so the watermark only ever moves forward
+    const pending = scan.activities
+      .filter((activity) => !since || isAfterWatermark(activity, since))
+      .sort((a, b) => a.activityId - b.activityId);
+    const batch = pending.slice(0, limit);
+    const results = await mapWithConcurrency(batch, WORKOUT_FETCH_CONCURRENCY, async (activity) => {
+      try {
+        return { activity, workout: await fetchWorkout(client, activity.activityId, includeResult.include) };
+      } catch (e) {
+        const { status, error } = classifyGarminError(e);
+        if (status === 401) throw e; // every other fetch would fail too
+        return { activity, error, retryable: isTransientGarminError(e) };
+      }
+    }, { deadline });
 
-    const flat = flattenActivityDetail(rawActivity);
-    const laps = rawSplits?.lapDTOs || [];
-    const workout = buildWorkoutResponse(flat, laps);
+    const workouts = [];
+    const errors = [];
+    let watermark = since;
+    let held = false;
+    // Items start in order, so the unstarted ones (past the deadline) are a tail
+    const fetched = batch.filter((_, i) => results[i]).length;
+    for (const { activity, workout, error, retryable } of results.slice(0, fetched)) {
+      if (error) {
+        errors.push({ activityId: activity.activityId, error, retryable });
+        held ||= retryable;
+      } else {
+        workouts.push({ activityId: activity.activityId, workout });
+      }
+      if (!held) watermark = buildSyncWatermark(activity, watermark);
+    }
 
-    return { activityId, workout };
+    // Only unfetched activities count: a held watermark waits for the next
+    // scheduled sync instead of having the client retry straight away.
+    return {
+      workouts,
+      errors,
+      watermark,
+      hasMore: pending.length > fetched,
+    };
   });
 });
 
@@ -1382,6 +5001,217 @@ app.post("/garmin/workout/create", requireApiKey, (req, res) => {
   });
 });
 
+// --------------------
+// Garmin: LIST SAVED WORKOUTS
+// Body: { username/email, tokenJson, start?, limit? }
+// start: offset (default 0); limit: default 50, max 100
+// --------------------
+app.post("/garmin/workouts/list", requireApiKey, (req, res) => {
+  const start = req.body?.start ?? 0;
+  if (!Number.isInteger(start) || start < 0) {
+    return res.status(400).json({ ok: false, error: "start must be a non-negative integer" });
+  }
+  const limit = req.body?.limit ?? WORKOUT_LIST_DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > WORKOUT_LIST_MAX_LIMIT) {
+    return res.status(400).json({ ok: false, error: `limit must be an integer between 1 and ${WORKOUT_LIST_MAX_LIMIT}` });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const raw = await withTimeout(client.getWorkouts(start, limit), GARMIN_API_TIMEOUT_MS);
+    const workouts = (Array.isArray(raw) ? raw : []).map(buildWorkoutListEntry);
+    return { start, limit, workouts, hasMore: workouts.length === limit };
+  });
+});
+
+// --------------------
+// Garmin: GET SAVED WORKOUT
+// Body: { username/email, tokenJson, workoutId }
+// Returns the workout in the /garmin/workout/create request shape.
+// --------------------
+app.post("/garmin/workouts/get", requireApiKey, (req, res) => {
+  const workoutId = parseGarminId(req.body?.workoutId);
+  if (!workoutId) {
+    return res.status(400).json({ ok: false, error: "workoutId must be a positive integer" });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const raw = await withTimeout(client.getWorkoutDetail({ workoutId }), GARMIN_API_TIMEOUT_MS);
+    return { workoutId, workout: parseGarminWorkout(raw) };
+  });
+});
+
+// --------------------
+// Garmin: UPDATE SAVED WORKOUT
+// Body: { username/email, tokenJson, workoutId, workout: { name, sport, steps[] } }
+// Replaces the workout's name, sport and steps; schedules are kept.
+// --------------------
+app.post("/garmin/workouts/update", requireApiKey, (req, res) => {
+  const workoutId = parseGarminId(req.body?.workoutId);
+  if (!workoutId) {
+    return res.status(400).json({ ok: false, error: "workoutId must be a positive integer" });
+  }
+  const { workout } = req.body;
+  const validation = validateWorkoutPayload(workout);
+  if (!validation.ok) {
+    return res.status(400).json({ ok: false, error: validation.error });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const url = `https://connectapi.garmin.com/workout-service/workout/${workoutId}`;
+    await withTimeout(
+      client.put(url, { ...buildGarminWorkout(workout), workoutId }),
+      GARMIN_API_TIMEOUT_MS
+    );
+    return { workoutId, workoutName: workout.name };
+  });
+});
+
+// --------------------
+// Garmin: DELETE SAVED WORKOUT
+// Body: { username/email, tokenJson, workoutId }
+// --------------------
+app.post("/garmin/workouts/delete", requireApiKey, (req, res) => {
+  const workoutId = parseGarminId(req.body?.workoutId);
+  if (!workoutId) {
+    return res.status(400).json({ ok: false, error: "workoutId must be a positive integer" });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    await withTimeout(client.deleteWorkout({ workoutId }), GARMIN_API_TIMEOUT_MS);
+    return { workoutId, deleted: true };
+  });
+});
+
+// --------------------
+// Garmin: TRAINING CALENDAR
+// Body: { username/email, tokenJson, view?, date?, weekStart? }
+// view: "month" (default) | "week", the one containing date (YYYY-MM-DD, default today UTC)
+// weekStart: "monday" (default) | "sunday"
+// --------------------
+app.post("/garmin/calendar", requireApiKey, (req, res) => {
+  const view = req.body?.view ?? "month";
+  if (!CALENDAR_VIEWS.has(view)) {
+    return res.status(400).json({ ok: false, error: 'view must be "month" or "week"' });
+  }
+  const weekStartName = req.body?.weekStart ?? "monday";
+  if (!Object.hasOwn(SUMMARY_WEEK_STARTS, weekStartName)) {
+    return res.status(400).json({ ok: false, error: 'weekStart must be "monday" or "sunday"' });
+  }
+  const date = req.body?.date ?? new Date().toISOString().slice(0, 10);
+  if (!isValidDateString(date)) {
+    return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD format" });
+  }
+
+  const startDate = summaryPeriodStart(date, view, SUMMARY_WEEK_STARTS[weekStartName]);
+  const endDate = shiftDate(nextSummaryPeriod(startDate, view), -1);
+
+  return withGarminToken(req, res, async (client) => {
+    const calendars = await Promise.all(
+      calendarMonths(startDate, endDate).map(({ year, month }) =>
+        withTimeout(client.getMonthCalendarEvents(year, month), GARMIN_API_TIMEOUT_MS)
+      )
+    );
+    return { view, startDate, endDate, ...buildCalendarItems(calendars, startDate, endDate) };
+  });
+});
+
+// --------------------
+// Garmin: SCHEDULE SAVED WORKOUT
+// Body: { username/email, tokenJson, workoutId, date }
+// --------------------
+app.post("/garmin/calendar/schedule", requireApiKey, (req, res) => {
+  const workoutId = parseGarminId(req.body?.workoutId);
+  if (!workoutId) {
+    return res.status(400).json({ ok: false, error: "workoutId must be a positive integer" });
+  }
+  const { date } = req.body;
+  if (!isValidDateString(date)) {
+    return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD format" });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    const scheduled = await withTimeout(
+      client.scheduleWorkout({ workoutId: String(workoutId) }, date),
+      GARMIN_API_TIMEOUT_MS
+    );
+    return { workoutId, date, scheduleId: scheduled?.workoutScheduleId ?? null };
+  });
+});
+
+// --------------------
+// Garmin: UNSCHEDULE WORKOUT
+// Body: { username/email, tokenJson, scheduleId }
+// scheduleId is a scheduled entry's id from /garmin/calendar; the saved workout is kept.
+// --------------------
+app.post("/garmin/calendar/unschedule", requireApiKey, (req, res) => {
+  const scheduleId = parseGarminId(req.body?.scheduleId);
+  if (!scheduleId) {
+    return res.status(400).json({ ok: false, error: "scheduleId must be a positive integer" });
+  }
+
+  return withGarminToken(req, res, async (client) => {
+    // The library has no unschedule call; use its HTTP client directly
+    const url = `https://connectapi.garmin.com/workout-service/schedule/${scheduleId}`;
+    await withTimeout(client.client.delete(url), GARMIN_API_TIMEOUT_MS);
+    return { scheduleId, unscheduled: true };
+  });
+});
+
+// --------------------
+// Garmin: PUSH TRAINING PLAN
+// Body: { username/email, tokenJson, items: [{ workout, scheduleDate }], partial? }
+//    or { username/email, tokenJson, planId } to continue a plan
+// All items are validated before anything is created. Each call pushes what
+// fits in PLAN_PUSH_BUDGET_MS; repeat with the returned planId while hasMore.
+// Without partial: true, one failure rolls back every workout the plan
+// created, across all calls; check `complete` and the per-item report.
+// --------------------
+app.post("/garmin/plan/push", requireApiKey, (req, res) => {
+  const { items, planId, partial = false } = req.body || {};
+  if (planId !== undefined) {
+    if (items !== undefined) {
+      return res.status(400).json({ ok: false, error: "Send items to start a plan or planId to continue one, not both" });
+    }
+    if (typeof planId !== "string" || !planId) {
+      return res.status(400).json({ ok: false, error: "planId must be a non-empty string" });
+    }
+  } else {
+    if (typeof partial !== "boolean") {
+      return res.status(400).json({ ok: false, error: "partial must be a boolean" });
+    }
+    const validation = validatePlanItems(items);
+    if (!validation.ok) {
+      return res.status(400).json({ ok: false, error: validation.error });
+    }
+  }
+
+  return withGarminToken(req, res, async (client, _req, username) => {
+    const deadline = Date.now() + PLAN_PUSH_BUDGET_MS;
+    const plan = planId ? await claimPlan(planId, username) : await startPlan(username, items, partial);
+    return runPlan(client, plan, deadline);
+  });
+});
+
+// --------------------
+// Garmin: ROLL BACK TRAINING PLAN
+// Body: { username/email, tokenJson, planId }
+// Stops a plan and deletes every workout it created, in any call. Repeat while
+// hasMore, as for /garmin/plan/push.
+// --------------------
+app.post("/garmin/plan/rollback", requireApiKey, (req, res) => {
+  const planId = req.body?.planId;
+  if (typeof planId !== "string" || !planId) {
+    return res.status(400).json({ ok: false, error: "planId must be a non-empty string" });
+  }
+
+  return withGarminToken(req, res, async (client, _req, username) => {
+    const deadline = Date.now() + PLAN_PUSH_BUDGET_MS;
+    const plan = await claimPlan(planId, username);
+    abandonPlan(plan);
+    return runPlan(client, plan, deadline);
+  });
+});
+
 // --------------------
 // Start server
 // --------------------
@@ -1396,8 +5226,55 @@ export {
   parseActivityIdFromBody,
   canAttemptPasswordLogin,
   markPasswordLoginAttempt,
-  lastPasswordLoginAttemptByUsername,
+  markPasswordLoginFailure,
+  isCredentialLoginError,
+  failedLoginLockoutMs,
+  setLoginCooldownStore,
+  PASSWORD_LOGIN_COOLDOWN_MS,
+  FAILED_LOGIN_BASE_LOCKOUT_MS,
+  FAILED_LOGIN_MAX_LOCKOUT_MS,
+  createMemoryStore,
   withGarminToken,
+  RequestError,
+  classifyGarminError,
+  isTransientGarminError,
+  mapWithConcurrency,
+  GarminMfaRequiredError,
+  GarminMfaCodeError,
+  MFA_SESSION_TTL_MS,
+  MFA_MAX_CODE_ATTEMPTS,
+  pendingMfaSessions,
+  prepareClientForMfa,
+  completeMfaLogin,
+  createJsonFileStore,
+  encryptConnection,
+  decryptConnection,
+  saveConnection,
+  loadConnection,
+  isTokenVaultEnabled,
+  isValidDateString,
+  activityLocalDate,
+  shiftDate,
+  listDates,
+  parseDateRange,
+  buildDailySummary,
+  DAILY_PROFILE_FIELDS,
+  buildSleepSummary,
+  buildHrvNight,
+  computeHrvTrend,
+  HRV_PROFILE_FIELDS,
+  buildBodyCompositionEntry,
+  parseWeighIn,
+  buildTrainingStatus,
+  buildVo2MaxHistory,
+  buildRacePredictions,
+  parseActivityFilters,
+  matchesActivityFilters,
+  scanActivities,
+  encodeActivityCursor,
+  decodeActivityCursor,
+  ACTIVITY_PAGE_SIZE,
+  ACTIVITY_SCAN_MAX_PAGES,
   SUMMARY_FIELDS,
   COACHING_FIELDS,
   SPLIT_SUMMARY_FIELDS,
@@ -1406,6 +5283,45 @@ export {
   flattenActivityDetail,
   buildWorkoutResponse,
   transformSplitSummaries,
+  fetchWorkout,
+  WORKOUT_INCLUDE_OPTIONS,
+  parseWorkoutInclude,
+  STREAM_CHANNELS,
+  decodeActivityDetails,
+  downsampleStreams,
+  fetchActivityStreams,
+  hrZonesFromGarmin,
+  athleteHrZoneFloors,
+  lactateThresholdZoneFloors,
+  computeHrTimeInZones,
+  resolveHrZones,
+  bestPowerEfforts,
+  bestPaceEfforts,
+  buildBestEfforts,
+  aggregateBestEfforts,
+  trimpParams,
+  computeTrimp,
+  activityLoad,
+  buildLoadSeries,
+  activitySportKey,
+  summaryPeriodStart,
+  buildActivitySummary,
+  FileResult,
+  escapeXml,
+  buildExportTrack,
+  buildGpx,
+  buildTcx,
+  extractOriginalFit,
+  parseFitFile,
+  activityStartMs,
+  parseSyncWatermark,
+  isAfterWatermark,
+  buildSyncWatermark,
+  SYNC_MAX_LIMIT,
+  WORKOUT_BATCH_MAX_IDS,
+  WORKOUT_FETCH_BUDGET_MS,
+  BEST_EFFORTS_MAX_ACTIVITIES,
+  WORKOUT_FETCH_MAX_CONCURRENCY,
   SPLIT_TYPE_PHASE_MAP,
   WORKOUT_IDENTITY_FIELDS,
   WORKOUT_TIMING_FIELDS,
@@ -1421,6 +5337,9 @@ export {
   WORKOUT_LAP_FIELDS,
   SPORT_TYPE_MAP,
   STEP_TYPE_MAP,
+  SWIM_STROKE_MAP,
+  SWIM_EQUIPMENT_MAP,
+  STRENGTH_EXERCISE_CATALOG,
   parsePaceToMps,
   buildGarminSportType,
   buildGarminDuration,
@@ -1430,6 +5349,17 @@ export {
   buildGarminWorkout,
   validateWorkoutPayload,
   validateWorkoutStep,
+  validateWorkoutTarget,
+  parseGarminId,
+  formatPaceFromMps,
+  parseGarminWorkout,
+  buildWorkoutListEntry,
+  calendarMonths,
+  buildCalendarItems,
+  validatePlanItems,
+  PLAN_MAX_ITEMS,
+  PLAN_PUSH_BUDGET_MS,
+  setPlanStore,
   buildAthleteProfile,
   secsToHHMM,
   computeAge,
@@ -1,4 +1,8 @@
-import { describe, it, expect, vi, beforeEach } from "vitest";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
 import request from "supertest";
 
 // ---------------------
@@ -14,12 +18,34 @@ const mockLoadToken = vi.fn();
 const mockGetUserSettings = vi.fn();
 const mockCreateWorkout = vi.fn();
 const mockScheduleWorkout = vi.fn();
+const mockUpdateWeight = vi.fn();
+const mockGetWorkouts = vi.fn();
+const mockGetWorkoutDetail = vi.fn();
+const mockDeleteWorkout = vi.fn();
+const mockPut = vi.fn();
+const mockGetMonthCalendarEvents = vi.fn();
+const mockHttpDelete = vi.fn();
+const mockSsoPost = vi.fn();
+const mockGetOauth1Token = vi.fn();
+const mockExchange = vi.fn();
 
 vi.mock("@flow-js/garmin-connect", () => {
   class GarminConnect {
     constructor({ username, password }) {
       this.username = username;
       this.password = password;
+      this.client = {
+        post: (...args) => mockSsoPost(...args),
+        getOauth1Token: (...args) => mockGetOauth1Token(...args),
+        exchange: (...args) => mockExchange(...args),
+        delete: (...args) => mockHttpDelete(...args),
+      };
+      this.url = {
+        GARMIN_SSO: "https://sso.garmin.com/sso",
+        GARMIN_SSO_EMBED: "https://sso.garmin.com/sso/embed",
+        GARMIN_SSO_ORIGIN: "https://sso.garmin.com",
+        SIGNIN_URL: "https://sso.garmin.com/sso/signin",
+      };
     }
     login(...args) { return mockLogin(...args); }
     getUserProfile(...args) { return mockGetUserProfile(...args); }
@@ -31,6 +57,12 @@ vi.mock("@flow-js/garmin-connect", () => {
     loadToken(...args) { return mockLoadToken(...args); }
     createWorkout(...args) { return mockCreateWorkout(...args); }
     scheduleWorkout(...args) { return mockScheduleWorkout(...args); }
+    updateWeight(...args) { return mockUpdateWeight(...args); }
+    getWorkouts(...args) { return mockGetWorkouts(...args); }
+    getWorkoutDetail(...args) { return mockGetWorkoutDetail(...args); }
+    deleteWorkout(...args) { return mockDeleteWorkout(...args); }
+    put(...args) { return mockPut(...args); }
+    getMonthCalendarEvents(...args) { return mockGetMonthCalendarEvents(...args); }
   }
   return { default: { GarminConnect } };
 });
@@ -40,12 +72,52 @@ const {
   app,
   GarminTimeoutError,
   withTimeout,
+  GarminMfaRequiredError,
+  MFA_SESSION_TTL_MS,
+  MFA_MAX_CODE_ATTEMPTS,
+  pendingMfaSessions,
+  prepareClientForMfa,
+  createJsonFileStore,
+  encryptConnection,
+  decryptConnection,
+  saveConnection,
+  loadConnection,
   GARMIN_LOGIN_TIMEOUT_MS,
   GARMIN_API_TIMEOUT_MS,
   parseActivityIdFromBody,
   canAttemptPasswordLogin,
   markPasswordLoginAttempt,
-  lastPasswordLoginAttemptByUsername,
+  markPasswordLoginFailure,
+  isCredentialLoginError,
+  failedLoginLockoutMs,
+  setLoginCooldownStore,
+  PASSWORD_LOGIN_COOLDOWN_MS,
+  FAILED_LOGIN_BASE_LOCKOUT_MS,
+  FAILED_LOGIN_MAX_LOCKOUT_MS,
+  createMemoryStore,
+  isValidDateString,
+  activityLocalDate,
+  shiftDate,
+  listDates,
+  parseDateRange,
+  buildDailySummary,
+  buildSleepSummary,
+  buildHrvNight,
+  computeHrvTrend,
+  HRV_PROFILE_FIELDS,
+  buildBodyCompositionEntry,
+  parseWeighIn,
+  buildTrainingStatus,
+  buildVo2MaxHistory,
+  buildRacePredictions,
+  DAILY_PROFILE_FIELDS,
+  parseActivityFilters,
+  matchesActivityFilters,
+  scanActivities,
+  encodeActivityCursor,
+  decodeActivityCursor,
+  ACTIVITY_PAGE_SIZE,
+  ACTIVITY_SCAN_MAX_PAGES,
   SUMMARY_FIELDS,
   COACHING_FIELDS,
   SPLIT_SUMMARY_FIELDS,
@@ -54,6 +126,41 @@ const {
   flattenActivityDetail,
   buildWorkoutResponse,
   transformSplitSummaries,
+  classifyGarminError,
+  isTransientGarminError,
+  STREAM_CHANNELS,
+  decodeActivityDetails,
+  downsampleStreams,
+  escapeXml,
+  buildExportTrack,
+  hrZonesFromGarmin,
+  athleteHrZoneFloors,
+  lactateThresholdZoneFloors,
+  computeHrTimeInZones,
+  resolveHrZones,
+  bestPowerEfforts,
+  bestPaceEfforts,
+  buildBestEfforts,
+  aggregateBestEfforts,
+  trimpParams,
+  computeTrimp,
+  activityLoad,
+  buildLoadSeries,
+  activitySportKey,
+  summaryPeriodStart,
+  buildActivitySummary,
+  extractOriginalFit,
+  parseFitFile,
+  mapWithConcurrency,
+  RequestError,
+  activityStartMs,
+  parseSyncWatermark,
+  isAfterWatermark,
+  SYNC_MAX_LIMIT,
+  WORKOUT_BATCH_MAX_IDS,
+  WORKOUT_FETCH_BUDGET_MS,
+  BEST_EFFORTS_MAX_ACTIVITIES,
+  WORKOUT_FETCH_MAX_CONCURRENCY,
   SPLIT_TYPE_PHASE_MAP,
   WORKOUT_IDENTITY_FIELDS,
   WORKOUT_TIMING_FIELDS,
@@ -74,7 +181,21 @@ const {
   buildGarminStep,
   buildGarminRepeatGroup,
   buildGarminWorkout,
+  SWIM_STROKE_MAP,
+  SWIM_EQUIPMENT_MAP,
+  STRENGTH_EXERCISE_CATALOG,
   validateWorkoutPayload,
+  validateWorkoutTarget,
+  parseGarminId,
+  formatPaceFromMps,
+  parseGarminWorkout,
+  buildWorkoutListEntry,
+  calendarMonths,
+  buildCalendarItems,
+  validatePlanItems,
+  PLAN_MAX_ITEMS,
+  PLAN_PUSH_BUDGET_MS,
+  setPlanStore,
   buildAthleteProfile,
   secsToHHMM,
   computeAge,
@@ -93,7 +214,10 @@ const API_KEY = "test-key-123";
 beforeEach(() => {
   vi.resetAllMocks();
   process.env.API_KEY = API_KEY;
-  lastPasswordLoginAttemptByUsername.clear();
+  delete process.env.TOKEN_VAULT_KEY;
+  delete process.env.TOKEN_VAULT_FILE;
+  setLoginCooldownStore(createMemoryStore());
+  pendingMfaSessions.clear();
 
   // Sensible defaults — override in individual tests as needed
   mockExportToken.mockResolvedValue(REFRESHED_TOKEN);
@@ -248,21 +372,120 @@ describe("parseActivityIdFromBody", () => {
 });
 
 describe("canAttemptPasswordLogin / markPasswordLoginAttempt", () => {
-  it("allows first attempt", () => {
-    expect(canAttemptPasswordLogin("user1").ok).toBe(true);
+  it("allows first attempt", async () => {
+    expect((await canAttemptPasswordLogin("user1")).ok).toBe(true);
   });
 
-  it("blocks immediately after marking", () => {
-    markPasswordLoginAttempt("user2");
-    const result = canAttemptPasswordLogin("user2");
+  it("blocks immediately after marking", async () => {
+    await markPasswordLoginAttempt("user2");
+    const result = await canAttemptPasswordLogin("user2");
     expect(result.ok).toBe(false);
     expect(result.waitMs).toBeGreaterThan(0);
+    expect(result.waitMs).toBeLessThanOrEqual(PASSWORD_LOGIN_COOLDOWN_MS);
   });
 
-  it("tracks users independently", () => {
-    markPasswordLoginAttempt("userA");
-    expect(canAttemptPasswordLogin("userA").ok).toBe(false);
-    expect(canAttemptPasswordLogin("userB").ok).toBe(true);
+  it("applies the cooldown to every letter case of the username", async () => {
+    await markPasswordLoginAttempt("Cooldown@Example.com");
+    expect((await canAttemptPasswordLogin("cooldown@example.com")).ok).toBe(false);
+  });
+
+  it("tracks users independently", async () => {
+    await markPasswordLoginAttempt("userA");
+    expect((await canAttemptPasswordLogin("userA")).ok).toBe(false);
+    expect((await canAttemptPasswordLogin("userB")).ok).toBe(true);
+  });
+});
+
+describe("markPasswordLoginFailure (exponential lockout)", () => {
+  it("locks out after a failure and doubles the lockout each time", async () => {
+    await markPasswordLoginFailure("fail-user");
+    const first = await canAttemptPasswordLogin("fail-user");
+    expect(first.ok).toBe(false);
+    expect(first.failures).toBe(1);
+    expect(first.waitMs).toBeLessThanOrEqual(FAILED_LOGIN_BASE_LOCKOUT_MS);
+
+    await markPasswordLoginFailure("fail-user");
+    const second = await canAttemptPasswordLogin("fail-user");
+    expect(second.failures).toBe(2);
+    expect(second.waitMs).toBeGreaterThan(FAILED_LOGIN_BASE_LOCKOUT_MS);
+  });
+
+  it("expires the lockout after its window", async () => {
+    vi.useFakeTimers();
+    try {
+      await markPasswordLoginFailure("fail-expire");
+      vi.advanceTimersByTime(FAILED_LOGIN_BASE_LOCKOUT_MS + 1);
+      expect((await canAttemptPasswordLogin("fail-expire")).ok).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("shares the lockout across case and whitespace variants of the username", async () => {
+    await markPasswordLoginFailure("Mixed.Case@Example.com");
+    const gate = await canAttemptPasswordLogin("  mixed.case@EXAMPLE.com ");
+    expect(gate.ok).toBe(false);
+    expect(gate.failures).toBe(1);
+    await markPasswordLoginFailure("MIXED.CASE@example.com");
+    expect((await canAttemptPasswordLogin("mixed.case@example.com")).failures).toBe(2);
+  });
+
+  it("counts concurrent failures without losing increments", async () => {
+    await Promise.all([1, 2, 3].map(() => markPasswordLoginFailure("fail-parallel")));
+    expect((await canAttemptPasswordLogin("fail-parallel")).failures).toBe(3);
+  });
+
+  it("resets the failure count on a successful login", async () => {
+    await markPasswordLoginFailure("fail-reset");
+    await markPasswordLoginAttempt("fail-reset");
+    expect((await canAttemptPasswordLogin("fail-reset")).failures).toBe(0);
+  });
+});
+
+describe("failedLoginLockoutMs", () => {
+  it("grows exponentially from the base lockout", () => {
+    expect(failedLoginLockoutMs(0)).toBe(0);
+    expect(failedLoginLockoutMs(1)).toBe(FAILED_LOGIN_BASE_LOCKOUT_MS);
+    expect(failedLoginLockoutMs(2)).toBe(FAILED_LOGIN_BASE_LOCKOUT_MS * 2);
+    expect(failedLoginLockoutMs(3)).toBe(FAILED_LOGIN_BASE_LOCKOUT_MS * 4);
+  });
+
+  it("caps at the maximum lockout", () => {
+    expect(failedLoginLockoutMs(50)).toBe(FAILED_LOGIN_MAX_LOCKOUT_MS);
+  });
+});
+
+describe("isCredentialLoginError", () => {
+  it("matches Garmin credential rejections", () => {
+    expect(isCredentialLoginError(new Error("login failed (Ticket not found or MFA), please check username and password"))).toBe(true);
+    expect(isCredentialLoginError(new Error("login failed (AccountLocked), please open connect web page"))).toBe(true);
+    expect(isCredentialLoginError(new Error("ERROR: (401), Unauthorized"))).toBe(true);
+  });
+
+  it("ignores outages and timeouts", () => {
+    expect(isCredentialLoginError(new Error("Garmin is down"))).toBe(false);
+    expect(isCredentialLoginError(new Error('ERROR: (403), Forbidden, "rate limited"'))).toBe(false);
+    expect(isCredentialLoginError(new GarminTimeoutError(15000))).toBe(false);
+  });
+});
+
+describe("login cooldown with a file store", () => {
+  it("persists cooldown state across store instances", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-cooldown-"));
+    const file = path.join(dir, "cooldown.json");
+    setLoginCooldownStore(createJsonFileStore(file));
+    await markPasswordLoginAttempt("file-user");
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))["file-user"].lastSuccessAt).toBeGreaterThan(0);
+    expect((await canAttemptPasswordLogin("file-user")).ok).toBe(false);
+  });
+
+  it("counts every one of several concurrent failures", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-cooldown-"));
+    setLoginCooldownStore(createJsonFileStore(path.join(dir, "cooldown.json")));
+    await Promise.all([1, 2, 3, 4].map(() => markPasswordLoginFailure("file-parallel")));
+    const gate = await canAttemptPasswordLogin("file-parallel");
+    expect(gate.failures).toBe(4);
+    expect(gate.waitMs).toBeGreaterThan(FAILED_LOGIN_BASE_LOCKOUT_MS * 4);
   });
 });
 
@@ -431,7 +654,7 @@ describe("POST /garmin/connect", () => {
   });
 
   it("password login: returns 429 when cooldown is active", async () => {
-    markPasswordLoginAttempt("cooldown-user");
+    await markPasswordLoginAttempt("cooldown-user");
     const res = await request(app)
       .post("/garmin/connect")
       .set(auth())
@@ -457,7 +680,22 @@ describe("POST /garmin/connect", () => {
       .set(auth())
       .send({ username: "retry-user", password: "p" });
     // Cooldown should NOT be set — user can retry immediately
-    expect(canAttemptPasswordLogin("retry-user").ok).toBe(true);
+    expect((await canAttemptPasswordLogin("retry-user")).ok).toBe(true);
+  });
+
+  it("password login: locks out after rejected credentials", async () => {
+    mockLogin.mockRejectedValue(new Error("login failed (Ticket not found or MFA), please check username and password"));
+    const first = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "bad-pass-user", password: "wrong" });
+    expect(first.status).toBe(500);
+    const second = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "bad-pass-user", password: "wrong" });
+    expect(second.status).toBe(429);
+    expect(mockLogin).toHaveBeenCalledTimes(1);
   });
 
   it("password login: DOES burn cooldown on successful login", async () => {
@@ -466,7 +704,7 @@ describe("POST /garmin/connect", () => {
       .set(auth())
       .send({ username: "success-user", password: "p" });
     // Cooldown should be active after successful login
-    expect(canAttemptPasswordLogin("success-user").ok).toBe(false);
+    expect((await canAttemptPasswordLogin("success-user")).ok).toBe(false);
   });
 
   it("accepts email field as username", async () => {
@@ -479,6 +717,416 @@ describe("POST /garmin/connect", () => {
   });
 });
 
+// ============================================================
+// MFA LOGIN TESTS
+// ============================================================
+
+describe("prepareClientForMfa", () => {
+  function fakeClient() {
+    const handlers = { request: [], response: [] };
+    const http = {
+      client: {
+        interceptors: {
+          request: { use: (fn) => handlers.request.push(fn) },
+          response: { use: (fn) => handlers.response.push(fn) },
+        },
+      },
+      handleMFA() {},
+    };
+    return { client: { client: http }, http, handlers };
+  }
+
+  it("throws GarminMfaRequiredError with the csrf token on the MFA page", () => {
+    const { client, http } = fakeClient();
+    prepareClientForMfa(client);
+    const html = '<title>Enter MFA code for login</title><input name="_csrf" value="csrf-123">';
+    let thrown;
+    try { http.handleMFA(html); } catch (e) { thrown = e; }
+    expect(thrown).toBeInstanceOf(GarminMfaRequiredError);
+    expect(thrown.csrf).toBe("csrf-123");
+  });
+
+  it("ignores non-MFA pages", () => {
+    const { client, http } = fakeClient();
+    prepareClientForMfa(client);
+    expect(() => http.handleMFA("<title>Success</title>")).not.toThrow();
+  });
+
+  it("replays SSO cookies on later SSO requests only", () => {
+    const { client, handlers } = fakeClient();
+    prepareClientForMfa(client);
+    handlers.response[0]({
+      config: { url: "https://sso.garmin.com/sso/signin" },
+      headers: { "set-cookie": ["SESSION=abc; Path=/; Secure", "GARMIN-SSO=1; Path=/"] },
+    });
+    const sso = handlers.request[0]({ url: "https://sso.garmin.com/sso/verifyMFA", headers: {} });
+    expect(sso.headers.Cookie).toBe("SESSION=abc; GARMIN-SSO=1");
+    const api = handlers.request[0]({ url: "https://connectapi.garmin.com/x", headers: {} });
+    expect(api.headers.Cookie).toBeUndefined();
+  });
+
+  it("is a no-op for clients without an axios instance", () => {
+    expect(() => prepareClientForMfa({})).not.toThrow();
+  });
+});
+
+describe("POST /garmin/connect (MFA)", () => {
+  async function startMfa(username = "mfa-user") {
+    mockLogin.mockRejectedValueOnce(new GarminMfaRequiredError("csrf-1"));
+    return request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username, password: "p" });
+  }
+
+  it("returns mfaRequired with a session id when Garmin asks for a code", async () => {
+    const res = await startMfa();
+    expect(res.status).toBe(202);
+    expect(res.body.ok).toBe(false);
+    expect(res.body.mfaRequired).toBe(true);
+    expect(typeof res.body.mfaSessionId).toBe("string");
+    expect(res.body.expiresInSec).toBe(MFA_SESSION_TTL_MS / 1000);
+    expect(res.body.tokenJson).toBeUndefined();
+  });
+
+  it("counts the pending MFA login against the cooldown", async () => {
+    await startMfa("mfa-cooldown");
+    expect((await canAttemptPasswordLogin("mfa-cooldown")).ok).toBe(false);
+  });
+
+  it("completes login with a valid code and returns tokenJson", async () => {
+    const start = await startMfa();
+    mockSsoPost.mockResolvedValue('<a href="https://sso.garmin.com/sso/embed?ticket=ST-1-abc">');
+    mockGetOauth1Token.mockResolvedValue({ token: { oauth_token: "t" } });
+    mockExchange.mockResolvedValue(undefined);
+
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "123456" });
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+
+    const [url, form] = mockSsoPost.mock.calls[0];
+    expect(url).toMatch(/^https:\/\/sso\.garmin\.com\/sso\/verifyMFA\/loginEnterMfaCode\?/);
+    expect(form).toContain("mfa-verification-code=123456");
+    expect(form).toContain("_csrf=csrf-1");
+    expect(mockGetOauth1Token).toHaveBeenCalledWith("ST-1-abc");
+    expect(mockExchange).toHaveBeenCalledTimes(1);
+    // Session is single-use
+    expect(pendingMfaSessions.size).toBe(0);
+  });
+
+  it("stores the token in the vault when enabled", async () => {
+    useTempVault();
+    const start = await startMfa();
+    mockSsoPost.mockResolvedValue('embed?ticket=ST-2"');
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "123456" });
+    expect(res.status).toBe(200);
+    expect(await loadConnection(res.body.connectionId)).toEqual({
+      username: "mfa-user",
+      tokenJson: REFRESHED_TOKEN,
+    });
+  });
+
+  it("returns 401 for a wrong code and keeps the session for a retry", async () => {
+    const start = await startMfa();
+    mockSsoPost.mockResolvedValue("<title>Enter MFA code for login</title>");
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "000000" });
+    expect(res.status).toBe(401);
+    expect(res.body.error).toMatch(/Invalid MFA code/);
+    expect(res.body.attemptsLeft).toBe(MFA_MAX_CODE_ATTEMPTS - 1);
+    expect(pendingMfaSessions.has(start.body.mfaSessionId)).toBe(true);
+  });
+
+  it("drops the session after too many wrong codes", async () => {
+    const start = await startMfa();
+    mockSsoPost.mockResolvedValue("<title>Enter MFA code for login</title>");
+    for (let i = 0; i < MFA_MAX_CODE_ATTEMPTS; i++) {
+      await request(app)
+        .post("/garmin/connect/mfa")
+        .set(auth())
+        .send({ mfaSessionId: start.body.mfaSessionId, code: "000000" });
+    }
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "123456" });
+    expect(res.status).toBe(404);
+  });
+
+  it("returns 404 for an expired session", async () => {
+    const start = await startMfa();
+    pendingMfaSessions.get(start.body.mfaSessionId).expiresAt = Date.now() - 1;
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "123456" });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/expired/);
+    expect(pendingMfaSessions.size).toBe(0);
+  });
+
+  it("returns 400 for a missing session id or malformed code", async () => {
+    const noId = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ code: "123456" });
+    expect(noId.status).toBe(400);
+    const badCode = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: "x", code: "abc" });
+    expect(badCode.status).toBe(400);
+  });
+
+  it("returns 504 when verification times out", async () => {
+    const start = await startMfa();
+    mockSsoPost.mockRejectedValue(new GarminTimeoutError(15000));
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .set(auth())
+      .send({ mfaSessionId: start.body.mfaSessionId, code: "123456" });
+    expect(res.status).toBe(504);
+  });
+
+  it("requires API key", async () => {
+    const res = await request(app)
+      .post("/garmin/connect/mfa")
+      .send({ mfaSessionId: "x", code: "123456" });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// TOKEN VAULT TESTS
+// ============================================================
+
+function useTempVault() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-vault-"));
+  process.env.TOKEN_VAULT_KEY = "test-vault-secret";
+  process.env.TOKEN_VAULT_FILE = path.join(dir, "vault.json");
+  return process.env.TOKEN_VAULT_FILE;
+}
+
+describe("createJsonFileStore", () => {
+  it("returns null for missing keys and persists set/delete", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-store-"));
+    const file = path.join(dir, "nested", "store.json");
+    const store = createJsonFileStore(file);
+    expect(await store.get("a")).toBeNull();
+    await store.set("a", { n: 1 });
+    expect(await store.get("a")).toEqual({ n: 1 });
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).toEqual({ a: { n: 1 } });
+    await store.delete("a");
+    expect(await store.get("a")).toBeNull();
+  });
+
+  it("serializes concurrent writes without losing keys", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-store-"));
+    const store = createJsonFileStore(path.join(dir, "store.json"));
+    await Promise.all([1, 2, 3, 4, 5].map((n) => store.set(`k${n}`, n)));
+    for (const n of [1, 2, 3, 4, 5]) {
+      expect(await store.get(`k${n}`)).toBe(n);
+    }
+  });
+
+  it("applies concurrent updates atomically", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "garmin-store-"));
+    const store = createJsonFileStore(path.join(dir, "store.json"));
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => store.update("n", (n) => (n ?? 0) + 1)));
+    expect(results.sort()).toEqual([1, 2, 3, 4, 5]);
+    expect(await store.get("n")).toBe(5);
+  });
+
+  it("returns the same instance for the same path", () => {
+    const file = path.join(os.tmpdir(), "garmin-store-same.json");
+    expect(createJsonFileStore(file)).toBe(createJsonFileStore(file));
+  });
+});
+
+describe("encryptConnection / decryptConnection", () => {
+  const key = Buffer.alloc(32, 7);
+
+  it("round-trips the payload", () => {
+    const sealed = encryptConnection("conn-1", { username: "u", tokenJson: FAKE_TOKEN }, key);
+    expect(sealed.data).not.toContain("oauth1");
+    expect(decryptConnection("conn-1", sealed, key)).toEqual({ username: "u", tokenJson: FAKE_TOKEN });
+  });
+
+  it("refuses to decrypt under a different connectionId", () => {
+    const sealed = encryptConnection("conn-1", { username: "u" }, key);
+    expect(() => decryptConnection("conn-2", sealed, key)).toThrow();
+  });
+
+  it("refuses to decrypt with a different key", () => {
+    const sealed = encryptConnection("conn-1", { username: "u" }, key);
+    expect(() => decryptConnection("conn-1", sealed, Buffer.alloc(32, 8))).toThrow();
+  });
+});
+
+describe("saveConnection / loadConnection", () => {
+  it("stores tokens encrypted at rest", async () => {
+    const file = useTempVault();
+    const id = await saveConnection(null, "vault-user", FAKE_TOKEN);
+    expect(typeof id).toBe("string");
+    const raw = fs.readFileSync(file, "utf8");
+    expect(raw).not.toContain("vault-user");
+    expect(raw).not.toContain("oauth1");
+    expect(await loadConnection(id)).toEqual({ username: "vault-user", tokenJson: FAKE_TOKEN });
+  });
+
+  it("returns null for unknown ids", async () => {
+    useTempVault();
+    expect(await loadConnection("nope")).toBeNull();
+  });
+
+  it("returns null when the key was rotated", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "u", FAKE_TOKEN);
+    process.env.TOKEN_VAULT_KEY = "rotated-secret";
+    expect(await loadConnection(id)).toBeNull();
+  });
+});
+
+describe("connectionId on token-only routes", () => {
+  it("loads the stored token and writes back the refreshed one", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "vault-user", FAKE_TOKEN);
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ connectionId: id });
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.connectionId).toBe(id);
+    expect(res.body.tokenJson).toBeUndefined();
+    expect(mockLoadToken).toHaveBeenCalledWith(FAKE_TOKEN.oauth1, FAKE_TOKEN.oauth2);
+    expect(await loadConnection(id)).toEqual({ username: "vault-user", tokenJson: REFRESHED_TOKEN });
+  });
+
+  it("returns 404 for an unknown connectionId", async () => {
+    useTempVault();
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ connectionId: "does-not-exist" });
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/connectionId/);
+  });
+
+  it("returns 400 for a malformed connectionId", async () => {
+    useTempVault();
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ connectionId: "../etc/passwd" });
+    expect(res.status).toBe(400);
+  });
+
+  it("returns 400 when the vault is not configured", async () => {
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ connectionId: "abc" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/vault/i);
+  });
+
+  it("does not write back when the Garmin call fails", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "u", FAKE_TOKEN);
+    mockGetUserProfile.mockRejectedValue(new Error("Unauthorized"));
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ connectionId: id });
+    expect(res.status).toBe(401);
+    expect((await loadConnection(id)).tokenJson).toEqual(FAKE_TOKEN);
+  });
+});
+
+describe("POST /garmin/connect with token vault", () => {
+  it("does not return a connectionId when the vault is disabled", async () => {
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "u", password: "p" });
+    expect(res.status).toBe(200);
+    expect(res.body.connectionId).toBeUndefined();
+  });
+
+  it("stores the token after password login and returns a connectionId", async () => {
+    useTempVault();
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "vault-login", password: "p" });
+    expect(res.status).toBe(200);
+    expect(typeof res.body.connectionId).toBe("string");
+    expect(await loadConnection(res.body.connectionId)).toEqual({
+      username: "vault-login",
+      tokenJson: REFRESHED_TOKEN,
+    });
+  });
+
+  it("reuses the stored token for an existing connectionId", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "u", FAKE_TOKEN);
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "u", password: "p", connectionId: id });
+    expect(res.status).toBe(200);
+    expect(res.body.connectionId).toBe(id);
+    expect(mockLoadToken).toHaveBeenCalledWith(FAKE_TOKEN.oauth1, FAKE_TOKEN.oauth2);
+    expect(mockLogin).not.toHaveBeenCalled();
+  });
+
+  it("rejects an existing connectionId stored for a different username", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "owner@example.com", FAKE_TOKEN);
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "attacker@example.com", password: "p", connectionId: id });
+    expect(res.status).toBe(403);
+    expect(res.body.tokenJson).toBeUndefined();
+    expect(mockLoadToken).not.toHaveBeenCalled();
+    expect(mockLogin).not.toHaveBeenCalled();
+    expect(await loadConnection(id)).toEqual({ username: "owner@example.com", tokenJson: FAKE_TOKEN });
+  });
+
+  it("matches the stored username case-insensitively", async () => {
+    useTempVault();
+    const id = await saveConnection(null, "Owner@Example.com", FAKE_TOKEN);
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "owner@example.com", password: "p", connectionId: id });
+    expect(res.status).toBe(200);
+    expect(res.body.connectionId).toBe(id);
+  });
+
+  it("re-creates an unknown connectionId via password login", async () => {
+    useTempVault();
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "u", password: "p", connectionId: "my-conn" });
+    expect(res.status).toBe(200);
+    expect(res.body.connectionId).toBe("my-conn");
+    expect(mockLogin).toHaveBeenCalledTimes(1);
+  });
+});
+
 // ============================================================
 // POST /garmin/profile TESTS
 // ============================================================
@@ -977,60 +1625,315 @@ describe("POST /garmin/activities", () => {
 });
 
 // ============================================================
-// POST /garmin/activity TESTS
+// ACTIVITY FILTERING TESTS
 // ============================================================
 
-describe("POST /garmin/activity", () => {
-  // --- Basic fetch by ID ---
+// Builds `count` activities, newest first, one per day going back from startDate
+function makeActivityHistory(count, { startDate = "2026-03-31", type = (i) => (i % 2 ? "cycling" : "running") } = {}) {
+  const start = new Date(`${startDate}T00:00:00Z`).getTime();
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(start - i * 86400000).toISOString().slice(0, 10);
+    const typeKey = type(i);
+    return {
+      activityId: 1000 + count - i,
+      startTimeLocal: `${date} 07:00:00`,
+      activityType: { typeKey, parentTypeId: typeKey === "trail_running" ? 1 : 17 },
+      distance: 5000 + i * 100,
+      duration: 1800 + i * 10,
+    };
+  });
+}
 
-  it("returns full activity by ID (default profile)", async () => {
-    const res = await request(app)
-      .post("/garmin/activity")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
-    expect(res.status).toBe(200);
-    expect(res.body.ok).toBe(true);
-    expect(res.body.profile).toBe("full");
-    expect(res.body.activity.activityId).toBe(99);
-    expect(res.body.activity.activityName).toBe("Morning Run");
-    // Full profile includes flattened summaryDTO fields
-    expect(res.body.activity.distance).toBe(8012.5);
-    expect(res.body.activity.userProfileId).toBe(12345);
-    // Nested DTOs are flattened away
-    expect(res.body.activity.summaryDTO).toBeUndefined();
-    expect(res.body.activity.metadataDTO).toBeUndefined();
-    expect(mockGetActivity).toHaveBeenCalledWith({ activityId: 99 });
+function mockActivityHistory(history) {
+  mockGetActivities.mockImplementation(async (start, limit) => history.slice(start, start + limit));
+}
+
+describe("isValidDateString", () => {
+  it("accepts real YYYY-MM-DD dates", () => {
+    expect(isValidDateString("2026-03-01")).toBe(true);
+    expect(isValidDateString("2024-02-29")).toBe(true);
   });
 
-  it("accepts string activityId", async () => {
-    const res = await request(app)
-      .post("/garmin/activity")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: "99" });
-    expect(res.status).toBe(200);
-    expect(mockGetActivity).toHaveBeenCalledWith({ activityId: 99 });
+  it("rejects malformed or impossible dates", () => {
+    expect(isValidDateString("2026-3-1")).toBe(false);
+    expect(isValidDateString("2026-02-30")).toBe(false);
+    expect(isValidDateString("March 1")).toBe(false);
+    expect(isValidDateString(20260301)).toBe(false);
   });
+});
 
-  // --- Profile filtering ---
+describe("activityLocalDate", () => {
+  it("takes the date part of startTimeLocal", () => {
+    expect(activityLocalDate({ startTimeLocal: "2026-01-24 10:37:00" })).toBe("2026-01-24");
+    expect(activityLocalDate({ startTimeLocal: "2026-01-27T12:21:58.0" })).toBe("2026-01-27");
+  });
 
-  it("returns only summary fields with profile=summary", async () => {
-    const res = await request(app)
-      .post("/garmin/activity")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, profile: "summary" });
-    expect(res.status).toBe(200);
-    expect(res.body.profile).toBe("summary");
-    const keys = Object.keys(res.body.activity);
-    // Should contain only summary fields
-    for (const key of keys) {
-      expect(SUMMARY_FIELDS).toContain(key);
-    }
-    // Should have the core fields (from flattened summaryDTO)
-    expect(res.body.activity.activityId).toBe(99);
-    expect(res.body.activity.duration).toBe(2834.5);
-    expect(res.body.activity.distance).toBe(8012.5);
-    expect(res.body.activity.averageHR).toBe(152);
-    expect(res.body.activity.calories).toBe(620);
+  it("returns null when missing", () => {
+    expect(activityLocalDate({})).toBeNull();
+    expect(activityLocalDate(null)).toBeNull();
+  });
+});
+
+describe("parseActivityFilters", () => {
+  it("returns inactive filters for an empty body", () => {
+    expect(parseActivityFilters({})).toEqual({ ok: true, filters: {}, active: false });
+  });
+
+  it("parses all filters", () => {
+    const result = parseActivityFilters({
+      startDate: "2026-03-01",
+      endDate: "2026-03-31",
+      activityType: ["Running", "lap_swimming"],
+      minDistance: 5000,
+      minDuration: 600,
+    });
+    expect(result.ok).toBe(true);
+    expect(result.active).toBe(true);
+    expect(result.filters).toEqual({
+      startDate: "2026-03-01",
+      endDate: "2026-03-31",
+      activityTypes: ["running", "lap_swimming"],
+      minDistance: 5000,
+      minDuration: 600,
+    });
+  });
+
+  it("rejects invalid dates and reversed ranges", () => {
+    expect(parseActivityFilters({ startDate: "03/01/2026" }).error).toMatch(/startDate/);
+    expect(parseActivityFilters({ startDate: "2026-04-01", endDate: "2026-03-01" }).error).toMatch(/before/);
+  });
+
+  it("rejects invalid activityType and negative minimums", () => {
+    expect(parseActivityFilters({ activityType: 5 }).ok).toBe(false);
+    expect(parseActivityFilters({ activityType: [] }).ok).toBe(false);
+    expect(parseActivityFilters({ minDistance: -1 }).error).toMatch(/minDistance/);
+    expect(parseActivityFilters({ minDuration: "long" }).error).toMatch(/minDuration/);
+  });
+});
+
+describe("matchesActivityFilters", () => {
+  const run = {
+    startTimeLocal: "2026-03-15 07:00:00",
+    activityType: { typeKey: "trail_running", parentTypeId: 1 },
+    distance: 10000,
+    duration: 3600,
+  };
+
+  it("matches an inclusive date range", () => {
+    expect(matchesActivityFilters(run, { startDate: "2026-03-15", endDate: "2026-03-15" })).toBe(true);
+    expect(matchesActivityFilters(run, { startDate: "2026-03-16" })).toBe(false);
+    expect(matchesActivityFilters(run, { endDate: "2026-03-14" })).toBe(false);
+  });
+
+  it("matches exact type keys and parent types", () => {
+    expect(matchesActivityFilters(run, { activityTypes: ["trail_running"] })).toBe(true);
+    expect(matchesActivityFilters(run, { activityTypes: ["running"] })).toBe(true);
+    expect(matchesActivityFilters(run, { activityTypes: ["cycling", "lap_swimming"] })).toBe(false);
+  });
+
+  it("applies minimum distance and duration", () => {
+    expect(matchesActivityFilters(run, { minDistance: 10000, minDuration: 3600 })).toBe(true);
+    expect(matchesActivityFilters(run, { minDistance: 10001 })).toBe(false);
+    expect(matchesActivityFilters({ ...run, duration: undefined }, { minDuration: 1 })).toBe(false);
+  });
+});
+
+describe("activity cursors", () => {
+  it("round-trips an offset", () => {
+    expect(decodeActivityCursor(encodeActivityCursor(150))).toBe(150);
+  });
+
+  it("encodes null as null and rejects garbage", () => {
+    expect(encodeActivityCursor(null)).toBeNull();
+    expect(decodeActivityCursor("not-a-cursor")).toBeNull();
+    expect(decodeActivityCursor(Buffer.from('{"offset":-1}').toString("base64url"))).toBeNull();
+  });
+});
+
+describe("scanActivities", () => {
+  it("pages through Garmin until the start of the date range", async () => {
+    const history = makeActivityHistory(200);
+    mockActivityHistory(history);
+    const client = { getActivities: mockGetActivities };
+    const { activities, nextOffset } = await scanActivities(client, {
+      limit: 500,
+      filters: { startDate: "2026-01-01", endDate: "2026-01-31" },
+    });
+    expect(activities).toHaveLength(31);
+    expect(activities[0].startTimeLocal.slice(0, 10)).toBe("2026-01-31");
+    expect(activities[30].startTimeLocal.slice(0, 10)).toBe("2026-01-01");
+    expect(nextOffset).toBeNull();
+    // 2026-01-01 is index 89 → pages at 0 and 50 are enough
+    expect(mockGetActivities).toHaveBeenCalledTimes(2);
+    expect(mockGetActivities).toHaveBeenCalledWith(50, ACTIVITY_PAGE_SIZE);
+  });
+
+  it("stops at limit and returns where to resume", async () => {
+    mockActivityHistory(makeActivityHistory(120));
+    const client = { getActivities: mockGetActivities };
+    const { activities, nextOffset } = await scanActivities(client, {
+      limit: 5,
+      filters: { activityTypes: ["running"] },
+    });
+    expect(activities.map((a) => a.activityType.typeKey)).toEqual(Array(5).fill("running"));
+    expect(nextOffset).toBe(9);
+  });
+
+  it("returns null nextOffset when the list runs out", async () => {
+    mockActivityHistory(makeActivityHistory(7));
+    const client = { getActivities: mockGetActivities };
+    const { activities, nextOffset } = await scanActivities(client, { limit: 50, filters: {} });
+    expect(activities).toHaveLength(7);
+    expect(nextOffset).toBeNull();
+  });
+
+  it("stops after maxPages and returns a resume offset", async () => {
+    mockActivityHistory(makeActivityHistory(300, { type: () => "cycling" }));
+    const client = { getActivities: mockGetActivities };
+    const { activities, nextOffset } = await scanActivities(client, {
+      limit: 10,
+      filters: { activityTypes: ["running"] },
+      maxPages: 2,
+    });
+    expect(activities).toHaveLength(0);
+    expect(nextOffset).toBe(100);
+  });
+});
+
+describe("POST /garmin/activities (filters)", () => {
+  it("keeps the plain offset/limit behaviour without filters", async () => {
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.body.nextCursor).toBeUndefined();
+    expect(mockGetActivities).toHaveBeenCalledWith(0, 10);
+  });
+
+  it("filters by date range and type and returns nextCursor", async () => {
+    mockActivityHistory(makeActivityHistory(120));
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({
+        username: "u",
+        tokenJson: FAKE_TOKEN,
+        startDate: "2026-03-01",
+        endDate: "2026-03-31",
+        activityType: "running",
+        limit: 10,
+      });
+    expect(res.status).toBe(200);
+    expect(res.body.activities).toHaveLength(10);
+    expect(res.body.activities.every((a) => a.activityType.typeKey === "running")).toBe(true);
+    expect(typeof res.body.nextCursor).toBe("string");
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+
+    const next = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({
+        username: "u",
+        tokenJson: FAKE_TOKEN,
+        startDate: "2026-03-01",
+        endDate: "2026-03-31",
+        activityType: "running",
+        limit: 10,
+        cursor: res.body.nextCursor,
+      });
+    expect(next.status).toBe(200);
+    // 16 runs in March (days 31, 29, ..., 1); 10 already returned
+    expect(next.body.activities).toHaveLength(6);
+    expect(next.body.activities[0].activityId).toBeLessThan(res.body.activities[9].activityId);
+    expect(next.body.nextCursor).toBeNull();
+  });
+
+  it("applies minDistance and minDuration", async () => {
+    mockActivityHistory(makeActivityHistory(10));
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, minDistance: 5500, minDuration: 1870 });
+    expect(res.status).toBe(200);
+    expect(res.body.activities.every((a) => a.distance >= 5500 && a.duration >= 1870)).toBe(true);
+    expect(res.body.activities).toHaveLength(3);
+  });
+
+  it("returns 400 for invalid filters", async () => {
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "last March" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/startDate/);
+    expect(mockGetActivities).not.toHaveBeenCalled();
+  });
+
+  it("returns 400 for an invalid cursor", async () => {
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, cursor: "garbage" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/cursor/);
+  });
+});
+
+// ============================================================
+// POST /garmin/activity TESTS
+// ============================================================
+
+describe("POST /garmin/activity", () => {
+  // --- Basic fetch by ID ---
+
+  it("returns full activity by ID (default profile)", async () => {
+    const res = await request(app)
+      .post("/garmin/activity")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.profile).toBe("full");
+    expect(res.body.activity.activityId).toBe(99);
+    expect(res.body.activity.activityName).toBe("Morning Run");
+    // Full profile includes flattened summaryDTO fields
+    expect(res.body.activity.distance).toBe(8012.5);
+    expect(res.body.activity.userProfileId).toBe(12345);
+    // Nested DTOs are flattened away
+    expect(res.body.activity.summaryDTO).toBeUndefined();
+    expect(res.body.activity.metadataDTO).toBeUndefined();
+    expect(mockGetActivity).toHaveBeenCalledWith({ activityId: 99 });
+  });
+
+  it("accepts string activityId", async () => {
+    const res = await request(app)
+      .post("/garmin/activity")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: "99" });
+    expect(res.status).toBe(200);
+    expect(mockGetActivity).toHaveBeenCalledWith({ activityId: 99 });
+  });
+
+  // --- Profile filtering ---
+
+  it("returns only summary fields with profile=summary", async () => {
+    const res = await request(app)
+      .post("/garmin/activity")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, profile: "summary" });
+    expect(res.status).toBe(200);
+    expect(res.body.profile).toBe("summary");
+    const keys = Object.keys(res.body.activity);
+    // Should contain only summary fields
+    for (const key of keys) {
+      expect(SUMMARY_FIELDS).toContain(key);
+    }
+    // Should have the core fields (from flattened summaryDTO)
+    expect(res.body.activity.activityId).toBe(99);
+    expect(res.body.activity.duration).toBe(2834.5);
+    expect(res.body.activity.distance).toBe(8012.5);
+    expect(res.body.activity.averageHR).toBe(152);
+    expect(res.body.activity.calories).toBe(620);
     // Should NOT have coaching/full-only fields
     expect(res.body.activity.userProfileId).toBeUndefined();
     expect(res.body.activity.locationName).toBeUndefined();
@@ -1804,12 +2707,12 @@ describe("buildWorkoutResponse", () => {
     },
   ];
 
-  it("groups fields into all 13 sections", () => {
+  it("groups fields into all 15 sections", () => {
     const result = buildWorkoutResponse(FLAT_ACTIVITY, MOCK_LAPS);
     const groups = Object.keys(result);
     expect(groups).toEqual([
-      "identity", "timing", "distance", "pace", "heartRate",
-      "elevation", "runningDynamics", "power", "training",
+      "identity", "timing", "distance", "pace", "heartRate", "hrZones",
+      "elevation", "runningDynamics", "power", "bestEfforts", "training",
       "body", "workoutStructure", "laps", "meta",
     ]);
   });
@@ -2015,6 +2918,99 @@ describe("POST /garmin/workout", () => {
     );
   });
 
+  it("includes Garmin's HR time in zone when asked", async () => {
+    mockGet.mockImplementation(async (url) =>
+      url.includes("/hrTimeInZones") ? GARMIN_HR_ZONES : FAKE_SPLITS_RESPONSE
+    );
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, include: ["hrZones"] });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.hrZones.source).toBe("garmin");
+    expect(res.body.workout.hrZones.zones[2].seconds).toBe(900);
+    expect(res.body.workout.laps.length).toBeGreaterThan(0);
+  });
+
+  it("skips the HR zone lookups unless hrZones is included", async () => {
+    mockGet.mockImplementation(async (url) =>
+      url.includes("/hrTimeInZones") ? GARMIN_HR_ZONES : FAKE_SPLITS_RESPONSE
+    );
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.hrZones).toBeNull();
+    const urls = mockGet.mock.calls.map(([url]) => url);
+    expect(urls.some((url) => url.includes("/hrTimeInZones") || url.includes("heartRateZones"))).toBe(false);
+    expect(mockGetUserSettings).not.toHaveBeenCalled();
+  });
+
+  it("returns 400 for an unknown include option", async () => {
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, include: ["everything"] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/include/);
+    expect(mockGetActivity).not.toHaveBeenCalled();
+  });
+
+  it("includes best efforts from the activity streams when asked", async () => {
+    mockGet.mockImplementation(async (url) =>
+      url.includes("/details") ? makeDetailsPayload(500) : FAKE_SPLITS_RESPONSE
+    );
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, include: ["bestEfforts"] });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.bestEfforts.power.map((e) => e.key)).toEqual(["5s", "1m", "5m"]);
+    expect(res.body.workout.bestEfforts.pace.map((e) => e.key)).toEqual(["400m", "1k"]);
+  });
+
+  it("does not fetch the streams unless bestEfforts is included", async () => {
+    mockGet.mockImplementation(async (url) =>
+      url.includes("/details") ? makeDetailsPayload(500) : FAKE_SPLITS_RESPONSE
+    );
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.bestEfforts).toBeNull();
+    expect(mockGet.mock.calls.some(([url]) => url.includes("/details"))).toBe(false);
+  });
+
+  it("fetches the streams once for hrZones and bestEfforts together", async () => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/details")) return makeDetailsPayload(500);
+      if (url.includes("/hrTimeInZones")) return [];
+      return FAKE_SPLITS_RESPONSE;
+    });
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, include: ["hrZones", "bestEfforts"] });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.bestEfforts).not.toBeNull();
+    expect(mockGet.mock.calls.filter(([url]) => url.includes("/details"))).toHaveLength(1);
+  });
+
+  it("returns the workout with null bestEfforts when streams fail", async () => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/details")) throw new Error("Server error");
+      return FAKE_SPLITS_RESPONSE;
+    });
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, include: ["bestEfforts"] });
+    expect(res.status).toBe(200);
+    expect(res.body.workout.bestEfforts).toBeNull();
+  });
+
   it("does not call getActivities when activityId is provided", async () => {
     await request(app)
       .post("/garmin/workout")
@@ -2210,695 +3206,4496 @@ describe("POST /garmin/workout", () => {
 });
 
 // ============================================================
-// TIMEOUT TESTS
+// ACTIVITY STREAMS TESTS
 // ============================================================
 
-describe("withTimeout", () => {
-  it("resolves when promise completes before timeout", async () => {
-    const result = await withTimeout(Promise.resolve("ok"), 1000);
-    expect(result).toBe("ok");
+// Garmin /details payload: `count` one-second samples from a fixed start time.
+// Descriptor order deliberately differs from channel order.
+function makeDetailsPayload(count, { gps = true, sample = (i) => ({}) } = {}) {
+  const keys = [
+    "directHeartRate",
+    "directTimestamp",
+    "sumDuration",
+    "sumDistance",
+    "directSpeed",
+    "directDoubleCadence",
+    "directRunCadence",
+    "directPower",
+    "directElevation",
+    ...(gps ? ["directLatitude", "directLongitude"] : []),
+  ];
+  const start = Date.UTC(2026, 1, 5, 5, 15, 0);
+  return {
+    activityId: 99,
+    measurementCount: keys.length,
+    metricsCount: count,
+    metricDescriptors: keys.map((key, metricsIndex) => ({ metricsIndex, key, unit: { key: "x" } })),
+    activityDetailMetrics: Array.from({ length: count }, (_, i) => {
+      const values = {
+        directHeartRate: 120 + i,
+        directTimestamp: start + i * 1000,
+        sumDuration: i,
+        sumDistance: i * 3,
+        directSpeed: 3,
+        directDoubleCadence: 170,
+        directRunCadence: 85,
+        directPower: 250,
+        directElevation: 10 + i * 0.5,
+        directLatitude: 32 + i * 0.0001,
+        directLongitude: 34 + i * 0.0001,
+        ...sample(i),
+      };
+      return { metrics: keys.map((k) => values[k]) };
+    }),
+  };
+}
+
+function mockActivityDetails(details, laps = []) {
+  mockGet.mockImplementation(async (url) => {
+    if (url.includes("/details")) return details;
+    if (url.includes("/splits")) return { lapDTOs: laps };
+    return null;
   });
+}
 
-  it("rejects with GarminTimeoutError when promise exceeds timeout", async () => {
-    const slow = new Promise((resolve) => setTimeout(resolve, 5000));
-    await expect(withTimeout(slow, 50)).rejects.toThrow(GarminTimeoutError);
+describe("decodeActivityDetails", () => {
+  it("maps descriptors to named channels", () => {
+    const { sampleCount, streams } = decodeActivityDetails(makeDetailsPayload(3));
+    expect(sampleCount).toBe(3);
+    expect(streams.heartRate).toEqual([120, 121, 122]);
+    expect(streams.elapsed).toEqual([0, 1, 2]);
+    expect(streams.distance).toEqual([0, 3, 6]);
+    expect(streams.timestamp[1] - streams.timestamp[0]).toBe(1000);
+    expect(streams.lat[0]).toBe(32);
+    expect(streams.lon[0]).toBe(34);
   });
 
-  it("propagates the original rejection if it happens before timeout", async () => {
-    const failing = Promise.reject(new Error("original error"));
-    await expect(withTimeout(failing, 1000)).rejects.toThrow("original error");
+  it("prefers double cadence (steps/min) over single-leg cadence", () => {
+    const { streams, sourceKeys } = decodeActivityDetails(makeDetailsPayload(2));
+    expect(streams.cadence).toEqual([170, 170]);
+    expect(sourceKeys.cadence).toBe("directDoubleCadence");
+  });
+
+  it("turns missing values into null and drops all-null channels", () => {
+    const { streams } = decodeActivityDetails(
+      makeDetailsPayload(3, { sample: (i) => ({ directHeartRate: i === 1 ? null : 130, directPower: null }) })
+    );
+    expect(streams.heartRate).toEqual([130, null, 130]);
+    expect(streams.power).toBeUndefined();
+  });
+
+  it("handles empty or malformed payloads", () => {
+    expect(decodeActivityDetails(null)).toEqual({ sampleCount: 0, streams: {}, sourceKeys: {} });
+    expect(decodeActivityDetails({ metricDescriptors: "x" })).toEqual({ sampleCount: 0, streams: {}, sourceKeys: {} });
   });
 });
 
-describe("Timeout handling (504 responses)", () => {
-  it("POST /garmin/profile returns 504 on timeout", async () => {
-    mockGetUserProfile.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
-    const res = await request(app)
-      .post("/garmin/profile")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+describe("downsampleStreams", () => {
+  it("returns streams unchanged at resolution 1", () => {
+    const { sampleCount, streams } = decodeActivityDetails(makeDetailsPayload(10));
+    expect(downsampleStreams(streams, sampleCount, 1)).toEqual({ sampleCount, streams });
   });
 
-  it("POST /garmin/activities returns 504 on timeout", async () => {
-    mockGetActivities.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
-    const res = await request(app)
-      .post("/garmin/activities")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+  it("averages measurements and keeps the first axis value per bucket", () => {
+    const { sampleCount, streams } = decodeActivityDetails(makeDetailsPayload(10));
+    const out = downsampleStreams(streams, sampleCount, 5);
+    expect(out.sampleCount).toBe(2);
+    expect(out.streams.elapsed).toEqual([0, 5]);
+    expect(out.streams.distance).toEqual([0, 15]);
+    expect(out.streams.heartRate).toEqual([122, 127]);
+    expect(out.streams.lat).toEqual([32.0002, 32.0007]);
   });
 
-  it("POST /garmin/activity returns 504 on timeout", async () => {
-    mockGetActivity.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+  it("buckets by timestamp when there is no elapsed channel", () => {
+    const { sampleCount, streams } = decodeActivityDetails(makeDetailsPayload(6));
+    delete streams.elapsed;
+    const out = downsampleStreams(streams, sampleCount, 3);
+    expect(out.sampleCount).toBe(2);
+    expect(out.streams.heartRate).toEqual([121, 124]);
+  });
+
+  it("ignores nulls when averaging", () => {
+    const { sampleCount, streams } = decodeActivityDetails(
+      makeDetailsPayload(4, { sample: (i) => ({ directHeartRate: i < 2 ? null : 140 }) })
+    );
+    const out = downsampleStreams(streams, sampleCount, 2);
+    expect(out.streams.heartRate).toEqual([null, 140]);
+  });
+});
+
+describe("POST /garmin/activity/streams", () => {
+  it("returns all available channels for an activity", async () => {
+    mockActivityDetails(makeDetailsPayload(5));
     const res = await request(app)
-      .post("/garmin/activity")
+      .post("/garmin/activity/streams")
       .set(auth())
       .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+    expect(res.status).toBe(200);
+    expect(res.body.activityId).toBe(99);
+    expect(res.body.sampleCount).toBe(5);
+    expect(res.body.resolution).toBe(1);
+    expect(res.body.channels).toEqual(STREAM_CHANNELS);
+    expect(res.body.streams.heartRate).toHaveLength(5);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet.mock.calls[0][0]).toMatch(/activity-service\/activity\/99\/details\?maxChartSize=/);
   });
 
-  it("POST /garmin/splits returns 504 on timeout", async () => {
-    mockGet.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+  it("returns only the requested channels plus timestamp", async () => {
+    mockActivityDetails(makeDetailsPayload(5));
     const res = await request(app)
-      .post("/garmin/splits")
+      .post("/garmin/activity/streams")
       .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, channels: ["heartRate", "power"] });
+    expect(res.body.channels).toEqual(["timestamp", "heartRate", "power"]);
+    expect(res.body.availableChannels).toContain("lat");
   });
 
-  it("POST /garmin/workout returns 504 on timeout", async () => {
-    mockGetActivity.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+  it("downsamples with resolution", async () => {
+    mockActivityDetails(makeDetailsPayload(60));
     const res = await request(app)
-      .post("/garmin/workout")
+      .post("/garmin/activity/streams")
       .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, resolution: 10, channels: ["heartRate"] });
+    expect(res.body.sampleCount).toBe(6);
+    expect(res.body.streams.heartRate).toHaveLength(6);
+    expect(res.body.streams.timestamp).toHaveLength(6);
   });
 
-  it("POST /garmin/connect returns 504 when login() times out", async () => {
-    mockLogin.mockRejectedValue(new GarminTimeoutError(GARMIN_LOGIN_TIMEOUT_MS));
+  it("omits GPS channels for indoor activities", async () => {
+    mockActivityDetails(makeDetailsPayload(5, { gps: false }));
     const res = await request(app)
-      .post("/garmin/connect")
+      .post("/garmin/activity/streams")
       .set(auth())
-      .send({ username: "u", password: "p" });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.body.availableChannels).not.toContain("lat");
+    expect(res.body.streams.lat).toBeUndefined();
   });
 
-  it("POST /garmin/connect returns 504 (not fallback to login) when token validation times out", async () => {
-    mockGetUserProfile.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+  it("uses the most recent activity when activityId is omitted", async () => {
+    mockActivityDetails(makeDetailsPayload(2));
     const res = await request(app)
-      .post("/garmin/connect")
+      .post("/garmin/activity/streams")
       .set(auth())
-      .send({ username: "u", password: "p", tokenJson: FAKE_TOKEN });
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
-    // Should NOT have attempted password login
-    expect(mockLogin).not.toHaveBeenCalled();
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.body.activityId).toBe(1);
+    expect(mockGetActivities).toHaveBeenCalledWith(0, 1);
+  });
+
+  it("returns 400 for unknown channels, bad resolution or bad activityId", async () => {
+    const bodies = [
+      { channels: ["heartRate", "vibes"] },
+      { channels: [] },
+      { resolution: 0 },
+      { resolution: 2.5 },
+      { activityId: "abc" },
+    ];
+    for (const extra of bodies) {
+      const res = await request(app)
+        .post("/garmin/activity/streams")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, ...extra });
+      expect(res.status).toBe(400);
+    }
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  it("returns 504 on timeout", async () => {
+    mockGet.mockRejectedValue(new GarminTimeoutError(10000));
+    const res = await request(app)
+      .post("/garmin/activity/streams")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(504);
   });
 });
 
 // ============================================================
-// WORKOUT CREATION: TRANSLATION HELPERS
+// ACTIVITY EXPORT TESTS
 // ============================================================
 
-describe("parsePaceToMps", () => {
-  it("converts 5:00/km to m/s", () => {
-    const mps = parsePaceToMps("5:00");
-    expect(mps).toBeCloseTo(1000 / 300, 5); // 3.333 m/s
-  });
+const EXPORT_LAPS = [
+  { startTimeGMT: "2026-02-05T05:15:00.0", duration: 3, distance: 9, calories: 5, averageHR: 121, maxHR: 122, maxSpeed: 3 },
+  { startTimeGMT: "2026-02-05T05:15:03.0", duration: 2, distance: 6, calories: 3, averageHR: 124, maxHR: 124, intensityType: "REST" },
+];
 
-  it("converts 4:30/km to m/s", () => {
-    const mps = parsePaceToMps("4:30");
-    expect(mps).toBeCloseTo(1000 / 270, 5); // 3.703 m/s
+describe("buildExportTrack", () => {
+  const flat = { activityId: 99, activityName: "Run", activityType: { typeKey: "running" }, startTimeGMT: "2026-02-05 05:15:00", duration: 5 };
+
+  it("assigns samples to laps by start time", () => {
+    const track = buildExportTrack(flat, EXPORT_LAPS, decodeActivityDetails(makeDetailsPayload(5)));
+    expect(track.sport).toBe("Running");
+    expect(track.hasGps).toBe(true);
+    expect(track.laps.map((l) => l.points.length)).toEqual([3, 2]);
+    expect(track.laps[1].intensity).toBe("Resting");
   });
 
-  it("converts 6:15/km to m/s", () => {
-    const mps = parsePaceToMps("6:15");
-    expect(mps).toBeCloseTo(1000 / 375, 5);
+  it("uses a single lap from the activity summary when there are no laps", () => {
+    const track = buildExportTrack(flat, [], decodeActivityDetails(makeDetailsPayload(4, { gps: false })));
+    expect(track.laps).toHaveLength(1);
+    expect(track.laps[0].points).toHaveLength(4);
+    expect(track.laps[0].duration).toBe(5);
+    expect(track.hasGps).toBe(false);
   });
+});
 
-  it("returns null for invalid format", () => {
-    expect(parsePaceToMps("abc")).toBeNull();
-    expect(parsePaceToMps("")).toBeNull();
-    expect(parsePaceToMps("5")).toBeNull();
-    expect(parsePaceToMps("0:00")).toBeNull();
+describe("escapeXml", () => {
+  it("escapes markup characters", () => {
+    expect(escapeXml(`<a & "b" 'c'>`)).toBe("&lt;a &amp; &quot;b&quot; &apos;c&apos;&gt;");
   });
 });
 
-describe("buildGarminSportType", () => {
-  it("maps running", () => {
-    expect(buildGarminSportType("running")).toEqual({ sportTypeId: 1, sportTypeKey: "running" });
+describe("POST /garmin/activity/export", () => {
+  const body = (extra) => ({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, ...extra });
+
+  it("returns a GPX file with one segment per lap", async () => {
+    mockActivityDetails(makeDetailsPayload(5), EXPORT_LAPS);
+    const res = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "gpx" }));
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/gpx\+xml/);
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="activity-99.gpx"');
+    const xml = res.text;
+    expect(xml).toContain("<name>Morning Run</name>");
+    expect(xml.match(/<trkseg>/g)).toHaveLength(2);
+    expect(xml.match(/<trkpt /g)).toHaveLength(5);
+    expect(xml).toContain('<trkpt lat="32" lon="34">');
+    expect(xml).toContain("<time>2026-02-05T05:15:00Z</time>");
+    expect(xml).toContain("<gpxtpx:hr>120</gpxtpx:hr>");
+    const token = JSON.parse(Buffer.from(res.headers["x-garmin-token"], "base64url").toString("utf8"));
+    expect(token).toEqual(REFRESHED_TOKEN);
+  });
+
+  it("returns a TCX file with laps and run cadence", async () => {
+    mockActivityDetails(makeDetailsPayload(5), EXPORT_LAPS);
+    const res = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "tcx" }));
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/vnd\.garmin\.tcx\+xml/);
+    const xml = res.text;
+    expect(xml).toContain('<Activity Sport="Running">');
+    expect(xml.match(/<Lap /g)).toHaveLength(2);
+    expect(xml).toContain('<Lap StartTime="2026-02-05T05:15:03Z">');
+    expect(xml).toContain("<Intensity>Resting</Intensity>");
+    expect(xml.match(/<Trackpoint>/g)).toHaveLength(5);
+    expect(xml).toContain("<ns3:RunCadence>85</ns3:RunCadence>");
+    expect(xml).not.toContain("<Cadence>");
+  });
+
+  it("does not halve run cadence that is already per stride", async () => {
+    const details = makeDetailsPayload(3);
+    details.metricDescriptors = details.metricDescriptors.filter((d) => d.key !== "directDoubleCadence");
+    mockActivityDetails(details, EXPORT_LAPS);
+    const res = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "tcx" }));
+    expect(res.status).toBe(200);
+    expect(res.text.match(/<ns3:RunCadence>85<\/ns3:RunCadence>/g)).toHaveLength(3);
   });
 
-  it("maps cycling", () => {
-    expect(buildGarminSportType("cycling")).toEqual({ sportTypeId: 2, sportTypeKey: "cycling" });
+  it("exports indoor activities without positions", async () => {
+    mockActivityDetails(makeDetailsPayload(3, { gps: false }));
+    const tcx = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "tcx" }));
+    expect(tcx.text.match(/<Trackpoint>/g)).toHaveLength(3);
+    expect(tcx.text).not.toContain("<Position>");
+    expect(tcx.text).toContain("<HeartRateBpm><Value>120</Value></HeartRateBpm>");
+
+    mockActivityDetails(makeDetailsPayload(3, { gps: false }));
+    const gpx = await request(app)
+      .post("/garmin/activity/export")
+      .set(auth())
+      .send(body({ format: "gpx", response: "json" }));
+    expect(gpx.status).toBe(200);
+    expect(gpx.body.hasGps).toBe(false);
+    const xml = Buffer.from(gpx.body.data, "base64").toString("utf8");
+    expect(xml).toContain("<trk>");
+    expect(xml).not.toContain("<trkseg>");
   });
 
-  it("maps swimming", () => {
-    expect(buildGarminSportType("swimming")).toEqual({ sportTypeId: 4, sportTypeKey: "swimming" });
+  it("returns base64 in JSON when response is json", async () => {
+    mockActivityDetails(makeDetailsPayload(3));
+    const res = await request(app)
+      .post("/garmin/activity/export")
+      .set(auth())
+      .send(body({ format: "gpx", response: "json" }));
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      ok: true,
+      activityId: 99,
+      format: "gpx",
+      filename: "activity-99.gpx",
+      contentType: "application/gpx+xml",
+      hasGps: true,
+      tokenJson: REFRESHED_TOKEN,
+    });
+    expect(Buffer.from(res.body.data, "base64").toString("utf8")).toMatch(/^<\?xml/);
   });
 
-  it("maps strength", () => {
-    expect(buildGarminSportType("strength")).toEqual({ sportTypeId: 5, sportTypeKey: "strength_training" });
+  it("exports the most recent activity when activityId is omitted", async () => {
+    mockGetActivities.mockResolvedValue([{ activityId: 77 }]);
+    mockActivityDetails(makeDetailsPayload(2));
+    const res = await request(app)
+      .post("/garmin/activity/export")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, format: "tcx" });
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toContain("activity-77.tcx");
+    expect(mockGetActivity).toHaveBeenCalledWith({ activityId: 77 });
   });
 
-  it("maps cardio", () => {
-    expect(buildGarminSportType("cardio")).toEqual({ sportTypeId: 6, sportTypeKey: "cardio_training" });
+  it("rejects an unknown format", async () => {
+    const res = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "fit" }));
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/format/);
   });
 
-  it("returns null for unknown sport", () => {
-    expect(buildGarminSportType("golf")).toBeNull();
+  it("rejects an unknown response mode", async () => {
+    const res = await request(app)
+      .post("/garmin/activity/export")
+      .set(auth())
+      .send(body({ format: "gpx", response: "xml" }));
+    expect(res.status).toBe(400);
+  });
+
+  it("rejects an invalid activityId", async () => {
+    const res = await request(app)
+      .post("/garmin/activity/export")
+      .set(auth())
+      .send(body({ format: "gpx", activityId: "abc" }));
+    expect(res.status).toBe(400);
+  });
+
+  it("maps Garmin token errors to 401 as JSON", async () => {
+    mockGetActivity.mockRejectedValue(new Error("Session expired"));
+    mockActivityDetails(makeDetailsPayload(2));
+    const res = await request(app).post("/garmin/activity/export").set(auth()).send(body({ format: "gpx" }));
+    expect(res.status).toBe(401);
+    expect(res.body.ok).toBe(false);
   });
 });
 
-describe("buildGarminDuration", () => {
-  it("builds time duration", () => {
-    const d = buildGarminDuration({ type: "time", seconds: 300 });
-    expect(d.endCondition.conditionTypeKey).toBe("time");
-    expect(d.endConditionValue).toBe(300);
+// ============================================================
+// ORIGINAL FIT FILE TESTS
+// ============================================================
+
+// Minimal little-endian FIT writer for fixtures. Records are
+// { def: [local, global, fields, devFields?] } with fields as [num, size, baseType],
+// or { data: [header, fields, values] } where values line up with fields.
+const FIT_WRITE = { 0x00: "writeUInt8", 0x02: "writeUInt8", 0x84: "writeUInt16LE", 0x85: "writeInt32LE", 0x86: "writeUInt32LE" };
+const FIT_SIZE = { 0x00: 1, 0x02: 1, 0x84: 2, 0x85: 4, 0x86: 4 };
+const fitDefs = new Map();
+
+function fitRecordBytes(record) {
+  if (record.def) {
+    const [local, global, fields, devFields = []] = record.def;
+    fitDefs.set(local, { fields, devSize: devFields.reduce((sum, [, size]) => sum + size, 0) });
+    const buf = Buffer.alloc(6 + fields.length * 3 + (devFields.length ? 1 + devFields.length * 3 : 0));
+    buf[0] = 0x40 | (devFields.length ? 0x20 : 0) | local;
+    buf.writeUInt16LE(global, 3);
+    buf[5] = fields.length;
+    let pos = 6;
+    for (const field of [...fields, ...(devFields.length ? [null] : []), ...devFields]) {
+      if (field === null) {
+        buf[pos++] = devFields.length;
+        continue;
+      }
+      field.forEach((byte, i) => (buf[pos + i] = byte));
+      pos += 3;
+    }
+    return buf;
+  }
+  const [header, local, values] = record.data;
+  const { fields, devSize } = fitDefs.get(local);
+  const buf = Buffer.alloc(1 + fields.reduce((sum, [, size]) => sum + size, 0) + devSize, 0xee);
+  buf[0] = header;
+  let pos = 1;
+  fields.forEach(([, size, baseType], i) => {
+    const list = Array.isArray(values[i]) ? values[i] : [values[i]];
+    list.forEach((v, j) => buf[FIT_WRITE[baseType]](v, pos + j * FIT_SIZE[baseType]));
+    pos += size;
+  });
+  return buf;
+}
+
+function encodeFit(records) {
+  const body = Buffer.concat(records.map(fitRecordBytes));
+  const header = Buffer.alloc(14);
+  header[0] = 14;
+  header[1] = 0x20;
+  header.writeUInt32LE(body.length, 4);
+  header.write(".FIT", 8, "ascii");
+  return Buffer.concat([header, body, Buffer.alloc(2)]);
+}
+
+function zipSingleFile(name, data, { deflate = true } = {}) {
+  const stored = deflate ? zlib.deflateRawSync(data) : data;
+  const nameBytes = Buffer.from(name, "utf8");
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(deflate ? 8 : 0, 8);
+  local.writeUInt32LE(stored.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(deflate ? 8 : 0, 10);
+  central.writeUInt32LE(stored.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+  central.writeUInt32LE(0, 42);
+  const centralOffset = local.length + nameBytes.length + stored.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(central.length + nameBytes.length, 12);
+  eocd.writeUInt32LE(centralOffset, 16);
+  return Buffer.concat([local, nameBytes, stored, central, nameBytes, eocd]);
+}
+
+// FIT timestamp with (T % 32) === 10 so compressed offsets are predictable.
+const FIT_BASE = (Date.UTC(2026, 1, 5, 5, 15, 0) - Date.UTC(1989, 11, 31)) / 1000;
+const FIT_T = FIT_BASE - (FIT_BASE % 32) + 10;
+const fitIso = (t) => new Date(Date.UTC(1989, 11, 31) + t * 1000).toISOString();
+const SEMI_32 = Math.round((32 * 2 ** 31) / 180);
+
+function makeSampleFit() {
+  return encodeFit([
+    { def: [0, 0, [[0, 1, 0x00], [1, 2, 0x84], [4, 4, 0x86]]] },
+    { data: [0x00, 0, [4, 1, FIT_T]] },
+    { def: [5, 21, [[253, 4, 0x86], [0, 1, 0x00], [1, 1, 0x00]]] },
+    { data: [0x05, 5, [FIT_T, 0, 0]] },
+    { def: [1, 20, [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [3, 1, 0x02], [5, 4, 0x86], [6, 2, 0x84], [2, 2, 0x84]]] },
+    { data: [0x01, 1, [FIT_T, SEMI_32, SEMI_32, 140, 1234, 3000, 2550]] },
+    { def: [2, 20, [[3, 1, 0x02]]] },
+    { data: [0x80 | (2 << 5) | 12, 2, [141]] },
+    { data: [0x80 | (2 << 5) | 5, 2, [0xff]] },
+    { def: [7, 23, [[0, 1, 0x02]]] },
+    { data: [0x07, 7, [1]] },
+    { def: [6, 78, [[0, 10, 0x84]]] },
+    { data: [0x06, 6, [[800, 810, 0xffff, 0xffff, 0xffff]]] },
+    { def: [3, 19, [[253, 4, 0x86], [2, 4, 0x86], [7, 4, 0x86], [9, 4, 0x86], [24, 1, 0x00]]] },
+    { data: [0x03, 3, [FIT_T + 60, FIT_T, 60000, 100000, 7]] },
+    { def: [4, 18, [[253, 4, 0x86], [5, 1, 0x00], [9, 4, 0x86], [16, 1, 0x02]], [[0, 2, 0]]] },
+    { data: [0x04, 4, [FIT_T + 60, 1, 100000, 141]] },
+  ]);
+}
+
+describe("parseFitFile", () => {
+  it("decodes session, lap, record, event and hrv messages", () => {
+    const fit = parseFitFile(makeSampleFit());
+    expect(fit.fileId).toEqual([{ type: 4, manufacturer: 1, timeCreated: fitIso(FIT_T) }]);
+    expect(fit.event).toEqual([{ timestamp: fitIso(FIT_T), event: "timer", eventType: "start" }]);
+    expect(fit.record[0]).toEqual({
+      timestamp: fitIso(FIT_T),
+      positionLat: 32,
+      positionLong: 32,
+      altitude: 10,
+      heartRate: 140,
+      distance: 12.34,
+      speed: 3,
+    });
+    expect(fit.lap).toEqual([
+      {
+        timestamp: fitIso(FIT_T + 60),
+        startTime: fitIso(FIT_T),
+        totalElapsedTime: 60,
+        totalDistance: 1000,
+        lapTrigger: "session_end",
+      },
+    ]);
+    expect(fit.session).toEqual([
+      { timestamp: fitIso(FIT_T + 60), sport: "running", totalDistance: 1000, avgHeartRate: 141 },
+    ]);
+    expect(fit.hrv).toEqual([{ time: [0.8, 0.81, null, null, null] }]);
   });
 
-  it("builds distance duration", () => {
-    const d = buildGarminDuration({ type: "distance", meters: 1000 });
-    expect(d.endCondition.conditionTypeKey).toBe("distance");
-    expect(d.endConditionValue).toBe(1000);
-    expect(d.preferredEndConditionUnit.unitKey).toBe("kilometer");
+  it("resolves compressed timestamps and drops invalid values", () => {
+    const { record } = parseFitFile(makeSampleFit());
+    expect(record).toHaveLength(3);
+    expect(record[1]).toEqual({ timestamp: fitIso(FIT_T + 2), heartRate: 141 });
+    // offset 5 < 12 (T+2 % 32) → rolls over into the next 32 s window
+    expect(record[2]).toEqual({ timestamp: fitIso(FIT_T + 27) });
   });
 
-  it("builds calories duration", () => {
-    const d = buildGarminDuration({ type: "calories", calories: 200 });
-    expect(d.endCondition.conditionTypeKey).toBe("calories");
-    expect(d.endConditionValue).toBe(200);
+  it("rejects files without a FIT signature or with truncated data", () => {
+    expect(() => parseFitFile(Buffer.from("not a fit file at all"))).toThrow(/signature/);
+    expect(() => parseFitFile(makeSampleFit().subarray(0, 40))).toThrow(/truncated/);
   });
+});
 
-  it("builds lapButton duration", () => {
-    const d = buildGarminDuration({ type: "lapButton" });
-    expect(d.endCondition.conditionTypeKey).toBe("lap.button");
-    expect(d.endConditionValue).toBeNull();
+describe("extractOriginalFit", () => {
+  it("unzips deflated and stored entries", () => {
+    const fit = makeSampleFit();
+    expect(extractOriginalFit(zipSingleFile("123_ACTIVITY.fit", fit), 123)).toEqual({
+      filename: "123_ACTIVITY.fit",
+      data: fit,
+    });
+    expect(extractOriginalFit(zipSingleFile("a.fit", fit, { deflate: false }), 1).data).toEqual(fit);
   });
 
-  it("builds heartRate duration", () => {
-    const d = buildGarminDuration({ type: "heartRate", bpm: 150, comparison: "gt" });
-    expect(d.endCondition.conditionTypeKey).toBe("heart.rate");
-    expect(d.endConditionValue).toBe(150);
-    expect(d.endConditionCompare).toBe("gt");
+  it("passes through an unzipped FIT file", () => {
+    const fit = makeSampleFit();
+    expect(extractOriginalFit(fit, 5)).toEqual({ filename: "5.fit", data: fit });
   });
 
-  it("returns null for unknown type", () => {
-    expect(buildGarminDuration({ type: "unknown" })).toBeNull();
+  it("returns 422 when the original upload is not a FIT file", () => {
+    try {
+      extractOriginalFit(zipSingleFile("123.gpx", Buffer.from("<gpx/>")), 123);
+      expect.unreachable();
+    } catch (e) {
+      expect(e).toBeInstanceOf(RequestError);
+      expect(e.status).toBe(422);
+      expect(e.message).toContain("123.gpx");
+    }
   });
 
-  it("returns null for missing input", () => {
-    expect(buildGarminDuration(null)).toBeNull();
+  it("returns 502 for a corrupt archive", () => {
+    expect(() => extractOriginalFit(Buffer.from("garbage"), 1)).toThrow(/unreadable archive/);
   });
 });
 
-describe("buildGarminTarget", () => {
-  it("builds no target", () => {
-    const t = buildGarminTarget({ type: "none" });
-    expect(t.targetType.workoutTargetTypeKey).toBe("no.target");
+describe("POST /garmin/activity/fit", () => {
+  it("returns the unzipped FIT file", async () => {
+    const fit = makeSampleFit();
+    mockGet.mockResolvedValue(zipSingleFile("99_ACTIVITY.fit", fit));
+    const res = await request(app)
+      .post("/garmin/activity/fit")
+      .set(auth())
+      .buffer(true)
+      .parse((r, cb) => {
+        const chunks = [];
+        r.on("data", (c) => chunks.push(c));
+        r.on("end", () => cb(null, Buffer.concat(chunks)));
+      })
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/application\/vnd\.ant\.fit/);
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="99_ACTIVITY.fit"');
+    expect(Buffer.compare(res.body, fit)).toBe(0);
+    expect(res.headers["x-garmin-token"]).toBeDefined();
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/download-service/files/activity/99",
+      { responseType: "arraybuffer" },
+    );
   });
 
-  it("builds pace target", () => {
-    const t = buildGarminTarget({ type: "pace", minPerKm: "5:30", maxPerKm: "5:00" });
-    expect(t.targetType.workoutTargetTypeKey).toBe("pace.zone");
-    // minPerKm (5:30 = 330s/km) should be slower = smaller m/s
-    expect(t.targetValueOne).toBeCloseTo(1000 / 330, 5);
-    // maxPerKm (5:00 = 300s/km) should be faster = larger m/s
-    expect(t.targetValueTwo).toBeCloseTo(1000 / 300, 5);
-    expect(t.targetValueOne).toBeLessThan(t.targetValueTwo);
+  it("returns base64 in JSON when response is json", async () => {
+    const fit = makeSampleFit();
+    mockGet.mockResolvedValue(zipSingleFile("99_ACTIVITY.fit", fit));
+    const res = await request(app)
+      .post("/garmin/activity/fit")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, response: "json" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ ok: true, activityId: 99, filename: "99_ACTIVITY.fit", size: fit.length });
+    expect(Buffer.from(res.body.data, "base64")).toEqual(fit);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
   });
 
-  it("builds heartRateZone target", () => {
-    const t = buildGarminTarget({ type: "heartRateZone", zone: 3 });
-    expect(t.targetType.workoutTargetTypeKey).toBe("heart.rate.zone");
-    expect(t.zoneNumber).toBe(3);
+  it("returns 422 for activities uploaded without a FIT original", async () => {
+    mockGet.mockResolvedValue(zipSingleFile("99.gpx", Buffer.from("<gpx/>")));
+    const res = await request(app)
+      .post("/garmin/activity/fit")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(422);
+    expect(res.body.ok).toBe(false);
   });
+});
 
-  it("builds heartRate range target", () => {
-    const t = buildGarminTarget({ type: "heartRate", min: 140, max: 160 });
-    expect(t.targetType.workoutTargetTypeKey).toBe("heart.rate.zone");
-    expect(t.targetValueOne).toBe(140);
-    expect(t.targetValueTwo).toBe(160);
+describe("POST /garmin/activity/fit/parse", () => {
+  it("returns decoded messages", async () => {
+    mockGet.mockResolvedValue(zipSingleFile("99_ACTIVITY.fit", makeSampleFit()));
+    const res = await request(app)
+      .post("/garmin/activity/fit/parse")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.fileId.type).toBe(4);
+    expect(Object.keys(res.body.messages)).toEqual(["session", "lap", "record", "event", "hrv"]);
+    expect(res.body.messages.record).toHaveLength(3);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
   });
 
-  it("builds powerZone target", () => {
-    const t = buildGarminTarget({ type: "powerZone", zone: 3 });
-    expect(t.targetType.workoutTargetTypeKey).toBe("power.zone");
-    expect(t.zoneNumber).toBe(3);
+  it("returns only the requested messages", async () => {
+    mockGet.mockResolvedValue(zipSingleFile("99_ACTIVITY.fit", makeSampleFit()));
+    const res = await request(app)
+      .post("/garmin/activity/fit/parse")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99, messages: ["lap", "session"] });
+    expect(Object.keys(res.body.messages)).toEqual(["session", "lap"]);
   });
 
-  it("builds power range target", () => {
-    const t = buildGarminTarget({ type: "power", min: 230, max: 270 });
-    expect(t.targetType.workoutTargetTypeKey).toBe("power.zone");
-    expect(t.targetValueOne).toBe(230);
-    expect(t.targetValueTwo).toBe(270);
+  it("rejects unknown message types", async () => {
+    const res = await request(app)
+      .post("/garmin/activity/fit/parse")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, messages: ["record", "device_info"] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain("device_info");
   });
 
-  it("builds cadence target", () => {
-    const t = buildGarminTarget({ type: "cadence", min: 170, max: 180 });
-    expect(t.targetType.workoutTargetTypeKey).toBe("cadence");
-    expect(t.targetValueOne).toBe(170);
-    expect(t.targetValueTwo).toBe(180);
+  it("returns 422 for a corrupt FIT file", async () => {
+    const broken = makeSampleFit();
+    broken[14] = 0x03; // data message before any definition
+    mockGet.mockResolvedValue(zipSingleFile("99_ACTIVITY.fit", broken));
+    const res = await request(app)
+      .post("/garmin/activity/fit/parse")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toMatch(/Could not parse FIT file/);
   });
+});
 
-  it("returns null for invalid pace", () => {
-    expect(buildGarminTarget({ type: "pace", minPerKm: "bad", maxPerKm: "5:00" })).toBeNull();
+// ============================================================
+// HR TIME IN ZONE TESTS
+// ============================================================
+
+const GARMIN_HR_ZONES = [
+  { zoneNumber: 2, secsInZone: 600, zoneLowBoundary: 120 },
+  { zoneNumber: 1, secsInZone: 300, zoneLowBoundary: 100 },
+  { zoneNumber: 3, secsInZone: 900, zoneLowBoundary: 140 },
+  { zoneNumber: 4, secsInZone: 0, zoneLowBoundary: 160 },
+  { zoneNumber: 5, secsInZone: null, zoneLowBoundary: 175 },
+];
+
+const ATHLETE_ZONE_CONFIGS = [
+  { sport: "DEFAULT", zone1Floor: 100, zone2Floor: 120, zone3Floor: 140, zone4Floor: 160, zone5Floor: 175 },
+  { sport: "RUNNING", zone1Floor: 110, zone2Floor: 121, zone3Floor: 122, zone4Floor: 123, zone5Floor: 124 },
+];
+
+// Routes mockGet for the zone fallback: no Garmin breakdown, the given
+// stream details and athlete zone configs.
+function mockHrZoneFallback(details, zoneConfigs) {
+  mockGet.mockImplementation(async (url) => {
+    if (url.includes("/hrTimeInZones")) return [];
+    if (url.includes("/details")) return details;
+    if (url.includes("/heartRateZones")) return zoneConfigs;
+    if (url.includes("/splits")) return { lapDTOs: [] };
+    return null;
   });
+}
 
-  it("returns no target for missing input", () => {
-    const t = buildGarminTarget(null);
-    expect(t.targetType.workoutTargetTypeKey).toBe("no.target");
+describe("hrZonesFromGarmin", () => {
+  it("orders zones and computes seconds, bounds and percent", () => {
+    const group = hrZonesFromGarmin(GARMIN_HR_ZONES);
+    expect(group.source).toBe("garmin");
+    expect(group.totalSeconds).toBe(1800);
+    expect(group.zones[0]).toEqual({ zone: 1, lowBpm: 100, highBpm: 119, seconds: 300, percent: 16.7 });
+    expect(group.zones[2]).toEqual({ zone: 3, lowBpm: 140, highBpm: 159, seconds: 900, percent: 50 });
+    expect(group.zones[4]).toEqual({ zone: 5, lowBpm: 175, highBpm: null, seconds: 0, percent: 0 });
+  });
+
+  it("returns null for missing or empty data", () => {
+    expect(hrZonesFromGarmin(null)).toBeNull();
+    expect(hrZonesFromGarmin([])).toBeNull();
+    expect(hrZonesFromGarmin({ lapDTOs: [] })).toBeNull();
+    expect(hrZonesFromGarmin([{ zoneNumber: 1, zoneLowBoundary: 100 }])).toBeNull();
   });
 });
 
-describe("buildGarminStep", () => {
-  it("builds a complete ExecutableStepDTO", () => {
-    const step = buildGarminStep({
-      type: "interval",
-      duration: { type: "distance", meters: 800 },
-      target: { type: "pace", minPerKm: "4:30", maxPerKm: "4:00" },
-      notes: "Fast!",
-    }, 1);
-    expect(step.type).toBe("ExecutableStepDTO");
-    expect(step.stepId).toBe(1);
-    expect(step.stepOrder).toBe(1);
-    expect(step.stepType.stepTypeKey).toBe("interval");
-    expect(step.endCondition.conditionTypeKey).toBe("distance");
-    expect(step.endConditionValue).toBe(800);
-    expect(step.targetType.workoutTargetTypeKey).toBe("pace.zone");
-    expect(step.description).toBe("Fast!");
-    expect(step.secondaryTargetType).toBeNull();
+describe("athleteHrZoneFloors / lactateThresholdZoneFloors", () => {
+  it("prefers the sport-specific config", () => {
+    expect(athleteHrZoneFloors(ATHLETE_ZONE_CONFIGS, "trail_running")).toEqual([110, 121, 122, 123, 124]);
   });
 
-  it("returns null for invalid step type", () => {
-    expect(buildGarminStep({ type: "invalid", duration: { type: "time", seconds: 60 }, target: { type: "none" } }, 1)).toBeNull();
+  it("falls back to the DEFAULT config", () => {
+    expect(athleteHrZoneFloors(ATHLETE_ZONE_CONFIGS, "road_biking")).toEqual([100, 120, 140, 160, 175]);
   });
 
-  it("returns null for invalid duration", () => {
-    expect(buildGarminStep({ type: "warmup", duration: { type: "bad" }, target: { type: "none" } }, 1)).toBeNull();
+  it("rejects incomplete or non-increasing floors", () => {
+    expect(athleteHrZoneFloors([{ sport: "DEFAULT", zone1Floor: 100 }], "running")).toBeNull();
+    expect(
+      athleteHrZoneFloors([{ ...ATHLETE_ZONE_CONFIGS[0], zone3Floor: 110 }], "running"),
+    ).toBeNull();
+    expect(athleteHrZoneFloors(null, "running")).toBeNull();
+  });
+
+  it("derives zones from LTHR", () => {
+    expect(lactateThresholdZoneFloors(170)).toEqual([111, 145, 153, 162, 170]);
+    expect(lactateThresholdZoneFloors(null)).toBeNull();
   });
 });
 
-describe("buildGarminRepeatGroup", () => {
-  it("builds a RepeatGroupDTO with child steps", () => {
-    const group = buildGarminRepeatGroup({
-      type: "repeat",
-      iterations: 4,
-      steps: [
-        { type: "interval", duration: { type: "distance", meters: 800 }, target: { type: "none" } },
-        { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
-      ],
-    }, 3);
-    expect(group.type).toBe("RepeatGroupDTO");
-    expect(group.stepId).toBe(3);
-    expect(group.stepType.stepTypeKey).toBe("repeat");
-    expect(group.numberOfIterations).toBe(4);
-    expect(group.workoutSteps).toHaveLength(2);
-    expect(group.workoutSteps[0].stepId).toBe(4);
-    expect(group.workoutSteps[0].type).toBe("ExecutableStepDTO");
-    expect(group.workoutSteps[1].stepId).toBe(5);
-    expect(group._nextId).toBe(6);
+describe("computeHrTimeInZones", () => {
+  it("weights each sample by the time to the next one", () => {
+    const streams = { elapsed: [0, 1, 3, 4, 100], heartRate: [105, 125, 145, 90, 180] };
+    expect(computeHrTimeInZones(streams, 5, [100, 120, 140, 160, 175])).toEqual([1, 2, 1, 0, 0]);
   });
 
-  it("returns null if child step is invalid", () => {
-    expect(buildGarminRepeatGroup({
-      type: "repeat",
-      iterations: 2,
-      steps: [{ type: "bad", duration: { type: "time", seconds: 60 }, target: { type: "none" } }],
-    }, 1)).toBeNull();
+  it("caps long gaps", () => {
+    const streams = { elapsed: [0, 600, 601], heartRate: [130, 130, 130] };
+    expect(computeHrTimeInZones(streams, 3, [100, 120, 140, 160, 175])[1]).toBe(31);
+  });
+
+  it("returns null without a heart-rate stream", () => {
+    expect(computeHrTimeInZones({ elapsed: [0, 1] }, 2, [100])).toBeNull();
   });
 });
 
-describe("buildGarminWorkout", () => {
-  it("builds a full workout with warmup + repeat + cooldown", () => {
-    const result = buildGarminWorkout({
-      name: "Test Workout",
+describe("resolveHrZones", () => {
+  const flat = { averageHR: 130, activityType: { typeKey: "road_biking" } };
+  const client = () => ({ get: mockGet, getUserSettings: mockGetUserSettings });
+
+  it("uses Garmin's breakdown without extra calls", async () => {
+    const group = await resolveHrZones(client(), 99, flat, GARMIN_HR_ZONES);
+    expect(group.source).toBe("garmin");
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  it("computes from the stream with athlete zones", async () => {
+    mockHrZoneFallback(makeDetailsPayload(5), ATHLETE_ZONE_CONFIGS);
+    const group = await resolveHrZones(client(), 99, flat, []);
+    expect(group.source).toBe("athleteZones");
+    // HR 120..124, one second each, last sample has no duration
+    expect(group.zones.map((z) => z.seconds)).toEqual([0, 4, 0, 0, 0]);
+    expect(group.zones[1].percent).toBe(100);
+  });
+
+  it("falls back to LTHR zones when the athlete has none", async () => {
+    mockHrZoneFallback(makeDetailsPayload(5), []);
+    mockGetUserSettings.mockResolvedValue({ userData: { lactateThresholdHeartRate: 150 } });
+    const group = await resolveHrZones(client(), 99, flat, null);
+    expect(group.source).toBe("lactateThreshold");
+    expect(group.zones.map((z) => z.lowBpm)).toEqual([98, 128, 135, 143, 150]);
+    expect(group.zones[0].seconds).toBe(4);
+  });
+
+  it("reuses streams that were already fetched", async () => {
+    mockHrZoneFallback(null, ATHLETE_ZONE_CONFIGS);
+    const group = await resolveHrZones(client(), 99, flat, [], decodeActivityDetails(makeDetailsPayload(5)));
+    expect(group.source).toBe("athleteZones");
+    expect(mockGet.mock.calls.some(([url]) => url.includes("/details"))).toBe(false);
+  });
+
+  it("returns null when the activity has no heart rate", async () => {
+    expect(await resolveHrZones(client(), 99, { averageHR: null }, [])).toBeNull();
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  it("returns null when no zones can be determined", async () => {
+    mockHrZoneFallback(makeDetailsPayload(5), []);
+    mockGetUserSettings.mockResolvedValue({ userData: {} });
+    expect(await resolveHrZones(client(), 99, flat, null)).toBeNull();
+  });
+});
+
+describe("POST /garmin/activity/hr-zones", () => {
+  it("returns Garmin's time in zone", async () => {
+    mockGet.mockImplementation(async (url) => (url.includes("/hrTimeInZones") ? GARMIN_HR_ZONES : null));
+    const res = await request(app)
+      .post("/garmin/activity/hr-zones")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.activityId).toBe(99);
+    expect(res.body.hrZones.source).toBe("garmin");
+    expect(res.body.hrZones.zones).toHaveLength(5);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/activity-service/activity/99/hrTimeInZones"
+    );
+  });
+
+  it("computes from the HR stream when Garmin has no breakdown", async () => {
+    mockHrZoneFallback(makeDetailsPayload(5), ATHLETE_ZONE_CONFIGS);
+    const res = await request(app)
+      .post("/garmin/activity/hr-zones")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(200);
+    expect(res.body.hrZones.source).toBe("athleteZones");
+  });
+
+  it("returns 422 when the activity has no heart-rate data", async () => {
+    mockHrZoneFallback({ metricDescriptors: [], activityDetailMetrics: [] }, ATHLETE_ZONE_CONFIGS);
+    const res = await request(app)
+      .post("/garmin/activity/hr-zones")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(422);
+  });
+
+  it("rejects an invalid activityId", async () => {
+    const res = await request(app)
+      .post("/garmin/activity/hr-zones")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: "x" });
+    expect(res.status).toBe(400);
+  });
+});
+
+// ============================================================
+// BEST EFFORTS TESTS
+// ============================================================
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+describe("bestPowerEfforts", () => {
+  it("finds mean-maximal power for durations the activity covers", () => {
+    const streams = { elapsed: range(400), power: range(400).map((i) => (i >= 100 && i < 110 ? 500 : 200)) };
+    expect(bestPowerEfforts(streams, 400)).toEqual([
+      { key: "5s", seconds: 5, watts: 500, startElapsed: 100 },
+      { key: "1m", seconds: 60, watts: 250, startElapsed: 50 },
+      { key: "5m", seconds: 300, watts: 210, startElapsed: 0 },
+    ]);
+  });
+
+  it("holds samples across short gaps and zeroes long ones", () => {
+    const streams = { elapsed: [0, 100], power: [300, 300] };
+    const efforts = bestPowerEfforts(streams, 2);
+    expect(efforts[0].watts).toBe(300);
+    expect(efforts[1]).toMatchObject({ key: "1m", watts: 150, startElapsed: 0 });
+  });
+
+  it("returns nothing without a power stream", () => {
+    expect(bestPowerEfforts({ elapsed: [0, 1] }, 2)).toEqual([]);
+  });
+});
+
+describe("bestPaceEfforts", () => {
+  // 3 m/s with a 100 s surge at 5 m/s from t=200
+  const dist = (t) => (t <= 200 ? 3 * t : t <= 300 ? 600 + 5 * (t - 200) : 1100 + 3 * (t - 300));
+  const streams = { elapsed: range(601), distance: range(601).map(dist) };
+
+  it("finds the fastest window for each distance covered", () => {
+    const efforts = bestPaceEfforts(streams, 601);
+    expect(efforts.map((e) => e.key)).toEqual(["400m", "1k", "1mi"]);
+    expect(efforts[0]).toEqual({ key: "400m", meters: 400, seconds: 80, speed: 5, startElapsed: 200 });
+    expect(efforts[1].seconds).toBeCloseTo(266.7, 0);
+  });
+
+  it("skips samples where distance goes backwards", () => {
+    const noisy = { elapsed: [0, 1, 2, 3], distance: [0, 500, 100, 1000] };
+    expect(bestPaceEfforts(noisy, 4)[0]).toMatchObject({ key: "400m", seconds: 0.8 });
+  });
+
+  it("returns nothing without a distance stream", () => {
+    expect(bestPaceEfforts({ elapsed: [0, 1] }, 2)).toEqual([]);
+  });
+});
+
+describe("buildBestEfforts / aggregateBestEfforts", () => {
+  it("returns null without streams", () => {
+    expect(buildBestEfforts(null)).toBeNull();
+    expect(buildBestEfforts({ sampleCount: 0, streams: {} })).toBeNull();
+  });
+
+  it("keeps the best effort per key with its source activity", () => {
+    const a = { activityId: 1, activityName: "A", startTimeLocal: "2026-03-01 07:00:00" };
+    const b = { activityId: 2, activityName: "B", startTimeLocal: "2026-03-02 07:00:00" };
+    const result = aggregateBestEfforts([
+      { activity: a, efforts: { power: [{ key: "5s", watts: 400 }, { key: "1m", watts: 300 }], pace: [{ key: "1k", seconds: 240 }] } },
+      { activity: b, efforts: { power: [{ key: "5s", watts: 450 }], pace: [{ key: "400m", seconds: 80 }, { key: "1k", seconds: 250 }] } },
+    ]);
+    expect(result.power).toEqual([
+      { key: "5s", watts: 450, activityId: 2, activityName: "B", date: "2026-03-02" },
+      { key: "1m", watts: 300, activityId: 1, activityName: "A", date: "2026-03-01" },
+    ]);
+    expect(result.pace.map((e) => [e.key, e.activityId])).toEqual([["400m", 2], ["1k", 1]]);
+  });
+});
+
+describe("POST /garmin/best-efforts", () => {
+  beforeEach(() => {
+    mockActivityHistory(makeActivityHistory(3));
+  });
+
+  it("aggregates best efforts across the date range", async () => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/1003/details")) return makeDetailsPayload(10);
+      if (url.includes("/1002/details")) return makeDetailsPayload(10, { sample: () => ({ directPower: 300 }) });
+      return null;
+    });
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-30" });
+    expect(res.status).toBe(200);
+    expect(res.body.activitiesScanned).toBe(2);
+    expect(res.body.truncated).toBe(false);
+    expect(res.body.power).toEqual([
+      { key: "5s", seconds: 5, watts: 300, startElapsed: 0, activityId: 1002, activityName: null, date: "2026-03-30" },
+    ]);
+    expect(res.body.pace).toEqual([]);
+    expect(res.body.errors).toEqual([]);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet.mock.calls.some(([url]) => url.includes("/1001/"))).toBe(false);
+  });
+
+  it("scans at most BEST_EFFORTS_MAX_ACTIVITIES and flags truncation", async () => {
+    mockActivityHistory(makeActivityHistory(40));
+    mockGet.mockImplementation(async () => makeDetailsPayload(10));
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-01-01" });
+    expect(res.status).toBe(200);
+    expect(res.body.activitiesScanned).toBe(BEST_EFFORTS_MAX_ACTIVITIES);
+    expect(res.body.truncated).toBe(true);
+    expect(mockGet.mock.calls.filter(([url]) => url.includes("/details"))).toHaveLength(BEST_EFFORTS_MAX_ACTIVITIES);
+  });
+
+  it("reports per-activity failures", async () => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/1003/")) throw new Error("Server error");
+      return makeDetailsPayload(10);
+    });
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-30" });
+    expect(res.status).toBe(200);
+    expect(res.body.errors).toEqual([{ activityId: 1003, error: "Garmin request failed" }]);
+    expect(res.body.power[0].activityId).toBe(1002);
+  });
+
+  it("returns 401 when the token is rejected", async () => {
+    mockGet.mockRejectedValue(new Error("Session expired"));
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-30" });
+    expect(res.status).toBe(401);
+  });
+
+  it("requires startDate", async () => {
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, endDate: "2026-03-30" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/startDate/);
+  });
+
+  it("validates filters like /garmin/activities", async () => {
+    const res = await request(app)
+      .post("/garmin/best-efforts")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-3-30" });
+    expect(res.status).toBe(400);
+  });
+});
+
+// ============================================================
+// TRAINING LOAD ANALYTICS TESTS
+// ============================================================
+
+const loadActivity = (date, extra) => ({ activityId: date, startTimeLocal: `${date} 07:00:00`, ...extra });
+const TRIMP = { restingHR: 50, maxHR: 190, female: false };
+
+describe("computeTrimp / trimpParams", () => {
+  it("computes Banister TRIMP", () => {
+    // 60 min at HRr 0.5 → 60 * 0.5 * 0.64 * e^0.96
+    expect(computeTrimp(3600, 120, TRIMP)).toBeCloseTo(50.1, 1);
+    expect(computeTrimp(3600, 120, { ...TRIMP, female: true })).toBeCloseTo(59.5, 1);
+  });
+
+  it("clamps HR reserve and needs duration and HR", () => {
+    expect(computeTrimp(3600, 40, TRIMP)).toBe(0);
+    expect(computeTrimp(3600, null, TRIMP)).toBeNull();
+    expect(computeTrimp(undefined, 120, TRIMP)).toBeNull();
+  });
+
+  it("prefers Garmin's HR settings, then age", () => {
+    expect(trimpParams([{ sport: "DEFAULT", maxHeartRateUsed: 185, restingHeartRate: 48 }], null)).toEqual({
+      restingHR: 48,
+      maxHR: 185,
+      female: false,
+    });
+    const age = computeAge("1990-01-01");
+    expect(trimpParams(null, { userData: { birthDate: "1990-01-01", gender: "FEMALE" } })).toEqual({
+      restingHR: 60,
+      maxHR: 220 - age,
+      female: true,
+    });
+    expect(trimpParams(null, null).maxHR).toBe(190);
+  });
+});
+
+describe("activityLoad", () => {
+  it("uses Garmin's training load first", () => {
+    expect(activityLoad({ activityTrainingLoad: 80, duration: 3600, averageHR: 150 }, TRIMP)).toEqual({
+      load: 80,
+      source: "garmin",
+    });
+  });
+
+  it("falls back to TRIMP, then none", () => {
+    expect(activityLoad({ duration: 3600, averageHR: 120 }, TRIMP).source).toBe("trimp");
+    expect(activityLoad({ duration: 3600 }, TRIMP)).toEqual({ load: 0, source: "none" });
+    expect(activityLoad({ duration: 3600, averageHR: 120 }, null)).toEqual({ load: 0, source: "none" });
+  });
+});
+
+describe("buildLoadSeries", () => {
+  it("fills every day and sums loads per day", () => {
+    const { series, sources } = buildLoadSeries(
+      [
+        loadActivity("2026-03-02", { activityTrainingLoad: 50 }),
+        loadActivity("2026-03-02", { activityTrainingLoad: 30 }),
+        loadActivity("2026-03-04", { duration: 3600, averageHR: 120 }),
+        loadActivity("2026-02-01", { activityTrainingLoad: 999 }),
+      ],
+      "2026-03-01",
+      "2026-03-05",
+      TRIMP
+    );
+    expect(series.map((d) => d.date)).toEqual(["2026-03-01", "2026-03-02", "2026-03-03", "2026-03-04", "2026-03-05"]);
+    expect(series.map((d) => d.load)).toEqual([0, 80, 0, 50.1, 0]);
+    expect(series[1].activities).toBe(2);
+    expect(sources).toEqual({ garmin: 2, trimp: 1, none: 0 });
+  });
+
+  it("computes rolling averages, ACWR and CTL/ATL/TSB", () => {
+    const activities = Array.from({ length: 28 }, (_, i) =>
+      loadActivity(shiftDate("2026-03-01", i), { activityTrainingLoad: i < 21 ? 50 : 100 })
+    );
+    const { series } = buildLoadSeries(activities, "2026-03-01", "2026-03-28", null);
+    const last = series[27];
+    expect(last.acuteLoad).toBe(100);
+    expect(last.chronicLoad).toBe(62.5);
+    expect(last.acwr).toBe(1.6);
+    expect(series[0].ctl).toBeCloseTo(50 / 42, 1);
+    expect(series[0].atl).toBeCloseTo(50 / 7, 1);
+    expect(series[0].tsb).toBe(0);
+    // day 2 form = day 1 CTL - ATL (50/42 - 50/7)
+    expect(series[1].tsb).toBe(-6);
+    expect(last.atl).toBeGreaterThan(last.ctl);
+  });
+
+  it("reports null ACWR without chronic load", () => {
+    const { series } = buildLoadSeries([], "2026-03-01", "2026-03-02", null);
+    expect(series[1]).toMatchObject({ load: 0, acwr: null, ctl: 0, atl: 0, tsb: 0 });
+  });
+});
+
+describe("POST /garmin/analytics/load", () => {
+  const history = [
+    loadActivity("2026-03-10", { activityTrainingLoad: 120 }),
+    loadActivity("2026-03-09", { duration: 3600, averageHR: 120 }),
+    loadActivity("2026-02-10", { activityTrainingLoad: 60 }),
+    loadActivity("2025-12-01", { activityTrainingLoad: 500 }),
+  ];
+
+  it("returns the requested window with warm-up history applied", async () => {
+    mockActivityHistory(history);
+    mockGet.mockResolvedValue([{ sport: "DEFAULT", maxHeartRateUsed: 190, restingHeartRate: 50 }]);
+    const res = await request(app)
+      .post("/garmin/analytics/load")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, days: 14, endDate: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body.startDate).toBe("2026-02-25");
+    expect(res.body.series).toHaveLength(14);
+    expect(res.body.series[0].date).toBe("2026-02-25");
+    expect(res.body.current.date).toBe("2026-03-10");
+    expect(res.body.current.load).toBe(120);
+    expect(res.body.series[12].load).toBe(50.1);
+    // 2026-02-10 is in the warm-up: not in the series but in CTL
+    expect(res.body.series[0].ctl).toBeGreaterThan(0);
+    expect(res.body.loadSources).toEqual({ garmin: 2, trimp: 1, none: 0 });
+    expect(res.body.trimp).toEqual(TRIMP);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+  });
+
+  it("skips the HR settings lookup when every activity has Garmin load", async () => {
+    mockActivityHistory([loadActivity("2026-03-10", { activityTrainingLoad: 120 })]);
+    const res = await request(app)
+      .post("/garmin/analytics/load")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, days: 7, endDate: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body.trimp).toBeNull();
+    expect(mockGet).not.toHaveBeenCalled();
+    expect(mockGetUserSettings).not.toHaveBeenCalled();
+  });
+
+  it("defaults to 90 days", async () => {
+    mockActivityHistory([]);
+    const res = await request(app)
+      .post("/garmin/analytics/load")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, endDate: "2026-03-10" });
+    expect(res.body.days).toBe(90);
+    expect(res.body.series).toHaveLength(90);
+  });
+
+  it("returns 422 instead of scanning past ACTIVITY_SCAN_MAX_PAGES", async () => {
+    mockGetActivities.mockImplementation(async (start, limit) =>
+      Array.from({ length: limit }, (_, i) => loadActivity("2026-03-10", { activityId: 1e6 - start - i }))
+    );
+    const res = await request(app)
+      .post("/garmin/analytics/load")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, days: 7, endDate: "2026-03-10" });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toMatch(/fewer days/);
+    expect(mockGetActivities).toHaveBeenCalledTimes(ACTIVITY_SCAN_MAX_PAGES);
+  });
+
+  it("validates days and endDate", async () => {
+    for (const body of [{ days: 0 }, { days: 366 }, { days: 1.5 }, { endDate: "2026-13-01" }]) {
+      const res = await request(app)
+        .post("/garmin/analytics/load")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+// ============================================================
+// SUMMARY TESTS
+// ============================================================
+
+describe("activitySportKey", () => {
+  it("groups by sport family", () => {
+    expect(activitySportKey({ activityType: { typeKey: "trail_running", parentTypeId: 1 } })).toBe("running");
+    expect(activitySportKey({ activityType: { typeKey: "running", parentTypeId: 17 } })).toBe("running");
+    expect(activitySportKey({ activityType: { typeKey: "yoga", parentTypeId: 999 } })).toBe("yoga");
+    expect(activitySportKey({})).toBe("other");
+  });
+});
+
+describe("summaryPeriodStart", () => {
+  it("finds week and month starts", () => {
+    // 2026-03-31 is a Tuesday
+    expect(summaryPeriodStart("2026-03-31", "week", 1)).toBe("2026-03-30");
+    expect(summaryPeriodStart("2026-03-31", "week", 0)).toBe("2026-03-29");
+    expect(summaryPeriodStart("2026-03-29", "week", 1)).toBe("2026-03-23");
+    expect(summaryPeriodStart("2026-03-30", "week", 1)).toBe("2026-03-30");
+    expect(summaryPeriodStart("2026-03-31", "month", 1)).toBe("2026-03-01");
+  });
+});
+
+describe("buildActivitySummary", () => {
+  it("totals activities per period with intensity minutes", () => {
+    const activities = [
+      {
+        startTimeLocal: "2026-03-31 07:00:00",
+        activityType: { typeKey: "running" },
+        distance: 10000,
+        duration: 3000,
+        elevationGain: 50,
+        activityTrainingLoad: 90,
+        moderateIntensityMinutes: 10,
+        vigorousIntensityMinutes: 20,
+      },
+      { startTimeLocal: "2026-03-30 18:00:00", activityType: { typeKey: "road_biking", parentTypeId: 2 }, distance: 30000 },
+      { startTimeLocal: "2026-03-29 23:30:00", activityType: { typeKey: "running" }, distance: 5000 },
+    ];
+    const periods = buildActivitySummary(activities, {
+      period: "week",
+      count: 2,
+      endDate: "2026-03-31",
+      weekStart: 1,
+      groupBySport: true,
+    });
+    expect(periods.map((p) => [p.periodStart, p.periodEnd])).toEqual([
+      ["2026-03-23", "2026-03-29"],
+      ["2026-03-30", "2026-04-05"],
+    ]);
+    expect(periods[1].totals).toEqual({
+      sessions: 2,
+      distance: 40000,
+      duration: 3000,
+      elevationGain: 50,
+      load: 90,
+      intensityMinutes: { moderate: 10, vigorous: 20, total: 50 },
+    });
+    expect(Object.keys(periods[1].bySport)).toEqual(["running", "cycling"]);
+    expect(periods[1].bySport.cycling.distance).toBe(30000);
+    expect(periods[0].totals.sessions).toBe(1);
+  });
+
+  it("builds calendar months", () => {
+    const periods = buildActivitySummary([], { period: "month", count: 3, endDate: "2026-03-15", weekStart: 1 });
+    expect(periods.map((p) => [p.periodStart, p.periodEnd])).toEqual([
+      ["2026-01-01", "2026-01-31"],
+      ["2026-02-01", "2026-02-28"],
+      ["2026-03-01", "2026-03-31"],
+    ]);
+    expect(periods[0].bySport).toBeUndefined();
+  });
+});
+
+describe("POST /garmin/summary", () => {
+  beforeEach(() => {
+    mockActivityHistory(makeActivityHistory(10));
+  });
+
+  it("returns weekly totals, oldest first", async () => {
+    const res = await request(app)
+      .post("/garmin/summary")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weeks: 2, endDate: "2026-03-31" });
+    expect(res.status).toBe(200);
+    expect(res.body.period).toBe("week");
+    expect(res.body.startDate).toBe("2026-03-23");
+    expect(res.body.periods).toHaveLength(2);
+    expect(res.body.periods[0].totals.sessions).toBe(7);
+    expect(res.body.periods[0].totals.distance).toBe(38500);
+    expect(res.body.periods[1].totals.sessions).toBe(2);
+    expect(res.body.periods[1].bySport).toBeUndefined();
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+  });
+
+  it("breaks totals down by sport", async () => {
+    const res = await request(app)
+      .post("/garmin/summary")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weeks: 1, endDate: "2026-03-31", groupBy: "sport" });
+    expect(res.body.periods[0].bySport.running.sessions).toBe(1);
+    expect(res.body.periods[0].bySport.cycling.sessions).toBe(1);
+  });
+
+  it("supports Sunday week starts", async () => {
+    const res = await request(app)
+      .post("/garmin/summary")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weeks: 1, endDate: "2026-03-31", weekStart: "sunday" });
+    expect(res.body.periods[0].periodStart).toBe("2026-03-29");
+    expect(res.body.periods[0].totals.sessions).toBe(3);
+  });
+
+  it("returns monthly totals", async () => {
+    const res = await request(app)
+      .post("/garmin/summary")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, period: "month", months: 1, endDate: "2026-03-31" });
+    expect(res.status).toBe(200);
+    expect(res.body.periods).toEqual([
+      expect.objectContaining({ periodStart: "2026-03-01", periodEnd: "2026-03-31" }),
+    ]);
+    expect(res.body.periods[0].totals.sessions).toBe(10);
+  });
+
+  it("returns 422 instead of scanning past ACTIVITY_SCAN_MAX_PAGES", async () => {
+    mockActivityHistory(makeActivityHistory(2000, { startDate: "2026-03-31" }).map((a) => ({
+      ...a,
+      startTimeLocal: "2026-03-31 07:00:00",
+    })));
+    const res = await request(app)
+      .post("/garmin/summary")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weeks: 1, endDate: "2026-03-31" });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toMatch(/fewer weeks/);
+    expect(mockGetActivities).toHaveBeenCalledTimes(ACTIVITY_SCAN_MAX_PAGES);
+  });
+
+  it("validates period, counts, groupBy and weekStart", async () => {
+    const bodies = [
+      { period: "year" },
+      { weeks: 0 },
+      { weeks: 53 },
+      { period: "month", months: 25 },
+      { groupBy: "type" },
+      { weekStart: "friday" },
+      { endDate: "31-03-2026" },
+    ];
+    for (const body of bodies) {
+      const res = await request(app)
+        .post("/garmin/summary")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+// ============================================================
+// DAILY WELLNESS TESTS
+// ============================================================
+
+const GARMIN_DAILY_SUMMARY = {
+  calendarDate: "2026-03-10",
+  totalSteps: 11234,
+  dailyStepGoal: 10000,
+  totalDistanceMeters: 8900,
+  floorsAscended: 12,
+  floorsDescended: 10,
+  restingHeartRate: 48,
+  lastSevenDaysAvgRestingHeartRate: 49,
+  minHeartRate: 44,
+  maxHeartRate: 171,
+  averageStressLevel: 28,
+  maxStressLevel: 92,
+  stressDuration: 21000,
+  restStressDuration: 30000,
+  bodyBatteryHighestValue: 88,
+  bodyBatteryLowestValue: 21,
+  bodyBatteryChargedValue: 60,
+  bodyBatteryDrainedValue: 67,
+  bodyBatteryMostRecentValue: 35,
+  moderateIntensityMinutes: 15,
+  vigorousIntensityMinutes: 42,
+  intensityMinutesGoal: 150,
+  totalKilocalories: 2850,
+  activeKilocalories: 950,
+  bmrKilocalories: 1900,
+  averageSpo2: 96,
+  lowestSpo2: 89,
+  avgWakingRespirationValue: 14,
+};
+
+describe("parseDateRange", () => {
+  it("accepts a single date", () => {
+    expect(parseDateRange({ date: "2026-03-10" }, 31)).toEqual({ ok: true, startDate: "2026-03-10", endDate: "2026-03-10" });
+  });
+
+  it("accepts a range, with endDate defaulting to startDate", () => {
+    expect(parseDateRange({ startDate: "2026-03-01", endDate: "2026-03-31" }, 31).ok).toBe(true);
+    expect(parseDateRange({ startDate: "2026-03-01" }, 31)).toMatchObject({ endDate: "2026-03-01" });
+  });
+
+  it("rejects missing, malformed, reversed or too-long ranges", () => {
+    expect(parseDateRange({}, 31).error).toMatch(/required/);
+    expect(parseDateRange({ date: "2026-3-1" }, 31).ok).toBe(false);
+    expect(parseDateRange({ startDate: "2026-03-02", endDate: "2026-03-01" }, 31).ok).toBe(false);
+    expect(parseDateRange({ startDate: "2026-03-01", endDate: "2026-04-01" }, 31).error).toMatch(/max 31/);
+  });
+});
+
+describe("listDates", () => {
+  it("lists every day inclusive, across month ends", () => {
+    expect(listDates("2026-02-27", "2026-03-02")).toEqual(["2026-02-27", "2026-02-28", "2026-03-01", "2026-03-02"]);
+  });
+});
+
+describe("buildDailySummary", () => {
+  it("normalizes Garmin's daily summary", () => {
+    expect(buildDailySummary("2026-03-10", GARMIN_DAILY_SUMMARY)).toMatchObject({
+      date: "2026-03-10",
+      steps: 11234,
+      floorsAscended: 12,
+      restingHR: 48,
+      avgStress: 28,
+      maxStress: 92,
+      bodyBatteryHigh: 88,
+      bodyBatteryLow: 21,
+      bodyBatteryCharged: 60,
+      bodyBatteryDrained: 67,
+      moderateIntensityMinutes: 15,
+      vigorousIntensityMinutes: 42,
+      totalCalories: 2850,
+    });
+  });
+
+  it("returns nulls for a day without data", () => {
+    const day = buildDailySummary("2026-03-10", null);
+    expect(day.date).toBe("2026-03-10");
+    expect(day.steps).toBeNull();
+    expect(day.bodyBatteryHigh).toBeNull();
+  });
+
+  it("profile fields all exist on the full summary", () => {
+    const full = Object.keys(buildDailySummary("2026-03-10", {}));
+    for (const fields of Object.values(DAILY_PROFILE_FIELDS)) {
+      for (const field of fields) expect(full).toContain(field);
+    }
+  });
+});
+
+describe("POST /garmin/daily", () => {
+  beforeEach(() => {
+    mockGet.mockImplementation(async (url) => ({ ...GARMIN_DAILY_SUMMARY, calendarDate: url.slice(-10) }));
+  });
+
+  it("returns the full summary for one date", async () => {
+    const res = await request(app)
+      .post("/garmin/daily")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body.profile).toBe("full");
+    expect(res.body.days).toHaveLength(1);
+    expect(res.body.days[0]).toMatchObject({ date: "2026-03-10", steps: 11234, avgSpo2: 96 });
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/usersummary-service/usersummary/daily/TestUser?calendarDate=2026-03-10"
+    );
+  });
+
+  it("returns one day per date in a range, oldest first", async () => {
+    const res = await request(app)
+      .post("/garmin/daily")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-08", endDate: "2026-03-10" });
+    expect(res.body.days.map((d) => d.date)).toEqual(["2026-03-08", "2026-03-09", "2026-03-10"]);
+    expect(res.body.pendingDates).toEqual([]);
+    expect(mockGetUserProfile).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns dates not reached within the time budget as pendingDates", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      mockGet.mockImplementation(async (url) => {
+        if (url.endsWith("2026-03-09")) vi.setSystemTime(Date.now() + WORKOUT_FETCH_BUDGET_MS);
+        return { ...GARMIN_DAILY_SUMMARY, calendarDate: url.slice(-10) };
+      });
+      const res = await request(app)
+        .post("/garmin/daily")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-08", endDate: "2026-03-11" });
+      expect(res.status).toBe(200);
+      expect(res.body.days.map((d) => d.date)).toEqual(["2026-03-08", "2026-03-09"]);
+      expect(res.body.pendingDates).toEqual(["2026-03-10", "2026-03-11"]);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("applies the summary profile", async () => {
+    const res = await request(app)
+      .post("/garmin/daily")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10", profile: "summary" });
+    expect(Object.keys(res.body.days[0])).toEqual(DAILY_PROFILE_FIELDS.summary);
+  });
+
+  it("rejects an invalid profile or date", async () => {
+    for (const body of [{ date: "2026-03-10", profile: "mini" }, { date: "yesterday" }, {}]) {
+      const res = await request(app)
+        .post("/garmin/daily")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it("returns 401 on token errors", async () => {
+    mockGet.mockRejectedValue(new Error("Session expired"));
+    const res = await request(app)
+      .post("/garmin/daily")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10" });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// SLEEP TESTS
+// ============================================================
+
+const GARMIN_SLEEP = {
+  dailySleepDTO: {
+    calendarDate: "2026-03-10",
+    sleepTimeSeconds: 27000,
+    napTimeSeconds: null,
+    deepSleepSeconds: 5400,
+    lightSleepSeconds: 14400,
+    remSleepSeconds: 7200,
+    awakeSleepSeconds: 900,
+    sleepStartTimestampGMT: Date.UTC(2026, 2, 9, 21, 30),
+    sleepEndTimestampGMT: Date.UTC(2026, 2, 10, 5, 15),
+    sleepStartTimestampLocal: Date.UTC(2026, 2, 9, 23, 30),
+    sleepEndTimestampLocal: Date.UTC(2026, 2, 10, 7, 15),
+    averageSpO2Value: 95,
+    lowestSpO2Value: 89,
+    averageRespirationValue: 13.5,
+    avgSleepStress: 18,
+    awakeCount: 2,
+    sleepScores: {
+      overall: { value: 84, qualifierKey: "GOOD" },
+      remPercentage: { value: 27, qualifierKey: "EXCELLENT" },
+      stress: { qualifierKey: "FAIR" },
+    },
+  },
+  avgOvernightHrv: 58,
+  restingHeartRate: 47,
+};
+
+describe("buildSleepSummary", () => {
+  it("normalizes Garmin's sleep data", () => {
+    expect(buildSleepSummary("2026-03-10", GARMIN_SLEEP)).toMatchObject({
+      date: "2026-03-10",
+      totalSleepSeconds: 27000,
+      deepSleepSeconds: 5400,
+      lightSleepSeconds: 14400,
+      remSleepSeconds: 7200,
+      awakeSeconds: 900,
+      sleepStart: "2026-03-09T21:30:00.000Z",
+      sleepEnd: "2026-03-10T05:15:00.000Z",
+      sleepStartLocal: "2026-03-09T23:30:00",
+      sleepEndLocal: "2026-03-10T07:15:00",
+      sleepScore: 84,
+      sleepScoreQualifier: "GOOD",
+      avgOvernightHrv: 58,
+      avgRespiration: 13.5,
+      avgSpo2: 95,
+      restingHR: 47,
+    });
+  });
+
+  it("keeps sub-scores with value and qualifier", () => {
+    const { subScores } = buildSleepSummary("2026-03-10", GARMIN_SLEEP);
+    expect(subScores.remPercentage).toEqual({ value: 27, qualifier: "EXCELLENT" });
+    expect(subScores.stress).toEqual({ value: null, qualifier: "FAIR" });
+    expect(subScores.deepPercentage).toEqual({ value: null, qualifier: null });
+  });
+
+  it("returns nulls for a night without sleep data", () => {
+    const night = buildSleepSummary("2026-03-10", {});
+    expect(night.totalSleepSeconds).toBeNull();
+    expect(night.sleepStart).toBeNull();
+    expect(night.sleepScore).toBeNull();
+    expect(night.avgOvernightHrv).toBeNull();
+  });
+});
+
+describe("POST /garmin/sleep", () => {
+  beforeEach(() => {
+    mockGet.mockResolvedValue(GARMIN_SLEEP);
+  });
+
+  it("returns one night for a single date", async () => {
+    const res = await request(app)
+      .post("/garmin/sleep")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body.nights).toHaveLength(1);
+    expect(res.body.nights[0]).toMatchObject({ date: "2026-03-10", sleepScore: 84 });
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/sleep-service/sleep/dailySleepData?date=2026-03-10&nonSleepBufferMinutes=60"
+    );
+  });
+
+  it("returns one night per date in a range, oldest first", async () => {
+    const res = await request(app)
+      .post("/garmin/sleep")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-08", endDate: "2026-03-10" });
+    expect(res.body.nights.map((n) => n.date)).toEqual(["2026-03-08", "2026-03-09", "2026-03-10"]);
+    expect(res.body).toMatchObject({ startDate: "2026-03-08", endDate: "2026-03-10", pendingDates: [] });
+  });
+
+  it("returns dates not reached within the time budget as pendingDates", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      mockGet.mockImplementation(async (url) => {
+        if (url.includes("date=2026-03-09")) vi.setSystemTime(Date.now() + WORKOUT_FETCH_BUDGET_MS);
+        return GARMIN_SLEEP;
+      });
+      const res = await request(app)
+        .post("/garmin/sleep")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-08", endDate: "2026-03-11" });
+      expect(res.status).toBe(200);
+      expect(res.body.nights.map((n) => n.date)).toEqual(["2026-03-08", "2026-03-09"]);
+      expect(res.body.pendingDates).toEqual(["2026-03-10", "2026-03-11"]);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("rejects a missing, malformed or too long range", async () => {
+    for (const body of [{}, { date: "10/03/2026" }, { startDate: "2026-01-01", endDate: "2026-03-10" }]) {
+      const res = await request(app)
+        .post("/garmin/sleep")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it("returns 401 on token errors", async () => {
+    mockGet.mockRejectedValue(new Error("Session expired"));
+    const res = await request(app)
+      .post("/garmin/sleep")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10" });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// HRV STATUS TESTS
+// ============================================================
+
+function hrvSummary(calendarDate, lastNightAvg, status = "BALANCED") {
+  return {
+    calendarDate,
+    weeklyAvg: 55,
+    lastNightAvg,
+    lastNight5MinHigh: 80,
+    baseline: { lowUpper: 44, balancedLow: 49, balancedUpper: 62, markerValue: 0.5 },
+    status,
+    feedbackPhrase: "HRV_BALANCED_2",
+  };
+}
+
+describe("buildHrvNight", () => {
+  it("normalizes an hrvSummaries entry", () => {
+    expect(buildHrvNight("2026-03-10", hrvSummary("2026-03-10", 58))).toEqual({
+      date: "2026-03-10",
+      lastNightAvg: 58,
+      weeklyAvg: 55,
+      status: "BALANCED",
+      baselineBalancedLow: 49,
+      baselineBalancedHigh: 62,
+      baselineLowUpper: 44,
+      lastNight5MinHigh: 80,
+      feedbackPhrase: "HRV_BALANCED_2",
+    });
+  });
+
+  it("returns nulls for a missing night and treats NONE as no status", () => {
+    expect(buildHrvNight("2026-03-10", undefined).lastNightAvg).toBeNull();
+    expect(buildHrvNight("2026-03-10", hrvSummary("2026-03-10", 58, "NONE")).status).toBeNull();
+  });
+
+  it("profile fields all exist on the full entry", () => {
+    const full = Object.keys(buildHrvNight("2026-03-10", {}));
+    for (const fields of Object.values(HRV_PROFILE_FIELDS)) {
+      for (const field of fields) expect(full).toContain(field);
+    }
+  });
+});
+
+describe("computeHrvTrend", () => {
+  const nights = (values) => values.map((lastNightAvg) => ({ lastNightAvg }));
+
+  it("detects a rising trend", () => {
+    // +1 ms/night on a mean of 53 -> 7 ms/week, ~13%
+    expect(computeHrvTrend(nights([50, 51, 52, 53, 54, 55, 56]))).toEqual({
+      direction: "rising",
+      slopePerWeek: 7,
+      changePctPerWeek: 13.2,
+      nights: 7,
+    });
+  });
+
+  it("detects a falling trend and skips missing nights", () => {
+    const trend = computeHrvTrend(nights([60, null, 56, 54, null, 50]));
+    expect(trend.direction).toBe("falling");
+    expect(trend.nights).toBe(4);
+  });
+
+  it("is stable for small changes", () => {
+    expect(computeHrvTrend(nights([55, 54, 56, 55, 55])).direction).toBe("stable");
+  });
+
+  it("has no direction with too few nights", () => {
+    expect(computeHrvTrend(nights([55, null, 60])).direction).toBeNull();
+  });
+});
+
+describe("POST /garmin/hrv", () => {
+  beforeEach(() => {
+    mockGet.mockImplementation(async (url) => {
+      const [start, end] = url.split("/").slice(-2);
+      return {
+        hrvSummaries: listDates(start, end).map((date, i) => hrvSummary(date, 50 + i)),
+      };
+    });
+  });
+
+  it("returns nights, the trend and the refreshed token", async () => {
+    const res = await request(app)
+      .post("/garmin/hrv")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-01", endDate: "2026-03-07" });
+    expect(res.status).toBe(200);
+    expect(res.body.profile).toBe("full");
+    expect(res.body.nights.map((n) => n.lastNightAvg)).toEqual([50, 51, 52, 53, 54, 55, 56]);
+    expect(res.body.trend.direction).toBe("rising");
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith("https://connectapi.garmin.com/hrv-service/hrv/daily/2026-03-01/2026-03-07");
+  });
+
+  it("splits long ranges into 28-night requests", async () => {
+    const res = await request(app)
+      .post("/garmin/hrv")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-01-01", endDate: "2026-02-15" });
+    expect(mockGet).toHaveBeenCalledTimes(2);
+    expect(mockGet).toHaveBeenCalledWith("https://connectapi.garmin.com/hrv-service/hrv/daily/2026-01-01/2026-01-28");
+    expect(mockGet).toHaveBeenCalledWith("https://connectapi.garmin.com/hrv-service/hrv/daily/2026-01-29/2026-02-15");
+    expect(res.body.nights).toHaveLength(46);
+  });
+
+  it("fills nights Garmin has no data for", async () => {
+    mockGet.mockResolvedValue({ hrvSummaries: [hrvSummary("2026-03-02", 58)] });
+    const res = await request(app)
+      .post("/garmin/hrv")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-01", endDate: "2026-03-03" });
+    expect(res.body.nights.map((n) => n.lastNightAvg)).toEqual([null, 58, null]);
+    expect(res.body.trend).toMatchObject({ direction: null, nights: 1 });
+  });
+
+  it("applies the summary profile", async () => {
+    const res = await request(app)
+      .post("/garmin/hrv")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10", profile: "summary" });
+    expect(Object.keys(res.body.nights[0])).toEqual(HRV_PROFILE_FIELDS.summary);
+  });
+
+  it("rejects an invalid profile or range", async () => {
+    for (const body of [{ date: "2026-03-10", profile: "mini" }, {}, { startDate: "2025-01-01", endDate: "2026-03-10" }]) {
+      const res = await request(app)
+        .post("/garmin/hrv")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+// ============================================================
+// BODY COMPOSITION TESTS
+// ============================================================
+
+const GARMIN_WEIGH_IN = {
+  samplePk: 1,
+  date: Date.UTC(2026, 2, 10, 7, 0),
+  calendarDate: "2026-03-10",
+  weight: 79980,
+  bmi: 25.8,
+  bodyFat: 17.4,
+  bodyWater: 58.1,
+  boneMass: 3420,
+  muscleMass: 37650,
+  physiqueRating: null,
+  visceralFat: null,
+  metabolicAge: null,
+  sourceType: "INDEX_SCALE",
+  timestampGMT: Date.UTC(2026, 2, 10, 6, 0),
+};
+
+describe("buildBodyCompositionEntry", () => {
+  it("converts grams to kg and keeps percentages", () => {
+    expect(buildBodyCompositionEntry(GARMIN_WEIGH_IN)).toEqual({
+      date: "2026-03-10",
+      timestamp: "2026-03-10T06:00:00.000Z",
+      weightKg: 80,
+      bmi: 25.8,
+      bodyFatPct: 17.4,
+      bodyWaterPct: 58.1,
+      muscleMassKg: 37.7,
+      boneMassKg: 3.4,
+      visceralFat: null,
+      metabolicAge: null,
+      physiqueRating: null,
+      source: "INDEX_SCALE",
+    });
+  });
+
+  it("returns nulls for metrics a plain weigh-in lacks", () => {
+    const entry = buildBodyCompositionEntry({ calendarDate: "2026-03-10", weight: 80000, sourceType: "MANUAL" });
+    expect(entry.weightKg).toBe(80);
+    expect(entry.bodyFatPct).toBeNull();
+    expect(entry.muscleMassKg).toBeNull();
+  });
+});
+
+describe("parseWeighIn", () => {
+  it("defaults to kg, now and UTC", () => {
+    const weighIn = parseWeighIn({ weight: 80 });
+    expect(weighIn).toMatchObject({ ok: true, weightKg: 80, weightLbs: 176.37, timezone: "UTC" });
+    expect(Math.abs(weighIn.timestamp.getTime() - Date.now())).toBeLessThan(5000);
+  });
+
+  it("converts pounds and keeps the timestamp and zone", () => {
+    expect(parseWeighIn({ weight: 176.37, unit: "lbs", timestamp: "2026-03-10T07:00:00Z", timezone: "Europe/Berlin" })).toMatchObject({
+      ok: true,
+      weightKg: 80,
+      weightLbs: 176.37,
+      timezone: "Europe/Berlin",
+    });
+  });
+
+  it("rejects bad weights, units, timestamps and zones", () => {
+    for (const body of [
+      {},
+      { weight: "80" },
+      { weight: -1 },
+      { weight: 5 },
+      { weight: 80, unit: "st" },
+      { weight: 80, timestamp: "yesterday" },
+      { weight: 80, timestamp: 1773126000000 },
+      { weight: 80, timezone: "Mars/Olympus" },
+    ]) {
+      expect(parseWeighIn(body).ok).toBe(false);
+    }
+  });
+});
+
+describe("POST /garmin/body-composition", () => {
+  it("returns measurements oldest first with the latest one", async () => {
+    mockGet.mockResolvedValue({
+      dateWeightList: [
+        GARMIN_WEIGH_IN,
+        { ...GARMIN_WEIGH_IN, calendarDate: "2026-03-03", timestampGMT: Date.UTC(2026, 2, 3, 6, 0), weight: 80500 },
+      ],
+    });
+    const res = await request(app)
+      .post("/garmin/body-composition")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-01", endDate: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body.measurements.map((m) => m.date)).toEqual(["2026-03-03", "2026-03-10"]);
+    expect(res.body.latest).toMatchObject({ date: "2026-03-10", weightKg: 80 });
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/weight-service/weight/dateRange?startDate=2026-03-01&endDate=2026-03-10"
+    );
+  });
+
+  it("puts weigh-ins without a timestamp first and never picks them as latest", async () => {
+    const undated = { ...GARMIN_WEIGH_IN, calendarDate: "2026-03-11", timestampGMT: null, date: null, weight: 79000 };
+    mockGet.mockResolvedValue({ dateWeightList: [GARMIN_WEIGH_IN, undated] });
+    const res = await request(app)
+      .post("/garmin/body-composition")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, startDate: "2026-03-01", endDate: "2026-03-11" });
+    expect(res.body.measurements.map((m) => m.date)).toEqual(["2026-03-11", "2026-03-10"]);
+    expect(res.body.latest).toMatchObject({ date: "2026-03-10", weightKg: 80 });
+
+    mockGet.mockResolvedValue({ dateWeightList: [undated] });
+    const onlyUndated = await request(app)
+      .post("/garmin/body-composition")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-11" });
+    expect(onlyUndated.body.measurements).toHaveLength(1);
+    expect(onlyUndated.body.latest).toBeNull();
+  });
+
+  it("returns an empty history when there are no weigh-ins", async () => {
+    mockGet.mockResolvedValue({ dateWeightList: [] });
+    const res = await request(app)
+      .post("/garmin/body-composition")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-10" });
+    expect(res.body).toMatchObject({ latest: null, measurements: [] });
+  });
+
+  it("rejects a missing range", async () => {
+    const res = await request(app)
+      .post("/garmin/body-composition")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /garmin/body-composition/add", () => {
+  it("pushes the weigh-in to Garmin in pounds", async () => {
+    mockUpdateWeight.mockResolvedValue(undefined);
+    const res = await request(app)
+      .post("/garmin/body-composition/add")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weight: 80, timestamp: "2026-03-10T07:00:00Z", timezone: "Europe/Berlin" });
+    expect(res.status).toBe(200);
+    expect(res.body.weighIn).toEqual({
+      timestamp: "2026-03-10T07:00:00.000Z",
+      timezone: "Europe/Berlin",
+      weightKg: 80,
+      weightLbs: 176.37,
+    });
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockUpdateWeight).toHaveBeenCalledWith(new Date("2026-03-10T07:00:00Z"), 176.37, "Europe/Berlin");
+  });
+
+  it("rejects an invalid weigh-in without calling Garmin", async () => {
+    const res = await request(app)
+      .post("/garmin/body-composition/add")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weight: 80, unit: "stone" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/unit/);
+    expect(mockUpdateWeight).not.toHaveBeenCalled();
+  });
+
+  it("returns 401 on token errors", async () => {
+    mockUpdateWeight.mockRejectedValue(new Error("Error in updateWeight: Session expired"));
+    const res = await request(app)
+      .post("/garmin/body-composition/add")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, weight: 80 });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// PERFORMANCE TESTS
+// ============================================================
+
+const GARMIN_TRAINING_STATUS = {
+  mostRecentTrainingStatus: {
+    latestTrainingStatusData: {
+      111: { calendarDate: "2026-03-09", trainingStatus: 7, trainingStatusFeedbackPhrase: "MAINTAINING_2", primaryTrainingDevice: false },
+      222: { calendarDate: "2026-03-10", trainingStatus: 4, trainingStatusFeedbackPhrase: "PRODUCTIVE_1", primaryTrainingDevice: true },
+    },
+  },
+  mostRecentTrainingLoadBalance: {
+    metricsTrainingLoadBalanceDTOMap: {
+      222: {
+        monthlyLoadAerobicLow: 420,
+        monthlyLoadAerobicLowTargetMin: 300,
+        monthlyLoadAerobicLowTargetMax: 600,
+        monthlyLoadAerobicHigh: 150,
+        monthlyLoadAerobicHighTargetMin: 250,
+        monthlyLoadAerobicHighTargetMax: 500,
+        monthlyLoadAnaerobic: 90,
+        monthlyLoadAnaerobicTargetMin: 50,
+        monthlyLoadAnaerobicTargetMax: 200,
+        trainingBalanceFeedbackPhrase: "AEROBIC_HIGH_SHORTAGE",
+        primaryTrainingDevice: true,
+      },
+    },
+  },
+};
+
+const GARMIN_VO2MAX_DAYS = [
+  { generic: { calendarDate: "2026-03-10", vo2MaxPreciseValue: 51.3, vo2MaxValue: 51, fitnessAge: 38 }, cycling: null },
+  { generic: { calendarDate: "2026-03-01", vo2MaxPreciseValue: 50.8, vo2MaxValue: 51, fitnessAge: 39 }, cycling: { calendarDate: "2026-03-01", vo2MaxValue: 52 } },
+  { generic: { calendarDate: "2026-03-05", vo2MaxPreciseValue: null, vo2MaxValue: null }, cycling: null },
+];
+
+const GARMIN_RACE_PREDICTIONS = {
+  calendarDate: "2026-03-10",
+  time5K: 1230,
+  time10K: 2580,
+  timeHalfMarathon: 5760,
+  timeMarathon: 12300,
+};
+
+describe("buildTrainingStatus", () => {
+  it("uses the primary training device and strips the phrase suffix", () => {
+    expect(buildTrainingStatus(GARMIN_TRAINING_STATUS)).toEqual({
+      trainingStatus: { date: "2026-03-10", label: "PRODUCTIVE", code: 4, feedbackPhrase: "PRODUCTIVE_1" },
+      loadFocus: {
+        lowAerobic: { load: 420, targetMin: 300, targetMax: 600 },
+        highAerobic: { load: 150, targetMin: 250, targetMax: 500 },
+        anaerobic: { load: 90, targetMin: 50, targetMax: 200 },
+        feedbackPhrase: "AEROBIC_HIGH_SHORTAGE",
+      },
+    });
+  });
+
+  it("returns nulls without status data", () => {
+    expect(buildTrainingStatus({})).toEqual({
+      trainingStatus: { date: null, label: null, code: null, feedbackPhrase: null },
+      loadFocus: null,
+    });
+  });
+});
+
+describe("buildVo2MaxHistory", () => {
+  it("sorts days and drops days without a value", () => {
+    expect(buildVo2MaxHistory(GARMIN_VO2MAX_DAYS)).toEqual([
+      { date: "2026-03-01", running: 50.8, cycling: 52, fitnessAge: 39 },
+      { date: "2026-03-10", running: 51.3, cycling: null, fitnessAge: 38 },
+    ]);
+  });
+});
+
+describe("buildRacePredictions", () => {
+  it("lists the predicted races", () => {
+    expect(buildRacePredictions(GARMIN_RACE_PREDICTIONS)).toEqual({
+      date: "2026-03-10",
+      races: [
+        { key: "5k", meters: 5000, seconds: 1230 },
+        { key: "10k", meters: 10000, seconds: 2580 },
+        { key: "half", meters: 21097.5, seconds: 5760 },
+        { key: "marathon", meters: 42195, seconds: 12300 },
+      ],
+    });
+  });
+
+  it("returns null without predictions", () => {
+    expect(buildRacePredictions(null)).toBeNull();
+    expect(buildRacePredictions({ calendarDate: "2026-03-10" })).toBeNull();
+  });
+});
+
+describe("POST /garmin/performance", () => {
+  const base = "https://connectapi.garmin.com/metrics-service/metrics";
+
+  beforeEach(() => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/trainingstatus/")) return GARMIN_TRAINING_STATUS;
+      if (url.includes("/maxmet/")) return GARMIN_VO2MAX_DAYS;
+      if (url.includes("/racepredictions/")) return GARMIN_RACE_PREDICTIONS;
+      if (url.includes("/endurancescore")) return { overallScore: 6120, classification: 3 };
+      if (url.includes("/hillscore")) return { overallScore: 62, strengthScore: 55, enduranceScore: 68 };
+      throw new Error(`unexpected url ${url}`);
+    });
+  });
+
+  it("combines status, load focus, VO2max, predictions and scores", async () => {
+    const res = await request(app)
+      .post("/garmin/performance")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, endDate: "2026-03-10", days: 30 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      startDate: "2026-02-09",
+      endDate: "2026-03-10",
+      trainingStatus: { label: "PRODUCTIVE" },
+      loadFocus: { feedbackPhrase: "AEROBIC_HIGH_SHORTAGE" },
+      enduranceScore: { score: 6120, classification: 3 },
+      hillScore: { score: 62, strength: 55, endurance: 68 },
+    });
+    expect(res.body.vo2MaxHistory).toHaveLength(2);
+    expect(res.body.racePredictions.races).toHaveLength(4);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGet).toHaveBeenCalledWith(`${base}/trainingstatus/aggregated/2026-03-10`);
+    expect(mockGet).toHaveBeenCalledWith(`${base}/maxmet/daily/2026-02-09/2026-03-10`);
+    expect(mockGet).toHaveBeenCalledWith(`${base}/racepredictions/latest/TestUser`);
+  });
+
+  it("returns null for predictions and scores the devices don't provide", async () => {
+    mockGet.mockImplementation(async (url) => {
+      if (url.includes("/trainingstatus/")) return GARMIN_TRAINING_STATUS;
+      if (url.includes("/maxmet/")) return [];
+      throw new Error("Request failed with status code 404");
+    });
+    const res = await request(app)
+      .post("/garmin/performance")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, endDate: "2026-03-10" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      startDate: "2025-12-11",
+      vo2MaxHistory: [],
+      racePredictions: null,
+      enduranceScore: null,
+      hillScore: null,
+    });
+  });
+
+  it("rejects invalid days or endDate", async () => {
+    for (const body of [{ days: 0 }, { days: 400 }, { days: "30" }, { endDate: "today" }]) {
+      const res = await request(app)
+        .post("/garmin/performance")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+
+  it("returns 401 on token errors", async () => {
+    mockGet.mockRejectedValue(new Error("Session expired"));
+    const res = await request(app)
+      .post("/garmin/performance")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// POST /garmin/workouts/batch TESTS
+// ============================================================
+
+describe("POST /garmin/workouts/batch", () => {
+  it("returns a grouped workout per activity", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11, "12", 13] });
+    expect(res.status).toBe(200);
+    expect(res.body.results.map((r) => r.activityId)).toEqual([11, 12, 13]);
+    expect(res.body.results.every((r) => r.ok)).toBe(true);
+    expect(res.body.results[0].workout.identity.activityName).toBe("Morning Run");
+    expect(res.body.succeeded).toBe(3);
+    expect(res.body.failed).toBe(0);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    // One client, one token load for the whole batch
+    expect(mockLoadToken).toHaveBeenCalledTimes(1);
+    expect(mockGetActivity).toHaveBeenCalledTimes(3);
+    expect(mockGet).toHaveBeenCalledWith(
+      "https://connectapi.garmin.com/activity-service/activity/12/splits"
+    );
+  });
+
+  it("returns ids not reached within the time budget as pendingActivityIds", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      mockGetActivity.mockImplementation(async ({ activityId }) => {
+        if (activityId === 12) vi.setSystemTime(Date.now() + WORKOUT_FETCH_BUDGET_MS);
+        return { activityId, summaryDTO: {} };
+      });
+      const res = await request(app)
+        .post("/garmin/workouts/batch")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11, 12, 13, 14], concurrency: 1 });
+      expect(res.status).toBe(200);
+      expect(res.body.results.map((r) => r.activityId)).toEqual([11, 12]);
+      expect(res.body.succeeded).toBe(2);
+      expect(res.body.pendingActivityIds).toEqual([13, 14]);
+      expect(mockGetActivity).toHaveBeenCalledTimes(2);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("passes include through to every activity", async () => {
+    mockGet.mockImplementation(async (url) =>
+      url.includes("/hrTimeInZones") ? GARMIN_HR_ZONES : FAKE_SPLITS_RESPONSE
+    );
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11, 12], include: ["hrZones"] });
+    expect(res.body.results.map((r) => r.workout.hrZones.source)).toEqual(["garmin", "garmin"]);
+  });
+
+  it("returns 400 for an unknown include option", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11], include: "hrZones" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/include/);
+  });
+
+  it("reports individual failures without failing the batch", async () => {
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      if (activityId === 12) throw new Error("Server error");
+      if (activityId === 13) throw new GarminTimeoutError(10000);
+      return { activityId, summaryDTO: {} };
+    });
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11, 12, 13] });
+    expect(res.status).toBe(200);
+    expect(res.body.results[0].ok).toBe(true);
+    expect(res.body.results[1]).toEqual({ activityId: 12, ok: false, error: "Garmin request failed" });
+    expect(res.body.results[2].ok).toBe(false);
+    expect(res.body.results[2].error).toMatch(/timed out/);
+    expect(res.body.succeeded).toBe(1);
+    expect(res.body.failed).toBe(2);
+  });
+
+  it("fetches duplicate ids once", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [11, 11, "11"] });
+    expect(res.body.results).toHaveLength(1);
+    expect(mockGetActivity).toHaveBeenCalledTimes(1);
+  });
+
+  it("respects the concurrency limit", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((r) => setTimeout(r, 5));
+      inFlight--;
+      return { activityId };
+    });
+    await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [1, 2, 3, 4, 5, 6], concurrency: 2 });
+    expect(peak).toBe(2);
+  });
+
+  it("clamps concurrency to the maximum", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((r) => setTimeout(r, 5));
+      inFlight--;
+      return { activityId };
+    });
+    const ids = Array.from({ length: 12 }, (_, i) => i + 1);
+    await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: ids, concurrency: 100 });
+    expect(peak).toBe(WORKOUT_FETCH_MAX_CONCURRENCY);
+  });
+
+  it("returns 401 when the token is rejected", async () => {
+    mockGetActivity.mockRejectedValue(new Error("401 Unauthorized"));
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [1, 2] });
+    expect(res.status).toBe(401);
+  });
+
+  it("returns 400 for a missing or empty activityIds", async () => {
+    for (const activityIds of [undefined, [], "1,2"]) {
+      const res = await request(app)
+        .post("/garmin/workouts/batch")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/activityIds/);
+    }
+  });
+
+  it("returns 400 for an invalid id", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [1, "abc"] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/index 1/);
+  });
+
+  it("returns 400 above the batch cap", async () => {
+    const ids = Array.from({ length: WORKOUT_BATCH_MAX_IDS + 1 }, (_, i) => i + 1);
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: ids });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Too many/);
+    expect(mockGetActivity).not.toHaveBeenCalled();
+  });
+
+  it("requires API key", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/batch")
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityIds: [1] });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// SYNC TESTS
+// ============================================================
+
+describe("classifyGarminError", () => {
+  it("maps timeouts, token errors and RequestError", () => {
+    expect(classifyGarminError(new GarminTimeoutError(10)).status).toBe(504);
+    expect(classifyGarminError(new Error("401 Unauthorized")).status).toBe(401);
+    expect(classifyGarminError(new RequestError(422, "Nope"))).toEqual({ status: 422, error: "Nope" });
+    expect(classifyGarminError(new Error("boom"))).toEqual({ status: 500, error: "Garmin request failed" });
+  });
+});
+
+describe("isTransientGarminError", () => {
+  it("treats timeouts, rate limits, 5xx and network errors as transient", () => {
+    expect(isTransientGarminError(new GarminTimeoutError(10))).toBe(true);
+    expect(isTransientGarminError(new Error('ERROR: (429), Too Many Requests, ""'))).toBe(true);
+    expect(isTransientGarminError(new Error('ERROR: (503), Service Unavailable, ""'))).toBe(true);
+    expect(isTransientGarminError(new Error("socket hang up"))).toBe(true);
+    expect(isTransientGarminError(new RequestError(502, "Bad gateway"))).toBe(true);
+  });
+
+  it("treats other client errors as permanent", () => {
+    expect(isTransientGarminError(new Error('ERROR: (404), Not Found, ""'))).toBe(false);
+    expect(isTransientGarminError(new RequestError(422, "Nope"))).toBe(false);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps input order and never exceeds the limit", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((r) => setTimeout(r, ms));
+      inFlight--;
+      return i;
+    });
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+
+  it("handles an empty list", async () => {
+    expect(await mapWithConcurrency([], 3, async () => 1)).toEqual([]);
+  });
+
+  it("starts no new items once the deadline has passed", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      const deadline = Date.now() + 1000;
+      const results = await mapWithConcurrency([1, 2, 3, 4], 2, async (n) => {
+        if (n === 2) vi.setSystemTime(deadline);
+        return n * 10;
+      }, { deadline });
+      expect(results).toEqual([10, 20, undefined, undefined]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe("activityStartMs", () => {
+  it("prefers beginTimestamp", () => {
+    expect(activityStartMs({ beginTimestamp: 1737711420000, startTimeGMT: "2000-01-01 00:00:00" })).toBe(1737711420000);
+  });
+
+  it("parses startTimeGMT as UTC", () => {
+    expect(activityStartMs({ startTimeGMT: "2026-01-24 08:37:00" })).toBe(Date.UTC(2026, 0, 24, 8, 37));
+  });
+
+  it("returns null without a start time", () => {
+    expect(activityStartMs({})).toBeNull();
+  });
+});
+
+describe("parseSyncWatermark", () => {
+  it("allows no watermark", () => {
+    expect(parseSyncWatermark(undefined)).toEqual({ ok: true, since: null });
+  });
+
+  it("parses activityId and timestamps", () => {
+    expect(parseSyncWatermark({ activityId: "123" }).since).toEqual({ activityId: 123 });
+    expect(parseSyncWatermark({ timestamp: 1700000000000 }).since).toEqual({ timestamp: 1700000000000 });
+    expect(parseSyncWatermark({ timestamp: "2026-01-24T08:37:00Z" }).since).toEqual({
+      timestamp: Date.UTC(2026, 0, 24, 8, 37),
+    });
+  });
+
+  it("rejects invalid watermarks", () => {
+    expect(parseSyncWatermark(123).ok).toBe(false);
+    expect(parseSyncWatermark({}).ok).toBe(false);
+    expect(parseSyncWatermark({ activityId: -4 }).ok).toBe(false);
+    expect(parseSyncWatermark({ timestamp: "yesterday" }).ok).toBe(false);
+  });
+});
+
+describe("isAfterWatermark", () => {
+  const activity = { activityId: 50, beginTimestamp: 2000 };
+
+  it("uses the id alone when the watermark has one", () => {
+    expect(isAfterWatermark(activity, { activityId: 49, timestamp: 3000 })).toBe(true);
+    expect(isAfterWatermark(activity, { activityId: 50, timestamp: 1000 })).toBe(false);
+  });
+
+  it("compares activity ids", () => {
+    expect(isAfterWatermark(activity, { activityId: 49 })).toBe(true);
+    expect(isAfterWatermark(activity, { activityId: 50 })).toBe(false);
+  });
+
+  it("compares start timestamps", () => {
+    expect(isAfterWatermark(activity, { timestamp: 1999 })).toBe(true);
+    expect(isAfterWatermark(activity, { timestamp: 2000 })).toBe(false);
+  });
+});
+
+describe("POST /garmin/sync", () => {
+  it("returns only activities newer than the activityId watermark, oldest first", async () => {
+    // ids 1120 (newest) .. 1001
+    mockActivityHistory(makeActivityHistory(120));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1115 } });
+    expect(res.status).toBe(200);
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([1116, 1117, 1118, 1119, 1120]);
+    expect(res.body.workouts[0].workout.identity).toBeDefined();
+    expect(res.body.watermark.activityId).toBe(1120);
+    expect(res.body.hasMore).toBe(false);
+    expect(res.body.errors).toEqual([]);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    // Stopped at the watermark on the first page
+    expect(mockGetActivities).toHaveBeenCalledTimes(1);
+    expect(mockGetActivity).toHaveBeenCalledTimes(5);
+  });
+
+  it("caps each sync at limit and reports hasMore", async () => {
+    mockActivityHistory(makeActivityHistory(120));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1100 }, limit: 5 });
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([1101, 1102, 1103, 1104, 1105]);
+    expect(res.body.watermark.activityId).toBe(1105);
+    expect(res.body.hasMore).toBe(true);
+  });
+
+  it("picks up a late upload with an older start than the watermark", async () => {
+    mockActivityHistory([
+      { activityId: 12, beginTimestamp: 5000 },
+      { activityId: 11, beginTimestamp: 4000 },
+      { activityId: 15, beginTimestamp: 3500 }, // uploaded after 12, recorded earlier
+      { activityId: 10, beginTimestamp: 3000 },
+    ]);
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 11, timestamp: 4000 } });
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([12, 15]);
+    expect(res.body.watermark).toEqual({ activityId: 15, timestamp: 5000 });
+  });
+
+  it("stops scanning past the late-upload lookback", async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.UTC(2026, 3, 1);
+    mockGetActivities.mockImplementation(async (start, limit) =>
+      Array.from({ length: limit }, (_, i) => ({ activityId: 10_000 - start - i, beginTimestamp: now - (start + i) * day }))
+    );
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 9_998, timestamp: now - 2 * day } });
+    expect(res.status).toBe(200);
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([9_999, 10_000]);
+    expect(mockGetActivities).toHaveBeenCalledTimes(1);
+  });
+
+  it("supports timestamp watermarks", async () => {
+    mockActivityHistory([
+      { activityId: 3, beginTimestamp: 3000 },
+      { activityId: 2, beginTimestamp: 2000 },
+      { activityId: 1, beginTimestamp: 1000 },
+    ]);
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { timestamp: 1500 } });
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([2, 3]);
+    expect(res.body.watermark).toEqual({ activityId: 3, timestamp: 3000 });
+  });
+
+  it("echoes the watermark when nothing is new", async () => {
+    mockActivityHistory(makeActivityHistory(3));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 5000 } });
+    expect(res.body.workouts).toEqual([]);
+    expect(res.body.watermark).toEqual({ activityId: 5000 });
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  it("returns the most recent activities on a first sync", async () => {
+    mockActivityHistory(makeActivityHistory(120));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, limit: 3 });
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([1118, 1119, 1120]);
+    expect(res.body.watermark.activityId).toBe(1120);
+  });
+
+  it("holds the watermark before a transiently failed activity", async () => {
+    mockActivityHistory(makeActivityHistory(10)); // ids 1010..1001
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      if (activityId === 1009) throw new Error("Server error");
+      return { activityId, summaryDTO: { distance: 1 } };
+    });
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1007 } });
+    expect(res.status).toBe(200);
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([1008, 1010]);
+    expect(res.body.errors).toEqual([{ activityId: 1009, error: "Garmin request failed", retryable: true }]);
+    expect(res.body.watermark.activityId).toBe(1008);
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  it("moves the watermark past a permanently failing activity", async () => {
+    mockActivityHistory(makeActivityHistory(10)); // ids 1010..1001
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      if (activityId === 1009) throw new Error('ERROR: (404), Not Found, ""');
+      return { activityId, summaryDTO: { distance: 1 } };
+    });
+    const send = (since) =>
+      request(app).post("/garmin/sync").set(auth()).send({ username: "u", tokenJson: FAKE_TOKEN, since });
+
+    const first = await send({ activityId: 1007 });
+    expect(first.status).toBe(200);
+    expect(first.body.workouts.map((w) => w.activityId)).toEqual([1008, 1010]);
+    expect(first.body.errors).toEqual([{ activityId: 1009, error: "Garmin request failed", retryable: false }]);
+    expect(first.body.watermark.activityId).toBe(1010);
+    expect(first.body.hasMore).toBe(false);
+
+    // A client following hasMore/watermark doesn't see the broken activity again
+    const second = await send(first.body.watermark);
+    expect(second.body.workouts).toEqual([]);
+    expect(second.body.errors).toEqual([]);
+    expect(second.body.hasMore).toBe(false);
+  });
+
+  it("keeps hasMore for unfetched activities even when one fails", async () => {
+    mockActivityHistory(makeActivityHistory(10)); // ids 1010..1001
+    mockGetActivity.mockImplementation(async ({ activityId }) => {
+      if (activityId === 1002) throw new Error('ERROR: (404), Not Found, ""');
+      return { activityId, summaryDTO: { distance: 1 } };
+    });
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1001 }, limit: 3 });
+    expect(res.body.workouts.map((w) => w.activityId)).toEqual([1003, 1004]);
+    expect(res.body.watermark.activityId).toBe(1004);
+    expect(res.body.hasMore).toBe(true);
+  });
+
+  it("stops at the time budget and resumes from the watermark", async () => {
+    mockActivityHistory(makeActivityHistory(10)); // ids 1010..1001
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      mockGetActivity.mockImplementation(async ({ activityId }) => {
+        if (activityId === 1004) vi.setSystemTime(Date.now() + WORKOUT_FETCH_BUDGET_MS);
+        return { activityId, summaryDTO: { distance: 1 } };
+      });
+      const res = await request(app)
+        .post("/garmin/sync")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1001 } });
+      expect(res.status).toBe(200);
+      // 1002-1004 were in flight when the budget ran out; the rest never started
+      expect(res.body.workouts.map((w) => w.activityId)).toEqual([1002, 1003, 1004]);
+      expect(res.body.watermark.activityId).toBe(1004);
+      expect(res.body.hasMore).toBe(true);
+      expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("never exceeds SYNC_MAX_LIMIT", async () => {
+    mockActivityHistory(makeActivityHistory(120));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1001 }, limit: 1000 });
+    expect(res.body.workouts).toHaveLength(SYNC_MAX_LIMIT);
+  });
+
+  it("returns 401 when the token is rejected", async () => {
+    mockActivityHistory(makeActivityHistory(3));
+    mockGetActivity.mockRejectedValue(new Error("401 Unauthorized"));
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1001 } });
+    expect(res.status).toBe(401);
+  });
+
+  it("returns 422 when the watermark is too far back to reach", async () => {
+    mockGetActivities.mockImplementation(async (start, limit) =>
+      Array.from({ length: limit }, (_, i) => ({ activityId: 1e9 - start - i }))
+    );
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: { activityId: 1 } });
+    expect(res.status).toBe(422);
+    expect(res.body.error).toMatch(/Backfill/);
+    expect(mockGetActivity).not.toHaveBeenCalled();
+  });
+
+  it("returns 400 for an invalid watermark", async () => {
+    const res = await request(app)
+      .post("/garmin/sync")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, since: "yesterday" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/since/);
+  });
+
+  it("requires API key", async () => {
+    const res = await request(app)
+      .post("/garmin/sync")
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// TIMEOUT TESTS
+// ============================================================
+
+describe("withTimeout", () => {
+  it("resolves when promise completes before timeout", async () => {
+    const result = await withTimeout(Promise.resolve("ok"), 1000);
+    expect(result).toBe("ok");
+  });
+
+  it("rejects with GarminTimeoutError when promise exceeds timeout", async () => {
+    const slow = new Promise((resolve) => setTimeout(resolve, 5000));
+    await expect(withTimeout(slow, 50)).rejects.toThrow(GarminTimeoutError);
+  });
+
+  it("propagates the original rejection if it happens before timeout", async () => {
+    const failing = Promise.reject(new Error("original error"));
+    await expect(withTimeout(failing, 1000)).rejects.toThrow("original error");
+  });
+});
+
+describe("Timeout handling (504 responses)", () => {
+  it("POST /garmin/profile returns 504 on timeout", async () => {
+    mockGetUserProfile.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/profile")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/activities returns 504 on timeout", async () => {
+    mockGetActivities.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/activities")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/activity returns 504 on timeout", async () => {
+    mockGetActivity.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/activity")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/splits returns 504 on timeout", async () => {
+    mockGet.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/splits")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/workout returns 504 on timeout", async () => {
+    mockGetActivity.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/workout")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, activityId: 99 });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/connect returns 504 when login() times out", async () => {
+    mockLogin.mockRejectedValue(new GarminTimeoutError(GARMIN_LOGIN_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "u", password: "p" });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("POST /garmin/connect returns 504 (not fallback to login) when token validation times out", async () => {
+    mockGetUserProfile.mockRejectedValue(new GarminTimeoutError(GARMIN_API_TIMEOUT_MS));
+    const res = await request(app)
+      .post("/garmin/connect")
+      .set(auth())
+      .send({ username: "u", password: "p", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+    // Should NOT have attempted password login
+    expect(mockLogin).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================
+// WORKOUT CREATION: TRANSLATION HELPERS
+// ============================================================
+
+describe("parsePaceToMps", () => {
+  it("converts 5:00/km to m/s", () => {
+    const mps = parsePaceToMps("5:00");
+    expect(mps).toBeCloseTo(1000 / 300, 5); // 3.333 m/s
+  });
+
+  it("converts 4:30/km to m/s", () => {
+    const mps = parsePaceToMps("4:30");
+    expect(mps).toBeCloseTo(1000 / 270, 5); // 3.703 m/s
+  });
+
+  it("converts 6:15/km to m/s", () => {
+    const mps = parsePaceToMps("6:15");
+    expect(mps).toBeCloseTo(1000 / 375, 5);
+  });
+
+  it("returns null for invalid format", () => {
+    expect(parsePaceToMps("abc")).toBeNull();
+    expect(parsePaceToMps("")).toBeNull();
+    expect(parsePaceToMps("5")).toBeNull();
+    expect(parsePaceToMps("0:00")).toBeNull();
+  });
+});
+
+describe("buildGarminSportType", () => {
+  it("maps running", () => {
+    expect(buildGarminSportType("running")).toEqual({ sportTypeId: 1, sportTypeKey: "running" });
+  });
+
+  it("maps cycling", () => {
+    expect(buildGarminSportType("cycling")).toEqual({ sportTypeId: 2, sportTypeKey: "cycling" });
+  });
+
+  it("maps swimming", () => {
+    expect(buildGarminSportType("swimming")).toEqual({ sportTypeId: 4, sportTypeKey: "swimming" });
+  });
+
+  it("maps strength", () => {
+    expect(buildGarminSportType("strength")).toEqual({ sportTypeId: 5, sportTypeKey: "strength_training" });
+  });
+
+  it("maps cardio", () => {
+    expect(buildGarminSportType("cardio")).toEqual({ sportTypeId: 6, sportTypeKey: "cardio_training" });
+  });
+
+  it("returns null for unknown sport", () => {
+    expect(buildGarminSportType("golf")).toBeNull();
+  });
+});
+
+describe("buildGarminDuration", () => {
+  it("builds time duration", () => {
+    const d = buildGarminDuration({ type: "time", seconds: 300 });
+    expect(d.endCondition.conditionTypeKey).toBe("time");
+    expect(d.endConditionValue).toBe(300);
+  });
+
+  it("builds distance duration", () => {
+    const d = buildGarminDuration({ type: "distance", meters: 1000 });
+    expect(d.endCondition.conditionTypeKey).toBe("distance");
+    expect(d.endConditionValue).toBe(1000);
+    expect(d.preferredEndConditionUnit.unitKey).toBe("kilometer");
+  });
+
+  it("builds calories duration", () => {
+    const d = buildGarminDuration({ type: "calories", calories: 200 });
+    expect(d.endCondition.conditionTypeKey).toBe("calories");
+    expect(d.endConditionValue).toBe(200);
+  });
+
+  it("builds lapButton duration", () => {
+    const d = buildGarminDuration({ type: "lapButton" });
+    expect(d.endCondition.conditionTypeKey).toBe("lap.button");
+    expect(d.endConditionValue).toBeNull();
+  });
+
+  it("builds heartRate duration", () => {
+    const d = buildGarminDuration({ type: "heartRate", bpm: 150, comparison: "gt" });
+    expect(d.endCondition.conditionTypeKey).toBe("heart.rate");
+    expect(d.endConditionValue).toBe(150);
+    expect(d.endConditionCompare).toBe("gt");
+  });
+
+  it("returns null for unknown type", () => {
+    expect(buildGarminDuration({ type: "unknown" })).toBeNull();
+  });
+
+  it("returns null for missing input", () => {
+    expect(buildGarminDuration(null)).toBeNull();
+  });
+});
+
+describe("buildGarminTarget", () => {
+  it("builds no target", () => {
+    const t = buildGarminTarget({ type: "none" });
+    expect(t.targetType.workoutTargetTypeKey).toBe("no.target");
+  });
+
+  it("builds pace target", () => {
+    const t = buildGarminTarget({ type: "pace", minPerKm: "5:30", maxPerKm: "5:00" });
+    expect(t.targetType.workoutTargetTypeKey).toBe("pace.zone");
+    // minPerKm (5:30 = 330s/km) should be slower = smaller m/s
+    expect(t.targetValueOne).toBeCloseTo(1000 / 330, 5);
+    // maxPerKm (5:00 = 300s/km) should be faster = larger m/s
+    expect(t.targetValueTwo).toBeCloseTo(1000 / 300, 5);
+    expect(t.targetValueOne).toBeLessThan(t.targetValueTwo);
+  });
+
+  it("builds heartRateZone target", () => {
+    const t = buildGarminTarget({ type: "heartRateZone", zone: 3 });
+    expect(t.targetType.workoutTargetTypeKey).toBe("heart.rate.zone");
+    expect(t.zoneNumber).toBe(3);
+  });
+
+  it("builds heartRate range target", () => {
+    const t = buildGarminTarget({ type: "heartRate", min: 140, max: 160 });
+    expect(t.targetType.workoutTargetTypeKey).toBe("heart.rate.zone");
+    expect(t.targetValueOne).toBe(140);
+    expect(t.targetValueTwo).toBe(160);
+  });
+
+  it("builds powerZone target", () => {
+    const t = buildGarminTarget({ type: "powerZone", zone: 3 });
+    expect(t.targetType.workoutTargetTypeKey).toBe("power.zone");
+    expect(t.zoneNumber).toBe(3);
+  });
+
+  it("builds power range target", () => {
+    const t = buildGarminTarget({ type: "power", min: 230, max: 270 });
+    expect(t.targetType.workoutTargetTypeKey).toBe("power.zone");
+    expect(t.targetValueOne).toBe(230);
+    expect(t.targetValueTwo).toBe(270);
+  });
+
+  it("builds cadence target", () => {
+    const t = buildGarminTarget({ type: "cadence", min: 170, max: 180 });
+    expect(t.targetType.workoutTargetTypeKey).toBe("cadence");
+    expect(t.targetValueOne).toBe(170);
+    expect(t.targetValueTwo).toBe(180);
+  });
+
+  it("returns null for invalid pace", () => {
+    expect(buildGarminTarget({ type: "pace", minPerKm: "bad", maxPerKm: "5:00" })).toBeNull();
+  });
+
+  it("returns no target for missing input", () => {
+    const t = buildGarminTarget(null);
+    expect(t.targetType.workoutTargetTypeKey).toBe("no.target");
+  });
+});
+
+describe("buildGarminStep", () => {
+  it("builds a complete ExecutableStepDTO", () => {
+    const step = buildGarminStep({
+      type: "interval",
+      duration: { type: "distance", meters: 800 },
+      target: { type: "pace", minPerKm: "4:30", maxPerKm: "4:00" },
+      notes: "Fast!",
+    }, 1);
+    expect(step.type).toBe("ExecutableStepDTO");
+    expect(step.stepId).toBe(1);
+    expect(step.stepOrder).toBe(1);
+    expect(step.stepType.stepTypeKey).toBe("interval");
+    expect(step.endCondition.conditionTypeKey).toBe("distance");
+    expect(step.endConditionValue).toBe(800);
+    expect(step.targetType.workoutTargetTypeKey).toBe("pace.zone");
+    expect(step.description).toBe("Fast!");
+    expect(step.secondaryTargetType).toBeNull();
+  });
+
+  it("returns null for invalid step type", () => {
+    expect(buildGarminStep({ type: "invalid", duration: { type: "time", seconds: 60 }, target: { type: "none" } }, 1)).toBeNull();
+  });
+
+  it("returns null for invalid duration", () => {
+    expect(buildGarminStep({ type: "warmup", duration: { type: "bad" }, target: { type: "none" } }, 1)).toBeNull();
+  });
+});
+
+describe("buildGarminRepeatGroup", () => {
+  it("builds a RepeatGroupDTO with child steps", () => {
+    const group = buildGarminRepeatGroup({
+      type: "repeat",
+      iterations: 4,
+      steps: [
+        { type: "interval", duration: { type: "distance", meters: 800 }, target: { type: "none" } },
+        { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
+      ],
+    }, 3);
+    expect(group.type).toBe("RepeatGroupDTO");
+    expect(group.stepId).toBe(3);
+    expect(group.stepType.stepTypeKey).toBe("repeat");
+    expect(group.numberOfIterations).toBe(4);
+    expect(group.workoutSteps).toHaveLength(2);
+    expect(group.workoutSteps[0].stepId).toBe(4);
+    expect(group.workoutSteps[0].type).toBe("ExecutableStepDTO");
+    expect(group.workoutSteps[1].stepId).toBe(5);
+    expect(group._nextId).toBe(6);
+  });
+
+  it("returns null if child step is invalid", () => {
+    expect(buildGarminRepeatGroup({
+      type: "repeat",
+      iterations: 2,
+      steps: [{ type: "bad", duration: { type: "time", seconds: 60 }, target: { type: "none" } }],
+    }, 1)).toBeNull();
+  });
+});
+
+describe("buildGarminWorkout", () => {
+  it("builds a full workout with warmup + repeat + cooldown", () => {
+    const result = buildGarminWorkout({
+      name: "Test Workout",
       description: "A test",
       sport: "running",
       steps: [
         { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "none" } },
         {
-          type: "repeat", iterations: 3,
+          type: "repeat", iterations: 3,
+          steps: [
+            { type: "interval", duration: { type: "distance", meters: 1000 }, target: { type: "pace", minPerKm: "5:00", maxPerKm: "4:30" } },
+            { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
+          ],
+        },
+        { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
+      ],
+    });
+    expect(result.workoutName).toBe("Test Workout");
+    expect(result.description).toBe("A test");
+    expect(result.sportType.sportTypeKey).toBe("running");
+    expect(result.workoutSegments).toHaveLength(1);
+    const steps = result.workoutSegments[0].workoutSteps;
+    expect(steps).toHaveLength(3);
+    // Warmup
+    expect(steps[0].type).toBe("ExecutableStepDTO");
+    expect(steps[0].stepId).toBe(1);
+    expect(steps[0].stepType.stepTypeKey).toBe("warmup");
+    // Repeat group
+    expect(steps[1].type).toBe("RepeatGroupDTO");
+    expect(steps[1].stepId).toBe(2);
+    expect(steps[1].numberOfIterations).toBe(3);
+    expect(steps[1].workoutSteps).toHaveLength(2);
+    expect(steps[1].workoutSteps[0].stepId).toBe(3);
+    expect(steps[1].workoutSteps[1].stepId).toBe(4);
+    // _nextId should be stripped
+    expect(steps[1]._nextId).toBeUndefined();
+    // Cooldown
+    expect(steps[2].type).toBe("ExecutableStepDTO");
+    expect(steps[2].stepId).toBe(5);
+    expect(steps[2].stepType.stepTypeKey).toBe("cooldown");
+  });
+
+  it("handles flat steps without repeats", () => {
+    const result = buildGarminWorkout({
+      name: "Easy Run",
+      sport: "running",
+      steps: [
+        { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+        { type: "interval", duration: { type: "time", seconds: 1800 }, target: { type: "heartRateZone", zone: 2 } },
+        { type: "cooldown", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+      ],
+    });
+    const steps = result.workoutSegments[0].workoutSteps;
+    expect(steps).toHaveLength(3);
+    expect(steps[0].stepId).toBe(1);
+    expect(steps[1].stepId).toBe(2);
+    expect(steps[2].stepId).toBe(3);
+  });
+});
+
+// ============================================================
+// WORKOUT VALIDATION TESTS
+// ============================================================
+
+describe("validateWorkoutPayload", () => {
+  const validWorkout = {
+    name: "Test",
+    sport: "running",
+    steps: [
+      { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+    ],
+  };
+
+  it("accepts a valid workout", () => {
+    expect(validateWorkoutPayload(validWorkout).ok).toBe(true);
+  });
+
+  it("rejects missing workout", () => {
+    expect(validateWorkoutPayload(null).ok).toBe(false);
+  });
+
+  it("rejects missing name", () => {
+    expect(validateWorkoutPayload({ ...validWorkout, name: "" }).ok).toBe(false);
+  });
+
+  it("rejects invalid sport", () => {
+    expect(validateWorkoutPayload({ ...validWorkout, sport: "golf" }).ok).toBe(false);
+  });
+
+  it("rejects empty steps", () => {
+    expect(validateWorkoutPayload({ ...validWorkout, steps: [] }).ok).toBe(false);
+  });
+
+  it("rejects invalid step type", () => {
+    const w = { ...validWorkout, steps: [{ type: "bad", duration: { type: "time", seconds: 60 }, target: { type: "none" } }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects invalid duration type", () => {
+    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "bad" }, target: { type: "none" } }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects time duration with non-positive seconds", () => {
+    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "time", seconds: 0 }, target: { type: "none" } }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects distance duration with non-positive meters", () => {
+    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "distance", meters: -1 }, target: { type: "none" } }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects invalid target type", () => {
+    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "time", seconds: 60 }, target: { type: "bad" } }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects invalid pace format", () => {
+    const w = { ...validWorkout, steps: [{
+      type: "interval", duration: { type: "time", seconds: 60 },
+      target: { type: "pace", minPerKm: "bad", maxPerKm: "5:00" },
+    }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects HR zone out of range", () => {
+    const w = { ...validWorkout, steps: [{
+      type: "interval", duration: { type: "time", seconds: 60 },
+      target: { type: "heartRateZone", zone: 6 },
+    }] };
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("accepts valid repeat group", () => {
+    const w = { ...validWorkout, steps: [
+      { type: "repeat", iterations: 3, steps: [
+        { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
+        { type: "recovery", duration: { type: "time", seconds: 30 }, target: { type: "none" } },
+      ]},
+    ]};
+    expect(validateWorkoutPayload(w).ok).toBe(true);
+  });
+
+  it("rejects repeat with zero iterations", () => {
+    const w = { ...validWorkout, steps: [
+      { type: "repeat", iterations: 0, steps: [
+        { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
+      ]},
+    ]};
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects repeat with empty steps", () => {
+    const w = { ...validWorkout, steps: [
+      { type: "repeat", iterations: 3, steps: [] },
+    ]};
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("rejects nested repeats", () => {
+    const w = { ...validWorkout, steps: [
+      { type: "repeat", iterations: 2, steps: [
+        { type: "repeat", iterations: 2, steps: [
+          { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
+        ]},
+      ]},
+    ]};
+    expect(validateWorkoutPayload(w).ok).toBe(false);
+  });
+
+  it("includes step number in error message", () => {
+    const w = { ...validWorkout, steps: [
+      { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+      { type: "interval", duration: { type: "bad" }, target: { type: "none" } },
+    ]};
+    const result = validateWorkoutPayload(w);
+    expect(result.ok).toBe(false);
+    expect(result.error).toMatch(/Step 2/);
+  });
+});
+
+// ============================================================
+// POST /garmin/workout/create TESTS
+// ============================================================
+
+describe("POST /garmin/workout/create", () => {
+  const VALID_WORKOUT_BODY = {
+    username: "u",
+    tokenJson: FAKE_TOKEN,
+    workout: {
+      name: "Test Intervals",
+      sport: "running",
+      steps: [
+        { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "none" } },
+        {
+          type: "repeat", iterations: 4,
+          steps: [
+            { type: "interval", duration: { type: "distance", meters: 800 }, target: { type: "pace", minPerKm: "5:00", maxPerKm: "4:30" } },
+            { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
+          ],
+        },
+        { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
+      ],
+    },
+  };
+
+  // --- Success ---
+
+  it("creates a workout and returns workoutId", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(VALID_WORKOUT_BODY);
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+    expect(res.body.workoutId).toBe(99999);
+    expect(res.body.workoutName).toBe("Test Workout");
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockCreateWorkout).toHaveBeenCalledTimes(1);
+    expect(mockScheduleWorkout).not.toHaveBeenCalled();
+  });
+
+  it("passes correct Garmin JSON to createWorkout", async () => {
+    await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(VALID_WORKOUT_BODY);
+    const garminPayload = mockCreateWorkout.mock.calls[0][0];
+    expect(garminPayload.workoutName).toBe("Test Intervals");
+    expect(garminPayload.sportType.sportTypeKey).toBe("running");
+    expect(garminPayload.workoutSegments).toHaveLength(1);
+    const steps = garminPayload.workoutSegments[0].workoutSteps;
+    expect(steps).toHaveLength(3);
+    expect(steps[0].type).toBe("ExecutableStepDTO");
+    expect(steps[1].type).toBe("RepeatGroupDTO");
+    expect(steps[1].numberOfIterations).toBe(4);
+    expect(steps[2].type).toBe("ExecutableStepDTO");
+  });
+
+  it("creates and schedules when scheduleDate provided", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ ...VALID_WORKOUT_BODY, scheduleDate: "2026-03-15" });
+    expect(res.status).toBe(200);
+    expect(res.body.scheduled).toBe(true);
+    expect(res.body.scheduleDate).toBe("2026-03-15");
+    expect(mockScheduleWorkout).toHaveBeenCalledTimes(1);
+    expect(mockScheduleWorkout).toHaveBeenCalledWith(
+      { workoutId: "99999" },
+      "2026-03-15"
+    );
+  });
+
+  it("creates workout with flat steps (no repeats)", async () => {
+    const body = {
+      username: "u",
+      tokenJson: FAKE_TOKEN,
+      workout: {
+        name: "Easy Run",
+        sport: "running",
+        steps: [
+          { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+          { type: "interval", duration: { type: "time", seconds: 2400 }, target: { type: "heartRateZone", zone: 2 } },
+          { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
+        ],
+      },
+    };
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(body);
+    expect(res.status).toBe(200);
+    expect(res.body.ok).toBe(true);
+  });
+
+  it("creates cycling workout with power targets", async () => {
+    const body = {
+      username: "u",
+      tokenJson: FAKE_TOKEN,
+      workout: {
+        name: "Sweet Spot",
+        sport: "cycling",
+        steps: [
+          { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "powerZone", zone: 2 } },
+          { type: "interval", duration: { type: "time", seconds: 1200 }, target: { type: "power", min: 230, max: 270 } },
+          { type: "cooldown", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+        ],
+      },
+    };
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(body);
+    expect(res.status).toBe(200);
+    const garminPayload = mockCreateWorkout.mock.calls[0][0];
+    expect(garminPayload.sportType.sportTypeKey).toBe("cycling");
+  });
+
+  // --- Validation errors ---
+
+  it("returns 400 for missing workout", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Missing workout/);
+  });
+
+  it("returns 400 for invalid sport", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workout: { name: "X", sport: "golf", steps: [{ type: "warmup", duration: { type: "time", seconds: 60 }, target: { type: "none" } }] } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/sport/i);
+  });
+
+  it("returns 400 for invalid scheduleDate format", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ ...VALID_WORKOUT_BODY, scheduleDate: "March 15" });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/scheduleDate/);
+  });
+
+  // --- Auth ---
+
+  it("requires API key", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .send(VALID_WORKOUT_BODY);
+    expect(res.status).toBe(401);
+  });
+
+  it("returns 400 when missing username", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ tokenJson: FAKE_TOKEN, workout: VALID_WORKOUT_BODY.workout });
+    expect(res.status).toBe(400);
+  });
+
+  it("returns 400 when missing tokenJson", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ username: "u", workout: VALID_WORKOUT_BODY.workout });
+    expect(res.status).toBe(400);
+  });
+
+  // --- Error handling ---
+
+  it("returns 401 on token errors", async () => {
+    mockCreateWorkout.mockRejectedValue(new Error("401 Unauthorized"));
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(VALID_WORKOUT_BODY);
+    expect(res.status).toBe(401);
+  });
+
+  it("returns 504 on timeout", async () => {
+    mockCreateWorkout.mockRejectedValue(new GarminTimeoutError(10000));
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(VALID_WORKOUT_BODY);
+    expect(res.status).toBe(504);
+    expect(res.body.error).toMatch(/timed out/i);
+  });
+
+  it("returns 500 for non-token Garmin errors", async () => {
+    mockCreateWorkout.mockRejectedValue(new Error("Server error"));
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send(VALID_WORKOUT_BODY);
+    expect(res.status).toBe(500);
+  });
+});
+
+// ============================================================
+// SAVED WORKOUTS TESTS
+// ============================================================
+
+const SAVED_WORKOUT = {
+  name: "Threshold Intervals",
+  description: "Tuesday session",
+  sport: "running",
+  steps: [
+    { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "heartRateZone", zone: 2 }, notes: "Easy" },
+    {
+      type: "repeat", iterations: 5,
+      steps: [
+        { type: "interval", duration: { type: "distance", meters: 1000 }, target: { type: "pace", minPerKm: "4:10", maxPerKm: "4:00" } },
+        { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "heartRate", min: 120, max: 140 } },
+      ],
+    },
+    { type: "other", duration: { type: "heartRate", bpm: 110, comparison: "lt" }, target: { type: "cadence", min: 170, max: 180 } },
+    { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
+  ],
+};
+
+describe("parseGarminId", () => {
+  it("accepts positive integers and numeric strings", () => {
+    expect(parseGarminId(123)).toBe(123);
+    expect(parseGarminId(" 456 ")).toBe(456);
+  });
+
+  it("rejects everything else", () => {
+    for (const raw of [undefined, null, "", "abc", 0, -1, 1.5]) expect(parseGarminId(raw)).toBeNull();
+  });
+});
+
+describe("formatPaceFromMps", () => {
+  it("inverts parsePaceToMps", () => {
+    for (const pace of ["5:30", "4:00", "3:05", "10:59"]) {
+      expect(formatPaceFromMps(parsePaceToMps(pace))).toBe(pace);
+    }
+  });
+
+  it("returns null for missing speeds", () => {
+    expect(formatPaceFromMps(null)).toBeNull();
+    expect(formatPaceFromMps(0)).toBeNull();
+  });
+});
+
+describe("parseGarminWorkout", () => {
+  it("round-trips a workout built by buildGarminWorkout", () => {
+    expect(parseGarminWorkout(buildGarminWorkout(SAVED_WORKOUT))).toEqual(SAVED_WORKOUT);
+  });
+
+  it("orders steps by stepOrder and power targets by zone or range", () => {
+    const built = buildGarminWorkout({
+      name: "Bike",
+      sport: "cycling",
+      steps: [
+        { type: "interval", duration: { type: "time", seconds: 300 }, target: { type: "powerZone", zone: 3 } },
+        { type: "interval", duration: { type: "time", seconds: 300 }, target: { type: "power", min: 250, max: 280 } },
+      ],
+    });
+    built.workoutSegments[0].workoutSteps.reverse();
+    const parsed = parseGarminWorkout(built);
+    expect(parsed.steps.map((s) => s.target)).toEqual([
+      { type: "powerZone", zone: 3 },
+      { type: "power", min: 250, max: 280 },
+    ]);
+  });
+
+  it("keeps Garmin keys it cannot translate so validation flags them", () => {
+    const parsed = parseGarminWorkout({
+      workoutName: "Yoga",
+      sportType: { sportTypeId: 7, sportTypeKey: "yoga" },
+      workoutSegments: [{
+        segmentOrder: 1,
+        workoutSteps: [{
+          type: "ExecutableStepDTO",
+          stepOrder: 1,
+          stepType: { stepTypeKey: "main" },
+          endCondition: { conditionTypeKey: "iterations" },
+          endConditionValue: 3,
+          targetType: { workoutTargetTypeKey: "speed.zone" },
+        }],
+      }],
+    });
+    expect(parsed).toEqual({
+      name: "Yoga",
+      sport: "yoga",
+      steps: [{ type: "other", duration: { type: "iterations" }, target: { type: "speed.zone" } }],
+    });
+    expect(validateWorkoutPayload(parsed).ok).toBe(false);
+  });
+});
+
+describe("buildWorkoutListEntry", () => {
+  it("normalizes a workout summary", () => {
+    expect(buildWorkoutListEntry({
+      workoutId: 123,
+      workoutName: "Easy Run",
+      sportType: { sportTypeId: 1, sportTypeKey: "running" },
+      createdDate: "2026-03-01T10:00:00.0",
+      updatedDate: "2026-03-02T10:00:00.0",
+      estimatedDurationInSecs: 2400,
+      estimatedDistanceInMeters: 0,
+    })).toEqual({
+      workoutId: 123,
+      name: "Easy Run",
+      sport: "running",
+      description: null,
+      createdDate: "2026-03-01T10:00:00.0",
+      updatedDate: "2026-03-02T10:00:00.0",
+      estimatedDurationSecs: 2400,
+      estimatedDistanceMeters: null,
+    });
+  });
+});
+
+describe("POST /garmin/workouts/list", () => {
+  it("lists saved workouts with paging", async () => {
+    mockGetWorkouts.mockResolvedValue([
+      { workoutId: 1, workoutName: "A", sportType: { sportTypeKey: "running" } },
+      { workoutId: 2, workoutName: "B", sportType: { sportTypeKey: "strength_training" } },
+    ]);
+    const res = await request(app)
+      .post("/garmin/workouts/list")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, start: 10, limit: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ start: 10, limit: 2, hasMore: true });
+    expect(res.body.workouts.map((w) => w.sport)).toEqual(["running", "strength"]);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGetWorkouts).toHaveBeenCalledWith(10, 2);
+  });
+
+  it("defaults to the first 50", async () => {
+    mockGetWorkouts.mockResolvedValue([]);
+    const res = await request(app)
+      .post("/garmin/workouts/list")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.body).toMatchObject({ start: 0, limit: 50, workouts: [], hasMore: false });
+  });
+
+  it("rejects invalid paging", async () => {
+    for (const body of [{ start: -1 }, { limit: 0 }, { limit: 101 }, { start: "5" }]) {
+      const res = await request(app)
+        .post("/garmin/workouts/list")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+describe("POST /garmin/workouts/get", () => {
+  it("returns the workout in the create-request shape", async () => {
+    mockGetWorkoutDetail.mockResolvedValue({ workoutId: 123, ...buildGarminWorkout(SAVED_WORKOUT) });
+    const res = await request(app)
+      .post("/garmin/workouts/get")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: "123" });
+    expect(res.status).toBe(200);
+    expect(res.body.workoutId).toBe(123);
+    expect(res.body.workout).toEqual(SAVED_WORKOUT);
+    expect(mockGetWorkoutDetail).toHaveBeenCalledWith({ workoutId: 123 });
+  });
+
+  it("rejects a missing workoutId", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/get")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(400);
+    expect(mockGetWorkoutDetail).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /garmin/workouts/update", () => {
+  it("puts the rebuilt workout with its id", async () => {
+    mockPut.mockResolvedValue(undefined);
+    const res = await request(app)
+      .post("/garmin/workouts/update")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: 123, workout: SAVED_WORKOUT });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ workoutId: 123, workoutName: "Threshold Intervals" });
+    const [url, payload] = mockPut.mock.calls[0];
+    expect(url).toBe("https://connectapi.garmin.com/workout-service/workout/123");
+    expect(payload.workoutId).toBe(123);
+    expect(payload.workoutSegments[0].workoutSteps).toHaveLength(4);
+  });
+
+  it("validates the workout before calling Garmin", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/update")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: 123, workout: { ...SAVED_WORKOUT, sport: "yoga" } });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid sport/);
+    expect(mockPut).not.toHaveBeenCalled();
+  });
+
+  it("rejects a missing workoutId", async () => {
+    const res = await request(app)
+      .post("/garmin/workouts/update")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workout: SAVED_WORKOUT });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /garmin/workouts/delete", () => {
+  it("deletes the workout", async () => {
+    mockDeleteWorkout.mockResolvedValue(undefined);
+    const res = await request(app)
+      .post("/garmin/workouts/delete")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: 123 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ workoutId: 123, deleted: true });
+    expect(mockDeleteWorkout).toHaveBeenCalledWith({ workoutId: 123 });
+  });
+
+  it("returns 401 on token errors", async () => {
+    mockDeleteWorkout.mockRejectedValue(new Error("401 Unauthorized"));
+    const res = await request(app)
+      .post("/garmin/workouts/delete")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: 123 });
+    expect(res.status).toBe(401);
+  });
+});
+
+// ============================================================
+// TRAINING CALENDAR TESTS
+// ============================================================
+
+const CALENDAR_ITEMS = [
+  { id: 501, itemType: "workout", workoutId: 123, date: "2026-03-31", title: "Intervals", sportTypeKey: "running", trainingPlanId: null },
+  { id: 9001, itemType: "activity", date: "2026-03-30", title: "Easy Run", sportTypeKey: "running", duration: 2400, distance: 8000, calories: 550 },
+  { id: 77, itemType: "weight", date: "2026-03-30", title: null },
+  { id: 502, itemType: "workout", workoutId: 124, date: "2026-04-02", title: "Gym", sportTypeKey: "strength_training", trainingPlanId: 42 },
+];
+
+describe("calendarMonths", () => {
+  it("lists 0-based months covering the range", () => {
+    expect(calendarMonths("2026-03-30", "2026-04-05")).toEqual([{ year: 2026, month: 2 }, { year: 2026, month: 3 }]);
+    expect(calendarMonths("2025-12-29", "2026-01-04")).toEqual([{ year: 2025, month: 11 }, { year: 2026, month: 0 }]);
+    expect(calendarMonths("2026-03-01", "2026-03-31")).toEqual([{ year: 2026, month: 2 }]);
+  });
+});
+
+describe("buildCalendarItems", () => {
+  it("splits scheduled workouts and completed activities within the range", () => {
+    const { scheduled, completed } = buildCalendarItems(
+      [{ calendarItems: CALENDAR_ITEMS }, { calendarItems: CALENDAR_ITEMS }],
+      "2026-03-30",
+      "2026-04-01"
+    );
+    expect(scheduled).toEqual([
+      { scheduleId: 501, workoutId: 123, date: "2026-03-31", title: "Intervals", sport: "running", trainingPlanId: null },
+    ]);
+    expect(completed).toEqual([
+      { activityId: 9001, date: "2026-03-30", title: "Easy Run", sport: "running", duration: 2400, distance: 8000, calories: 550 },
+    ]);
+  });
+});
+
+describe("POST /garmin/calendar", () => {
+  beforeEach(() => {
+    mockGetMonthCalendarEvents.mockResolvedValue({ calendarItems: CALENDAR_ITEMS });
+  });
+
+  it("returns the month containing date", async () => {
+    const res = await request(app)
+      .post("/garmin/calendar")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, date: "2026-03-15" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ view: "month", startDate: "2026-03-01", endDate: "2026-03-31" });
+    expect(res.body.scheduled.map((w) => w.scheduleId)).toEqual([501]);
+    expect(res.body.completed).toHaveLength(1);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockGetMonthCalendarEvents).toHaveBeenCalledWith(2026, 2);
+  });
+
+  it("fetches both months for a week across a month end", async () => {
+    const res = await request(app)
+      .post("/garmin/calendar")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, view: "week", date: "2026-04-01" });
+    expect(res.body).toMatchObject({ view: "week", startDate: "2026-03-30", endDate: "2026-04-05" });
+    expect(mockGetMonthCalendarEvents).toHaveBeenCalledTimes(2);
+    expect(res.body.scheduled.map((w) => w.sport)).toEqual(["running", "strength"]);
+  });
+
+  it("starts weeks on Sunday when asked", async () => {
+    const res = await request(app)
+      .post("/garmin/calendar")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, view: "week", date: "2026-04-01", weekStart: "sunday" });
+    expect(res.body).toMatchObject({ startDate: "2026-03-29", endDate: "2026-04-04" });
+  });
+
+  it("rejects an invalid view, weekStart or date", async () => {
+    for (const body of [{ view: "year" }, { weekStart: "friday" }, { date: "2026-13-01" }]) {
+      const res = await request(app)
+        .post("/garmin/calendar")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+  });
+});
+
+describe("POST /garmin/calendar/schedule", () => {
+  it("schedules a saved workout", async () => {
+    mockScheduleWorkout.mockResolvedValue({ workoutScheduleId: 601 });
+    const res = await request(app)
+      .post("/garmin/calendar/schedule")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workoutId: 123, date: "2026-04-02" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ workoutId: 123, date: "2026-04-02", scheduleId: 601 });
+    expect(mockScheduleWorkout).toHaveBeenCalledWith({ workoutId: "123" }, "2026-04-02");
+  });
+
+  it("rejects a missing workoutId or date", async () => {
+    for (const body of [{ date: "2026-04-02" }, { workoutId: 123 }, { workoutId: 123, date: "02/04/2026" }]) {
+      const res = await request(app)
+        .post("/garmin/calendar/schedule")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+      expect(res.status).toBe(400);
+    }
+    expect(mockScheduleWorkout).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /garmin/calendar/unschedule", () => {
+  it("deletes the schedule entry", async () => {
+    mockHttpDelete.mockResolvedValue(undefined);
+    const res = await request(app)
+      .post("/garmin/calendar/unschedule")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, scheduleId: 501 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ scheduleId: 501, unscheduled: true });
+    expect(mockHttpDelete).toHaveBeenCalledWith("https://connectapi.garmin.com/workout-service/schedule/501");
+  });
+
+  it("rejects a missing scheduleId", async () => {
+    const res = await request(app)
+      .post("/garmin/calendar/unschedule")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN });
+    expect(res.status).toBe(400);
+  });
+});
+
+// ============================================================
+// TRAINING PLAN PUSH TESTS
+// ============================================================
+
+function planItem(name, scheduleDate) {
+  return {
+    workout: {
+      name,
+      sport: "running",
+      steps: [{ type: "interval", duration: { type: "time", seconds: 1800 }, target: { type: "heartRateZone", zone: 2 } }],
+    },
+    scheduleDate,
+  };
+}
+
+const PLAN_ITEMS = [
+  planItem("Mon Easy", "2026-04-06"),
+  planItem("Wed Tempo", "2026-04-08"),
+  planItem("Sat Long", "2026-04-11"),
+];
+
+describe("validatePlanItems", () => {
+  it("accepts valid items", () => {
+    expect(validatePlanItems(PLAN_ITEMS)).toEqual({ ok: true });
+  });
+
+  it("reports the first invalid item", () => {
+    expect(validatePlanItems([PLAN_ITEMS[0], { ...PLAN_ITEMS[1], scheduleDate: "next week" }]).error).toBe(
+      "Item 2: scheduleDate must be YYYY-MM-DD format"
+    );
+    expect(validatePlanItems([{ ...PLAN_ITEMS[0], workout: { name: "x", sport: "yoga", steps: [] } }]).error).toMatch(
+      /^Item 1: Invalid sport/
+    );
+  });
+
+  it("accepts a 12-week plan of daily sessions", () => {
+    expect(PLAN_MAX_ITEMS).toBe(84);
+    expect(validatePlanItems(Array(84).fill(PLAN_ITEMS[0])).ok).toBe(true);
+  });
+
+  it("rejects empty and oversized plans", () => {
+    expect(validatePlanItems([]).ok).toBe(false);
+    expect(validatePlanItems("plan").ok).toBe(false);
+    expect(validatePlanItems(Array(PLAN_MAX_ITEMS + 1).fill(PLAN_ITEMS[0])).ok).toBe(false);
+  });
+});
+
+// 84 daily sessions from 2026-04-06
+function twelveWeekPlan() {
+  return Array.from({ length: 84 }, (_, i) =>
+    planItem(`Day ${i + 1}`, new Date(Date.UTC(2026, 3, 6 + i)).toISOString().slice(0, 10))
+  );
+}
+
+describe("POST /garmin/plan/push", () => {
+  let nextId;
+  let store;
+
+  const push = (body) =>
+    request(app).post("/garmin/plan/push").set(auth()).send({ username: "u", tokenJson: FAKE_TOKEN, ...body });
+
+  // Repeats the call with the planId until the plan has nothing left to do
+  async function pushUntilDone(body, maxCalls = 20) {
+    const responses = [await push(body)];
+    while (responses.at(-1).body.hasMore && responses.length < maxCalls) {
+      responses.push(await push({ planId: responses[0].body.planId }));
+    }
+    return responses;
+  }
+
+  beforeEach(() => {
+    nextId = 1000;
+    store = createMemoryStore();
+    setPlanStore(store);
+    mockCreateWorkout.mockImplementation(async (w) => ({ workoutId: ++nextId, workoutName: w.workoutName }));
+    mockScheduleWorkout.mockImplementation(async ({ workoutId }) => ({ workoutScheduleId: Number(workoutId) + 5000 }));
+    mockDeleteWorkout.mockResolvedValue(undefined);
+  });
+
+  it("creates and schedules every item", async () => {
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "done",
+      hasMore: false,
+      complete: true,
+      scheduled: 3,
+      failed: 0,
+      pending: 0,
+      rolledBack: false,
+    });
+    expect(res.body.planId).toEqual(expect.any(String));
+    expect(res.body.items[0]).toEqual({
+      index: 0,
+      name: "Mon Easy",
+      scheduleDate: "2026-04-06",
+      status: "scheduled",
+      workoutId: 1001,
+      scheduleId: 6001,
+    });
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockScheduleWorkout).toHaveBeenCalledWith({ workoutId: "1003" }, "2026-04-11");
+    expect(mockDeleteWorkout).not.toHaveBeenCalled();
+  });
+
+  it("rolls back created workouts when an item fails", async () => {
+    mockScheduleWorkout.mockImplementation(async ({ workoutId }) => {
+      if (workoutId === "1002") throw new Error("Server error");
+      return { workoutScheduleId: 1 };
+    });
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: "rolledBack", hasMore: false, complete: false, scheduled: 0, failed: 1, rolledBack: true });
+    expect(res.body.items.map((i) => i.status)).toEqual(["rolledBack", "failed", "rolledBack"]);
+    expect(res.body.items[1]).toMatchObject({ error: "Garmin request failed" });
+    expect(res.body.items[1].workoutId).toBeUndefined();
+    expect(mockDeleteWorkout.mock.calls.map(([arg]) => arg.workoutId).sort()).toEqual([1001, 1002, 1003]);
+  });
+
+  it("skips items not yet started after a failure", async () => {
+    mockCreateWorkout.mockImplementation(async (w) => {
+      if (w.workoutName === "Mon Easy") throw new Error("Server error");
+      return { workoutId: ++nextId };
+    });
+    const items = [...PLAN_ITEMS, planItem("Sun Recovery", "2026-04-12")];
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items });
+    // Items 2 and 3 were already in flight; item 4 never starts
+    expect(res.body.items.map((i) => i.status)).toEqual(["failed", "rolledBack", "rolledBack", "skipped"]);
+    expect(mockCreateWorkout).toHaveBeenCalledTimes(3);
+  });
+
+  it("keeps successful items with partial: true", async () => {
+    mockCreateWorkout.mockImplementation(async (w) => {
+      if (w.workoutName === "Wed Tempo") throw new Error("Server error");
+      return { workoutId: ++nextId };
+    });
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS, partial: true });
+    expect(res.body).toMatchObject({ complete: false, scheduled: 2, failed: 1, rolledBack: false });
+    expect(res.body.items.map((i) => i.status)).toEqual(["scheduled", "failed", "scheduled"]);
+    expect(mockDeleteWorkout).not.toHaveBeenCalled();
+  });
+
+  it("reports workouts it could not roll back", async () => {
+    mockScheduleWorkout.mockImplementation(async ({ workoutId }) => {
+      if (workoutId === "1003") throw new Error("Server error");
+      return { workoutScheduleId: 1 };
+    });
+    mockDeleteWorkout.mockImplementation(async ({ workoutId }) => {
+      if (workoutId === 1001) throw new Error("Server error");
+    });
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS });
+    expect(res.body.items[0]).toMatchObject({ status: "rollbackFailed", workoutId: 1001, error: "Garmin request failed" });
+    expect(res.body.items[1].status).toBe("rolledBack");
+  });
+
+  describe("time budget", () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // The first item uses up the whole budget before the others start
+    function exhaustBudgetOn(name) {
+      mockCreateWorkout.mockImplementation(async (w) => {
+        if (w.workoutName === name) vi.setSystemTime(Date.now() + PLAN_PUSH_BUDGET_MS);
+        return { workoutId: ++nextId };
+      });
+    }
+
+    it("continues the plan from its planId after running out of time", async () => {
+      exhaustBudgetOn("Mon Easy");
+      const first = await push({ items: PLAN_ITEMS });
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ status: "pushing", hasMore: true, complete: false, scheduled: 0, pending: 3 });
+      // Created, but its schedule call is left for the next request
+      expect(first.body.items.map((i) => i.status)).toEqual(["created", "pending", "pending"]);
+      expect(first.body.items[0].workoutId).toBe(1001);
+      expect(mockScheduleWorkout).not.toHaveBeenCalled();
+
+      const second = await push({ planId: first.body.planId });
+      expect(second.body).toMatchObject({ planId: first.body.planId, status: "done", hasMore: false, complete: true, scheduled: 3 });
+      expect(mockCreateWorkout).toHaveBeenCalledTimes(3);
+      expect(mockScheduleWorkout).toHaveBeenCalledWith({ workoutId: "1001" }, "2026-04-06");
+      expect(mockDeleteWorkout).not.toHaveBeenCalled();
+    });
+
+    it("rolls back workouts created in earlier calls when a later item fails", async () => {
+      exhaustBudgetOn("Mon Easy");
+      mockScheduleWorkout.mockImplementation(async ({ workoutId }) => {
+        if (workoutId === "1002") throw new Error("Server error");
+        return { workoutScheduleId: 1 };
+      });
+      const responses = await pushUntilDone({ items: PLAN_ITEMS });
+      expect(responses).toHaveLength(2);
+      expect(responses[1].body).toMatchObject({ status: "rolledBack", hasMore: false, rolledBack: true });
+      expect(responses[1].body.items.map((i) => i.status)).toEqual(["rolledBack", "failed", "rolledBack"]);
+      expect(mockDeleteWorkout.mock.calls.map(([arg]) => arg.workoutId).sort()).toEqual([1001, 1002, 1003]);
+    });
+
+    it("pushes a 12-week plan over several calls", async () => {
+      // Each create takes a second, so one call can't reach all 84 items
+      mockCreateWorkout.mockImplementation(async () => {
+        vi.setSystemTime(Date.now() + 1000);
+        return { workoutId: ++nextId };
+      });
+      const responses = await pushUntilDone({ items: twelveWeekPlan() });
+      const last = responses.at(-1).body;
+      expect(responses.length).toBeGreaterThan(1);
+      expect(responses.every((r) => r.status === 200)).toBe(true);
+      expect(last).toMatchObject({ status: "done", hasMore: false, complete: true, scheduled: 84, failed: 0, pending: 0 });
+      expect(new Set(last.items.map((i) => i.workoutId)).size).toBe(84);
+      expect(last.items[83]).toMatchObject({ name: "Day 84", scheduleDate: "2026-06-28", status: "scheduled" });
+      expect(mockCreateWorkout).toHaveBeenCalledTimes(84);
+      expect(mockScheduleWorkout).toHaveBeenCalledTimes(84);
+    });
+
+    it("rolls back every chunk of a 12-week plan when one item fails", async () => {
+      mockCreateWorkout.mockImplementation(async () => {
+        vi.setSystemTime(Date.now() + 1000);
+        return { workoutId: ++nextId };
+      });
+      mockScheduleWorkout.mockImplementation(async ({ workoutId }) => {
+        if (workoutId === "1060") throw new Error("Server error");
+        return { workoutScheduleId: 1 };
+      });
+      const responses = await pushUntilDone({ items: twelveWeekPlan() });
+      const last = responses.at(-1).body;
+      expect(responses.length).toBeGreaterThan(2);
+      expect(last).toMatchObject({ status: "rolledBack", hasMore: false, scheduled: 0, failed: 1 });
+      const created = mockCreateWorkout.mock.results.length;
+      const deleted = mockDeleteWorkout.mock.calls.map(([arg]) => arg.workoutId).sort((a, b) => a - b);
+      expect(deleted).toEqual(Array.from({ length: created }, (_, i) => 1001 + i));
+      expect(last.items.filter((i) => i.status === "rolledBack")).toHaveLength(created - 1);
+      expect(last.items.filter((i) => i.status === "skipped")).toHaveLength(84 - created);
+    });
+
+    it("keeps the items it reached with partial: true and pushes the rest later", async () => {
+      mockCreateWorkout.mockImplementation(async (w) => {
+        if (w.workoutName === "Mon Easy") vi.setSystemTime(Date.now() + PLAN_PUSH_BUDGET_MS);
+        if (w.workoutName === "Wed Tempo") throw new Error("Server error");
+        return { workoutId: ++nextId };
+      });
+      const responses = await pushUntilDone({ items: PLAN_ITEMS, partial: true });
+      expect(responses).toHaveLength(2);
+      expect(responses[1].body).toMatchObject({ status: "done", complete: false, scheduled: 2, failed: 1, rolledBack: false });
+      expect(responses[1].body.items.map((i) => i.status)).toEqual(["scheduled", "failed", "scheduled"]);
+      expect(mockDeleteWorkout).not.toHaveBeenCalled();
+    });
+  });
+
+  it("refuses a planId that is unknown or belongs to another account", async () => {
+    const res = await push({ planId: "nope" });
+    expect(res.status).toBe(404);
+
+    const started = await push({ items: PLAN_ITEMS });
+    const other = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "other@example.com", tokenJson: FAKE_TOKEN, planId: started.body.planId });
+    expect(other.status).toBe(404);
+  });
+
+  it("refuses to push a plan another call is still working on", async () => {
+    const started = await push({ items: PLAN_ITEMS });
+    await store.update(started.body.planId, (plan) => ({ ...plan, lease: { id: "other", until: Date.now() + 60_000 } }));
+    const res = await push({ planId: started.body.planId });
+    expect(res.status).toBe(409);
+  });
+
+  it("rejects items and planId together", async () => {
+    const res = await push({ items: PLAN_ITEMS, planId: "abc" });
+    expect(res.status).toBe(400);
+    expect(mockCreateWorkout).not.toHaveBeenCalled();
+  });
+
+  it("keeps a failed item's workoutId when deleting it fails too", async () => {
+    mockScheduleWorkout.mockImplementation(async ({ workoutId }) => {
+      if (workoutId === "1002") throw new Error("Server error");
+      return { workoutScheduleId: 1 };
+    });
+    mockDeleteWorkout.mockImplementation(async ({ workoutId }) => {
+      if (workoutId === 1002) throw new Error("Server error");
+    });
+    for (const partial of [false, true]) {
+      nextId = 1000;
+      const res = await request(app)
+        .post("/garmin/plan/push")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS, partial });
+      expect(res.body.items[1]).toEqual({
+        index: 1,
+        name: "Wed Tempo",
+        scheduleDate: "2026-04-08",
+        status: "failed",
+        error: "Garmin request failed",
+        workoutId: 1002,
+        cleanupFailed: true,
+      });
+      expect(res.body.failed).toBe(1);
+    }
+  });
+
+  it("validates every item before creating anything", async () => {
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: [...PLAN_ITEMS, planItem("Bad", "2026-02-30")] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Item 4: scheduleDate must be YYYY-MM-DD format");
+    expect(mockCreateWorkout).not.toHaveBeenCalled();
+  });
+
+  it("rejects a non-boolean partial", async () => {
+    const res = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS, partial: "yes" });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("POST /garmin/plan/rollback", () => {
+  let nextId;
+
+  beforeEach(() => {
+    nextId = 1000;
+    setPlanStore(createMemoryStore());
+    mockCreateWorkout.mockImplementation(async () => ({ workoutId: ++nextId }));
+    mockScheduleWorkout.mockResolvedValue({ workoutScheduleId: 1 });
+    mockDeleteWorkout.mockResolvedValue(undefined);
+  });
+
+  const rollback = (planId, username = "u") =>
+    request(app).post("/garmin/plan/rollback").set(auth()).send({ username, tokenJson: FAKE_TOKEN, planId });
+
+  it("deletes every workout a pushed plan created", async () => {
+    const pushed = await request(app)
+      .post("/garmin/plan/push")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS });
+    const res = await rollback(pushed.body.planId);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: "rolledBack", hasMore: false, scheduled: 0, rolledBack: true });
+    expect(res.body.items.map((i) => i.status)).toEqual(["rolledBack", "rolledBack", "rolledBack"]);
+    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
+    expect(mockDeleteWorkout.mock.calls.map(([arg]) => arg.workoutId).sort()).toEqual([1001, 1002, 1003]);
+
+    const again = await rollback(pushed.body.planId);
+    expect(again.body.status).toBe("rolledBack");
+    expect(mockDeleteWorkout).toHaveBeenCalledTimes(3);
+  });
+
+  it("skips the items a plan has not pushed yet", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    try {
+      mockCreateWorkout.mockImplementation(async () => {
+        vi.setSystemTime(Date.now() + PLAN_PUSH_BUDGET_MS);
+        return { workoutId: ++nextId };
+      });
+      const pushed = await request(app)
+        .post("/garmin/plan/push")
+        .set(auth())
+        .send({ username: "u", tokenJson: FAKE_TOKEN, items: PLAN_ITEMS });
+      expect(pushed.body.hasMore).toBe(true);
+      const res = await rollback(pushed.body.planId);
+      expect(res.body.items.map((i) => i.status)).toEqual(["rolledBack", "skipped", "skipped"]);
+      expect(mockCreateWorkout).toHaveBeenCalledTimes(1);
+      expect(mockDeleteWorkout).toHaveBeenCalledWith({ workoutId: 1001 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("rejects a missing or unknown planId", async () => {
+    expect((await rollback(undefined)).status).toBe(400);
+    expect((await rollback("nope")).status).toBe(404);
+    expect(mockDeleteWorkout).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================
+// MULTISPORT WORKOUT TESTS
+// ============================================================
+
+const BRICK_WORKOUT = {
+  name: "Brick",
+  sport: "multisport",
+  segments: [
+    {
+      sport: "cycling",
+      steps: [
+        { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "none" } },
+        { type: "interval", duration: { type: "time", seconds: 2400 }, target: { type: "powerZone", zone: 3 } },
+      ],
+    },
+    {
+      sport: "running",
+      steps: [
+        {
+          type: "repeat", iterations: 2,
           steps: [
-            { type: "interval", duration: { type: "distance", meters: 1000 }, target: { type: "pace", minPerKm: "5:00", maxPerKm: "4:30" } },
-            { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
+            { type: "interval", duration: { type: "distance", meters: 1000 }, target: { type: "pace", minPerKm: "4:30", maxPerKm: "4:15" } },
+            { type: "recovery", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
           ],
         },
-        { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
       ],
-    });
-    expect(result.workoutName).toBe("Test Workout");
-    expect(result.description).toBe("A test");
-    expect(result.sportType.sportTypeKey).toBe("running");
-    expect(result.workoutSegments).toHaveLength(1);
-    const steps = result.workoutSegments[0].workoutSteps;
-    expect(steps).toHaveLength(3);
-    // Warmup
-    expect(steps[0].type).toBe("ExecutableStepDTO");
-    expect(steps[0].stepId).toBe(1);
-    expect(steps[0].stepType.stepTypeKey).toBe("warmup");
-    // Repeat group
-    expect(steps[1].type).toBe("RepeatGroupDTO");
-    expect(steps[1].stepId).toBe(2);
-    expect(steps[1].numberOfIterations).toBe(3);
-    expect(steps[1].workoutSteps).toHaveLength(2);
-    expect(steps[1].workoutSteps[0].stepId).toBe(3);
-    expect(steps[1].workoutSteps[1].stepId).toBe(4);
-    // _nextId should be stripped
-    expect(steps[1]._nextId).toBeUndefined();
-    // Cooldown
-    expect(steps[2].type).toBe("ExecutableStepDTO");
-    expect(steps[2].stepId).toBe(5);
-    expect(steps[2].stepType.stepTypeKey).toBe("cooldown");
+    },
+  ],
+  transitions: true,
+};
+
+describe("buildGarminWorkout (multisport)", () => {
+  it("emits one segment per leg with workout-wide step IDs", () => {
+    const result = buildGarminWorkout(BRICK_WORKOUT);
+    expect(result.sportType).toEqual({ sportTypeId: 10, sportTypeKey: "multi_sport" });
+    expect(result.isSessionTransitionEnabled).toBe(true);
+    expect(result.workoutSegments.map((s) => [s.segmentOrder, s.sportType.sportTypeKey])).toEqual([
+      [1, "cycling"],
+      [2, "running"],
+    ]);
+    expect(result.workoutSegments[0].workoutSteps.map((s) => s.stepId)).toEqual([1, 2]);
+    const repeat = result.workoutSegments[1].workoutSteps[0];
+    expect(repeat.stepId).toBe(3);
+    expect(repeat.workoutSteps.map((s) => s.stepId)).toEqual([4, 5]);
   });
 
-  it("handles flat steps without repeats", () => {
+  it("toggles transitions with a flag instead of adding transition steps", () => {
+    const withTransitions = buildGarminWorkout(BRICK_WORKOUT);
+    const without = buildGarminWorkout({ ...BRICK_WORKOUT, transitions: false });
+    expect(without.isSessionTransitionEnabled).toBe(false);
+    expect(without.workoutSegments).toEqual(withTransitions.workoutSegments);
+    expect(withTransitions.workoutSegments).toHaveLength(BRICK_WORKOUT.segments.length);
+  });
+
+  it("leaves single-sport workouts without the transition flag", () => {
     const result = buildGarminWorkout({
-      name: "Easy Run",
+      name: "Run",
       sport: "running",
-      steps: [
-        { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-        { type: "interval", duration: { type: "time", seconds: 1800 }, target: { type: "heartRateZone", zone: 2 } },
-        { type: "cooldown", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-      ],
+      steps: [{ type: "interval", duration: { type: "time", seconds: 600 }, target: { type: "none" } }],
     });
-    const steps = result.workoutSegments[0].workoutSteps;
-    expect(steps).toHaveLength(3);
-    expect(steps[0].stepId).toBe(1);
-    expect(steps[1].stepId).toBe(2);
-    expect(steps[2].stepId).toBe(3);
+    expect(result).not.toHaveProperty("isSessionTransitionEnabled");
   });
 });
 
-// ============================================================
-// WORKOUT VALIDATION TESTS
-// ============================================================
+describe("validateWorkoutPayload (multisport)", () => {
+  const error = (workout) => validateWorkoutPayload(workout).error;
 
-describe("validateWorkoutPayload", () => {
-  const validWorkout = {
-    name: "Test",
-    sport: "running",
-    steps: [
-      { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-    ],
-  };
+  it("accepts a valid multisport workout", () => {
+    expect(validateWorkoutPayload(BRICK_WORKOUT)).toEqual({ ok: true });
+  });
 
-  it("accepts a valid workout", () => {
-    expect(validateWorkoutPayload(validWorkout).ok).toBe(true);
+  it("requires at least two segments and no top-level steps", () => {
+    expect(error({ ...BRICK_WORKOUT, segments: [BRICK_WORKOUT.segments[0]] })).toBe(
+      "Multisport workout must contain at least two segments"
+    );
+    expect(error({ ...BRICK_WORKOUT, steps: [] })).toBe("Multisport workouts use segments instead of steps");
   });
 
-  it("rejects missing workout", () => {
-    expect(validateWorkoutPayload(null).ok).toBe(false);
+  it("validates each segment's sport and steps", () => {
+    const [bike, run] = BRICK_WORKOUT.segments;
+    expect(error({ ...BRICK_WORKOUT, segments: [bike, { ...run, sport: "multisport" }] })).toMatch(/^Segment 2: Invalid sport/);
+    expect(error({ ...BRICK_WORKOUT, segments: [{ ...bike, steps: [] }, run] })).toBe(
+      "Segment 1: Segment must contain at least one step"
+    );
+    const badStep = { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "heartRateZone", zone: 9 } };
+    expect(error({ ...BRICK_WORKOUT, segments: [bike, { ...run, steps: [run.steps[0], badStep] }] })).toBe(
+      "Segment 2, step 2: Heart rate zone must be 1-5"
+    );
   });
 
-  it("rejects missing name", () => {
-    expect(validateWorkoutPayload({ ...validWorkout, name: "" }).ok).toBe(false);
+  it("rejects a non-boolean transitions flag", () => {
+    expect(error({ ...BRICK_WORKOUT, transitions: "yes" })).toBe("transitions must be a boolean");
   });
 
-  it("rejects invalid sport", () => {
-    expect(validateWorkoutPayload({ ...validWorkout, sport: "golf" }).ok).toBe(false);
+  it("rejects segments on single-sport workouts", () => {
+    expect(error({ ...BRICK_WORKOUT, sport: "running" })).toBe('segments are only allowed for sport "multisport"');
   });
+});
 
-  it("rejects empty steps", () => {
-    expect(validateWorkoutPayload({ ...validWorkout, steps: [] }).ok).toBe(false);
+describe("parseGarminWorkout (multisport)", () => {
+  it("round-trips segments and transitions", () => {
+    expect(parseGarminWorkout(buildGarminWorkout(BRICK_WORKOUT))).toEqual(BRICK_WORKOUT);
   });
+});
 
-  it("rejects invalid step type", () => {
-    const w = { ...validWorkout, steps: [{ type: "bad", duration: { type: "time", seconds: 60 }, target: { type: "none" } }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+describe("POST /garmin/workout/create (multisport)", () => {
+  it("creates a multisport workout", async () => {
+    const res = await request(app)
+      .post("/garmin/workout/create")
+      .set(auth())
+      .send({ username: "u", tokenJson: FAKE_TOKEN, workout: BRICK_WORKOUT });
+    expect(res.status).toBe(200);
+    const payload = mockCreateWorkout.mock.calls[0][0];
+    expect(payload.sportType.sportTypeKey).toBe("multi_sport");
+    expect(payload.workoutSegments).toHaveLength(2);
   });
+});
 
-  it("rejects invalid duration type", () => {
-    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "bad" }, target: { type: "none" } }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+// ============================================================
+// SWIM WORKOUT TESTS
+// ============================================================
+
+const SWIM_WORKOUT = {
+  name: "Pool Threshold",
+  sport: "swimming",
+  poolLength: 25,
+  poolLengthUnit: "meters",
+  steps: [
+    { type: "warmup", duration: { type: "distance", meters: 400 }, target: { type: "none" }, stroke: "any" },
+    {
+      type: "repeat", iterations: 4, restSeconds: 20,
+      steps: [
+        { type: "interval", duration: { type: "distance", meters: 50 }, target: { type: "none" }, stroke: "drill", equipment: "kickboard" },
+        { type: "interval", duration: { type: "distance", meters: 100 }, target: { type: "none" }, stroke: "free", equipment: "pullBuoy" },
+      ],
+    },
+    { type: "cooldown", duration: { type: "distance", meters: 200 }, target: { type: "none" }, stroke: "back" },
+  ],
+};
+
+describe("buildGarminWorkout (swimming)", () => {
+  it("sets pool length, strokes, equipment and meter distances", () => {
+    const result = buildGarminWorkout(SWIM_WORKOUT);
+    expect(result.poolLength).toBe(25);
+    expect(result.poolLengthUnit).toEqual({ unitId: 1, unitKey: "meter", factor: 100 });
+    const [warmup, repeat] = result.workoutSegments[0].workoutSteps;
+    expect(warmup.strokeType).toEqual(SWIM_STROKE_MAP.any);
+    expect(warmup.preferredEndConditionUnit).toEqual({ unitKey: "meter" });
+    expect(repeat.workoutSteps[0].strokeType.strokeTypeKey).toBe("drill");
+    expect(repeat.workoutSteps[0].equipmentType).toEqual(SWIM_EQUIPMENT_MAP.kickboard);
+    expect(repeat.workoutSteps[1].equipmentType.equipmentTypeKey).toBe("pull_buoy");
+  });
+
+  it("closes each repeat with a fixed rest", () => {
+    const repeat = buildGarminWorkout(SWIM_WORKOUT).workoutSegments[0].workoutSteps[1];
+    expect(repeat.workoutSteps).toHaveLength(3);
+    const rest = repeat.workoutSteps[2];
+    expect(rest.stepId).toBe(5);
+    expect(rest.stepType.stepTypeKey).toBe("rest");
+    expect(rest.endCondition.conditionTypeKey).toBe("fixed.rest");
+    expect(rest.endConditionValue).toBe(20);
+  });
+
+  it("converts yard distances and pools", () => {
+    const result = buildGarminWorkout({
+      ...SWIM_WORKOUT,
+      poolLengthUnit: "yards",
+      steps: [{ type: "interval", duration: { type: "distance", yards: 100 }, target: { type: "none" } }],
+    });
+    expect(result.poolLengthUnit.unitKey).toBe("yard");
+    const step = result.workoutSegments[0].workoutSteps[0];
+    expect(step.endConditionValue).toBe(91.44);
+    expect(step.preferredEndConditionUnit).toEqual({ unitKey: "yard" });
+  });
+
+  it("keeps the empty stroke and equipment on other sports", () => {
+    const result = buildGarminWorkout({
+      name: "Run",
+      sport: "running",
+      steps: [{ type: "interval", duration: { type: "distance", meters: 1000 }, target: { type: "none" } }],
+    });
+    const step = result.workoutSegments[0].workoutSteps[0];
+    expect(step.strokeType).toEqual({});
+    expect(step.equipmentType.equipmentTypeId).toBeNull();
+    expect(result).not.toHaveProperty("poolLength");
   });
+});
 
-  it("rejects time duration with non-positive seconds", () => {
-    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "time", seconds: 0 }, target: { type: "none" } }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+describe("validateWorkoutPayload (swimming)", () => {
+  const error = (workout) => validateWorkoutPayload(workout).error;
+  const withStep = (step, extra = {}) => ({ ...SWIM_WORKOUT, ...extra, steps: [step] });
+  const swimStep = { type: "interval", duration: { type: "distance", meters: 100 }, target: { type: "none" } };
+
+  it("accepts a valid swim workout", () => {
+    expect(validateWorkoutPayload(SWIM_WORKOUT)).toEqual({ ok: true });
   });
 
-  it("rejects distance duration with non-positive meters", () => {
-    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "distance", meters: -1 }, target: { type: "none" } }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("rejects unknown strokes and equipment", () => {
+    expect(error(withStep({ ...swimStep, stroke: "doggy" }))).toMatch(/^Step 1: Invalid stroke "doggy"/);
+    expect(error(withStep({ ...swimStep, equipment: "snorkel" }))).toMatch(/^Step 1: Invalid equipment "snorkel"/);
   });
 
-  it("rejects invalid target type", () => {
-    const w = { ...validWorkout, steps: [{ type: "warmup", duration: { type: "time", seconds: 60 }, target: { type: "bad" } }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("rejects swim fields on other sports", () => {
+    const run = { name: "Run", sport: "running" };
+    expect(error({ ...run, steps: [{ ...swimStep, stroke: "free" }] })).toBe(
+      "Step 1: Stroke and equipment are only supported on swimming steps"
+    );
+    expect(error({ ...run, steps: [{ type: "repeat", iterations: 2, restSeconds: 30, steps: [swimStep] }] })).toBe(
+      "Step 1: Repeat rest is only supported on swimming workouts"
+    );
+    expect(error({ ...run, poolLength: 25, steps: [swimStep] })).toBe("poolLength is only supported on swimming workouts");
   });
 
-  it("rejects invalid pace format", () => {
-    const w = { ...validWorkout, steps: [{
-      type: "interval", duration: { type: "time", seconds: 60 },
-      target: { type: "pace", minPerKm: "bad", maxPerKm: "5:00" },
-    }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("accepts swim fields in a multisport swim segment", () => {
+    const tri = {
+      name: "Tri",
+      sport: "multisport",
+      segments: [
+        { sport: "swimming", steps: [{ ...swimStep, stroke: "free" }] },
+        { sport: "running", steps: [swimStep] },
+      ],
+    };
+    expect(validateWorkoutPayload(tri)).toEqual({ ok: true });
   });
 
-  it("rejects HR zone out of range", () => {
-    const w = { ...validWorkout, steps: [{
-      type: "interval", duration: { type: "time", seconds: 60 },
-      target: { type: "heartRateZone", zone: 6 },
-    }] };
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("validates pool length and unit", () => {
+    expect(error({ ...SWIM_WORKOUT, poolLength: 0 })).toBe("poolLength must be a positive number");
+    expect(error({ ...SWIM_WORKOUT, poolLengthUnit: "feet" })).toBe('poolLengthUnit must be "meters" or "yards"');
   });
 
-  it("accepts valid repeat group", () => {
-    const w = { ...validWorkout, steps: [
-      { type: "repeat", iterations: 3, steps: [
-        { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
-        { type: "recovery", duration: { type: "time", seconds: 30 }, target: { type: "none" } },
-      ]},
-    ]};
-    expect(validateWorkoutPayload(w).ok).toBe(true);
+  it("requires whole pool lengths", () => {
+    expect(error(withStep({ ...swimStep, duration: { type: "distance", meters: 110 } }))).toBe(
+      "Step 1: Swim distance must be a whole number of pool lengths"
+    );
+    expect(error(withStep({ ...swimStep, duration: { type: "distance", yards: 100 } }, { poolLengthUnit: "yards" }))).toBeUndefined();
+    expect(error(withStep({ ...swimStep, duration: { type: "distance", yards: 100 } }))).toBe(
+      "Step 1: Swim distance must be a whole number of pool lengths"
+    );
   });
 
-  it("rejects repeat with zero iterations", () => {
-    const w = { ...validWorkout, steps: [
-      { type: "repeat", iterations: 0, steps: [
-        { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
-      ]},
-    ]};
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("takes meters or yards, not both", () => {
+    expect(error(withStep({ ...swimStep, duration: { type: "distance", meters: 100, yards: 100 } }))).toBe(
+      "Step 1: Distance duration takes meters or yards, not both"
+    );
+    expect(error(withStep({ ...swimStep, duration: { type: "distance", yards: -5 } }))).toBe(
+      "Step 1: Distance duration requires a positive yards value"
+    );
   });
 
-  it("rejects repeat with empty steps", () => {
-    const w = { ...validWorkout, steps: [
-      { type: "repeat", iterations: 3, steps: [] },
-    ]};
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+  it("validates repeat rest", () => {
+    const repeat = { type: "repeat", iterations: 4, restSeconds: 0, steps: [swimStep] };
+    expect(error(withStep(repeat))).toBe("Step 1: Repeat restSeconds must be a positive number");
   });
+});
 
-  it("rejects nested repeats", () => {
-    const w = { ...validWorkout, steps: [
-      { type: "repeat", iterations: 2, steps: [
-        { type: "repeat", iterations: 2, steps: [
-          { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" } },
-        ]},
-      ]},
-    ]};
-    expect(validateWorkoutPayload(w).ok).toBe(false);
+describe("parseGarminWorkout (swimming)", () => {
+  it("round-trips pool, strokes, equipment and repeat rest", () => {
+    expect(parseGarminWorkout(buildGarminWorkout(SWIM_WORKOUT))).toEqual(SWIM_WORKOUT);
   });
 
-  it("includes step number in error message", () => {
-    const w = { ...validWorkout, steps: [
-      { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-      { type: "interval", duration: { type: "bad" }, target: { type: "none" } },
-    ]};
-    const result = validateWorkoutPayload(w);
-    expect(result.ok).toBe(false);
-    expect(result.error).toMatch(/Step 2/);
+  it("round-trips yards", () => {
+    const yards = {
+      ...SWIM_WORKOUT,
+      poolLengthUnit: "yards",
+      steps: [{ type: "interval", duration: { type: "distance", yards: 100 }, target: { type: "none" }, stroke: "im" }],
+    };
+    expect(parseGarminWorkout(buildGarminWorkout(yards))).toEqual(yards);
   });
 });
 
 // ============================================================
-// POST /garmin/workout/create TESTS
+// STRENGTH WORKOUT TESTS
 // ============================================================
 
-describe("POST /garmin/workout/create", () => {
-  const VALID_WORKOUT_BODY = {
-    username: "u",
-    tokenJson: FAKE_TOKEN,
-    workout: {
-      name: "Test Intervals",
-      sport: "running",
+const STRENGTH_WORKOUT = {
+  name: "Lower Body",
+  sport: "strength",
+  steps: [
+    { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
+    {
+      type: "repeat", iterations: 3,
       steps: [
-        { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "none" } },
         {
-          type: "repeat", iterations: 4,
-          steps: [
-            { type: "interval", duration: { type: "distance", meters: 800 }, target: { type: "pace", minPerKm: "5:00", maxPerKm: "4:30" } },
-            { type: "recovery", duration: { type: "time", seconds: 90 }, target: { type: "none" } },
-          ],
+          type: "interval",
+          duration: { type: "reps", reps: 8 },
+          target: { type: "none" },
+          exercise: { category: "SQUAT", name: "BARBELL_BACK_SQUAT" },
+          weight: { value: 80, unit: "kg" },
         },
-        { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
+        { type: "rest", duration: { type: "time", seconds: 120 }, target: { type: "none" } },
       ],
     },
-  };
-
-  // --- Success ---
+    {
+      type: "interval",
+      duration: { type: "reps", reps: 12 },
+      target: { type: "none" },
+      exercise: { category: "LUNGE", name: "DUMBBELL_LUNGE" },
+      weight: { value: 35, unit: "lbs" },
+    },
+    { type: "interval", duration: { type: "time", seconds: 60 }, target: { type: "none" }, exercise: { category: "PLANK" } },
+  ],
+};
 
-  it("creates a workout and returns workoutId", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(VALID_WORKOUT_BODY);
-    expect(res.status).toBe(200);
-    expect(res.body.ok).toBe(true);
-    expect(res.body.workoutId).toBe(99999);
-    expect(res.body.workoutName).toBe("Test Workout");
-    expect(res.body.tokenJson).toEqual(REFRESHED_TOKEN);
-    expect(mockCreateWorkout).toHaveBeenCalledTimes(1);
-    expect(mockScheduleWorkout).not.toHaveBeenCalled();
+describe("buildGarminWorkout (strength)", () => {
+  it("sets exercise, reps and weight", () => {
+    const steps = buildGarminWorkout(STRENGTH_WORKOUT).workoutSegments[0].workoutSteps;
+    const squat = steps[1].workoutSteps[0];
+    expect(squat.endCondition.conditionTypeKey).toBe("reps");
+    expect(squat.endConditionValue).toBe(8);
+    expect(squat.category).toBe("SQUAT");
+    expect(squat.exerciseName).toBe("BARBELL_BACK_SQUAT");
+    expect(squat.weightValue).toBe(80);
+    expect(squat.weightUnit).toEqual({ unitId: 8, unitKey: "kilogram", factor: 1000 });
+    expect(steps[2].weightUnit.unitKey).toBe("pound");
+    expect(steps[3]).toMatchObject({ category: "PLANK", exerciseName: null, weightValue: null, weightUnit: null });
   });
+});
 
-  it("passes correct Garmin JSON to createWorkout", async () => {
-    await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(VALID_WORKOUT_BODY);
-    const garminPayload = mockCreateWorkout.mock.calls[0][0];
-    expect(garminPayload.workoutName).toBe("Test Intervals");
-    expect(garminPayload.sportType.sportTypeKey).toBe("running");
-    expect(garminPayload.workoutSegments).toHaveLength(1);
-    const steps = garminPayload.workoutSegments[0].workoutSteps;
-    expect(steps).toHaveLength(3);
-    expect(steps[0].type).toBe("ExecutableStepDTO");
-    expect(steps[1].type).toBe("RepeatGroupDTO");
-    expect(steps[1].numberOfIterations).toBe(4);
-    expect(steps[2].type).toBe("ExecutableStepDTO");
-  });
+describe("validateWorkoutPayload (strength)", () => {
+  const error = (step, sport = "strength") => validateWorkoutPayload({ name: "S", sport, steps: [step] }).error;
+  const base = { type: "interval", duration: { type: "reps", reps: 10 }, target: { type: "none" } };
 
-  it("creates and schedules when scheduleDate provided", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ ...VALID_WORKOUT_BODY, scheduleDate: "2026-03-15" });
-    expect(res.status).toBe(200);
-    expect(res.body.scheduled).toBe(true);
-    expect(res.body.scheduleDate).toBe("2026-03-15");
-    expect(mockScheduleWorkout).toHaveBeenCalledTimes(1);
-    expect(mockScheduleWorkout).toHaveBeenCalledWith(
-      { workoutId: "99999" },
-      "2026-03-15"
-    );
+  it("accepts a valid strength workout", () => {
+    expect(validateWorkoutPayload(STRENGTH_WORKOUT)).toEqual({ ok: true });
   });
 
-  it("creates workout with flat steps (no repeats)", async () => {
-    const body = {
-      username: "u",
-      tokenJson: FAKE_TOKEN,
-      workout: {
-        name: "Easy Run",
-        sport: "running",
-        steps: [
-          { type: "warmup", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-          { type: "interval", duration: { type: "time", seconds: 2400 }, target: { type: "heartRateZone", zone: 2 } },
-          { type: "cooldown", duration: { type: "lapButton" }, target: { type: "none" } },
-        ],
-      },
-    };
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(body);
-    expect(res.status).toBe(200);
-    expect(res.body.ok).toBe(true);
+  it("every catalog exercise validates", () => {
+    for (const [category, names] of Object.entries(STRENGTH_EXERCISE_CATALOG)) {
+      for (const name of names) expect(error({ ...base, exercise: { category, name } })).toBeUndefined();
+    }
   });
 
-  it("creates cycling workout with power targets", async () => {
-    const body = {
-      username: "u",
-      tokenJson: FAKE_TOKEN,
-      workout: {
-        name: "Sweet Spot",
-        sport: "cycling",
-        steps: [
-          { type: "warmup", duration: { type: "time", seconds: 600 }, target: { type: "powerZone", zone: 2 } },
-          { type: "interval", duration: { type: "time", seconds: 1200 }, target: { type: "power", min: 230, max: 270 } },
-          { type: "cooldown", duration: { type: "time", seconds: 300 }, target: { type: "none" } },
-        ],
-      },
-    };
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(body);
-    expect(res.status).toBe(200);
-    const garminPayload = mockCreateWorkout.mock.calls[0][0];
-    expect(garminPayload.sportType.sportTypeKey).toBe("cycling");
+  it("rejects unknown exercises and categories", () => {
+    expect(error({ ...base, exercise: { category: "YOGA" } })).toMatch(/^Step 1: Unknown exercise category "YOGA"/);
+    expect(error({ ...base, exercise: { category: "SQUAT", name: "BARBELL_DEADLIFT" } })).toMatch(
+      /^Step 1: Unknown exercise "BARBELL_DEADLIFT" in category SQUAT/
+    );
+    expect(error({ ...base, exercise: null })).toMatch(/Unknown exercise category/);
   });
 
-  // --- Validation errors ---
-
-  it("returns 400 for missing workout", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN });
-    expect(res.status).toBe(400);
-    expect(res.body.error).toMatch(/Missing workout/);
+  it("validates reps and weight", () => {
+    expect(error({ ...base, duration: { type: "reps", reps: 0 } })).toBe("Step 1: Reps duration requires a positive integer reps value");
+    expect(error({ ...base, duration: { type: "reps", reps: 2.5 } })).toBe("Step 1: Reps duration requires a positive integer reps value");
+    expect(error({ ...base, weight: { value: -5, unit: "kg" } })).toBe("Step 1: Weight requires a positive value");
+    expect(error({ ...base, weight: { value: 20, unit: "stone" } })).toBe('Step 1: Weight unit must be "kg" or "lbs"');
   });
 
-  it("returns 400 for invalid sport", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ username: "u", tokenJson: FAKE_TOKEN, workout: { name: "X", sport: "golf", steps: [{ type: "warmup", duration: { type: "time", seconds: 60 }, target: { type: "none" } }] } });
-    expect(res.status).toBe(400);
-    expect(res.body.error).toMatch(/sport/i);
+  it("rejects strength fields on other sports", () => {
+    expect(error(base, "running")).toBe("Step 1: Reps duration is only supported on strength workouts");
+    expect(error({ ...base, duration: { type: "time", seconds: 60 }, weight: { value: 5, unit: "kg" } }, "cardio")).toBe(
+      "Step 1: Exercise and weight are only supported on strength steps"
+    );
   });
+});
 
-  it("returns 400 for invalid scheduleDate format", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ ...VALID_WORKOUT_BODY, scheduleDate: "March 15" });
-    expect(res.status).toBe(400);
-    expect(res.body.error).toMatch(/scheduleDate/);
+describe("parseGarminWorkout (strength)", () => {
+  it("round-trips exercises, reps and weights", () => {
+    expect(parseGarminWorkout(buildGarminWorkout(STRENGTH_WORKOUT))).toEqual(STRENGTH_WORKOUT);
   });
+});
 
-  // --- Auth ---
+// ============================================================
+// SECONDARY TARGET TESTS
+// ============================================================
 
-  it("requires API key", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .send(VALID_WORKOUT_BODY);
-    expect(res.status).toBe(401);
+describe("secondary targets", () => {
+  const step = (target, secondaryTarget) => ({
+    type: "interval",
+    duration: { type: "time", seconds: 600 },
+    target,
+    secondaryTarget,
+  });
+  const workout = (...steps) => ({ name: "Tempo", sport: "running", steps });
+  const pace = { type: "pace", minPerKm: "4:30", maxPerKm: "4:15" };
+
+  it("builds the secondary target fields", () => {
+    const built = buildGarminStep(step(pace, { type: "heartRate", min: 150, max: 165 }), 1);
+    expect(built.targetType.workoutTargetTypeKey).toBe("pace.zone");
+    expect(built.secondaryTargetType).toEqual({ workoutTargetTypeId: 4, workoutTargetTypeKey: "heart.rate.zone", displayOrder: 4 });
+    expect(built.secondaryTargetValueOne).toBe(150);
+    expect(built.secondaryTargetValueTwo).toBe(165);
+    expect(built.secondaryZoneNumber).toBeNull();
+  });
+
+  it("builds a secondary zone target", () => {
+    const built = buildGarminStep(step({ type: "powerZone", zone: 3 }, { type: "cadence", min: 85, max: 95 }), 1);
+    expect(built.secondaryTargetType.workoutTargetTypeKey).toBe("cadence");
+    const zone = buildGarminStep(step(pace, { type: "heartRateZone", zone: 3 }), 1);
+    expect(zone.secondaryZoneNumber).toBe(3);
+    expect(zone.secondaryTargetValueOne).toBeNull();
+  });
+
+  it("leaves the secondary fields null when absent or none", () => {
+    for (const secondary of [undefined, { type: "none" }]) {
+      const built = buildGarminStep(step(pace, secondary), 1);
+      expect(built.secondaryTargetType).toBeNull();
+      expect(built.secondaryZoneNumber).toBeNull();
+    }
   });
 
-  it("returns 400 when missing username", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ tokenJson: FAKE_TOKEN, workout: VALID_WORKOUT_BODY.workout });
-    expect(res.status).toBe(400);
+  it("validates the secondary target with the primary rules", () => {
+    expect(validateWorkoutPayload(workout(step(pace, { type: "heartRateZone", zone: 2 })))).toEqual({ ok: true });
+    expect(validateWorkoutPayload(workout(step(pace, { type: "heartRateZone", zone: 7 }))).error).toBe(
+      "Step 1: Secondary target: Heart rate zone must be 1-5"
+    );
+    expect(validateWorkoutPayload(workout(step(pace, { type: "speed" }))).error).toMatch(
+      /^Step 1: Secondary target: Invalid target type/
+    );
+    expect(validateWorkoutTarget({ type: "cadence", min: 80 })).toBe("Cadence target requires min and max values");
   });
 
-  it("returns 400 when missing tokenJson", async () => {
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send({ username: "u", workout: VALID_WORKOUT_BODY.workout });
-    expect(res.status).toBe(400);
+  it("rejects the same target type twice", () => {
+    const sameType = "Step 1: Secondary target must be a different type than the primary target";
+    expect(validateWorkoutPayload(workout(step(pace, pace))).error).toBe(sameType);
+    expect(
+      validateWorkoutPayload(workout(step({ type: "heartRateZone", zone: 2 }, { type: "heartRate", min: 120, max: 140 }))).error
+    ).toBe(sameType);
+    expect(validateWorkoutPayload(workout(step({ type: "power", min: 200, max: 250 }, { type: "powerZone", zone: 3 }))).error).toBe(
+      sameType
+    );
   });
 
-  // --- Error handling ---
-
-  it("returns 401 on token errors", async () => {
-    mockCreateWorkout.mockRejectedValue(new Error("401 Unauthorized"));
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(VALID_WORKOUT_BODY);
-    expect(res.status).toBe(401);
+  it("requires a primary target", () => {
+    expect(validateWorkoutPayload(workout(step({ type: "none" }, { type: "heartRateZone", zone: 2 }))).error).toBe(
+      "Step 1: Secondary target requires a primary target"
+    );
+    expect(validateWorkoutPayload(workout(step({ type: "none" }, { type: "none" })))).toEqual({ ok: true });
   });
 
-  it("returns 504 on timeout", async () => {
-    mockCreateWorkout.mockRejectedValue(new GarminTimeoutError(10000));
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(VALID_WORKOUT_BODY);
-    expect(res.status).toBe(504);
-    expect(res.body.error).toMatch(/timed out/i);
+  it("validates secondary targets inside repeats", () => {
+    const repeat = { type: "repeat", iterations: 3, steps: [step(pace, pace)] };
+    expect(validateWorkoutPayload(workout(repeat)).ok).toBe(false);
   });
 
-  it("returns 500 for non-token Garmin errors", async () => {
-    mockCreateWorkout.mockRejectedValue(new Error("Server error"));
-    const res = await request(app)
-      .post("/garmin/workout/create")
-      .set(auth())
-      .send(VALID_WORKOUT_BODY);
-    expect(res.status).toBe(500);
+  it("round-trips through parseGarminWorkout", () => {
+    const w = workout(
+      step(pace, { type: "heartRate", min: 150, max: 165 }),
+      step({ type: "powerZone", zone: 4 }, { type: "heartRateZone", zone: 4 })
+    );
+    expect(parseGarminWorkout(buildGarminWorkout(w))).toEqual(w);
   });
 });